@@ -0,0 +1,98 @@
+// Push channel to print agents: GET /api/agents/events is a Server-Sent Events stream per agent.
+//
+// The server sends `event: job` when a job the agent could claim is due; the agent then claims it with
+// POST /api/agents/next-job as before, so claiming stays in one transaction. Jobs waiting out a retry
+// backoff are announced when their nextAttemptAt comes. While a stream is open the keepalive also
+// refreshes the agent's lastSeen, so connected agents do not need to send heartbeats.
+//
+// Agents that cannot hold a stream open keep polling next-job, which still works.
+
+const KEEPALIVE_MS = Number(process.env.AGENT_KEEPALIVE_MS || 15 * 1000);
+
+const startAgentEvents = ({ store }) => {
+  // printerId -> Set of open responses (an agent may briefly have two while reconnecting)
+  const streams = new Map();
+  let wakeTimer = null;
+
+  const send = (res, event, payload) => res.write(`event: ${event}\ndata: ${JSON.stringify(payload || {})}\n\n`);
+
+  const touch = async (printerIds) => {
+    if (!printerIds.length) return;
+    try {
+      await store.transaction((data) => {
+        const now = new Date().toISOString();
+        printerIds.forEach((id) => { if (data.agents[id]) data.agents[id].lastSeen = now; });
+      });
+    } catch (e) {
+      console.error('[agent-events] Could not record lastSeen', e);
+    }
+  };
+
+  // Tell connected agents about due jobs they could claim; schedule the next wake for jobs in backoff
+  const wake = async () => {
+    clearTimeout(wakeTimer);
+    wakeTimer = null;
+    if (!streams.size) return;
+    try {
+      const data = await store.read();
+      const now = Date.now();
+      const woken = new Set();
+      let nextAt = Infinity;
+      data.printJobs.forEach((job) => {
+        if (job.status !== 'queued') return;
+        const at = job.nextAttemptAt ? new Date(job.nextAttemptAt).getTime() : now;
+        if (at > now) {
+          nextAt = Math.min(nextAt, at);
+          return;
+        }
+        if (job.printerId) woken.add(job.printerId);
+        else streams.forEach((_, id) => woken.add(id));
+      });
+      woken.forEach((id) => (streams.get(id) || []).forEach((res) => send(res, 'job')));
+      if (nextAt < Infinity) {
+        wakeTimer = setTimeout(wake, nextAt - now);
+        wakeTimer.unref();
+      }
+    } catch (e) {
+      console.error('[agent-events] Wake failed', e);
+    }
+  };
+
+  // Hold a request open as the event stream for printerId
+  const openStream = (req, res, printerId) => {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+    if (!streams.has(printerId)) streams.set(printerId, new Set());
+    streams.get(printerId).add(res);
+    send(res, 'ready', { printerId, keepaliveMs: KEEPALIVE_MS });
+    touch([printerId]);
+    wake();
+    req.on('close', () => {
+      const set = streams.get(printerId);
+      if (!set) return;
+      set.delete(res);
+      if (!set.size) streams.delete(printerId);
+    });
+  };
+
+  // Drop the streams of a revoked agent
+  const disconnect = (printerId) => {
+    (streams.get(printerId) || []).forEach(res => res.end());
+    streams.delete(printerId);
+  };
+
+  const keepalive = setInterval(() => {
+    streams.forEach(set => set.forEach(res => res.write(': keepalive\n\n')));
+    touch([...streams.keys()]);
+  }, KEEPALIVE_MS);
+  keepalive.unref();
+
+  return { openStream, disconnect, wake };
+};
+
+module.exports = { startAgentEvents };
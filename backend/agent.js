@@ -1,19 +1,33 @@
 #!/usr/bin/env node
-// Simple print agent for Polono PL420 (TSPL) that polls a central server.
+// Simple print agent for USB label printers: Polono PL420 (TSPL), Zebra (ZPL) or ESC/POS. It keeps an event stream open to the central server and
+// prints as soon as a job is queued, polling only while that stream is down.
 // Env:
 //   CENTRAL_URL (e.g., http://server:5000)
-//   PRINTER_ID (e.g., pi-lab-1)
-//   INTERVAL_MS (default 2000)
+//   ENROLL_TOKEN (one-time token from the server's Settings -> Print agents; needed on first start)
+//   CREDENTIAL_FILE (default data/agent-credential.json; written at enrollment)
+//   PUSH (default 1; 0 polls only)
+//   INTERVAL_MS (poll interval while there is no push channel, default 2000)
 //   DEVICE (default /dev/usb/lp0)
+//   PRINTER_LANGUAGE (tspl, zpl or escpos; default tspl)
+// The printer id is the one the agent was created with on the server.
 
 const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
 const http = require('http');
 const https = require('https');
+const { PRINTER_LANGUAGES, renderRaw } = require('./labels');
 
 const CENTRAL_URL = process.env.CENTRAL_URL || 'http://localhost:5000';
-const PRINTER_ID = process.env.PRINTER_ID || 'default-printer';
+const ENROLL_TOKEN = process.env.ENROLL_TOKEN || '';
+const CREDENTIAL_FILE = process.env.CREDENTIAL_FILE || path.join(__dirname, 'data', 'agent-credential.json');
 const INTERVAL_MS = Number(process.env.INTERVAL_MS || 2000);
+const PUSH = (process.env.PUSH || '1') !== '0';
+const CONNECT_TIMEOUT_MS = 10 * 1000;
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 60 * 1000;
 const DEVICE = process.env.DEVICE || '/dev/usb/lp0';
+const PRINTER_LANGUAGE = (process.env.PRINTER_LANGUAGE || 'tspl').toLowerCase();
 
 const fetchJson = async (url, opts = {}) => {
   return new Promise((resolve, reject) => {
@@ -29,7 +43,12 @@ const fetchJson = async (url, opts = {}) => {
       let data = '';
       res.on('data', (c) => (data += c));
       res.on('end', () => {
-        try { resolve(JSON.parse(data || '{}')); } catch (e) { reject(e); }
+        let body;
+        try { body = JSON.parse(data || '{}'); } catch (e) { return reject(e); }
+        if (res.statusCode >= 400) {
+          return reject(Object.assign(new Error(body.message || `HTTP ${res.statusCode}`), { status: res.statusCode }));
+        }
+        resolve(body);
       });
     });
     req.on('error', reject);
@@ -38,62 +57,187 @@ const fetchJson = async (url, opts = {}) => {
   });
 };
 
-const tsplForSession = (s) => {
-  const dt = new Date(s.timestamp);
-  const oz = Number(s.amount_oz || 0);
-  const ml = (oz * 29.5735).toFixed(0);
-  const wIn = 2.625;
-  const hIn = 1.0;
-  const pad = 30;
-  const y1 = 20, y2 = 50, y3 = 95, y4 = 125;
-  const lines = [
-    `SIZE ${wIn.toFixed(3)},${hIn.toFixed(3)}`,
-    'GAP 0.12,0',
-    'DIRECTION 1',
-    'REFERENCE 0,0',
-    'OFFSET 0.0',
-    'SET TEAR ON',
-    'CLS',
-    `TEXT ${pad},${y1},"0",0,1,1,"${dt.toLocaleDateString('en-US', {timeZone: 'America/New_York'})} ${dt.toLocaleTimeString('en-US', {timeZone: 'America/New_York'})}"`,
-    `TEXT ${pad},${y2},"0",0,1,2,"${oz.toFixed(2)} oz (${ml} ml)"`,
-    s.notes ? `TEXT ${pad},${y3},"0",0,1,1,"${String(s.notes).replace(/"/g,'\\"').slice(0, 28)}"` : '',
-    `TEXT ${pad},${y4},"0",0,1,1,"Fridge: ${new Date(s.use_by_fridge).toLocaleDateString('en-US', {timeZone: 'America/New_York'})}  Freezer: ${new Date(s.use_by_frozen).toLocaleDateString('en-US', {timeZone: 'America/New_York'})}"`,
-    'PRINT 1,1',
-    'FORMFEED',
-  ].filter(Boolean);
-  return lines.join('\n') + '\n';
+// { printerId, credential, token_hash } saved at enrollment. token_hash tells whether ENROLL_TOKEN
+// is a new token (agent re-created on the server) that should replace the saved credential.
+let agent = null;
+const tokenHash = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const loadCredential = () => {
+  try {
+    return JSON.parse(fs.readFileSync(CREDENTIAL_FILE, 'utf8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.error(`[agent] Could not read ${CREDENTIAL_FILE}:`, e.message);
+    return null;
+  }
+};
+
+const enroll = async () => {
+  const { printerId, credential } = await fetchJson(`${CENTRAL_URL}/api/agents/enroll`, {
+    method: 'POST',
+    body: { token: ENROLL_TOKEN },
+  });
+  const saved = { printerId, credential, token_hash: tokenHash(ENROLL_TOKEN) };
+  fs.mkdirSync(path.dirname(CREDENTIAL_FILE), { recursive: true });
+  fs.writeFileSync(CREDENTIAL_FILE, JSON.stringify(saved), { mode: 0o600 });
+  console.log(`[agent] Enrolled as ${printerId}; credential saved to ${CREDENTIAL_FILE}`);
+  return saved;
+};
+
+// Calls the server as this agent
+const agentRequest = (urlPath, body) => fetchJson(`${CENTRAL_URL}${urlPath}`, {
+  method: 'POST',
+  headers: { Authorization: `Bearer ${agent.credential}` },
+  body,
+});
+
+// Capabilities list the language this agent prints in, e.g. { zpl: true }
+const heartbeat = () => agentRequest('/api/agents/heartbeat', { agentVersion: '1.0.0', capabilities: { [PRINTER_LANGUAGE]: true } });
+
+// A revoked credential stops the agent; anything else is logged and retried
+const handleError = (label) => (e) => {
+  if (e.status === 401) {
+    console.error(`[agent] ${e.message} Set a new ENROLL_TOKEN and restart.`);
+    process.exit(1);
+  }
+  console.error(`[agent] ${label}`, e.message);
 };
 
-const loop = async () => {
+const printJob = async (job) => {
+  if (!job.session) return;
+  let report;
   try {
-    // Heartbeat
-    await fetchJson(`${CENTRAL_URL}/api/agents/heartbeat`, {
-      method: 'POST',
-      body: { printerId: PRINTER_ID, agentVersion: '1.0.0', capabilities: { tspl: true } },
-    });
-    // Pull next job
-    const { job } = await fetchJson(`${CENTRAL_URL}/api/agents/next-job`, {
-      method: 'POST',
-      body: { printerId: PRINTER_ID },
-    });
-    if (job && job.session) {
-      try {
-        const program = tsplForSession(job.session);
-        fs.writeFileSync(DEVICE, program);
-        // Report success
-        await fetchJson(`${CENTRAL_URL}/api/print/${job.id}/complete`, { method: 'POST', body: { success: true } });
-        console.log(`[agent] Printed job ${job.id}`);
-      } catch (e) {
-        console.error('[agent] Print failed', e.message);
-        await fetchJson(`${CENTRAL_URL}/api/print/${job.id}/complete`, { method: 'POST', body: { success: false, error: e.message } });
+    // Jobs carry the server's label template and copy count; older jobs print one with the default one
+    const program = renderRaw(PRINTER_LANGUAGE, job.session, job.template, job.copies);
+    fs.writeFileSync(DEVICE, program);
+    report = { success: true };
+    console.log(`[agent] Printed job ${job.id}`);
+  } catch (e) {
+    console.error('[agent] Print failed', e.message);
+    report = { success: false, error: e.message };
+  }
+  try {
+    // The server retries failed jobs itself; `status` says whether this one will be tried again
+    const { status } = await agentRequest(`/api/print/${job.id}/complete`, report);
+    if (status === 'queued') console.log(`[agent] Job ${job.id} will be retried`);
+  } catch (e) {
+    // Our lease ran out, or someone cancelled or reassigned the job, before we reported
+    if (e.status !== 409) throw e;
+    console.error('[agent]', e.message);
+  }
+};
+
+// Claim and print jobs until none is due. A call while a drain runs makes it check once more.
+let draining = null;
+let drainAgain = false;
+const drain = () => {
+  if (draining) {
+    drainAgain = true;
+    return draining;
+  }
+  draining = (async () => {
+    do {
+      drainAgain = false;
+      for (;;) {
+        const { job } = await agentRequest('/api/agents/next-job', {});
+        if (!job) break;
+        await printJob(job);
+      }
+    } while (drainAgain);
+  })().finally(() => { draining = null; });
+  return draining;
+};
+
+// Push channel: the server's event stream says when a job is waiting. While it is down the agent
+// polls every INTERVAL_MS and reconnects with backoff.
+let pushConnected = false;
+let reconnectAttempts = 0;
+
+const listen = () => {
+  const u = new URL(`${CENTRAL_URL}/api/agents/events`);
+  const lib = u.protocol === 'https:' ? https : http;
+  let closed = false;
+  const reconnect = (why) => {
+    if (closed) return;
+    closed = true;
+    pushConnected = false;
+    const delay = Math.min(RECONNECT_BASE_MS * 2 ** reconnectAttempts, RECONNECT_MAX_MS);
+    reconnectAttempts += 1;
+    console.error(`[agent] Push channel down (${why}); polling, reconnecting in ${Math.round(delay / 1000)}s`);
+    setTimeout(listen, delay);
+  };
+  const req = lib.request({
+    method: 'GET',
+    hostname: u.hostname,
+    port: u.port || (u.protocol === 'https:' ? 443 : 80),
+    path: u.pathname,
+    headers: { Accept: 'text/event-stream', Authorization: `Bearer ${agent.credential}` },
+  }, (res) => {
+    if (res.statusCode !== 200) {
+      res.resume();
+      const error = Object.assign(new Error(`HTTP ${res.statusCode}`), { status: res.statusCode });
+      if (error.status === 401) return handleError('Push channel')(error);
+      return reconnect(error.message);
+    }
+    res.setEncoding('utf8');
+    let buffer = '';
+    res.on('data', (chunk) => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf('\n\n')) >= 0) {
+        const block = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        const event = (/^event: (.*)$/m.exec(block) || [])[1];
+        if (event === 'ready') {
+          const { keepaliveMs } = JSON.parse((/^data: (.*)$/m.exec(block) || [])[1] || '{}');
+          // No keepalive for three intervals means the connection is dead
+          if (keepaliveMs) req.setTimeout(keepaliveMs * 3);
+          pushConnected = true;
+          reconnectAttempts = 0;
+          console.log('[agent] Push channel connected');
+          heartbeat().then(drain).catch(handleError('Drain error'));
+        } else if (event === 'job') {
+          drain().catch(handleError('Drain error'));
+        }
       }
+    });
+    res.on('close', () => reconnect('connection closed'));
+  });
+  req.setTimeout(CONNECT_TIMEOUT_MS, () => req.destroy(new Error('timed out')));
+  req.on('error', e => reconnect(e.message));
+  req.end();
+};
+
+// Fallback (and PUSH=0): heartbeat and claim jobs every INTERVAL_MS while there is no push channel
+const poll = async () => {
+  try {
+    if (!pushConnected) {
+      await heartbeat();
+      await drain();
     }
   } catch (e) {
-    console.error('[agent] Loop error', e.message);
+    handleError('Poll error')(e);
   } finally {
-    setTimeout(loop, INTERVAL_MS);
+    setTimeout(poll, INTERVAL_MS);
+  }
+};
+
+const start = async () => {
+  if (!PRINTER_LANGUAGES.includes(PRINTER_LANGUAGE)) {
+    console.error(`[agent] PRINTER_LANGUAGE must be one of: ${PRINTER_LANGUAGES.join(', ')}.`);
+    process.exit(1);
+  }
+  agent = loadCredential();
+  if (ENROLL_TOKEN && (!agent || agent.token_hash !== tokenHash(ENROLL_TOKEN))) agent = await enroll();
+  if (!agent) {
+    console.error('[agent] Not enrolled. Create the agent on the server (Settings -> Print agents) and set ENROLL_TOKEN.');
+    process.exit(1);
   }
+  console.log(`[agent] Starting. CENTRAL_URL=${CENTRAL_URL} PRINTER_ID=${agent.printerId} DEVICE=${DEVICE} PRINTER_LANGUAGE=${PRINTER_LANGUAGE} PUSH=${PUSH ? 1 : 0}`);
+  if (PUSH) listen();
+  poll();
 };
 
-console.log(`[agent] Starting. CENTRAL_URL=${CENTRAL_URL} PRINTER_ID=${PRINTER_ID} DEVICE=${DEVICE}`);
-loop();
+start().catch((e) => {
+  console.error('[agent] Enrollment failed:', e.message);
+  process.exit(1);
+});
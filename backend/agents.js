@@ -0,0 +1,97 @@
+// Print agent enrollment. data.agents is keyed by printerId:
+//   { printerId, name, createdAt, enrollment_hash, enrollment_expires_at, credential_hash, enrolledAt,
+//     lastSeen, agentVersion, capabilities }
+//
+// An admin creates an agent and gets a one-time enrollment token. agent.js trades that token for a
+// long-lived credential (POST /api/agents/enroll) and sends it as `Authorization: Bearer <credential>`
+// on heartbeats, job claims and completions. Only SHA-256 hashes of tokens and credentials are stored.
+// Revoking an agent deletes its record, so its credential stops working.
+
+const crypto = require('crypto');
+const { hashToken } = require('./auth');
+
+const ENROLL_HOURS = Number(process.env.AGENT_ENROLL_HOURS || 24);
+// An agent counts as online while its last heartbeat is newer than this
+const ONLINE_MS = Number(process.env.AGENT_ONLINE_MS || 30 * 1000);
+
+const newSecret = () => crypto.randomBytes(24).toString('hex');
+
+// Status for the admin list: 'pending' (token not used yet), 'expired' (token unused past its
+// deadline), 'active' (enrolled) or 'unenrolled' (heartbeats recorded before enrollment existed)
+const agentStatus = (agent, now = Date.now()) => {
+  if (agent.credential_hash) return 'active';
+  if (agent.enrollment_hash) return new Date(agent.enrollment_expires_at).getTime() < now ? 'expired' : 'pending';
+  return 'unenrolled';
+};
+
+const agentOnline = (agent, now = Date.now()) => !!agent.credential_hash && !!agent.lastSeen
+  && now - new Date(agent.lastSeen).getTime() < ONLINE_MS;
+
+// An agent without its secrets, for API responses
+const publicAgent = (agent) => ({
+  printerId: agent.printerId,
+  name: agent.name || null,
+  status: agentStatus(agent),
+  online: agentOnline(agent),
+  createdAt: agent.createdAt || null,
+  enrolledAt: agent.enrolledAt || null,
+  enrollmentExpiresAt: agent.credential_hash ? null : agent.enrollment_expires_at || null,
+  lastSeen: agent.lastSeen || null,
+  agentVersion: agent.agentVersion || null,
+  capabilities: agent.capabilities || null,
+});
+
+// Returns a list of problems with a new-agent payload (empty when valid)
+const validateAgent = (body, agents) => {
+  const errors = [];
+  if (!body || typeof body !== 'object') return ['Agent must be an object.'];
+  const { printerId, name } = body;
+  if (typeof printerId !== 'string' || !/^[\w.-]{1,64}$/.test(printerId)) {
+    errors.push('printerId must be 1-64 letters, digits, dots, dashes or underscores.');
+  } else if (agents[printerId] && agents[printerId].credential_hash) {
+    errors.push('An enrolled agent already uses that printerId; revoke it first.');
+  }
+  if (name !== undefined && name !== null && typeof name !== 'string') errors.push('name must be a string.');
+  return errors;
+};
+
+// Create (or re-issue) an agent inside a transaction; returns the one-time enrollment token
+const createAgent = (data, { printerId, name }) => {
+  const token = newSecret();
+  const previous = data.agents[printerId] || {};
+  data.agents[printerId] = {
+    ...previous,
+    printerId,
+    name: name ? name.trim() : previous.name || null,
+    createdAt: new Date().toISOString(),
+    enrollment_hash: hashToken(token),
+    enrollment_expires_at: new Date(Date.now() + ENROLL_HOURS * 3600000).toISOString(),
+    credential_hash: null,
+    enrolledAt: null,
+  };
+  return token;
+};
+
+// Trade an enrollment token for a credential inside a transaction. Returns { printerId, credential },
+// or null when the token is unknown, used or expired.
+const enrollAgent = (data, token) => {
+  const hash = hashToken(String(token || ''));
+  const agent = Object.values(data.agents).find(a => a.enrollment_hash === hash);
+  if (!agent || agentStatus(agent) !== 'pending') return null;
+  const credential = newSecret();
+  agent.credential_hash = hashToken(credential);
+  agent.enrollment_hash = null;
+  agent.enrollment_expires_at = null;
+  agent.enrolledAt = new Date().toISOString();
+  return { printerId: agent.printerId, credential };
+};
+
+// The enrolled agent whose credential the request carries, or null
+const agentFor = (data, req) => {
+  const m = /^Bearer (\S+)$/.exec(req.get('Authorization') || '');
+  if (!m) return null;
+  const hash = hashToken(m[1]);
+  return Object.values(data.agents).find(a => a.credential_hash === hash) || null;
+};
+
+module.exports = { publicAgent, validateAgent, createAgent, enrollAgent, agentFor };
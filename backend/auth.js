@@ -0,0 +1,158 @@
+// User accounts with PINs, sign-in sessions and the audit log.
+//
+// - Users: { id, name, role, pin_salt, pin_hash, createdAt }. Roles: 'caregiver' (log pumping and feeds,
+//   print, move bags) and 'admin' (also delete, manage profiles and users, import, restore, update).
+// - Signing in creates a random token. The browser keeps it in an HttpOnly cookie so plain fetch calls
+//   and download links carry it; scripts can send `Authorization: Bearer <token>`. Only a SHA-256 of the
+//   token is stored (data.authTokens), so a backup cannot be used to sign in.
+// - Until the first user is created the tracker stays open, as before accounts existed. The first
+//   user is always an admin.
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+const ROLES = ['caregiver', 'admin'];
+const COOKIE = 'bmt_session';
+const SESSION_DAYS = Number(process.env.AUTH_SESSION_DAYS || 30);
+// Oldest audit entries are dropped past this many
+const AUDIT_LIMIT = Number(process.env.AUDIT_LIMIT || 5000);
+// Failed PIN attempts allowed per address, and per account, before a pause of LOCKOUT_MS. Every further
+// MAX_FAILURES wrong PINs double the pause, up to MAX_LOCKOUT_MS. Counts are forgotten after
+// FAILURE_MEMORY_MS without a failure, or at the next right PIN.
+const MAX_FAILURES = 5;
+const LOCKOUT_MS = 60 * 1000;
+const MAX_LOCKOUT_MS = 60 * 60 * 1000;
+const FAILURE_MEMORY_MS = 24 * 60 * 60 * 1000;
+
+const hashPin = (pin, salt) => crypto.scryptSync(String(pin), salt, 32).toString('hex');
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const setPin = (user, pin) => {
+  user.pin_salt = crypto.randomBytes(16).toString('hex');
+  user.pin_hash = hashPin(pin, user.pin_salt);
+  return user;
+};
+
+const checkPin = (user, pin) => {
+  const expected = Buffer.from(user.pin_hash, 'hex');
+  const actual = Buffer.from(hashPin(pin, user.pin_salt), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// A user without the PIN hash, for API responses
+const publicUser = ({ id, name, role, createdAt }) => ({ id, name, role, createdAt });
+
+// Returns a list of problems with a user payload (empty when valid)
+const validateUser = (body, users, existing = null) => {
+  const errors = [];
+  if (!body || typeof body !== 'object') return ['User must be an object.'];
+  if (!existing || body.name !== undefined) {
+    if (typeof body.name !== 'string' || !body.name.trim()) errors.push('name is required.');
+    else if (users.some(u => u !== existing && u.name.toLowerCase() === body.name.trim().toLowerCase())) {
+      errors.push('Another user already has that name.');
+    }
+  }
+  if ((!existing || body.role !== undefined) && !ROLES.includes(body.role)) {
+    errors.push(`role must be one of: ${ROLES.join(', ')}.`);
+  }
+  if ((!existing || body.pin !== undefined) && !/^\d{4,8}$/.test(String(body.pin || ''))) {
+    errors.push('pin must be 4 to 8 digits.');
+  }
+  return errors;
+};
+
+const parseCookies = (header = '') => header.split(';').reduce((cookies, part) => {
+  const i = part.indexOf('=');
+  if (i > 0) cookies[part.slice(0, i).trim()] = decodeURIComponent(part.slice(i + 1).trim());
+  return cookies;
+}, {});
+
+const tokenFrom = (req) => {
+  const m = /^Bearer (\S+)$/.exec(req.get('Authorization') || '');
+  return m ? m[1] : parseCookies(req.get('Cookie'))[COOKIE];
+};
+
+const tokenExpired = (entry, now = Date.now()) => now - new Date(entry.created_at).getTime() > SESSION_DAYS * 86400000;
+
+// The signed-in user for a request, or null
+const userFor = (data, req) => {
+  const token = tokenFrom(req);
+  const entry = token && data.authTokens[hashToken(token)];
+  if (!entry || tokenExpired(entry)) return null;
+  return data.users.find(u => u.id === entry.user_id) || null;
+};
+
+// Start a session for `user` inside a transaction; returns the token. Expired tokens are dropped.
+const createSession = (data, user) => {
+  Object.keys(data.authTokens).forEach((key) => {
+    if (tokenExpired(data.authTokens[key])) delete data.authTokens[key];
+  });
+  const token = crypto.randomBytes(32).toString('hex');
+  data.authTokens[hashToken(token)] = { user_id: user.id, created_at: new Date().toISOString() };
+  return token;
+};
+
+const endSession = (data, req) => {
+  const token = tokenFrom(req);
+  if (token) delete data.authTokens[hashToken(token)];
+};
+
+const endUserSessions = (data, userId) => {
+  Object.keys(data.authTokens).forEach((key) => {
+    if (data.authTokens[key].user_id === userId) delete data.authTokens[key];
+  });
+};
+
+const sessionCookie = (token) => `${COOKIE}=${token}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${SESSION_DAYS * 86400}`;
+const clearedCookie = () => `${COOKIE}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0`;
+
+// Append to data.audit (inside a transaction). `recordId` names the record a request created, whose id
+// is not in its path.
+const recordAudit = (data, user, action, status, recordId = null) => {
+  data.audit.push({
+    id: uuidv4(),
+    at: new Date().toISOString(),
+    user_id: user ? user.id : null,
+    user_name: user ? user.name : null,
+    action,
+    status,
+    record_id: recordId,
+  });
+  if (data.audit.length > AUDIT_LIMIT) data.audit.splice(0, data.audit.length - AUDIT_LIMIT);
+};
+
+// Slow down PIN guessing: failure counts per address and per account (`user:<id>`), kept in memory
+const failures = new Map();
+const pauseAfter = (count) => (count < MAX_FAILURES
+  ? 0
+  : Math.min(LOCKOUT_MS * 2 ** (Math.floor(count / MAX_FAILURES) - 1), MAX_LOCKOUT_MS));
+// Milliseconds until `key` may try again (0 when it may now)
+const lockedOut = (key) => {
+  const entry = failures.get(key);
+  return entry ? Math.max(0, entry.at + pauseAfter(entry.count) - Date.now()) : 0;
+};
+const noteFailure = (key) => {
+  const entry = failures.get(key);
+  const count = entry && Date.now() - entry.at < FAILURE_MEMORY_MS ? entry.count + 1 : 1;
+  failures.set(key, { count, at: Date.now() });
+};
+const clearFailures = (key) => failures.delete(key);
+
+module.exports = {
+  ROLES,
+  hashToken,
+  setPin,
+  checkPin,
+  publicUser,
+  validateUser,
+  userFor,
+  createSession,
+  endSession,
+  endUserSessions,
+  sessionCookie,
+  clearedCookie,
+  recordAudit,
+  lockedOut,
+  noteFailure,
+  clearFailures,
+};
@@ -0,0 +1,157 @@
+// Backups of the whole data set as JSON files in one directory (data/backups by default, or e.g. a
+// USB drive via BACKUP_DIR). File names are `<label>-<UTC time>.json`:
+//   auto-…            scheduled; pruned to the newest per hour for `hourly` hours and the newest per
+//                     day for `daily` days
+//   manual-…          taken from the settings page
+//   pre-restore-…     the data as it was just before a restore
+//   pre-migration-v…  the data as it was just before a schema upgrade
+// Only scheduled backups are pruned; the others stay until removed by hand.
+
+const fsp = require('fs').promises;
+const path = require('path');
+const { writeFileAtomic } = require('./store');
+const { httpError } = require('./http-error');
+const { SCHEMA_VERSION, migrateData } = require('./migrations');
+const { dayKey, hourOf } = require('./stats');
+const { normalizeLocaleSettings } = require('./locale-settings');
+
+const NAME_PATTERN = /^([a-z0-9-]+?)-(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)\.json$/;
+const COLLECTIONS = ['sessions', 'feeds', 'profiles', 'printJobs'];
+
+// "2026-10-19T18-42-08-098Z" <-> Date
+const stampOf = (date) => date.toISOString().replace(/[:.]/g, '-');
+const parseStamp = (stamp) => {
+  const [, day, h, m, s, ms] = /^(.+)T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/.exec(stamp);
+  return new Date(`${day}T${h}:${m}:${s}.${ms}Z`);
+};
+
+// Backups in `dir`, newest first: [{ name, label, created_at, size }]
+const listBackups = async (dir) => {
+  let names;
+  try {
+    names = await fsp.readdir(dir);
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+  const backups = [];
+  for (const name of names) {
+    const m = NAME_PATTERN.exec(name);
+    if (m) {
+      const { size } = await fsp.stat(path.join(dir, name));
+      backups.push({ name, label: m[1], created_at: parseStamp(m[2]).toISOString(), size });
+    }
+  }
+  return backups.sort((a, b) => b.created_at.localeCompare(a.created_at));
+};
+
+// Full path of an existing backup; 404 for anything that is not one of ours
+const backupPath = async (dir, name) => {
+  if (!NAME_PATTERN.test(String(name))) throw httpError(404, 'Backup not found.');
+  const file = path.join(dir, name);
+  try {
+    await fsp.access(file);
+  } catch {
+    throw httpError(404, 'Backup not found.');
+  }
+  return file;
+};
+
+const writeBackup = async (dir, data, label) => {
+  await fsp.mkdir(dir, { recursive: true });
+  const name = `${label}-${stampOf(new Date())}.json`;
+  await writeFileAtomic(path.join(dir, name), JSON.stringify(data));
+  console.log(`[backups] Wrote ${name}`);
+  return name;
+};
+
+// Names of scheduled backups that fall outside the retention, counting hours and days in `timeZone`
+const expiredBackups = (backups, { hourly, daily }, timeZone) => {
+  const hours = new Set();
+  const days = new Set();
+  const keep = new Set();
+  // Newest first, so the first backup seen in an hour/day is the one kept for it
+  backups.filter(b => b.label === 'auto').forEach((b) => {
+    const created = new Date(b.created_at);
+    const day = dayKey(created, timeZone);
+    const hour = `${day}T${hourOf(created, timeZone)}`;
+    if (!hours.has(hour) && hours.size < hourly) {
+      hours.add(hour);
+      keep.add(b.name);
+    }
+    if (!days.has(day) && days.size < daily) {
+      days.add(day);
+      keep.add(b.name);
+    }
+  });
+  return backups.filter(b => b.label === 'auto' && !keep.has(b.name)).map(b => b.name);
+};
+
+const pruneBackups = async (dir, retention, timeZone) => {
+  const expired = expiredBackups(await listBackups(dir), retention, timeZone);
+  for (const name of expired) await fsp.unlink(path.join(dir, name)).catch(() => {});
+  return expired;
+};
+
+// Parse and check a backup file. Returns the data upgraded to SCHEMA_VERSION; throws a 400 describing
+// what is wrong otherwise.
+const readBackup = async (file) => {
+  let data;
+  try {
+    data = JSON.parse(await fsp.readFile(file, 'utf8'));
+  } catch (e) {
+    throw httpError(400, 'Backup is not valid JSON.');
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) throw httpError(400, 'Backup is not a data snapshot.');
+  if ((data.schemaVersion || 0) > SCHEMA_VERSION) {
+    throw httpError(400, 'Backup was made by a newer version of the tracker.');
+  }
+  if (!Array.isArray(data.sessions)) throw httpError(400, 'Backup has no sessions list.');
+  const errors = [];
+  COLLECTIONS.forEach((k) => {
+    if (data[k] === undefined) return;
+    if (!Array.isArray(data[k])) errors.push(`${k} must be a list.`);
+    else if (data[k].some(r => !r || typeof r.id !== 'string')) errors.push(`${k} has records without an id.`);
+  });
+  if (data.sessions.some(s => s && (typeof s.amount_oz !== 'number' || isNaN(new Date(s.timestamp).getTime())))) {
+    errors.push('sessions has records without an amount or timestamp.');
+  }
+  if (errors.length) throw httpError(400, `Backup is damaged: ${errors.join(' ')}`);
+  // Bring an older backup up to the current schema
+  migrateData(data);
+  return data;
+};
+
+// Replace the store's data with backup `name`, after backing up the current data. Both happen in one
+// transaction so nothing saved in between is lost without a backup. Top-level keys listed in `keep`
+// stay as they are.
+const restoreBackup = async (store, dir, name, { keep = [] } = {}) => {
+  const data = await readBackup(await backupPath(dir, name));
+  let saved;
+  await store.transaction(async (draft) => {
+    saved = await writeBackup(dir, draft, 'pre-restore');
+    Object.keys(draft).filter(k => !keep.includes(k)).forEach((k) => { delete draft[k]; });
+    Object.keys(data).filter(k => !keep.includes(k)).forEach((k) => { draft[k] = data[k]; });
+  });
+  return { restored: name, backup: saved };
+};
+
+// Take a backup every intervalMs and prune old ones. Retention: { hourly, daily } counts.
+const startBackupScheduler = ({ store, dir, intervalMs, retention }) => {
+  const run = async () => {
+    try {
+      const data = await store.read();
+      await writeBackup(dir, data, 'auto');
+      const pruned = await pruneBackups(dir, retention, normalizeLocaleSettings(data.settings.locale).time_zone);
+      if (pruned.length) console.log(`[backups] Pruned ${pruned.length} old backup(s)`);
+    } catch (e) {
+      console.error('[backups] Scheduled backup failed', e);
+    }
+  };
+  const timer = setInterval(run, intervalMs);
+  return { run, stop: () => clearInterval(timer) };
+};
+
+module.exports = {
+  listBackups, backupPath, writeBackup, pruneBackups, readBackup, restoreBackup, startBackupScheduler,
+};
@@ -0,0 +1,244 @@
+// Export (CSV for spreadsheets, JSON for moving between devices) and JSON import with validation,
+// duplicate detection by id and conflict reporting.
+
+const { STORAGE_STATES } = require('./lifecycle');
+const { validateSessionFields } = require('./session-fields');
+const { validateFeed } = require('./feeds');
+const { validateProfile } = require('./profiles');
+const { DEFAULT_UNIT_SETTINGS, ML_PER_OZ, roundVolume } = require('./units');
+
+const EXPORT_VERSION = 1;
+// Collections in a JSON dump, in the order they are imported (profiles before the sessions
+// and feeds that reference them)
+const COLLECTIONS = ['profiles', 'sessions', 'feeds'];
+
+// Quote a CSV cell when needed. Text that a spreadsheet would run as a formula gets a leading quote.
+const csvCell = (v) => {
+  if (v === null || v === undefined) return '';
+  let text = String(v);
+  if (typeof v === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// columns: [[header, row => value], ...]
+const toCsv = (rows, columns) => [
+  columns.map(([header]) => csvCell(header)).join(','),
+  ...rows.map(row => columns.map(([, value]) => csvCell(value(row))).join(',')),
+].join('\r\n') + '\r\n';
+
+const byTimestamp = (a, b) => new Date(a.timestamp) - new Date(b.timestamp);
+
+// The stored *_oz columns stay as they are whatever the household unit, so spreadsheets built on an
+// export keep working. After them come the volumes as the household shows them: a `unit` column and
+// one column per volume in that unit, rounded per `units`. `ml` gives the exact millilitres where a
+// record keeps them.
+const shownColumns = (units, volumes) => [
+  ['unit', () => units.unit],
+  ...volumes.map(([name, oz, ml = () => null]) => [
+    name,
+    row => (oz(row) == null ? null : roundVolume(oz(row), units.unit, units, ml(row))),
+  ]),
+];
+
+const sessionsCsv = (data, units = DEFAULT_UNIT_SETTINGS) => {
+  const name = (id) => (data.profiles.find(p => p.id === id) || {}).name;
+  return toCsv([...data.sessions].sort(byTimestamp), [
+    ['id', s => s.id],
+    ['timestamp', s => s.timestamp],
+    ['parent', s => name(s.profile_id)],
+    ['baby', s => name(s.baby_id)],
+    ['amount_oz', s => s.amount_oz],
+    ['amount_ml', s => (s.amount_ml != null ? s.amount_ml : Math.round(s.amount_oz * ML_PER_OZ))],
+    ['remaining_oz', s => s.remaining_oz],
+    ['state', s => s.state],
+    ['side', s => s.side],
+    ['left_oz', s => s.left_oz],
+    ['right_oz', s => s.right_oz],
+    ['duration_min', s => s.duration_min],
+    ['pump', s => s.pump],
+    ['flange_mm', s => s.flange_mm],
+    ['started_at', s => s.started_at],
+    ['ended_at', s => s.ended_at],
+    ['use_by_fridge', s => s.use_by_fridge],
+    ['use_by_frozen', s => s.use_by_frozen],
+    ['expires_at', s => s.expires_at],
+    ['notes', s => s.notes],
+    ...shownColumns(units, [
+      ['amount', s => s.amount_oz, s => s.amount_ml],
+      ['remaining', s => s.remaining_oz],
+      ['left', s => s.left_oz],
+      ['right', s => s.right_oz],
+    ]),
+  ]);
+};
+
+const feedsCsv = (data, units = DEFAULT_UNIT_SETTINGS) => {
+  const name = (id) => (data.profiles.find(p => p.id === id) || {}).name;
+  return toCsv([...data.feeds].sort(byTimestamp), [
+    ['id', f => f.id],
+    ['timestamp', f => f.timestamp],
+    ['baby', f => name(f.baby_id)],
+    ['offered_oz', f => f.offered_oz],
+    ['consumed_oz', f => f.consumed_oz],
+    ['fed_by', f => f.fed_by],
+    ['source_sessions', f => f.sources.map(src => src.session_id).join(' ')],
+    ['notes', f => f.notes],
+    ...shownColumns(units, [
+      ['offered', f => f.offered_oz],
+      ['consumed', f => f.consumed_oz],
+    ]),
+  ]);
+};
+
+// Everything a household has entered; print jobs and agent heartbeats stay behind
+const jsonDump = (data) => ({
+  version: EXPORT_VERSION,
+  exported_at: new Date().toISOString(),
+  profiles: data.profiles,
+  sessions: data.sessions,
+  feeds: data.feeds,
+  settings: data.settings,
+});
+
+const validDate = (v) => typeof v === 'string' && !isNaN(new Date(v).getTime());
+
+// Per-record checks. `known` holds what references may point at: the existing records plus the incoming
+// ones accepted so far.
+const validators = {
+  profiles: (p, known) => validateProfile(p, known.profiles),
+  sessions: (s, known) => {
+    const errors = [];
+    if (typeof s.amount_oz !== 'number' || !isFinite(s.amount_oz) || s.amount_oz <= 0) {
+      errors.push('amount_oz must be a positive number.');
+    }
+    if (s.amount_ml !== undefined && (typeof s.amount_ml !== 'number' || !isFinite(s.amount_ml) || s.amount_ml <= 0)) {
+      errors.push('amount_ml must be a positive number.');
+    }
+    if (!validDate(s.timestamp)) errors.push('timestamp must be an ISO date/time.');
+    if (s.state !== undefined && !STORAGE_STATES.includes(s.state)) errors.push(`Unknown state: ${s.state}.`);
+    if (s.remaining_oz !== undefined && (typeof s.remaining_oz !== 'number' || s.remaining_oz < 0)) {
+      errors.push('remaining_oz must be a non-negative number.');
+    }
+    if (s.profile_id && !known.profiles.some(p => p.id === s.profile_id && p.kind === 'parent')) {
+      errors.push('profile_id does not match a parent profile.');
+    }
+    const baby = s.baby_id && known.profiles.find(p => p.id === s.baby_id && p.kind === 'baby');
+    if (s.baby_id && !baby) errors.push('baby_id does not match a baby profile.');
+    else if (baby && s.profile_id && baby.parent_id !== s.profile_id) {
+      errors.push('baby_id is not a baby of the profile_id parent.');
+    }
+    return errors.concat(validateSessionFields(s, s).errors);
+  },
+  feeds: (f, known) => {
+    const errors = validateFeed(f);
+    if (!validDate(f.timestamp)) errors.push('timestamp must be an ISO date/time.');
+    if (!Array.isArray(f.sources)) errors.push('sources must be an array.');
+    else if (f.sources.some(src => src && !known.sessions.has(src.session_id))) {
+      errors.push('sources reference a session that does not exist.');
+    }
+    if (f.baby_id && !known.profiles.some(p => p.id === f.baby_id && p.kind === 'baby')) {
+      errors.push('baby_id does not match a baby profile.');
+    }
+    return errors;
+  },
+};
+
+const isBaby = (p) => Boolean(p && p.kind === 'baby');
+
+// Stable JSON for comparing records regardless of key order
+const canonical = (v) => {
+  if (Array.isArray(v)) return `[${v.map(canonical).join(',')}]`;
+  if (v && typeof v === 'object') {
+    return `{${Object.keys(v).sort().filter(k => v[k] !== undefined).map(k => `${JSON.stringify(k)}:${canonical(v[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(v);
+};
+
+// Work out what importing `dump` into `data` would do. Records whose id already exists are duplicates
+// when identical and conflicts otherwise; conflicts are only overwritten with `replace`.
+// `normalize` maps a collection name to a function that fills in defaults the same way the store does,
+// so a re-imported export compares equal. Returns { report, apply } where apply() adds the accepted
+// records to `data`.
+const planImport = (data, dump, { replace = false, normalize = {} } = {}) => {
+  if (!dump || typeof dump !== 'object' || Array.isArray(dump)) {
+    return { report: { errors: ['Import must be a JSON object from the export.'] } };
+  }
+  if (typeof dump.version === 'number' && dump.version > EXPORT_VERSION) {
+    return { report: { errors: ['This file was exported by a newer version of the tracker.'] } };
+  }
+  const report = { added: {}, duplicates: {}, replaced: {}, conflicts: [], invalid: [] };
+  const accepted = {};
+  const known = {
+    profiles: [...data.profiles],
+    sessions: new Set(data.sessions.map(s => s.id)),
+  };
+
+  COLLECTIONS.forEach((type) => {
+    const incoming = dump[type] === undefined ? [] : dump[type];
+    accepted[type] = [];
+    report.added[type] = 0;
+    report.duplicates[type] = 0;
+    report.replaced[type] = 0;
+    if (!Array.isArray(incoming)) {
+      report.invalid.push({ type, errors: [`${type} must be an array.`] });
+      return;
+    }
+    const seen = new Set();
+    // Parents are checked before babies, so a baby may name a parent later in the same file
+    const ordered = incoming.map((record, index) => ({ record, index }));
+    if (type === 'profiles') ordered.sort((a, b) => isBaby(a.record) - isBaby(b.record));
+    // Only accepted profiles become known, so nothing imported can point at a rejected one
+    const accept = (record) => {
+      accepted[type].push(record);
+      if (type === 'profiles') known.profiles = [...known.profiles.filter(p => p.id !== record.id), record];
+    };
+    ordered.forEach(({ record, index }) => {
+      const id = record && record.id;
+      if (typeof id !== 'string' || !id) {
+        report.invalid.push({ type, index, errors: ['id is required.'] });
+        return;
+      }
+      if (seen.has(id)) {
+        report.invalid.push({ type, index, id, errors: ['id appears more than once in the file.'] });
+        return;
+      }
+      seen.add(id);
+      const errors = validators[type](record, known);
+      if (errors.length) {
+        report.invalid.push({ type, index, id, errors });
+        return;
+      }
+      if (normalize[type]) normalize[type](record);
+      const existing = data[type].find(x => x.id === id);
+      if (existing && canonical(existing) === canonical(record)) {
+        report.duplicates[type] += 1;
+      } else if (existing) {
+        const fields = [...new Set([...Object.keys(existing), ...Object.keys(record)])]
+          .filter(k => canonical(existing[k]) !== canonical(record[k]));
+        report.conflicts.push({ type, id, fields });
+        if (replace) {
+          report.replaced[type] += 1;
+          accept(record);
+        }
+      } else {
+        report.added[type] += 1;
+        accept(record);
+      }
+      if (type === 'sessions') known.sessions.add(id);
+    });
+  });
+
+  const apply = () => {
+    COLLECTIONS.forEach((type) => {
+      accepted[type].forEach((record) => {
+        const idx = data[type].findIndex(x => x.id === record.id);
+        if (idx === -1) data[type].push(record);
+        else data[type][idx] = record;
+      });
+    });
+    return data;
+  };
+  return { report, apply };
+};
+
+module.exports = { sessionsCsv, feedsCsv, jsonDump, planImport };
@@ -0,0 +1,69 @@
+// Background expiry monitor: finds in-stock bags that are expired or expire within a window,
+// and sends each bag to the configured notifiers once per status (expiring, then expired).
+
+const { IN_STOCK_STATES } = require('./lifecycle');
+const { normalizeLocaleSettings, formatDateTime } = require('./locale-settings');
+const { normalizeUnitSettings, formatVolume } = require('./units');
+
+// Alerts for bags past or near their expires_at, soonest first
+const findAlerts = (sessions, windowHours, now = new Date()) => {
+  const horizon = now.getTime() + windowHours * 60 * 60 * 1000;
+  return sessions
+    .filter(s => IN_STOCK_STATES.includes(s.state) && s.expires_at)
+    .filter(s => new Date(s.expires_at).getTime() <= horizon)
+    .map(s => ({
+      id: s.id,
+      status: new Date(s.expires_at) <= now ? 'expired' : 'expiring',
+      state: s.state,
+      amount_oz: s.amount_oz,
+      amount_ml: s.amount_ml != null ? s.amount_ml : null,
+      timestamp: s.timestamp,
+      expires_at: s.expires_at,
+    }))
+    .sort((a, b) => new Date(a.expires_at) - new Date(b.expires_at));
+};
+
+const describe = (a, settings, units) => `${formatVolume(a.amount_oz, units, a.amount_ml)} (${a.state}) pumped ${formatDateTime(a.timestamp, settings)}, `
+  + `${a.status === 'expired' ? 'expired' : 'use by'} ${formatDateTime(a.expires_at, settings)}`;
+
+// `settings` and `units` are the household date and unit settings used in the message text
+const notifyAll = async (notifiers, alerts, settings, units) => {
+  const expired = alerts.filter(a => a.status === 'expired').length;
+  const payload = {
+    title: expired ? `Breast milk expired (${alerts.length})` : `Breast milk expiring soon (${alerts.length})`,
+    message: alerts.map(a => describe(a, settings, units)).join('\n'),
+    alerts,
+  };
+  await Promise.all(notifiers.map(n => n.send(payload).catch((e) => {
+    console.error(`[monitor] ${n.name} notification failed`, e.message);
+  })));
+};
+
+// Starts the periodic check against the data store (read/transaction). The last status notified for
+// each bag is kept in data.notified so restarts do not resend.
+const startExpiryMonitor = ({ store, notifiers, windowHours, intervalMs }) => {
+  const check = async () => {
+    try {
+      const data = await store.read();
+      const alerts = findAlerts(data.sessions, windowHours);
+      const notified = data.notified || {};
+      const fresh = alerts.filter(a => notified[a.id] !== a.status);
+      const current = {};
+      alerts.forEach((a) => { current[a.id] = a.status; });
+      const changed = fresh.length > 0 || Object.keys(notified).some(id => !current[id]);
+      if (fresh.length && notifiers.length) {
+        await notifyAll(notifiers, fresh, normalizeLocaleSettings(data.settings.locale), normalizeUnitSettings(data.settings.units));
+      }
+      if (changed) {
+        await store.transaction((latest) => { latest.notified = current; });
+      }
+    } catch (e) {
+      console.error('[monitor] Expiry check failed', e);
+    }
+  };
+  const timer = setInterval(check, intervalMs);
+  check();
+  return { check, stop: () => clearInterval(timer) };
+};
+
+module.exports = { findAlerts, notifyAll, startExpiryMonitor };
@@ -0,0 +1,80 @@
+// Feeding log helpers: validate a feed and work out how much comes out of each linked bag.
+
+const { httpError } = require('./http-error');
+
+// Bags a feed can draw from; frozen milk has to be thawed first
+const FEEDABLE_STATES = ['room', 'fridge', 'thawed'];
+const EPSILON = 1e-9;
+
+// Returns a list of problems with a feed payload (empty when valid)
+const validateFeed = (body) => {
+  const errors = [];
+  if (!body || typeof body !== 'object') return ['Feed must be an object.'];
+  const { offered_oz, consumed_oz, sources, timestamp, fed_by } = body;
+  if (typeof offered_oz !== 'number' || !isFinite(offered_oz) || offered_oz <= 0) {
+    errors.push('offered_oz must be a positive number.');
+  }
+  if (consumed_oz !== undefined && (typeof consumed_oz !== 'number' || !isFinite(consumed_oz) || consumed_oz < 0)) {
+    errors.push('consumed_oz must be a non-negative number.');
+  } else if (consumed_oz !== undefined && consumed_oz > offered_oz + EPSILON) {
+    errors.push('consumed_oz cannot exceed offered_oz.');
+  }
+  if (sources !== undefined) {
+    if (!Array.isArray(sources)) {
+      errors.push('sources must be an array.');
+    } else {
+      const seen = new Set();
+      sources.forEach((src, i) => {
+        if (!src || typeof src.session_id !== 'string') errors.push(`sources[${i}].session_id is required.`);
+        else if (seen.has(src.session_id)) errors.push(`sources[${i}] lists bag ${src.session_id} twice.`);
+        else if (src.amount_oz !== undefined && (typeof src.amount_oz !== 'number' || src.amount_oz <= 0)) {
+          errors.push(`sources[${i}].amount_oz must be a positive number.`);
+        }
+        if (src && typeof src.session_id === 'string') seen.add(src.session_id);
+      });
+    }
+  }
+  if (timestamp !== undefined && isNaN(new Date(timestamp).getTime())) errors.push('Invalid timestamp.');
+  if (fed_by !== undefined && fed_by !== null && typeof fed_by !== 'string') errors.push('fed_by must be a string.');
+  return errors;
+};
+
+// Split the offered volume across the linked bags. Sources with an explicit amount_oz take that much;
+// the rest is drawn from the remaining sources in order. Throws an Error with an HTTP `status` when
+// the bags cannot supply it.
+const allocateSources = (sessions, sources, offeredOz) => {
+  const allocations = [];
+  let left = offeredOz;
+  sources.forEach((src) => {
+    const session = sessions.find(s => s.id === src.session_id);
+    if (!session) throw httpError(404, `Session ${src.session_id} not found`);
+    if (!FEEDABLE_STATES.includes(session.state)) {
+      throw httpError(409, `Cannot feed from a ${session.state} bag`);
+    }
+    allocations.push({ session, explicit: src.amount_oz });
+  });
+  // Oz already taken from each bag, so a bag listed more than once is never overdrawn
+  const drawn = new Map();
+  const leftIn = (session) => session.remaining_oz - (drawn.get(session.id) || 0);
+  const draw = (a, oz) => {
+    a.amount_oz = oz;
+    drawn.set(a.session.id, (drawn.get(a.session.id) || 0) + oz);
+    left -= oz;
+  };
+  allocations.filter(a => a.explicit !== undefined).forEach((a) => {
+    if (a.explicit > leftIn(a.session) + EPSILON) {
+      throw httpError(409, `Only ${a.session.remaining_oz.toFixed(2)} oz left in bag ${a.session.id}`);
+    }
+    draw(a, a.explicit);
+  });
+  if (left < -EPSILON) throw httpError(400, 'Source amounts add up to more than offered_oz');
+  allocations.filter(a => a.explicit === undefined).forEach((a) => {
+    draw(a, Math.max(0, Math.min(leftIn(a.session), left)));
+  });
+  if (sources.length && left > EPSILON) {
+    throw httpError(409, 'Not enough milk in the selected bags');
+  }
+  return allocations.filter(a => a.amount_oz > 0).map(a => ({ session: a.session, amount_oz: a.amount_oz }));
+};
+
+module.exports = { FEEDABLE_STATES, validateFeed, allocateSources };
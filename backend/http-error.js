@@ -0,0 +1,5 @@
+// Error carrying the HTTP status a route should answer with. Thrown from inside store transactions
+// (which roll back) and helpers, and turned into a JSON { message } response by the route.
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+module.exports = { httpError };
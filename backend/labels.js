@@ -0,0 +1,571 @@
+// Label rendering shared by every output: the raw printer languages (TSPL, ZPL and ESC/POS, used by
+// the server and agent.js), the PDF sent to CUPS and the /labels/:id HTML page. Each lays out the same
+// fields from a template:
+//
+//   { id, name, width_in, height_in, gap_in, dpi, locale?, time_zone?,
+//     fields: [{ content, x, y, size, bold?, max_chars?, text? }] }
+//
+// x and y are in printer dots (at `dpi`) from the top-left corner. `size` is the font size in points,
+// or for the QR code the size of one cell in dots. `content` is one of FIELD_CONTENTS ('text' prints
+// the field's own `text`). Dates follow the household settings (locale-settings.js) unless the template
+// sets its own locale or time_zone. Built-in templates cover the stock label sizes; admins can add their
+// own (data.settings.labels.custom) and pick the one to print with (data.settings.labels.template).
+//
+// Labels can also go onto sheets of stickers for plain laser printers (SHEET_LAYOUTS), one label per
+// cell, starting from any cell so partly used sheets get filled.
+
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const { describeSession } = require('./session-fields');
+const { normalizeUnitSettings, formatAmount } = require('./units');
+const {
+  validTimeZone, normalizeLocaleSettings, formatDate, formatTime, formatDateTime,
+} = require('./locale-settings');
+
+const FIELD_CONTENTS = ['datetime', 'date', 'time', 'amount', 'baby_name', 'detail', 'notes', 'use_by', 'text', 'qr'];
+const DEFAULT_TEMPLATE_ID = 'default';
+// Raw languages a printer can speak: TSPL (Polono PL420 and similar), ZPL (Zebra) and ESC/POS
+// (receipt-style printers such as Brother, Epson or Star)
+const PRINTER_LANGUAGES = ['tspl', 'zpl', 'escpos'];
+// TSPL font "0" on the PL420 is about this many points tall at multiplier 1
+const TSPL_FONT_PT = 8;
+// ESC/POS font A (24 dots tall at 203 dpi) at size 1
+const ESCPOS_FONT_PT = 9;
+
+const BUILTIN_TEMPLATES = [
+  {
+    id: DEFAULT_TEMPLATE_ID,
+    name: '2 5/8" × 1" (Polono PL420)',
+    width_in: 2.625,
+    height_in: 1,
+    gap_in: 0.12,
+    dpi: 203,
+    fields: [
+      { content: 'datetime', x: 30, y: 20, size: 9 },
+      { content: 'amount', x: 30, y: 50, size: 14, bold: true },
+      { content: 'detail', x: 30, y: 95, size: 8, max_chars: 28 },
+      { content: 'use_by', x: 30, y: 125, size: 7 },
+      { content: 'qr', x: 430, y: 20, size: 3 },
+    ],
+  },
+  {
+    id: '2x1',
+    name: '2" × 1"',
+    width_in: 2,
+    height_in: 1,
+    gap_in: 0.12,
+    dpi: 203,
+    fields: [
+      { content: 'datetime', x: 20, y: 16, size: 8 },
+      { content: 'amount', x: 20, y: 44, size: 12, bold: true },
+      { content: 'detail', x: 20, y: 90, size: 7, max_chars: 20 },
+      { content: 'use_by', x: 20, y: 130, size: 7, max_chars: 36 },
+      { content: 'qr', x: 309, y: 16, size: 3 },
+    ],
+  },
+  {
+    id: '4x6',
+    name: '4" × 6"',
+    width_in: 4,
+    height_in: 6,
+    gap_in: 0.12,
+    dpi: 203,
+    fields: [
+      { content: 'baby_name', x: 60, y: 60, size: 24, bold: true, max_chars: 30 },
+      { content: 'datetime', x: 60, y: 150, size: 18 },
+      { content: 'amount', x: 60, y: 230, size: 36, bold: true },
+      { content: 'detail', x: 60, y: 380, size: 14, max_chars: 50 },
+      { content: 'use_by', x: 60, y: 460, size: 14 },
+      { content: 'qr', x: 60, y: 560, size: 12 },
+    ],
+  },
+];
+
+// Sticker sheets, measured in inches from the top-left corner of the page. Cells are numbered left to
+// right, then top to bottom, as on the Avery templates.
+const SHEET_LAYOUTS = [
+  {
+    id: 'avery-5160',
+    name: 'Avery 5160 (30 per Letter sheet)',
+    page_width_in: 8.5,
+    page_height_in: 11,
+    columns: 3,
+    rows: 10,
+    label_width_in: 2.625,
+    label_height_in: 1,
+    top_in: 0.5,
+    left_in: 0.1875,
+    column_pitch_in: 2.75,
+    row_pitch_in: 1,
+  },
+  {
+    id: 'avery-l7160',
+    name: 'Avery L7160 (21 per A4 sheet)',
+    page_width_in: 8.268,
+    page_height_in: 11.693,
+    columns: 3,
+    rows: 7,
+    label_width_in: 2.5,
+    label_height_in: 1.5,
+    top_in: 0.597,
+    left_in: 0.284,
+    column_pitch_in: 2.6,
+    row_pitch_in: 1.5,
+  },
+];
+
+const isNumber = (v, min = 0) => typeof v === 'number' && isFinite(v) && v >= min;
+
+// Returns a list of problems with a custom template (empty when valid)
+const validateTemplate = (t) => {
+  if (!t || typeof t !== 'object') return ['Template must be an object.'];
+  const errors = [];
+  const label = typeof t.id === 'string' ? t.id : 'template';
+  if (typeof t.id !== 'string' || !/^[\w.-]{1,40}$/.test(t.id)) {
+    errors.push('Template id must be 1-40 letters, digits, dots, dashes or underscores.');
+  } else if (BUILTIN_TEMPLATES.some(b => b.id === t.id)) {
+    errors.push(`${label}: that id belongs to a built-in template.`);
+  }
+  if (typeof t.name !== 'string' || !t.name.trim()) errors.push(`${label}: name is required.`);
+  if (!isNumber(t.width_in) || t.width_in <= 0 || t.width_in > 12) errors.push(`${label}: width_in must be between 0 and 12.`);
+  if (!isNumber(t.height_in) || t.height_in <= 0 || t.height_in > 24) errors.push(`${label}: height_in must be between 0 and 24.`);
+  if (t.gap_in !== undefined && !isNumber(t.gap_in)) errors.push(`${label}: gap_in must be a non-negative number.`);
+  if (!isNumber(t.dpi, 72) || t.dpi > 1200) errors.push(`${label}: dpi must be between 72 and 1200.`);
+  if (t.locale !== undefined && typeof t.locale !== 'string') errors.push(`${label}: locale must be a string.`);
+  if (t.time_zone !== undefined && (typeof t.time_zone !== 'string' || !validTimeZone(t.time_zone))) {
+    errors.push(`${label}: time_zone must be an IANA time zone such as America/New_York.`);
+  }
+  if (!Array.isArray(t.fields) || !t.fields.length || t.fields.length > 30) {
+    errors.push(`${label}: fields must be a list of 1 to 30 fields.`);
+    return errors;
+  }
+  t.fields.forEach((f, i) => {
+    const where = `${label} field ${i + 1}`;
+    if (!f || typeof f !== 'object') {
+      errors.push(`${where} must be an object.`);
+      return;
+    }
+    if (!FIELD_CONTENTS.includes(f.content)) errors.push(`${where}: content must be one of: ${FIELD_CONTENTS.join(', ')}.`);
+    if (!isNumber(f.x) || !isNumber(f.y)) errors.push(`${where}: x and y must be non-negative numbers of dots.`);
+    if (!isNumber(f.size) || f.size <= 0) errors.push(`${where}: size must be a positive number.`);
+    if (f.max_chars !== undefined && !(Number.isInteger(f.max_chars) && f.max_chars > 0)) errors.push(`${where}: max_chars must be a positive whole number.`);
+    if (f.bold !== undefined && typeof f.bold !== 'boolean') errors.push(`${where}: bold must be true or false.`);
+    if (f.content === 'text' && typeof f.text !== 'string') errors.push(`${where}: a text field needs text.`);
+  });
+  return errors;
+};
+
+// Returns a list of problems with a label settings payload: { template, custom }
+const validateLabelSettings = (body) => {
+  if (!body || typeof body !== 'object') return ['Label settings must be an object.'];
+  const custom = body.custom === undefined ? [] : body.custom;
+  if (!Array.isArray(custom)) return ['custom must be a list of templates.'];
+  const errors = custom.flatMap(validateTemplate);
+  const ids = custom.map(t => t && t.id);
+  if (new Set(ids).size !== ids.length) errors.push('Custom template ids must be unique.');
+  if (body.template !== undefined && ![...BUILTIN_TEMPLATES, ...custom].some(t => t && t.id === body.template)) {
+    errors.push(`No template has id ${body.template}.`);
+  }
+  return errors;
+};
+
+// Stored label settings with defaults filled in and invalid custom templates dropped
+const normalizeLabelSettings = (stored) => {
+  const source = stored && typeof stored === 'object' ? stored : {};
+  const custom = (Array.isArray(source.custom) ? source.custom : [])
+    .filter(t => !validateTemplate(t).length)
+    .map(t => ({ gap_in: 0, ...t, name: t.name.trim() }));
+  const all = [...BUILTIN_TEMPLATES, ...custom];
+  const template = all.some(t => t.id === source.template) ? source.template : DEFAULT_TEMPLATE_ID;
+  return { template, custom };
+};
+
+// The template with `id` (default: the selected one), falling back to the default template, with the
+// household date settings (`localeSettings`) and volume unit (`unitSettings`) filled in so print agents
+// format dates and amounts the same way
+const templateFor = (settings, id, localeSettings, unitSettings) => {
+  const { template, custom } = normalizeLabelSettings(settings);
+  const wanted = id || template;
+  const found = [...BUILTIN_TEMPLATES, ...custom].find(t => t.id === wanted) || BUILTIN_TEMPLATES[0];
+  const household = normalizeLocaleSettings(localeSettings);
+  return {
+    ...found,
+    locale: found.locale || household.locale,
+    time_zone: found.time_zone || household.time_zone,
+    clock: household.clock,
+    date_format: household.date_format,
+    ...normalizeUnitSettings(unitSettings),
+  };
+};
+
+// Baby name, side/duration summary and notes for the label's detail line
+const detailLine = (s, units) => [s.baby_name, describeSession(s, units), s.notes].filter(Boolean).join(' | ');
+
+// Thawed and room-temperature milk expire within hours, so they get a date and time; otherwise show
+// whichever fridge/freezer dates still apply.
+const useByLine = (s, settings) => {
+  const date = (v) => (v ? formatDate(v, settings) : '-');
+  if ((s.state === 'thawed' || s.state === 'room') && s.expires_at) {
+    return `Use by: ${formatDateTime(s.expires_at, settings)}`;
+  }
+  return `Fridge: ${date(s.use_by_fridge)}  Freezer: ${date(s.use_by_frozen)}`;
+};
+
+const fieldText = (field, s, template) => {
+  // Templates queued by older servers carry only locale and time_zone; the rest come from the defaults
+  const settings = normalizeLocaleSettings(template);
+  const units = normalizeUnitSettings(template);
+  switch (field.content) {
+    case 'datetime': return formatDateTime(s.timestamp, settings);
+    case 'date': return formatDate(s.timestamp, settings);
+    case 'time': return formatTime(s.timestamp, settings);
+    case 'amount': return formatAmount(s.amount_oz, units, s.amount_ml);
+    case 'baby_name': return s.baby_name || '';
+    case 'detail': return detailLine(s, units);
+    case 'notes': return s.notes || '';
+    case 'use_by': return useByLine(s, settings);
+    case 'text': return field.text || '';
+    default: return '';
+  }
+};
+
+// The fields of `template` filled in for session `s`, skipping empty ones:
+// [{ ...field, value, truncated }] where value is the text (cut to max_chars, in which case truncated
+// is true) or, for 'qr', the session id
+const layoutLabel = (s, template = BUILTIN_TEMPLATES[0]) => template.fields
+  .map((field) => {
+    if (field.content === 'qr') return { ...field, value: String(s.id), truncated: false };
+    const text = fieldText(field, s, template);
+    const truncated = Boolean(field.max_chars) && text.length > field.max_chars;
+    return { ...field, value: truncated ? text.slice(0, field.max_chars) : text, truncated };
+  })
+  .filter(f => f.value);
+
+// QR code for the session id; scanners read back the bare id, which the kiosk looks up
+const qrFor = (value) => QRCode.create(value, { errorCorrectionLevel: 'L' });
+
+// TSPL program for label printers like the Polono PL420
+const renderTspl = (s, template = BUILTIN_TEMPLATES[0], copies = 1) => {
+  const lines = [
+    `SIZE ${template.width_in.toFixed(3)},${template.height_in.toFixed(3)}`,
+    `GAP ${template.gap_in || 0},0`,
+    'DIRECTION 1',
+    'REFERENCE 0,0',
+    'OFFSET 0.0',
+    'SET TEAR ON', // Tear-off mode
+    'CLS',
+    ...layoutLabel(s, template).map((f) => {
+      const x = Math.round(f.x);
+      const y = Math.round(f.y);
+      if (f.content === 'qr') return `QRCODE ${x},${y},L,${Math.round(f.size)},A,0,"${f.value}"`;
+      const scale = Math.max(1, Math.round(f.size / TSPL_FONT_PT));
+      return `TEXT ${x},${y},"0",0,1,${scale},"${f.value.replace(/"/g, '\\"')}"`;
+    }),
+    `PRINT 1,${copies}`,
+    'FORMFEED', // Advance the label to the tear-off position
+  ];
+  return lines.join('\n') + '\n';
+};
+
+// ZPL field data goes through ^FH so ^ and ~ in notes cannot end the field or start a command
+const zplText = (text) => text.replace(/[_^~]/g, c => `_${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+// ZPL program for Zebra printers. Text uses the scalable font 0 at the field's size in dots.
+const renderZpl = (s, template = BUILTIN_TEMPLATES[0], copies = 1) => {
+  const dots = (pt) => Math.max(10, Math.round((pt / 72) * template.dpi));
+  const lines = [
+    '^XA',
+    '^CI28', // UTF-8 field data
+    `^PW${Math.round(template.width_in * template.dpi)}`,
+    `^LL${Math.round(template.height_in * template.dpi)}`,
+    ...layoutLabel(s, template).map((f) => {
+      const origin = `^FO${Math.round(f.x)},${Math.round(f.y)}`;
+      if (f.content === 'qr') return `${origin}^BQN,2,${Math.min(10, Math.max(1, Math.round(f.size)))}^FDLA,${f.value}^FS`;
+      return `${origin}^A0N,${dots(f.size)},${dots(f.size)}^FH^FD${zplText(f.value)}^FS`;
+    }),
+    `^PQ${copies}`,
+    '^XZ',
+  ];
+  return lines.join('\n') + '\n';
+};
+
+const ESC = 0x1b;
+const GS = 0x1d;
+
+// ESC/POS printers take 7-bit text reliably; drop accents and replace anything else
+const asciiText = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^\x20-\x7e]/g, '?');
+
+// ESC/POS for receipt-style printers. These print line by line, so text fields go top to bottom (by y)
+// at their x position, followed by the QR code, which cannot sit beside text. Text sizes are multiples
+// of font A; the QR code uses the GS ( k commands. Each copy is printed and cut in turn.
+const renderEscPos = (s, template = BUILTIN_TEMPLATES[0], copies = 1) => {
+  const out = [];
+  const bytes = (...b) => out.push(Buffer.from(b));
+  const fields = layoutLabel(s, template).slice()
+    .sort((a, b) => (a.content === 'qr') - (b.content === 'qr') || a.y - b.y || a.x - b.x);
+  fields.forEach((f) => {
+    const x = Math.round(f.x);
+    bytes(ESC, 0x24, x % 256, Math.floor(x / 256)); // Absolute horizontal position
+    if (f.content === 'qr') {
+      const data = Buffer.from(f.value, 'ascii');
+      const len = data.length + 3;
+      bytes(GS, 0x28, 0x6b, 4, 0, 0x31, 0x41, 0x32, 0); // Model 2
+      bytes(GS, 0x28, 0x6b, 3, 0, 0x31, 0x43, Math.min(16, Math.max(1, Math.round(f.size)))); // Cell size
+      bytes(GS, 0x28, 0x6b, 3, 0, 0x31, 0x45, 0x30); // Error correction L
+      bytes(GS, 0x28, 0x6b, len % 256, Math.floor(len / 256), 0x31, 0x50, 0x30);
+      out.push(data);
+      bytes(GS, 0x28, 0x6b, 3, 0, 0x31, 0x51, 0x30); // Print the stored code
+      bytes(0x0a);
+      return;
+    }
+    const scale = Math.min(8, Math.max(1, Math.round(f.size / ESCPOS_FONT_PT)));
+    bytes(GS, 0x21, ((scale - 1) << 4) | (scale - 1)); // Character size
+    bytes(ESC, 0x45, f.bold ? 1 : 0); // Emphasis
+    out.push(Buffer.from(`${asciiText(f.value)}\n`, 'ascii'));
+  });
+  bytes(GS, 0x21, 0, ESC, 0x45, 0);
+  bytes(GS, 0x56, 0x42, 3); // Feed past the cutter and cut
+  const label = Buffer.concat(out);
+  return Buffer.concat([Buffer.from([ESC, 0x40]), ...Array(copies).fill(label)]); // Initialize, then the copies
+};
+
+// The raw program for a printer language (one of PRINTER_LANGUAGES); a string or a Buffer
+const renderRaw = (language, s, template, copies = 1) => {
+  if (language === 'zpl') return renderZpl(s, template, copies);
+  if (language === 'escpos') return renderEscPos(s, template, copies);
+  return renderTspl(s, template, copies);
+};
+
+// One raw program printing `copies` of each session's label, in order, as a Buffer
+const renderRawBatch = (language, sessions, template, copies = 1) => Buffer.concat(
+  sessions.map(s => Buffer.from(renderRaw(language, s, template, copies))),
+);
+
+// CUPS media name for the template's size in points, e.g. Custom.189x72
+const pdfMedia = (template) => `Custom.${Math.round(template.width_in * 72)}x${Math.round(template.height_in * 72)}`;
+
+// Draw the label for session `s` on a PDF page with its top-left corner at (left, top) points, scaled
+// by `scale`
+const drawLabel = (doc, s, template, left = 0, top = 0, scale = 1) => {
+  const pt = (dots) => (dots / template.dpi) * 72 * scale;
+  const width = template.width_in * 72 * scale;
+  layoutLabel(s, template).forEach((f) => {
+    if (f.content === 'qr') {
+      const qr = qrFor(f.value);
+      const cell = pt(f.size);
+      for (let row = 0; row < qr.modules.size; row += 1) {
+        for (let col = 0; col < qr.modules.size; col += 1) {
+          if (qr.modules.get(row, col)) doc.rect(left + pt(f.x) + col * cell, top + pt(f.y) + row * cell, cell, cell);
+        }
+      }
+      doc.fill('#000');
+      return;
+    }
+    doc.font(f.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(f.size * scale)
+      .text(f.value, left + pt(f.x), top + pt(f.y), { lineBreak: false, width: width - pt(f.x) });
+  });
+};
+
+// Collects a PDFDocument into a Buffer once `draw` has filled it
+const pdfBuffer = (doc, draw) => new Promise((resolve, reject) => {
+  const chunks = [];
+  doc.on('data', (c) => chunks.push(c));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+  draw();
+  doc.end();
+});
+
+// PDF with one label-sized page per copy of each session's label; resolves to a Buffer
+const renderPdf = (sessions, template = BUILTIN_TEMPLATES[0], copies = 1) => {
+  const size = [Math.round(template.width_in * 72), Math.round(template.height_in * 72)];
+  const doc = new PDFDocument({ size, margin: 0, autoFirstPage: false });
+  return pdfBuffer(doc, () => sessions.forEach((s) => {
+    for (let i = 0; i < copies; i += 1) {
+      doc.addPage({ size, margin: 0 });
+      drawLabel(doc, s, template);
+    }
+  }));
+};
+
+// PDF of sticker sheets (one of SHEET_LAYOUTS) for a laser printer: `copies` of each session's label,
+// one per cell, starting at cell `start` (1-based) of the first sheet. Labels larger than the cells are
+// scaled down to fit. Resolves to a Buffer.
+const renderSheet = (sessions, template, sheet, { copies = 1, start = 1 } = {}) => {
+  const size = [sheet.page_width_in * 72, sheet.page_height_in * 72];
+  const perSheet = sheet.columns * sheet.rows;
+  const scale = Math.min(1, sheet.label_width_in / template.width_in, sheet.label_height_in / template.height_in);
+  const doc = new PDFDocument({ size, margin: 0, autoFirstPage: false });
+  const labels = sessions.flatMap(s => Array(copies).fill(s));
+  return pdfBuffer(doc, () => labels.forEach((s, i) => {
+    const cell = (start - 1 + i) % perSheet;
+    if (i === 0 || cell === 0) doc.addPage({ size, margin: 0 });
+    const left = (sheet.left_in + (cell % sheet.columns) * sheet.column_pitch_in) * 72;
+    const top = (sheet.top_in + Math.floor(cell / sheet.columns) * sheet.row_pitch_in) * 72;
+    drawLabel(doc, s, template, left, top, scale);
+  }));
+};
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+
+// HTML page for printing from a phone or tablet (AirPrint/Bluetooth), one page per copy; prints
+// itself on load
+const renderHtml = async (s, template = BUILTIN_TEMPLATES[0], copies = 1) => {
+  const inch = (dots) => `${(dots / template.dpi).toFixed(3)}in`;
+  const items = await Promise.all(layoutLabel(s, template).map(async (f) => {
+    const style = `left:${inch(f.x)};top:${inch(f.y)}`;
+    if (f.content === 'qr') {
+      const side = inch(qrFor(f.value).modules.size * f.size);
+      const svg = await QRCode.toString(f.value, { type: 'svg', margin: 0, errorCorrectionLevel: 'L' });
+      return `<div class="qr" style="${style};width:${side};height:${side}">${svg}</div>`;
+    }
+    return `<div class="text" style="${style};font-size:${f.size}pt${f.bold ? ';font-weight:600' : ''}">${escapeHtml(f.value)}</div>`;
+  }));
+  return `<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8"/>
+  <title>Label ${escapeHtml(s.id)}</title>
+  <style>
+    @page { size: ${template.width_in}in ${template.height_in}in; margin: 0; }
+    body { margin: 0; font-family: -apple-system, Segoe UI, Roboto, Helvetica, Arial, sans-serif; }
+    .label { position: relative; width: ${template.width_in}in; height: ${template.height_in}in; overflow: hidden; break-after: page; }
+    .label:last-child { break-after: auto; }
+    .label > div { position: absolute; }
+    .text { line-height: 1.1; white-space: nowrap; }
+    .qr svg { width: 100%; height: 100%; display: block; }
+  </style>
+  <script>
+    // Auto-print on load for quick tap-to-print
+    window.onload = () => { window.print(); };
+  </script>
+</head>
+<body>
+${Array(copies).fill(`  <div class="label">
+    ${items.join('\n    ')}
+  </div>`).join('\n')}
+</body>
+</html>`;
+};
+
+// Preview outputs: the raw printer languages, plus 'pdf' for CUPS and the browser label page
+const PREVIEW_LANGUAGES = [...PRINTER_LANGUAGES, 'pdf'];
+const FIELD_NAMES = {
+  datetime: 'Date and time',
+  date: 'Date',
+  time: 'Time',
+  amount: 'Amount',
+  baby_name: 'Baby name',
+  detail: 'Detail line',
+  notes: 'Notes',
+  use_by: 'Use-by line',
+  text: 'Text',
+};
+// Average character width of the printer fonts as a share of their height
+const CHAR_WIDTH = 0.55;
+
+// Where each text field lands and how big it prints in `language`, in dots: TSPL font "0" grows in
+// whole multiples, ZPL and PDF scale to the size in points, and ESC/POS prints line by line in
+// multiples of font A (12 × 24 dots) with the QR code last.
+const previewLayout = (s, template, language) => {
+  const dots = (pt) => (pt / 72) * template.dpi;
+  const fields = layoutLabel(s, template);
+  if (language !== 'escpos') {
+    return fields.map((f) => {
+      if (f.content === 'qr') return { ...f, cell: Math.max(1, Math.round(f.size)) };
+      const height = language === 'tspl'
+        ? dots(TSPL_FONT_PT * Math.max(1, Math.round(f.size / TSPL_FONT_PT)))
+        : dots(f.size);
+      const charWidth = language === 'tspl' ? dots(TSPL_FONT_PT) * CHAR_WIDTH : height * CHAR_WIDTH;
+      return { ...f, height, charWidth };
+    });
+  }
+  let y = 0;
+  return fields.slice()
+    .sort((a, b) => (a.content === 'qr') - (b.content === 'qr') || a.y - b.y || a.x - b.x)
+    .map((f) => {
+      if (f.content === 'qr') {
+        const cell = Math.min(16, Math.max(1, Math.round(f.size)));
+        const placed = { ...f, y, cell };
+        y += qrFor(f.value).modules.size * cell + 24;
+        return placed;
+      }
+      const scale = Math.min(8, Math.max(1, Math.round(f.size / ESCPOS_FONT_PT)));
+      const placed = { ...f, y, value: asciiText(f.value), height: 24 * scale, charWidth: 12 * scale };
+      y += 24 * scale;
+      return placed;
+    });
+};
+
+// What will not print as laid out: text cut to max_chars, text past the label's edges and QR codes
+// that do not fit
+const previewWarnings = (placed, template) => {
+  const width = template.width_in * template.dpi;
+  const height = template.height_in * template.dpi;
+  const warnings = [];
+  placed.forEach((f) => {
+    if (f.content === 'qr') {
+      const side = qrFor(f.value).modules.size * f.cell;
+      if (f.x + side > width || f.y + side > height) warnings.push('The QR code does not fit on the label.');
+      return;
+    }
+    const name = FIELD_NAMES[f.content];
+    if (f.truncated) warnings.push(`${name} is cut to ${f.max_chars} characters.`);
+    if (f.x + f.value.length * f.charWidth > width) warnings.push(`${name} runs past the right edge of the label.`);
+    if (f.y + f.height > height) warnings.push(`${name} runs past the bottom of the label.`);
+  });
+  return warnings;
+};
+
+// SVG picture of the label as `language` would print it (one of PREVIEW_LANGUAGES), one unit per dot,
+// with warnings about text that will be cut off: { svg, warnings }
+const previewLabel = (s, template = BUILTIN_TEMPLATES[0], language = 'pdf') => {
+  const width = Math.round(template.width_in * template.dpi);
+  const height = Math.round(template.height_in * template.dpi);
+  const family = language === 'pdf' ? 'Helvetica, Arial, sans-serif' : 'monospace';
+  const placed = previewLayout(s, template, language);
+  const items = placed.map((f) => {
+    if (f.content === 'qr') {
+      const qr = qrFor(f.value);
+      const cells = [];
+      for (let row = 0; row < qr.modules.size; row += 1) {
+        for (let col = 0; col < qr.modules.size; col += 1) {
+          if (qr.modules.get(row, col)) cells.push(`M${f.x + col * f.cell},${f.y + row * f.cell}h${f.cell}v${f.cell}h-${f.cell}z`);
+        }
+      }
+      return `<path d="${cells.join('')}" fill="#000"/>`;
+    }
+    const size = f.height.toFixed(1);
+    return `<text x="${f.x}" y="${(f.y + f.height * 0.8).toFixed(1)}" font-size="${size}"${f.bold ? ' font-weight="bold"' : ''}>${escapeHtml(f.value)}</text>`;
+  });
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="${template.width_in}in" height="${template.height_in}in">
+  <rect width="${width}" height="${height}" fill="#fff"/>
+  <g font-family="${family}" fill="#000" xml:space="preserve">
+    ${items.join('\n    ')}
+  </g>
+</svg>
+`;
+  return { svg, warnings: previewWarnings(placed, template) };
+};
+
+module.exports = {
+  PRINTER_LANGUAGES,
+  PREVIEW_LANGUAGES,
+  FIELD_CONTENTS,
+  BUILTIN_TEMPLATES,
+  SHEET_LAYOUTS,
+  validateLabelSettings,
+  normalizeLabelSettings,
+  templateFor,
+  layoutLabel,
+  renderTspl,
+  renderZpl,
+  renderEscPos,
+  renderRaw,
+  renderRawBatch,
+  renderPdf,
+  renderSheet,
+  pdfMedia,
+  renderHtml,
+  previewLabel,
+};
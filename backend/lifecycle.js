@@ -0,0 +1,14 @@
+// Bag lifecycle: (room ->) fridge -> frozen -> thawed -> consumed/discarded
+const STORAGE_STATES = ['room', 'fridge', 'frozen', 'thawed', 'consumed', 'discarded'];
+const IN_STOCK_STATES = ['room', 'fridge', 'frozen', 'thawed'];
+const INITIAL_STATES = ['room', 'fridge', 'frozen'];
+const STATE_TRANSITIONS = {
+  room: ['fridge', 'frozen', 'consumed', 'discarded'],
+  fridge: ['frozen', 'consumed', 'discarded'],
+  frozen: ['thawed', 'consumed', 'discarded'],
+  thawed: ['consumed', 'discarded'],
+  consumed: [],
+  discarded: [],
+};
+
+module.exports = { STORAGE_STATES, IN_STOCK_STATES, INITIAL_STATES, STATE_TRANSITIONS };
@@ -0,0 +1,115 @@
+// Household date and time settings, used by labels, reports, notifications and the UI:
+//   { locale, time_zone, clock: '12h' | '24h', date_format: 'locale' | 'mdy' | 'dmy' | 'ymd' }
+// `locale` is a BCP 47 tag such as en-US or es-MX; it also picks the UI language. 'locale' dates use
+// the locale's own numeric order, the others force month/day/year, day/month/year or ISO order.
+//
+// The server's own calendar math (stats days, report ranges, "today", backup retention) is passed
+// time_zone too, so it never depends on the zone the process runs in.
+
+const CLOCKS = ['12h', '24h'];
+const DATE_FORMATS = ['locale', 'mdy', 'dmy', 'ymd'];
+
+const validTimeZone = (tz) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+const validLocale = (locale) => {
+  try {
+    return Intl.DateTimeFormat.supportedLocalesOf([locale]).length > 0;
+  } catch (e) {
+    return false;
+  }
+};
+
+// Until the household picks one, the time zone the server was started in (TZ in docker-compose.yml)
+const DEFAULT_LOCALE_SETTINGS = {
+  locale: 'en-US',
+  time_zone: typeof process.env.TZ === 'string' && validTimeZone(process.env.TZ) ? process.env.TZ : 'America/New_York',
+  clock: '12h',
+  date_format: 'locale',
+};
+
+// Stored settings over the defaults, dropping anything invalid
+const normalizeLocaleSettings = (stored) => {
+  const settings = { ...DEFAULT_LOCALE_SETTINGS };
+  if (!stored || typeof stored !== 'object') return settings;
+  if (typeof stored.locale === 'string' && validLocale(stored.locale)) settings.locale = stored.locale;
+  if (typeof stored.time_zone === 'string' && validTimeZone(stored.time_zone)) settings.time_zone = stored.time_zone;
+  if (CLOCKS.includes(stored.clock)) settings.clock = stored.clock;
+  if (DATE_FORMATS.includes(stored.date_format)) settings.date_format = stored.date_format;
+  return settings;
+};
+
+// Returns a list of problems with a settings payload (empty when valid)
+const validateLocaleSettings = (body) => {
+  if (!body || typeof body !== 'object') return ['Settings must be an object.'];
+  const errors = [];
+  if (body.locale !== undefined && (typeof body.locale !== 'string' || !validLocale(body.locale))) {
+    errors.push('locale must be a supported language tag such as en-US or es-MX.');
+  }
+  if (body.time_zone !== undefined && (typeof body.time_zone !== 'string' || !validTimeZone(body.time_zone))) {
+    errors.push('time_zone must be an IANA time zone such as America/New_York.');
+  }
+  if (body.clock !== undefined && !CLOCKS.includes(body.clock)) errors.push(`clock must be one of: ${CLOCKS.join(', ')}.`);
+  if (body.date_format !== undefined && !DATE_FORMATS.includes(body.date_format)) {
+    errors.push(`date_format must be one of: ${DATE_FORMATS.join(', ')}.`);
+  }
+  return errors;
+};
+
+// Numeric year, month and day of `value` in the settings' time zone
+const dayParts = (value, settings) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: settings.time_zone, year: 'numeric', month: '2-digit', day: '2-digit',
+  }).formatToParts(new Date(value));
+  const get = (type) => parts.find(p => p.type === type).value;
+  return { y: get('year'), m: get('month'), d: get('day') };
+};
+
+// e.g. 10/19/2026, 19/10/2026 or 2026-10-19
+const formatDate = (value, settings = DEFAULT_LOCALE_SETTINGS) => {
+  if (settings.date_format === 'locale') {
+    return new Date(value).toLocaleDateString(settings.locale, { timeZone: settings.time_zone });
+  }
+  const { y, m, d } = dayParts(value, settings);
+  if (settings.date_format === 'mdy') return `${m}/${d}/${y}`;
+  if (settings.date_format === 'dmy') return `${d}/${m}/${y}`;
+  return `${y}-${m}-${d}`;
+};
+
+// Month and day only, e.g. 10/19 or 19/10
+const formatMonthDay = (value, settings = DEFAULT_LOCALE_SETTINGS) => {
+  if (settings.date_format === 'locale') {
+    return new Date(value).toLocaleDateString(settings.locale, { timeZone: settings.time_zone, month: 'numeric', day: 'numeric' });
+  }
+  const { m, d } = dayParts(value, settings);
+  return settings.date_format === 'dmy' ? `${Number(d)}/${Number(m)}` : `${Number(m)}/${Number(d)}`;
+};
+
+// e.g. 3:05 PM or 15:05
+const formatTime = (value, settings = DEFAULT_LOCALE_SETTINGS) => new Date(value).toLocaleTimeString(settings.locale, {
+  timeZone: settings.time_zone,
+  hour: 'numeric',
+  minute: '2-digit',
+  hourCycle: settings.clock === '24h' ? 'h23' : 'h12',
+});
+
+const formatDateTime = (value, settings = DEFAULT_LOCALE_SETTINGS) => `${formatDate(value, settings)} ${formatTime(value, settings)}`;
+
+module.exports = {
+  CLOCKS,
+  DATE_FORMATS,
+  DEFAULT_LOCALE_SETTINGS,
+  validTimeZone,
+  normalizeLocaleSettings,
+  validateLocaleSettings,
+  formatDate,
+  formatMonthDay,
+  formatTime,
+  formatDateTime,
+};
@@ -0,0 +1,151 @@
+// Schema migrations for the stored data. The data records the schema version it was written with
+// (data.schemaVersion; missing means 0, i.e. anything saved before migrations existed). At startup
+// every step newer than that runs in order, inside one store transaction.
+//
+// Add a step by appending to MIGRATIONS with the next version number. Never edit a step that has
+// shipped; households upgrade from any earlier version. Steps work on plain data and must not call
+// into route helpers, whose behaviour may change later.
+//
+// The same steps upgrade a backup being restored (see backups.js).
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Version 2's bag lifecycle: states that still hold milk, and use-by dates as storage-rules.js computed
+// them when the step shipped. Copied here so later changes to the rules cannot change what it writes.
+const V2_IN_STOCK_STATES = ['room', 'fridge', 'frozen', 'thawed'];
+const v2Rules = (stored) => {
+  const rules = { room_hours: 4, fridge_days: 4, frozen_months: 6, thawed_hours: 24, frozen_clock: 'pumped' };
+  if (!stored || typeof stored !== 'object') return rules;
+  ['room_hours', 'fridge_days', 'frozen_months', 'thawed_hours'].forEach((key) => {
+    const v = stored[key];
+    if (typeof v === 'number' && isFinite(v) && v > 0) rules[key] = v;
+  });
+  if (stored.frozen_clock === 'pumped' || stored.frozen_clock === 'frozen') rules.frozen_clock = stored.frozen_clock;
+  return rules;
+};
+const v2UseBy = (s, rules) => {
+  const enteredAt = (state) => {
+    for (let i = s.history.length - 1; i >= 0; i -= 1) {
+      if (s.history[i].state === state) return new Date(s.history[i].at);
+    }
+    return null;
+  };
+  const pumped = new Date(s.timestamp);
+  const frozenAt = enteredAt('frozen');
+  const frozenStart = new Date(rules.frozen_clock === 'frozen' && frozenAt ? frozenAt : pumped);
+  const wholeMonths = Math.floor(rules.frozen_months);
+  frozenStart.setMonth(frozenStart.getMonth() + wholeMonths);
+  const frozenUntil = new Date(frozenStart.getTime() + (rules.frozen_months - wholeMonths) * 30 * DAY_MS);
+  const fridgeUntil = new Date(pumped.getTime() + rules.fridge_days * DAY_MS);
+  const iso = (d) => (d ? d.toISOString() : null);
+  switch (s.state) {
+    case 'room':
+      return { use_by_fridge: iso(fridgeUntil), use_by_frozen: iso(frozenUntil), expires_at: iso(new Date(pumped.getTime() + rules.room_hours * HOUR_MS)) };
+    case 'fridge':
+      return { use_by_fridge: iso(fridgeUntil), use_by_frozen: iso(frozenUntil), expires_at: iso(fridgeUntil) };
+    case 'frozen':
+      return { use_by_fridge: null, use_by_frozen: iso(frozenUntil), expires_at: iso(frozenUntil) };
+    case 'thawed': {
+      const thawedUntil = new Date((enteredAt('thawed') || new Date()).getTime() + rules.thawed_hours * HOUR_MS);
+      return { use_by_fridge: iso(thawedUntil), use_by_frozen: null, expires_at: iso(thawedUntil) };
+    }
+    default:
+      return { use_by_fridge: s.use_by_fridge || null, use_by_frozen: s.use_by_frozen || null, expires_at: null };
+  }
+};
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Base collections',
+    up: (data) => {
+      if (!data.sessions) data.sessions = [];
+      if (!data.printJobs) data.printJobs = [];
+      if (!data.agents) data.agents = {};
+      if (!data.settings) data.settings = {};
+    },
+  },
+  {
+    version: 2,
+    description: 'Bag lifecycle (state, history, remaining volume, use-by dates)',
+    up: (data) => {
+      const rules = v2Rules(data.settings.storageRules);
+      data.sessions.forEach((s) => {
+        if (!s.state) s.state = 'fridge';
+        if (!Array.isArray(s.history)) s.history = [{ state: s.state, at: s.timestamp }];
+        if (s.remaining_oz === undefined) s.remaining_oz = V2_IN_STOCK_STATES.includes(s.state) ? s.amount_oz : 0;
+        if (s.expires_at === undefined) Object.assign(s, v2UseBy(s, rules));
+      });
+    },
+  },
+  {
+    version: 3,
+    description: 'Feeds',
+    up: (data) => {
+      if (!data.feeds) data.feeds = [];
+    },
+  },
+  {
+    version: 4,
+    description: 'Parent and baby profiles',
+    up: (data) => {
+      if (!data.profiles) data.profiles = [];
+    },
+  },
+  {
+    version: 5,
+    description: 'User accounts, sign-in sessions and audit log',
+    up: (data) => {
+      if (!data.users) data.users = [];
+      if (!data.authTokens) data.authTokens = {};
+      if (!data.audit) data.audit = [];
+    },
+  },
+  {
+    version: 6,
+    description: 'Print job attempts and claim leases',
+    up: (data) => {
+      data.printJobs.forEach((job) => {
+        if (job.attempts === undefined) job.attempts = job.status === 'queued' ? 0 : 1;
+        if (job.maxAttempts === undefined) job.maxAttempts = 3;
+        // Claims from before leases existed expire at the first sweep and are retried
+        if (job.status === 'claimed' && !job.leaseExpiresAt) job.leaseExpiresAt = job.claimedAt || job.createdAt;
+        if (['done', 'failed'].includes(job.status) && !job.finishedAt) job.finishedAt = job.createdAt;
+      });
+    },
+  },
+];
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Upgrade a plain copy of the data in place to SCHEMA_VERSION. Throws when the data was written by a
+// newer version of the tracker. Returns the version it started from.
+const migrateData = (data) => {
+  const from = data.schemaVersion || 0;
+  if (from > SCHEMA_VERSION) {
+    throw new Error(
+      `Data is at schema version ${from} but this build only knows up to ${SCHEMA_VERSION}. `
+      + 'Install the newer version again or restore a backup made before it.',
+    );
+  }
+  MIGRATIONS.filter(m => m.version > from).forEach((m) => {
+    console.log(`[migrations] ${m.version}: ${m.description}`);
+    m.up(data);
+    data.schemaVersion = m.version;
+  });
+  return from;
+};
+
+// Bring the store up to SCHEMA_VERSION, calling backup(data, label) with the existing data first.
+// Throws (so the server refuses to start) when the data is newer than this build.
+const migrateStore = async (store, { backup }) => {
+  const data = await store.read();
+  const from = data.schemaVersion || 0;
+  if (from === SCHEMA_VERSION) return { from, to: from };
+  if (from < SCHEMA_VERSION && Object.keys(data).length) await backup(data, `pre-migration-v${from}`);
+  await store.transaction((draft) => { migrateData(draft); });
+  return { from, to: SCHEMA_VERSION };
+};
+
+module.exports = { SCHEMA_VERSION, migrateData, migrateStore };
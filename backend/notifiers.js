@@ -0,0 +1,53 @@
+// Pluggable notifiers for expiry alerts. Each notifier is { name, send(alert) } where alert is
+// { title, message, alerts }. Configure with env:
+//   NOTIFY_WEBHOOK_URL  generic webhook; receives the alert as a JSON POST
+//   NOTIFY_NTFY_URL     ntfy-style topic URL (e.g. http://ntfy.local/bmt); receives a plain-text POST
+//   NOTIFY_NTFY_TOKEN   optional bearer token for the ntfy server
+
+const http = require('http');
+const https = require('https');
+
+const post = (url, body, headers = {}) => new Promise((resolve, reject) => {
+  const u = new URL(url);
+  const lib = u.protocol === 'https:' ? https : http;
+  const req = lib.request({
+    method: 'POST',
+    hostname: u.hostname,
+    port: u.port || (u.protocol === 'https:' ? 443 : 80),
+    path: u.pathname + (u.search || ''),
+    headers: Object.assign({ 'Content-Length': Buffer.byteLength(body) }, headers),
+  }, (res) => {
+    res.resume();
+    res.on('end', () => {
+      if (res.statusCode >= 200 && res.statusCode < 300) resolve();
+      else reject(new Error(`HTTP ${res.statusCode}`));
+    });
+  });
+  req.setTimeout(Number(process.env.NOTIFY_TIMEOUT_MS || 5000), () => req.destroy(new Error('timeout')));
+  req.on('error', reject);
+  req.write(body);
+  req.end();
+});
+
+const webhookNotifier = (url) => ({
+  name: 'webhook',
+  send: (alert) => post(url, JSON.stringify(alert), { 'Content-Type': 'application/json' }),
+});
+
+const ntfyNotifier = (url, token) => ({
+  name: 'ntfy',
+  send: (alert) => post(url, alert.message, Object.assign(
+    { 'Content-Type': 'text/plain; charset=utf-8', Title: alert.title, Tags: 'baby_bottle' },
+    token ? { Authorization: `Bearer ${token}` } : {}
+  )),
+});
+
+// Build the notifier list from the environment (empty when nothing is configured)
+const notifiersFromEnv = (env = process.env) => {
+  const list = [];
+  if (env.NOTIFY_WEBHOOK_URL) list.push(webhookNotifier(env.NOTIFY_WEBHOOK_URL));
+  if (env.NOTIFY_NTFY_URL) list.push(ntfyNotifier(env.NOTIFY_NTFY_URL, env.NOTIFY_NTFY_TOKEN));
+  return list;
+};
+
+module.exports = { webhookNotifier, ntfyNotifier, notifiersFromEnv };
@@ -0,0 +1,159 @@
+// Print job queue rules: claim leases, retries with backoff, dead-lettering and pruning.
+//
+// Job lifecycle: queued -> claimed -> done, or back to queued for another attempt, or failed once
+// `maxAttempts` attempts have been used (the dead-letter state shown in the UI). Someone can also
+// cancel a queued or claimed job (status 'cancelled'). A claim holds a lease;
+// if the agent does not report back before `leaseExpiresAt` (it crashed, lost power or the network),
+// the attempt counts as failed. Retries wait RETRY_BASE_MS, doubling per attempt (capped at RETRY_MAX_MS).
+//
+// Functions here change jobs in place and are called inside store transactions.
+
+const LEASE_MS = Number(process.env.PRINT_LEASE_MS || 60 * 1000);
+const MAX_ATTEMPTS = Number(process.env.PRINT_MAX_ATTEMPTS || 3);
+const RETRY_BASE_MS = Number(process.env.PRINT_RETRY_BASE_MS || 5 * 1000);
+const RETRY_MAX_MS = 10 * 60 * 1000;
+// Finished jobs are dropped after these (cancelled ones with done ones)
+const DONE_RETENTION_MS = Number(process.env.PRINT_DONE_RETENTION_HOURS || 24) * 3600 * 1000;
+const FAILED_RETENTION_MS = Number(process.env.PRINT_FAILED_RETENTION_DAYS || 7) * 86400 * 1000;
+
+const JOB_STATUSES = ['queued', 'claimed', 'done', 'failed', 'cancelled'];
+
+const iso = (ms) => new Date(ms).toISOString();
+
+// Fields for a freshly queued job
+const queueFields = (now = Date.now()) => ({
+  status: 'queued',
+  attempts: 0,
+  maxAttempts: MAX_ATTEMPTS,
+  nextAttemptAt: iso(now),
+  createdAt: iso(now),
+});
+
+// Give a job back to the queue without using up an attempt (e.g. its agent was revoked)
+const releaseJob = (job) => {
+  if (job.status === 'claimed') job.attempts = Math.max(0, (job.attempts || 0) - 1);
+  job.status = 'queued';
+  job.claimedAt = null;
+  job.claimedBy = null;
+  job.leaseExpiresAt = null;
+};
+
+// Stop a queued or claimed job. An agent still printing it gets a 409 when it reports back.
+const cancelJob = (job, now = Date.now()) => {
+  job.status = 'cancelled';
+  job.finishedAt = iso(now);
+  job.leaseExpiresAt = null;
+};
+
+// Send a job to another printer (null for any). A failed job gets a fresh set of attempts.
+const reassignJob = (job, printerId, now = Date.now()) => {
+  if (job.status === 'claimed') releaseJob(job);
+  if (job.status === 'failed') {
+    releaseJob(job);
+    job.attempts = 0;
+    job.nextAttemptAt = iso(now);
+    job.finishedAt = null;
+    job.error = null;
+  }
+  job.printerId = printerId;
+};
+
+// Record a failed attempt: retry later, or dead-letter the job when out of attempts
+const failAttempt = (job, error, now = Date.now()) => {
+  job.lastError = String(error || 'unknown');
+  job.leaseExpiresAt = null;
+  if (job.attempts >= (job.maxAttempts || MAX_ATTEMPTS)) {
+    job.status = 'failed';
+    job.error = job.lastError;
+    job.finishedAt = iso(now);
+    return;
+  }
+  job.status = 'queued';
+  job.claimedAt = null;
+  job.claimedBy = null;
+  job.nextAttemptAt = iso(now + Math.min(RETRY_BASE_MS * 2 ** (job.attempts - 1), RETRY_MAX_MS));
+};
+
+// Claimed jobs whose lease ran out count as failed attempts. Returns how many expired.
+const expireLeases = (jobs, now = Date.now()) => {
+  let expired = 0;
+  jobs.forEach((job) => {
+    if (job.status === 'claimed' && job.leaseExpiresAt && new Date(job.leaseExpiresAt).getTime() <= now) {
+      failAttempt(job, `Lease expired (${job.claimedBy || 'agent'} did not report back)`, now);
+      expired += 1;
+    }
+  });
+  return expired;
+};
+
+const due = (job, now) => job.status === 'queued' && (!job.nextAttemptAt || new Date(job.nextAttemptAt).getTime() <= now);
+
+// Claim the oldest due job for printerId: jobs targeted at it first, then unassigned ones
+const claimNextJob = (jobs, printerId, now = Date.now()) => {
+  expireLeases(jobs, now);
+  const job = jobs.find(j => due(j, now) && j.printerId === printerId)
+    || jobs.find(j => due(j, now) && j.printerId == null);
+  if (!job) return null;
+  job.status = 'claimed';
+  job.claimedAt = iso(now);
+  job.claimedBy = printerId;
+  job.leaseExpiresAt = iso(now + LEASE_MS);
+  job.attempts = (job.attempts || 0) + 1;
+  return job;
+};
+
+// Apply an agent's report for a job it holds
+const completeJob = (job, { success, error }, now = Date.now()) => {
+  if (success) {
+    job.status = 'done';
+    job.finishedAt = iso(now);
+    job.leaseExpiresAt = null;
+    job.lastError = null;
+  } else {
+    failAttempt(job, error, now);
+  }
+};
+
+// Drop finished jobs past their retention. Returns the jobs to keep.
+const pruneJobs = (jobs, now = Date.now()) => jobs.filter((job) => {
+  const finished = job.finishedAt ? new Date(job.finishedAt).getTime() : null;
+  if (job.status === 'done' || job.status === 'cancelled') return !finished || now - finished < DONE_RETENTION_MS;
+  if (job.status === 'failed') return !finished || now - finished < FAILED_RETENTION_MS;
+  return true;
+});
+
+// Expire leases and prune every intervalMs, saving only when something changed.
+// onRequeue() runs after expired leases put jobs back in the queue.
+const startPrintQueueMonitor = ({ store, intervalMs, onRequeue = () => {} }) => {
+  const sweep = async () => {
+    try {
+      const expired = await store.transaction((data) => {
+        const now = Date.now();
+        const count = expireLeases(data.printJobs, now);
+        data.printJobs = pruneJobs(data.printJobs, now);
+        return count;
+      });
+      if (expired) onRequeue();
+    } catch (e) {
+      console.error('[print-queue] Sweep failed', e);
+    }
+  };
+  const timer = setInterval(sweep, intervalMs);
+  sweep();
+  return { sweep, stop: () => clearInterval(timer) };
+};
+
+module.exports = {
+  LEASE_MS,
+  MAX_ATTEMPTS,
+  JOB_STATUSES,
+  queueFields,
+  releaseJob,
+  cancelJob,
+  reassignJob,
+  expireLeases,
+  claimNextJob,
+  completeJob,
+  pruneJobs,
+  startPrintQueueMonitor,
+};
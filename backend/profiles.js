@@ -0,0 +1,70 @@
+// Profiles: the people pumping ('parent') and the babies they feed ('baby'). Each baby belongs to one
+// parent; sessions belong to a parent (profile_id) and feeds to a baby (baby_id).
+
+const PROFILE_KINDS = ['parent', 'baby'];
+
+// Returns a list of problems with a profile payload (empty when valid)
+const validateProfile = (body, profiles, existing = null) => {
+  const errors = [];
+  if (!body || typeof body !== 'object') return ['Profile must be an object.'];
+  const kind = existing ? existing.kind : body.kind;
+  if (!existing && !PROFILE_KINDS.includes(kind)) errors.push(`kind must be one of: ${PROFILE_KINDS.join(', ')}.`);
+  if ((!existing || body.name !== undefined) && (typeof body.name !== 'string' || !body.name.trim())) {
+    errors.push('name is required.');
+  }
+  if (kind === 'baby' && (!existing || body.parent_id !== undefined)) {
+    const parent = profiles.find(p => p.id === body.parent_id && p.kind === 'parent');
+    if (!parent) errors.push('parent_id must reference a parent profile.');
+  }
+  return errors;
+};
+
+// Check the profile_id (parent) / baby_id references on a session payload. null clears a reference.
+// The baby has to be one of the parent's, taking what the payload leaves out from `existing`.
+const validateSessionProfiles = (body, profiles, existing = {}) => {
+  const errors = [];
+  const { profile_id, baby_id } = body;
+  if (profile_id !== undefined && profile_id !== null
+    && !profiles.some(p => p.id === profile_id && p.kind === 'parent')) {
+    errors.push('profile_id must reference a parent profile.');
+  }
+  if (baby_id !== undefined && baby_id !== null && !profiles.some(p => p.id === baby_id && p.kind === 'baby')) {
+    errors.push('baby_id must reference a baby profile.');
+  }
+  if (errors.length) return errors;
+  const parentId = profile_id !== undefined ? profile_id : existing.profile_id;
+  const babyId = baby_id !== undefined ? baby_id : existing.baby_id;
+  const baby = babyId && profiles.find(p => p.id === babyId);
+  if (parentId && baby && baby.parent_id !== parentId) errors.push('baby_id must be a baby of the profile_id parent.');
+  return errors;
+};
+
+const babiesOf = (profiles, parentId) => profiles.filter(p => p.kind === 'baby' && p.parent_id === parentId);
+
+// Name(s) to print on a bag's label: the designated baby, else every baby of the pumping parent
+const babyNameFor = (session, profiles) => {
+  if (session.baby_id) {
+    const baby = profiles.find(p => p.id === session.baby_id);
+    if (baby) return baby.name;
+  }
+  if (!session.profile_id) return '';
+  return babiesOf(profiles, session.profile_id).map(b => b.name).join(' & ');
+};
+
+// Sessions for one parent profile (all sessions when profileId is empty)
+const sessionsFor = (data, profileId) => (profileId
+  ? data.sessions.filter(s => s.profile_id === profileId)
+  : data.sessions);
+
+// Feeds for one parent (their babies) or one baby (all feeds when profileId is empty)
+const feedsFor = (data, profileId) => {
+  if (!profileId) return data.feeds;
+  const profile = data.profiles.find(p => p.id === profileId);
+  if (!profile) return [];
+  const babyIds = profile.kind === 'baby' ? [profile.id] : babiesOf(data.profiles, profile.id).map(b => b.id);
+  return data.feeds.filter(f => babyIds.includes(f.baby_id));
+};
+
+module.exports = {
+  PROFILE_KINDS, validateProfile, validateSessionProfiles, babiesOf, babyNameFor, sessionsFor, feedsFor,
+};
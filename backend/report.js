@@ -0,0 +1,261 @@
+// Letter-size PDF summary for pediatrician/NICU visits: totals, charts, daily totals, current
+// inventory, expired/discarded milk and a session table. Drawn with PDFKit; dates follow the household
+// settings (locale-settings.js), and days are calendar days in the household time zone.
+// Volumes lead with the household unit (units.js).
+
+const { IN_STOCK_STATES } = require('./lifecycle');
+const { dayKey, dayStart, computeStats } = require('./stats');
+const { describeSession } = require('./session-fields');
+const { formatDate, formatMonthDay, formatTime } = require('./locale-settings');
+const { ML_PER_OZ, otherUnit, roundVolume, formatVolume, formatAmount } = require('./units');
+
+const MARGIN = 50;
+const ROW_HEIGHT = 14;
+const CHART_HEIGHT = 110;
+
+const contentWidth = (doc) => doc.page.width - MARGIN * 2;
+const bottom = (doc) => doc.page.height - MARGIN;
+
+// Start a new page unless `height` points still fit on this one
+const ensureSpace = (doc, height) => {
+  if (doc.y + height > bottom(doc)) doc.addPage();
+};
+
+const heading = (doc, text) => {
+  ensureSpace(doc, 40);
+  doc.moveDown(0.8);
+  doc.font('Helvetica-Bold').fontSize(12).fillColor('#000').text(text, MARGIN, doc.y);
+  doc.moveDown(0.3);
+};
+
+const note = (doc, text) => {
+  doc.font('Helvetica-Oblique').fontSize(9).fillColor('#555').text(text, MARGIN, doc.y);
+  doc.fillColor('#000');
+};
+
+// columns: [{ header, width (fraction of the page width), align? }]; rows: arrays of cell text.
+// The header row repeats on every page the table runs onto.
+const table = (doc, columns, rows) => {
+  const total = contentWidth(doc);
+  const widths = columns.map(c => c.width * total);
+  const drawRow = (cells, { bold = false, shade = false } = {}) => {
+    ensureSpace(doc, ROW_HEIGHT);
+    const y = doc.y;
+    if (shade) doc.rect(MARGIN, y - 2, total, ROW_HEIGHT).fill('#f0f0f0').fillColor('#000');
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+    let x = MARGIN;
+    cells.forEach((cell, i) => {
+      doc.text(String(cell), x + 2, y, {
+        width: widths[i] - 4, align: columns[i].align || 'left', lineBreak: false, ellipsis: true,
+      });
+      x += widths[i];
+    });
+    doc.x = MARGIN;
+    doc.y = y + ROW_HEIGHT;
+  };
+  const drawHeader = () => drawRow(columns.map(c => c.header), { bold: true, shade: true });
+
+  drawHeader();
+  rows.forEach((row) => {
+    if (doc.y + ROW_HEIGHT > bottom(doc)) {
+      doc.addPage();
+      drawHeader();
+    }
+    drawRow(row);
+  });
+};
+
+// Bar chart with an optional overlay line (same scale), a max-value label and first/middle/last
+// x-axis labels
+const barChart = (doc, { title, items, value, label, line, unit }) => {
+  ensureSpace(doc, CHART_HEIGHT + 40);
+  doc.font('Helvetica-Bold').fontSize(9).text(title, MARGIN, doc.y);
+  const top = doc.y + 4;
+  const width = contentWidth(doc);
+  const values = items.map(value);
+  const max = Math.max(1, ...values, ...(line || []));
+  const step = width / Math.max(1, items.length);
+  const yOf = (v) => top + CHART_HEIGHT - (v / max) * CHART_HEIGHT;
+
+  doc.lineWidth(0.5).strokeColor('#999')
+    .moveTo(MARGIN, top).lineTo(MARGIN, top + CHART_HEIGHT).lineTo(MARGIN + width, top + CHART_HEIGHT).stroke();
+  values.forEach((v, i) => {
+    if (v > 0) doc.rect(MARGIN + i * step + step * 0.15, yOf(v), step * 0.7, top + CHART_HEIGHT - yOf(v)).fill('#c2417a');
+  });
+  if (line && items.length > 1) {
+    doc.lineWidth(1).strokeColor('#333');
+    line.forEach((v, i) => {
+      const x = MARGIN + i * step + step / 2;
+      if (i === 0) doc.moveTo(x, yOf(v));
+      else doc.lineTo(x, yOf(v));
+    });
+    doc.stroke();
+  }
+  doc.fillColor('#555').font('Helvetica').fontSize(7);
+  doc.text(`${max.toFixed(unit === 'ml' ? 0 : 1)} ${unit}`, MARGIN + 2, top - 2, { lineBreak: false });
+  const ticks = items.length > 1 ? [0, Math.floor((items.length - 1) / 2), items.length - 1] : [0];
+  if (items.length) {
+    ticks.forEach((i) => {
+      doc.text(label(items[i]), MARGIN + i * step + step / 2 - 20, top + CHART_HEIGHT + 3, { width: 40, align: 'center', lineBreak: false });
+    });
+  }
+  doc.fillColor('#000').strokeColor('#000');
+  doc.x = MARGIN;
+  doc.y = top + CHART_HEIGHT + 16;
+};
+
+// When a bag left stock by being discarded, or when an in-stock bag expired
+const lossEvent = (s, now) => {
+  if (s.state === 'discarded') {
+    const entry = [...s.history].reverse().find(h => h.state === 'discarded');
+    return { status: 'Discarded', at: entry ? entry.at : s.timestamp, oz: s.amount_oz, ml: s.amount_ml };
+  }
+  if (IN_STOCK_STATES.includes(s.state) && s.expires_at && new Date(s.expires_at) <= now) {
+    return { status: 'Expired', at: s.expires_at, oz: s.remaining_oz };
+  }
+  return null;
+};
+
+// Draw the whole report into `doc` (the caller ends it). `sessions` and `feeds` are already
+// narrowed to the chosen profile; `subtitle` names it. `settings` and `units` are the household date
+// and unit settings.
+const renderReport = (doc, { sessions, feeds, from, to, subtitle, settings, units, now = new Date() }) => {
+  const dateText = (v) => formatDate(v, settings);
+  const timeText = (v) => formatTime(v, settings);
+  // Stats day keys (YYYY-MM-DD) are calendar days in the household time zone
+  const dayText = (key) => formatMonthDay(dayStart(key, settings.time_zone), settings);
+  const unit = units.unit;
+  const other = otherUnit(unit);
+  const unitHeader = (u) => u[0].toUpperCase() + u.slice(1);
+  // Table cells in the preferred unit and the other one; `ml` is a bag's amount as entered in millilitres
+  const first = (v, ml) => roundVolume(v, unit, units, ml);
+  const second = (v, ml) => roundVolume(v, other, units, ml);
+  // Chart values in the preferred unit
+  const chartValue = (v) => (unit === 'ml' ? v * ML_PER_OZ : v);
+  const stats = computeStats(sessions, from, to, settings.time_zone);
+  const inRange = (t) => new Date(t) >= from && new Date(t) <= to;
+  const rangeSessions = sessions.filter(s => inRange(s.timestamp)).sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  const rangeFeeds = feeds.filter(f => inRange(f.timestamp));
+
+  doc.font('Helvetica-Bold').fontSize(18).text('Breast Milk Summary', MARGIN, MARGIN);
+  doc.font('Helvetica').fontSize(10).fillColor('#555')
+    .text(`${dateText(from)} – ${dateText(to)}${subtitle ? `  •  ${subtitle}` : ''}`)
+    .text(`Generated ${dateText(now)} ${timeText(now)}`);
+  doc.fillColor('#000');
+
+  heading(doc, 'Summary');
+  const fedOz = rangeFeeds.reduce((sum, f) => sum + f.consumed_oz, 0);
+  const summary = [
+    ['Sessions', String(stats.totals.sessions)],
+    ['Total pumped', formatAmount(stats.totals.amount_oz, units)],
+    ['Average per session', formatVolume(stats.totals.avg_oz_per_session, units)],
+    ['Average per day', formatAmount(stats.totals.avg_oz_per_day, units)],
+    ['Average duration', stats.totals.avg_duration_min != null ? `${Math.round(stats.totals.avg_duration_min)} min` : '-'],
+    ['Left / right', `${first(stats.by_side.left_oz)} / ${first(stats.by_side.right_oz)} ${unit}`],
+  ];
+  if (feeds.length) summary.push(['Fed (drank)', `${formatVolume(fedOz, units)} in ${rangeFeeds.length} feeds`]);
+  table(doc, [{ header: 'Measure', width: 0.35 }, { header: 'Value', width: 0.65 }], summary);
+
+  heading(doc, 'Charts');
+  barChart(doc, {
+    title: 'Daily output (line: 7-day average)',
+    items: stats.daily,
+    value: d => chartValue(d.amount_oz),
+    label: d => dayText(d.date),
+    line: stats.rolling_7d.map(r => chartValue(r.avg_oz)),
+    unit,
+  });
+  barChart(doc, {
+    title: 'Output by time of day',
+    items: stats.by_hour,
+    value: h => chartValue(h.amount_oz),
+    label: h => `${h.hour}:00`,
+    unit,
+  });
+
+  heading(doc, 'Daily totals');
+  const fedByDay = {};
+  rangeFeeds.forEach((f) => {
+    const key = dayKey(new Date(f.timestamp), settings.time_zone);
+    fedByDay[key] = (fedByDay[key] || 0) + f.consumed_oz;
+  });
+  const dailyColumns = [
+    { header: 'Date', width: 0.25 },
+    { header: 'Sessions', width: 0.15, align: 'right' },
+    { header: `Pumped (${unit})`, width: 0.2, align: 'right' },
+    { header: `Pumped (${other})`, width: 0.2, align: 'right' },
+  ];
+  if (feeds.length) dailyColumns.push({ header: `Drank (${unit})`, width: 0.2, align: 'right' });
+  table(doc, dailyColumns, stats.daily.map(d => [
+    dayText(d.date), d.sessions, first(d.amount_oz), second(d.amount_oz),
+    ...(feeds.length ? [first(fedByDay[d.date])] : []),
+  ]));
+
+  heading(doc, 'Current inventory');
+  const inventory = IN_STOCK_STATES.map((state) => {
+    const bags = sessions.filter(s => s.state === state && s.remaining_oz > 0);
+    const oldest = bags.reduce((min, s) => (!min || new Date(s.timestamp) < new Date(min) ? s.timestamp : min), null);
+    const total = bags.reduce((sum, s) => sum + s.remaining_oz, 0);
+    return [state[0].toUpperCase() + state.slice(1), bags.length, first(total), second(total), oldest ? dateText(oldest) : '-'];
+  });
+  table(doc, [
+    { header: 'Storage', width: 0.25 },
+    { header: 'Bags', width: 0.15, align: 'right' },
+    { header: unitHeader(unit), width: 0.2, align: 'right' },
+    { header: unitHeader(other), width: 0.2, align: 'right' },
+    { header: 'Oldest pumped', width: 0.2, align: 'right' },
+  ], inventory);
+
+  heading(doc, 'Expired or discarded');
+  const losses = sessions
+    .map(s => ({ s, loss: lossEvent(s, now) }))
+    .filter(({ loss }) => loss && inRange(loss.at))
+    .sort((a, b) => new Date(a.loss.at) - new Date(b.loss.at));
+  if (!losses.length) note(doc, 'None in this period.');
+  else {
+    table(doc, [
+      { header: 'Pumped', width: 0.22 },
+      { header: 'Status', width: 0.16 },
+      { header: 'When', width: 0.22 },
+      { header: unitHeader(unit), width: 0.12, align: 'right' },
+      { header: unitHeader(other), width: 0.12, align: 'right' },
+      { header: 'Storage', width: 0.16 },
+    ], losses.map(({ s, loss }) => [
+      `${dateText(s.timestamp)} ${timeText(s.timestamp)}`, loss.status, `${dateText(loss.at)} ${timeText(loss.at)}`,
+      first(loss.oz, loss.ml), second(loss.oz, loss.ml), s.state,
+    ]));
+  }
+
+  heading(doc, 'Sessions');
+  if (!rangeSessions.length) note(doc, 'No sessions in this period.');
+  else {
+    table(doc, [
+      { header: 'Date', width: 0.13 },
+      { header: 'Time', width: 0.1 },
+      { header: unitHeader(unit), width: 0.08, align: 'right' },
+      { header: unitHeader(other), width: 0.08, align: 'right' },
+      { header: 'Side / duration', width: 0.25 },
+      { header: 'Storage', width: 0.11 },
+      { header: 'Notes', width: 0.25 },
+    ], rangeSessions.map(s => [
+      dateText(s.timestamp), timeText(s.timestamp), first(s.amount_oz, s.amount_ml), second(s.amount_oz, s.amount_ml),
+      describeSession(s, units), s.state, s.notes || '',
+    ]));
+  }
+
+  // Page numbers in the bottom margin (the document is created with bufferPages). The margin is
+  // lifted while writing so PDFKit does not start another page.
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i += 1) {
+    doc.switchToPage(i);
+    doc.page.margins.bottom = 0;
+    doc.font('Helvetica').fontSize(8).fillColor('#777')
+      .text(`Page ${i + 1} of ${range.count}`, MARGIN, doc.page.height - MARGIN + 15, {
+        width: contentWidth(doc), align: 'right', lineBreak: false,
+      });
+    doc.page.margins.bottom = MARGIN;
+  }
+  doc.fillColor('#000');
+};
+
+module.exports = { MARGIN, renderReport };
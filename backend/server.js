@@ -1,412 +1,1592 @@
 const express = require('express');
-const fs = require('fs').promises;
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const { spawn } = require('child_process');
 const https = require('https');
 const net = require('net');
 const PDFDocument = require('pdfkit');
+const { STORAGE_STATES, IN_STOCK_STATES, INITIAL_STATES, STATE_TRANSITIONS } = require('./lifecycle');
+const { normalizeRules, validateRules, computeUseBy } = require('./storage-rules');
+const { rankBags, pickForTarget } = require('./use-next');
+const { findAlerts, notifyAll, startExpiryMonitor } = require('./expiry-monitor');
+const { notifiersFromEnv } = require('./notifiers');
+const { validateFeed, allocateSources } = require('./feeds');
+const { httpError } = require('./http-error');
+const { openStore } = require('./store');
+const { SCHEMA_VERSION, migrateStore } = require('./migrations');
+const {
+  listBackups, backupPath, writeBackup, restoreBackup, startBackupScheduler,
+} = require('./backups');
+const { dayKey, addDays, dayStart, computeStats } = require('./stats');
+const { validateSessionFields } = require('./session-fields');
+const {
+  validateProfile, validateSessionProfiles, babiesOf, babyNameFor, sessionsFor, feedsFor,
+} = require('./profiles');
+const { sessionsCsv, feedsCsv, jsonDump, planImport } = require('./data-transfer');
+const { MARGIN: REPORT_MARGIN, renderReport } = require('./report');
+const {
+  setPin, checkPin, publicUser, validateUser, userFor, createSession, endSession, endUserSessions,
+  sessionCookie, clearedCookie, recordAudit, lockedOut, noteFailure, clearFailures,
+} = require('./auth');
+const {
+  publicAgent, validateAgent, createAgent, enrollAgent, agentFor,
+} = require('./agents');
+const {
+  LEASE_MS, JOB_STATUSES, queueFields, releaseJob, cancelJob, reassignJob, claimNextJob, completeJob,
+  startPrintQueueMonitor,
+} = require('./print-queue');
+const { startAgentEvents } = require('./agent-events');
+const { normalizeLocaleSettings, validateLocaleSettings } = require('./locale-settings');
+const { normalizeUnitSettings, validateUnitSettings, mlToOz } = require('./units');
+const {
+  PRINTER_LANGUAGES, PREVIEW_LANGUAGES, FIELD_CONTENTS, BUILTIN_TEMPLATES, SHEET_LAYOUTS,
+  validateLabelSettings, normalizeLabelSettings, templateFor, renderRawBatch, renderPdf, renderSheet,
+  pdfMedia, renderHtml, previewLabel,
+} = require('./labels');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 const DATA_DIR = path.join(__dirname, 'data');
 const DATA_FILE = path.join(DATA_DIR, 'data.json');
+// Backups: every BACKUP_INTERVAL_MS (0 turns scheduled backups off), keeping the newest per hour for
+// BACKUP_KEEP_HOURLY hours and per day for BACKUP_KEEP_DAILY days. BACKUP_DIR can point at a USB drive.
+const BACKUP_DIR = process.env.BACKUP_DIR || path.join(DATA_DIR, 'backups');
+const BACKUP_INTERVAL_MS = Number(process.env.BACKUP_INTERVAL_MS || 60 * 60 * 1000);
+const BACKUP_RETENTION = {
+  hourly: Number(process.env.BACKUP_KEEP_HOURLY || 24),
+  daily: Number(process.env.BACKUP_KEEP_DAILY || 30),
+};
+// Expiry monitor: alert on bags expiring within ALERT_WINDOW_HOURS, checked every ALERT_INTERVAL_MS
+const ALERT_WINDOW_HOURS = Number(process.env.ALERT_WINDOW_HOURS || 24);
+const ALERT_INTERVAL_MS = Number(process.env.ALERT_INTERVAL_MS || 5 * 60 * 1000);
+const notifiers = notifiersFromEnv();
+// Print queue: expired claim leases are retried and old finished jobs pruned this often
+const PRINT_QUEUE_SWEEP_MS = Number(process.env.PRINT_QUEUE_SWEEP_MS || 15 * 1000);
+
+// Middleware (imports post a whole JSON export, so allow larger bodies)
+app.use(express.json({ limit: '20mb' }));
+
+// Data lives in a journaled store (see store.js), opened before the server starts listening.
+// Reads get a copy; every change goes through store.transaction so concurrent saves cannot
+// overwrite each other.
+let store;
+const readData = () => store.read();
+// Push channel to print agents (see agent-events.js), started with the store
+let agentEvents;
+
+// --- Accounts (see auth.js) ---
+// Open without signing in: the sign-in routes, the version, and the print agent routes (agents have
+// their own credentials, checked by requireAgent)
+const OPEN_PATHS = [
+  /^\/api\/auth\//,
+  /^\/api\/version$/,
+  /^\/api\/agents\/(enroll|heartbeat|next-job|events)$/,
+  /^\/api\/print\/[^/]+\/complete$/,
+];
+
+// Sets req.user for /api and /labels requests and answers 401 when nobody is signed in. Every
+// request that may change data is added to the audit log once it has been answered, with the id of
+// a record it created (res.locals.recordId).
+app.use(async (req, res, next) => {
+  if (!/^\/(api|labels)\//.test(req.path) || OPEN_PATHS.some(re => re.test(req.path))) return next();
+  try {
+    const data = await readData();
+    req.user = userFor(data, req);
+    // Stay open until the first account is created
+    if (data.users.length && !req.user) return res.status(401).json({ message: 'Sign in required.' });
+    if (!['GET', 'HEAD'].includes(req.method)) {
+      res.on('finish', () => {
+        store.transaction((latest) => recordAudit(latest, req.user, `${req.method} ${req.path}`, res.statusCode, res.locals.recordId))
+          .catch(e => console.error('Error writing audit log:', e));
+      });
+    }
+    next();
+  } catch (error) {
+    console.error('Error checking sign-in:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// For routes only admins may use: deleting, profiles, import, backups, settings, users, updates
+const requireAdmin = (req, res, next) => {
+  if (req.user && req.user.role !== 'admin') return res.status(403).json({ message: 'Only an admin can do that.' });
+  next();
+};
+
+// Trim float noise from volume arithmetic
+const roundOz = (v) => Math.round(v * 10000) / 10000;
+
+// The household time zone, which decides where days begin and end
+const timeZoneOf = (data) => normalizeLocaleSettings(data.settings.locale).time_zone;
+
+// Start of the current day in `timeZone`, for "today" summaries
+const startOfToday = (timeZone) => dayStart(dayKey(new Date(), timeZone), timeZone);
+
+// Check a YYYY-MM-DD query value is a real calendar day (false when absent or invalid)
+const validDay = (v) => {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(v || ''));
+  if (!m) return false;
+  // Reject days that roll over, e.g. 2026-02-31
+  return new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]))).toISOString().slice(0, 10) === m[0];
+};
+
+// Date range from ?from=YYYY-MM-DD&to=YYYY-MM-DD, or ?days=N ending today (default 30), as days in
+// `timeZone`. Returns { start, end } (end inclusive) or { error }.
+const parseRange = ({ from, to, days }, timeZone) => {
+  if ((from && !validDay(from)) || (to && !validDay(to))) return { error: 'from/to must be YYYY-MM-DD.' };
+  const span = days !== undefined ? Number(days) : 30;
+  if (!Number.isInteger(span) || span < 1 || span > 3660) return { error: 'Invalid days.' };
+  const last = to || dayKey(new Date(), timeZone);
+  const end = new Date(dayStart(addDays(last, 1), timeZone).getTime() - 1);
+  const start = dayStart(from || addDays(last, 1 - span), timeZone);
+  if (start > end) return { error: 'from must be before to.' };
+  return { start, end };
+};
+
+// The label template to print with (see templateFor) under the household date and unit settings
+const labelTemplate = (data, id) => templateFor(data.settings.labels, id, data.settings.locale, data.settings.units);
+
+// Recompute a bag's use-by dates from its current state and the household storage rules
+const applyUseBy = (session, data) => {
+  Object.assign(session, computeUseBy(session, normalizeRules(data.settings.storageRules)));
+  return session;
+};
+
+// Fill in lifecycle fields missing from an imported session, the same way migration 2 does for
+// stored ones. Sessions saved before lifecycle tracking start out in the fridge.
+const normalizeSession = (s, data) => {
+  if (!s.state) s.state = 'fridge';
+  if (!Array.isArray(s.history)) s.history = [{ state: s.state, at: s.timestamp }];
+  if (s.remaining_oz === undefined) s.remaining_oz = IN_STOCK_STATES.includes(s.state) ? s.amount_oz : 0;
+  if (s.expires_at === undefined) applyUseBy(s, data);
+  return s;
+};
+
+// API Endpoints
+// Optional ?profile_id= limits the list and totals to one pumping parent
+app.get('/api/sessions', async (req, res) => {
+  try {
+    const data = await readData();
+    const sessions = sessionsFor(data, req.query.profile_id);
+    // total is what is still in stock; produced counts every ounce ever pumped
+    const inStock = sessions.filter(s => IN_STOCK_STATES.includes(s.state));
+    const totalAmount = inStock.reduce((sum, session) => sum + session.remaining_oz, 0);
+    const producedAmount = sessions.reduce((sum, session) => sum + session.amount_oz, 0);
+    const sortedSessions = [...sessions].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    res.json({ sessions: sortedSessions, total: totalAmount, produced: producedAmount });
+  } catch (error) {
+    console.error('Error getting sessions:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Which bag(s) to use next. Optional ?target_oz=4 suggests the combination that wastes the least.
+app.get('/api/use-next', async (req, res) => {
+  try {
+    let target = null;
+    if (req.query.target_oz !== undefined && req.query.target_oz !== '') {
+      target = Number(req.query.target_oz);
+      if (!isFinite(target) || target <= 0) {
+        return res.status(400).json({ message: 'Invalid target_oz.' });
+      }
+    }
+    const data = await readData();
+    const order = rankBags(sessionsFor(data, req.query.profile_id));
+    const pick = target ? pickForTarget(order, target, s => s.remaining_oz) : null;
+    res.json({ order, pick });
+  } catch (error) {
+    console.error('Error getting use-next:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Bags that are expired or expire within the alert window (?window_hours= overrides the default)
+app.get('/api/alerts', async (req, res) => {
+  try {
+    const windowHours = req.query.window_hours !== undefined ? Number(req.query.window_hours) : ALERT_WINDOW_HOURS;
+    if (!isFinite(windowHours) || windowHours < 0) {
+      return res.status(400).json({ message: 'Invalid window_hours.' });
+    }
+    const data = await readData();
+    res.json({ window_hours: windowHours, alerts: findAlerts(sessionsFor(data, req.query.profile_id), windowHours) });
+  } catch (error) {
+    console.error('Error getting alerts:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Send a test notification through every configured notifier
+app.post('/api/alerts/test', async (req, res) => {
+  try {
+    if (!notifiers.length) {
+      return res.status(400).json({ message: 'No notifiers configured. Set NOTIFY_WEBHOOK_URL or NOTIFY_NTFY_URL.' });
+    }
+    const now = new Date().toISOString();
+    const data = await readData();
+    await notifyAll(
+      notifiers,
+      [{ id: 'test', status: 'expiring', state: 'fridge', amount_oz: 0, timestamp: now, expires_at: now }],
+      normalizeLocaleSettings(data.settings.locale),
+      normalizeUnitSettings(data.settings.units),
+    );
+    res.json({ ok: true, notifiers: notifiers.map(n => n.name) });
+  } catch (error) {
+    console.error('Error sending test alert:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Look up one session, e.g. after scanning the QR code on its label
+app.get('/api/sessions/:id', async (req, res) => {
+  try {
+    const data = await readData();
+    const session = data.sessions.find(s => s.id === req.params.id);
+    if (!session) return res.status(404).json({ message: 'Session not found' });
+    res.json(session);
+  } catch (error) {
+    console.error('Error getting session:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Label preview for a session: ?template= (default: the selected one) and ?language= (tspl, zpl,
+// escpos or pdf; default: PRINT_MODE when it is a printer language, otherwise pdf)
+const labelPreview = async (req) => {
+  const language = (req.query.language || process.env.PRINT_MODE || '').toLowerCase();
+  const previewLanguage = PREVIEW_LANGUAGES.includes(language) ? language : 'pdf';
+  if (req.query.language && previewLanguage !== language) {
+    throw httpError(400, `language must be one of: ${PREVIEW_LANGUAGES.join(', ')}.`);
+  }
+  const data = await readData();
+  const found = data.sessions.find(x => x.id === req.params.id);
+  if (!found) throw httpError(404, 'Session not found');
+  const template = labelTemplate(data, req.query.template);
+  const s = { ...found, baby_name: babyNameFor(found, data.profiles) };
+  return { template, language: previewLanguage, ...previewLabel(s, template, previewLanguage) };
+};
+
+// The label preview as an SVG image (for <img> tags)
+app.get('/api/sessions/:id/label.svg', async (req, res) => {
+  try {
+    const { svg } = await labelPreview(req);
+    res.set('Content-Type', 'image/svg+xml').send(svg);
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ message: error.message });
+    console.error('Error rendering label preview:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// The label preview with its warnings: { template: { id, name }, language, warnings, svg }
+app.get('/api/sessions/:id/label', async (req, res) => {
+  try {
+    const { template, language, warnings, svg } = await labelPreview(req);
+    res.json({ template: { id: template.id, name: template.name }, language, warnings, svg });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ message: error.message });
+    console.error('Error rendering label preview:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Body: { amount (oz) or amount_ml, notes?, state?, profile_id?, baby_id?, ...structured fields }
+app.post('/api/sessions', async (req, res) => {
+  try {
+    const { amount_ml, notes, state = 'fridge', profile_id = null, baby_id = null } = req.body;
+
+    if (amount_ml !== undefined && (typeof amount_ml !== 'number' || !isFinite(amount_ml) || amount_ml <= 0)) {
+      return res.status(400).json({ message: 'Invalid amount_ml.' });
+    }
+    // Millilitres are kept as entered; the ounces everything adds up in are worked out from them
+    const amount = amount_ml !== undefined ? mlToOz(amount_ml) : req.body.amount;
+    if (typeof amount !== 'number' || amount <= 0) {
+      return res.status(400).json({ message: 'Invalid amount.' });
+    }
+    if (!INITIAL_STATES.includes(state)) {
+      return res.status(400).json({ message: `Invalid state. Expected one of: ${INITIAL_STATES.join(', ')}` });
+    }
+    const { errors, fields } = validateSessionFields(req.body, { amount_oz: amount });
+    if (errors.length) return res.status(400).json({ message: errors.join(' ') });
+
+    // Milk is dated from when pumping started, if known
+    const timestamp = fields.started_at ? new Date(fields.started_at) : new Date();
+    const newSession = await store.transaction((data) => {
+      const profileErrors = validateSessionProfiles(req.body, data.profiles);
+      if (profileErrors.length) throw httpError(400, profileErrors.join(' '));
+      const session = {
+        id: uuidv4(),
+        timestamp: timestamp.toISOString(),
+        amount_oz: amount,
+        ...(amount_ml !== undefined ? { amount_ml } : {}),
+        remaining_oz: amount,
+        notes,
+        ...fields,
+        profile_id,
+        baby_id,
+        state,
+        history: [{ state, at: timestamp.toISOString() }],
+      };
+      applyUseBy(session, data);
+      data.sessions.push(session);
+      return session;
+    });
+
+    res.locals.recordId = newSession.id;
+    res.status(201).json(newSession);
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ message: error.message });
+    console.error('Error saving session:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// The copy of a session (with baby_name) that a print job carries to its agent
+const jobSession = (s) => ({
+  id: s.id,
+  timestamp: s.timestamp,
+  amount_oz: Number(s.amount_oz || 0),
+  amount_ml: s.amount_ml != null ? s.amount_ml : null,
+  notes: s.notes || '',
+  side: s.side || null,
+  left_oz: s.left_oz != null ? s.left_oz : null,
+  right_oz: s.right_oz != null ? s.right_oz : null,
+  duration_min: s.duration_min || null,
+  use_by_fridge: s.use_by_fridge,
+  use_by_frozen: s.use_by_frozen,
+  state: s.state,
+  expires_at: s.expires_at || null,
+  baby_name: s.baby_name || '',
+});
+
+// Print a label on the server (Raspberry Pi) without browser dialog
+// Expects body: { sessionId } or full session payload. directTcpPrinter: { host, port?, language? }
+// prints straight to a network printer in TSPL (default), ZPL or ESC/POS.
+const MAX_COPIES = 50;
+const MAX_BATCH = 200;
+
+// Copies of each label from a request body (default 1)
+const parseCopies = (value) => {
+  if (value === undefined || value === null) return 1;
+  if (!Number.isInteger(value) || value < 1 || value > MAX_COPIES) {
+    throw httpError(400, `copies must be a whole number from 1 to ${MAX_COPIES}.`);
+  }
+  return value;
+};
+
+// The sessions a batch print asks for, oldest first: { sessionIds } or a time range { from, to }
+// (from inclusive, to exclusive, either may be left out). YYYY-MM-DD means midnight household time.
+const batchSessions = (data, body) => {
+  const { sessionIds, from, to } = body;
+  let found;
+  if (sessionIds !== undefined) {
+    if (!Array.isArray(sessionIds) || !sessionIds.length || sessionIds.some(id => typeof id !== 'string')) {
+      throw httpError(400, 'sessionIds must be a non-empty list of session ids.');
+    }
+    const byId = new Map(data.sessions.map(s => [s.id, s]));
+    const missing = sessionIds.filter(id => !byId.has(id));
+    if (missing.length) throw httpError(404, `Sessions not found: ${missing.join(', ')}`);
+    found = [...new Set(sessionIds)].map(id => byId.get(id));
+  } else {
+    if (from === undefined && to === undefined) throw httpError(400, 'Give sessionIds or a from/to time range.');
+    const timeZone = timeZoneOf(data);
+    const [start, end] = [from, to].map(v => (v === undefined ? null : validDay(v) ? dayStart(v, timeZone) : new Date(v)));
+    if ([start, end].some(d => d && isNaN(d))) throw httpError(400, 'from and to must be dates.');
+    found = data.sessions.filter((s) => {
+      const t = new Date(s.timestamp);
+      return (!start || t >= start) && (!end || t < end);
+    });
+  }
+  if (!found.length) throw httpError(404, 'No sessions to print.');
+  if (found.length > MAX_BATCH) throw httpError(400, `At most ${MAX_BATCH} sessions can be printed at once.`);
+  return found
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+    .map(s => ({ ...s, baby_name: babyNameFor(s, data.profiles) }));
+};
+
+// Print `copies` labels for each session and answer the request: straight to a network printer
+// (directTcpPrinter), queued for print agents (CENTRAL_MODE or a printerId), raw through CUPS
+// (PRINT_MODE=tspl|zpl|escpos) or as a PDF through CUPS
+const sendLabels = async (res, sessions, { template, copies, printerId, directTcpPrinter }) => {
+  const labels = sessions.length * copies;
+
+  // Support direct TCP printing to a networked label printer (e.g., port 9100)
+  if (directTcpPrinter && directTcpPrinter.host) {
+    const host = String(directTcpPrinter.host);
+    const port = Number(directTcpPrinter.port || 9100);
+    const language = directTcpPrinter.language || 'tspl';
+    if (!PRINTER_LANGUAGES.includes(language)) {
+      return res.status(400).json({ message: `language must be one of: ${PRINTER_LANGUAGES.join(', ')}.` });
+    }
+    const program = renderRawBatch(language, sessions, template, copies);
+    const sock = net.connect({ host, port });
+    const timeoutMs = Number(process.env.TCP_PRINT_TIMEOUT_MS || 5000);
+    let done = false;
+    const finish = (err) => {
+      if (done) return;
+      done = true;
+      try { sock.destroy(); } catch {}
+      if (err) return res.status(502).json({ message: 'TCP print failed', error: String(err.message || err) });
+      return res.json({ status: 'printed', mode: `${language}-tcp`, host, port, labels });
+    };
+    sock.setTimeout(timeoutMs, () => finish(new Error('timeout')));
+    sock.on('connect', () => {
+      sock.write(program, () => {
+        // some printers close after receiving data; give a short delay
+        setTimeout(() => finish(null), 100);
+      });
+    });
+    sock.on('error', finish);
+    return; // handled
+  }
+
+  // If CENTRAL_MODE is enabled or a target printerId is provided, enqueue for a remote agent: one job
+  // per session, each printing its copies
+  const centralMode = (process.env.CENTRAL_MODE || '0') === '1';
+  if (centralMode || printerId) {
+    const jobs = sessions.map(s => ({
+      id: uuidv4(),
+      printerId: printerId || null,
+      ...queueFields(),
+      session: jobSession(s),
+      template,
+      copies,
+    }));
+    await store.transaction((data) => { data.printJobs.push(...jobs); });
+    agentEvents.wake();
+    return res.json({ status: 'queued', jobId: jobs[0].id, jobIds: jobs.map(j => j.id), printerId: printerId || null, labels });
+  }
+
+  // Raw printing in the printer's own language: PRINT_MODE=tspl (Polono PL420), zpl (Zebra) or
+  // escpos (receipt-style printers)
+  const printMode = (process.env.PRINT_MODE || '').toLowerCase();
+  if (PRINTER_LANGUAGES.includes(printMode)) {
+    const program = renderRawBatch(printMode, sessions, template, copies);
+
+    // Try direct USB printing first (since CUPS seems to have issues)
+    const directPrint = process.env.DIRECT_PRINT === 'true' || process.env.DIRECT_PRINT === '1';
+    if (directPrint) {
+      try {
+        const fs = require('fs');
+        fs.writeFileSync('/dev/usb/lp0', program);
+        return res.json({ status: 'printed', mode: `${printMode}-direct`, labels });
+      } catch (err) {
+        console.error('Direct print failed:', err.message);
+        // Fall back to CUPS
+      }
+    }
+
+    const printer = process.env.PRINTER || process.env.BMT_PRINTER;
+    const args = ['-o', 'raw'];
+    if (printer) args.push('-d', printer);
+    const lp = spawn('lp', args);
+    let stderr = '';
+    lp.stderr.on('data', (d) => (stderr += d.toString()));
+    lp.on('close', (code) => {
+      if (code === 0) return res.json({ status: 'queued', mode: printMode, labels });
+      return res.status(500).json({ message: 'Print failed', stderr });
+    });
+    lp.stdin.write(program);
+    lp.stdin.end();
+    return; // done
+  }
+
+  // Default: PDF via CUPS, one label-sized page per label (e.g. media Custom.189x72)
+  const pdfBuffer = await renderPdf(sessions, template, copies);
+  const media = process.env.LABEL_MEDIA || pdfMedia(template);
+  const printer = process.env.PRINTER || process.env.BMT_PRINTER;
+  const orientation = (process.env.ORIENTATION || process.env.BMT_ORIENTATION || '').toLowerCase();
+  const fit = (process.env.PRINT_FIT || '1') !== '0';
+  const args = ['-o', `media=${media}`];
+  if (fit) args.push('-o', 'fit-to-page');
+  else args.push('-o', 'scaling=100');
+  if (orientation === 'landscape') args.push('-o', 'landscape');
+  if (printer) {
+    args.push('-d', printer);
+  }
+  const lp = spawn('lp', args);
+  let stderr = '';
+  lp.stderr.on('data', (d) => (stderr += d.toString()));
+  lp.on('close', (code) => {
+    if (code === 0) return res.json({ status: 'queued', mode: 'pdf', labels });
+    return res.status(500).json({ message: 'Print failed', stderr });
+  });
+  lp.stdin.write(pdfBuffer);
+  lp.stdin.end();
+};
+
+// Body: { sessionId or session, copies?, printerId?, directTcpPrinter? }
+app.post('/api/print', async (req, res) => {
+  try {
+    const { sessionId, session, printerId, directTcpPrinter, copies } = req.body || {};
+    const data = await readData();
+    let s = session;
+    if (!s && sessionId) {
+      s = data.sessions.find(x => x.id === sessionId);
+    }
+    if (!s) return res.status(400).json({ message: 'No session provided' });
+    s = { ...s, baby_name: babyNameFor(s, data.profiles) };
+    const template = labelTemplate(data);
+    await sendLabels(res, [s], { template, copies: parseCopies(copies), printerId, directTcpPrinter });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error('Print error', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Labels for several sessions at once, e.g. a day's bags after a jam: { sessionIds } or { from, to },
+// plus copies, printerId and directTcpPrinter as for /api/print
+app.post('/api/print/batch', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const copies = parseCopies(body.copies);
+    const data = await readData();
+    const sessions = batchSessions(data, body);
+    const template = labelTemplate(data);
+    await sendLabels(res, sessions, { template, copies, printerId: body.printerId, directTcpPrinter: body.directTcpPrinter });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error('Batch print error', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Sticker sheets for a laser printer, returned as a PDF to print from the browser. Body as for
+// /api/print/batch (without a printer) plus sheet (a SHEET_LAYOUTS id, default Avery 5160) and
+// start (the first free cell on a partly used sheet, counted from 1)
+app.post('/api/print/sheet', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const copies = parseCopies(body.copies);
+    const sheet = SHEET_LAYOUTS.find(l => l.id === (body.sheet || SHEET_LAYOUTS[0].id));
+    if (!sheet) return res.status(400).json({ message: `sheet must be one of: ${SHEET_LAYOUTS.map(l => l.id).join(', ')}.` });
+    const start = body.start === undefined ? 1 : body.start;
+    const cells = sheet.columns * sheet.rows;
+    if (!Number.isInteger(start) || start < 1 || start > cells) {
+      return res.status(400).json({ message: `start must be a cell from 1 to ${cells}.` });
+    }
+    const data = await readData();
+    const sessions = batchSessions(data, body);
+    const pdf = await renderSheet(sessions, labelTemplate(data), sheet, { copies, start });
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `inline; filename="labels-${sheet.id}.pdf"`);
+    res.send(pdf);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error('Sheet print error', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// --- Centralized printing: Agent endpoints ---
+// Print agents (see agents.js). Admins create an agent and hand its one-time token to agent.js.
+app.get('/api/agents', requireAdmin, async (req, res) => {
+  try {
+    const data = await readData();
+    res.json(Object.values(data.agents).map(publicAgent).sort((a, b) => a.printerId.localeCompare(b.printerId)));
+  } catch (error) {
+    console.error('Error getting agents:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Body: { printerId, name? }. Returns the agent and its enrollment token, which is shown only once.
+app.post('/api/agents', requireAdmin, async (req, res) => {
+  try {
+    const result = await store.transaction((data) => {
+      const errors = validateAgent(req.body, data.agents);
+      if (errors.length) throw httpError(400, errors.join(' '));
+      const enrollmentToken = createAgent(data, req.body);
+      return { agent: publicAgent(data.agents[req.body.printerId]), enrollmentToken };
+    });
+    res.status(201).json(result);
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ message: error.message });
+    console.error('Error creating agent:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Revoke an agent: its credential stops working and the jobs it had claimed go back in the queue
+app.delete('/api/agents/:printerId', requireAdmin, async (req, res) => {
+  try {
+    await store.transaction((data) => {
+      const { printerId } = req.params;
+      if (!data.agents[printerId]) throw httpError(404, 'Agent not found');
+      delete data.agents[printerId];
+      data.printJobs.forEach((job) => {
+        if (job.status === 'claimed' && job.claimedBy === printerId) releaseJob(job);
+      });
+    });
+    agentEvents.disconnect(req.params.printerId);
+    agentEvents.wake();
+    res.status(204).send();
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ message: error.message });
+    console.error('Error revoking agent:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Agent trades its enrollment token for a credential: { token } -> { printerId, credential }
+app.post('/api/agents/enroll', async (req, res) => {
+  try {
+    const result = await store.transaction(data => enrollAgent(data, (req.body || {}).token));
+    if (!result) return res.status(401).json({ message: 'Enrollment token is invalid, used or expired.' });
+    console.log(`[agents] Enrolled ${result.printerId}`);
+    res.json(result);
+  } catch (e) {
+    console.error('Enroll failed', e);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Sets req.agent from the agent's Bearer credential; 401 without a valid one
+const requireAgent = async (req, res, next) => {
+  try {
+    req.agent = agentFor(await readData(), req);
+    if (!req.agent) return res.status(401).json({ message: 'Agent credential missing or revoked. Enroll the agent again.' });
+    next();
+  } catch (e) {
+    console.error('Agent check failed', e);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Agent heartbeat to register presence. The printer id comes from the agent's credential.
+app.post('/api/agents/heartbeat', requireAgent, async (req, res) => {
+  try {
+    const { agentVersion, capabilities } = req.body || {};
+    const { printerId } = req.agent;
+    await store.transaction((data) => {
+      const agent = data.agents[printerId];
+      if (!agent) return;
+      agent.lastSeen = new Date().toISOString();
+      agent.agentVersion = agentVersion || null;
+      agent.capabilities = capabilities || null;
+    });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error('Heartbeat failed', e);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Agent's push channel: a Server-Sent Events stream that says when a job is waiting (see agent-events.js).
+// Agents still claim jobs with next-job; without a stream they poll it.
+app.get('/api/agents/events', requireAgent, (req, res) => {
+  agentEvents.openStream(req, res, req.agent.printerId);
+});
+
+// Agent pulls the next due job (FIFO): jobs targeted at its printer first, then unassigned jobs.
+// The claim is a lease of LEASE_MS (see print-queue.js); the agent must report back before it runs out.
+app.post('/api/agents/next-job', requireAgent, async (req, res) => {
+  try {
+    // Claiming happens inside one transaction so two agents cannot take the same job
+    const job = await store.transaction(data => claimNextJob(data.printJobs, req.agent.printerId));
+    res.json({ job, leaseMs: LEASE_MS });
+  } catch (e) {
+    console.error('Next-job failed', e);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Agent reports on a job it holds: { success, error? }. A failure is retried with backoff until the
+// job runs out of attempts. 409 when the lease already expired, or someone cancelled or reassigned the job.
+app.post('/api/print/:jobId/complete', requireAgent, async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const job = await store.transaction((data) => {
+      const found = data.printJobs.find(j => j.id === jobId);
+      if (!found) throw httpError(404, 'Job not found');
+      if (found.status !== 'claimed' || found.claimedBy !== req.agent.printerId) {
+        throw httpError(409, 'This agent no longer holds the job (its lease expired, or it was cancelled or reassigned).');
+      }
+      completeJob(found, req.body || {});
+      return found;
+    });
+    // A failed attempt is announced again once its backoff is over
+    if (job.status === 'queued') agentEvents.wake();
+    res.json({ ok: true, status: job.status });
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ message: e.message });
+    console.error('Complete failed', e);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// --- Print queue and printer fleet (any signed-in user; enrolling and revoking agents is admin-only) ---
+// Enrolled agents with online state, version and capabilities, e.g. for the "Printer" dropdown
+app.get('/api/printers', async (req, res) => {
+  try {
+    const data = await readData();
+    const printers = Object.values(data.agents)
+      .filter(a => a.credential_hash)
+      .map(publicAgent)
+      .sort((a, b) => a.printerId.localeCompare(b.printerId));
+    res.json(printers);
+  } catch (error) {
+    console.error('Error getting printers:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Print jobs, newest first. Optional ?status=queued|claimed|done|failed|cancelled
+app.get('/api/print/jobs', async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `status must be one of: ${JOB_STATUSES.join(', ')}.` });
+    }
+    const data = await readData();
+    const jobs = data.printJobs
+      .filter(j => !status || j.status === status)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    res.json(jobs);
+  } catch (error) {
+    console.error('Error getting print jobs:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+const findJob = (data, id) => {
+  const job = data.printJobs.find(j => j.id === id);
+  if (!job) throw httpError(404, 'Job not found');
+  return job;
+};
+
+// A printerId from a request body: null for "any printer", otherwise an enrolled agent
+const targetPrinter = (data, printerId) => {
+  if (printerId == null || printerId === '') return null;
+  const agent = data.agents[printerId];
+  if (!agent || !agent.credential_hash) throw httpError(400, `No enrolled agent has printerId ${printerId}.`);
+  return printerId;
+};
+
+// Cancel a queued or claimed job
+app.post('/api/print/jobs/:id/cancel', async (req, res) => {
+  try {
+    const job = await store.transaction((data) => {
+      const found = findJob(data, req.params.id);
+      if (!['queued', 'claimed'].includes(found.status)) throw httpError(409, `A ${found.status} job cannot be cancelled.`);
+      cancelJob(found);
+      return found;
+    });
+    res.json(job);
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ message: error.message });
+    console.error('Error cancelling print job:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Queue a new copy of any job: { printerId? } (defaults to the original printer). The label uses the
+// session as it is now (or the job's copy if the session was deleted) and the selected label template.
+app.post('/api/print/jobs/:id/reprint', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const job = await store.transaction((data) => {
+      const original = findJob(data, req.params.id);
+      const printerId = body.printerId !== undefined ? targetPrinter(data, body.printerId) : original.printerId;
+      const s = data.sessions.find(x => x.id === original.session.id);
+      const copy = {
+        id: uuidv4(),
+        printerId,
+        ...queueFields(),
+        reprintOf: original.id,
+        session: s ? jobSession({ ...s, baby_name: babyNameFor(s, data.profiles) }) : original.session,
+        template: labelTemplate(data),
+        copies: original.copies || 1,
+      };
+      data.printJobs.push(copy);
+      return copy;
+    });
+    agentEvents.wake();
+    res.status(201).json(job);
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ message: error.message });
+    console.error('Error reprinting job:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Send a queued, claimed or failed job to another printer: { printerId } (null for any printer).
+// A claimed job goes back in the queue; a failed one is retried with fresh attempts.
+app.post('/api/print/jobs/:id/reassign', async (req, res) => {
+  try {
+    const job = await store.transaction((data) => {
+      const found = findJob(data, req.params.id);
+      if (!['queued', 'claimed', 'failed'].includes(found.status)) {
+        throw httpError(409, `A ${found.status} job cannot be reassigned; reprint it instead.`);
+      }
+      reassignJob(found, targetPrinter(data, (req.body || {}).printerId));
+      return found;
+    });
+    agentEvents.wake();
+    res.json(job);
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ message: error.message });
+    console.error('Error reassigning print job:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Update a session: amount_oz or amount_ml, notes, profile_id/baby_id and the structured fields (side, split,
+// duration, pump, times)
+app.patch('/api/sessions/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { amount_ml, notes } = req.body;
+
+    const updated = await store.transaction((data) => {
+      const current = data.sessions.find(s => s.id === id);
+      if (!current) throw httpError(404, 'Session not found');
+      if (amount_ml !== undefined && (typeof amount_ml !== 'number' || !isFinite(amount_ml) || amount_ml <= 0)) {
+        throw httpError(400, 'Invalid amount_ml.');
+      }
+      const amount_oz = amount_ml !== undefined ? mlToOz(amount_ml) : req.body.amount_oz;
+      if (amount_oz !== undefined && (typeof amount_oz !== 'number' || amount_oz <= 0)) {
+        throw httpError(400, 'Invalid amount_oz.');
+      }
+      const { errors, fields } = validateSessionFields(req.body, {
+        ...current,
+        amount_oz: amount_oz !== undefined ? amount_oz : current.amount_oz,
+      });
+      if (errors.length) throw httpError(400, errors.join(' '));
+      const profileErrors = validateSessionProfiles(req.body, data.profiles, current);
+      if (profileErrors.length) throw httpError(400, profileErrors.join(' '));
+      Object.assign(current, fields);
+      ['profile_id', 'baby_id'].forEach((key) => {
+        if (req.body[key] !== undefined) current[key] = req.body[key];
+      });
+      // A corrected pump start re-dates the milk, as on create, along with the entry it was stored with
+      if (fields.started_at && fields.started_at !== current.timestamp) {
+        const first = current.history && current.history[0];
+        if (first && first.at === current.timestamp) first.at = fields.started_at;
+        current.timestamp = fields.started_at;
+        applyUseBy(current, data);
+      }
+
+      if (amount_oz !== undefined) {
+        // Keep whatever has already been fed out of the bag
+        const used = current.amount_oz - current.remaining_oz;
+        current.amount_oz = amount_oz;
+        // An amount in ounces replaces one entered in millilitres
+        if (amount_ml !== undefined) current.amount_ml = amount_ml;
+        else delete current.amount_ml;
+        if (IN_STOCK_STATES.includes(current.state)) {
+          current.remaining_oz = roundOz(Math.max(0, amount_oz - used));
+        }
+      }
+      if (notes !== undefined) {
+        current.notes = notes;
+      }
+      return current;
+    });
+    return res.json(updated);
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ message: error.message });
+    console.error('Error updating session:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Move a bag to another storage state, e.g. { state: 'frozen' }. Optional `at` backdates the move.
+app.post('/api/sessions/:id/state', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { state, at } = req.body || {};
+
+    if (!STORAGE_STATES.includes(state)) {
+      return res.status(400).json({ message: `Invalid state. Expected one of: ${STORAGE_STATES.join(', ')}` });
+    }
+    const when = at ? new Date(at) : new Date();
+    if (isNaN(when.getTime())) {
+      return res.status(400).json({ message: 'Invalid at timestamp.' });
+    }
+
+    const moved = await store.transaction((data) => {
+      const session = data.sessions.find(s => s.id === id);
+      if (!session) throw httpError(404, 'Session not found');
+      const allowed = STATE_TRANSITIONS[session.state] || [];
+      if (!allowed.includes(state)) throw httpError(409, `Cannot move from ${session.state} to ${state}`);
+
+      session.state = state;
+      session.history.push({ state, at: when.toISOString() });
+      if (!IN_STOCK_STATES.includes(state)) session.remaining_oz = 0;
+      applyUseBy(session, data);
+      return session;
+    });
+    return res.json(moved);
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ message: error.message });
+    console.error('Error changing session state:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Pumping statistics for a date range: ?from=YYYY-MM-DD&to=YYYY-MM-DD, or ?days=N ending today (default 30)
+app.get('/api/stats', async (req, res) => {
+  try {
+    const data = await readData();
+    const timeZone = timeZoneOf(data);
+    const { start, end, error } = parseRange(req.query, timeZone);
+    if (error) return res.status(400).json({ message: error });
+
+    res.json(computeStats(sessionsFor(data, req.query.profile_id), start, end, timeZone));
+  } catch (error) {
+    console.error('Error computing stats:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Letter-size PDF summary for clinic visits. Same range and ?profile_id= parameters as /api/stats.
+app.get('/api/report.pdf', async (req, res) => {
+  try {
+    const data = await readData();
+    const settings = normalizeLocaleSettings(data.settings.locale);
+    const { start, end, error } = parseRange(req.query, settings.time_zone);
+    if (error) return res.status(400).json({ message: error });
+
+    const profile = data.profiles.find(p => p.id === req.query.profile_id);
+    const babies = profile ? babiesOf(data.profiles, profile.id).map(b => b.name) : [];
+    const doc = new PDFDocument({ size: 'LETTER', margin: REPORT_MARGIN, bufferPages: true });
+    renderReport(doc, {
+      sessions: sessionsFor(data, req.query.profile_id),
+      feeds: feedsFor(data, req.query.profile_id),
+      from: start,
+      to: end,
+      subtitle: profile ? [profile.name, ...babies].join(' / ') : '',
+      settings,
+      units: normalizeUnitSettings(data.settings.units),
+    });
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="milk-report-${dayKey(start, settings.time_zone)}-to-${dayKey(end, settings.time_zone)}.pdf"`);
+    doc.pipe(res);
+    doc.end();
+  } catch (error) {
+    console.error('Error building report:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// --- Feeding log ---
+// Feeds, newest first, plus today's intake against today's pumping. ?profile_id= (a parent or a baby)
+// limits both to that family member.
+app.get('/api/feeds', async (req, res) => {
+  try {
+    const data = await readData();
+    const allFeeds = feedsFor(data, req.query.profile_id);
+    const feeds = [...allFeeds].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    const since = startOfToday(timeZoneOf(data));
+    const todayFeeds = allFeeds.filter(f => new Date(f.timestamp) >= since);
+    const today = {
+      offered_oz: roundOz(todayFeeds.reduce((sum, f) => sum + f.offered_oz, 0)),
+      consumed_oz: roundOz(todayFeeds.reduce((sum, f) => sum + f.consumed_oz, 0)),
+      pumped_oz: roundOz(sessionsFor(data, req.query.profile_id).filter(s => new Date(s.timestamp) >= since).reduce((sum, s) => sum + s.amount_oz, 0)),
+    };
+    res.json({ feeds, today });
+  } catch (error) {
+    console.error('Error getting feeds:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Record a feed. The offered volume is taken out of the linked bags; an emptied bag is marked consumed.
+// Body: { offered_oz, consumed_oz?, sources?: [{ session_id, amount_oz? }], baby_id?, fed_by?, notes?, timestamp? }
+// baby_id is required once baby profiles exist.
+app.post('/api/feeds', async (req, res) => {
+  try {
+    const errors = validateFeed(req.body);
+    if (errors.length) return res.status(400).json({ message: errors.join(' ') });
+    const { offered_oz, consumed_oz, sources = [], baby_id, fed_by, notes, timestamp } = req.body;
+
+    const result = await store.transaction((data) => {
+      const babies = data.profiles.filter(p => p.kind === 'baby');
+      if (baby_id !== undefined && baby_id !== null && !babies.some(b => b.id === baby_id)) {
+        throw httpError(400, 'baby_id must reference a baby profile.');
+      }
+      if (babies.length && !baby_id) throw httpError(400, 'baby_id is required.');
+      const allocations = allocateSources(data.sessions, sources, offered_oz);
+
+      const feed = {
+        id: uuidv4(),
+        timestamp: (timestamp ? new Date(timestamp) : new Date()).toISOString(),
+        offered_oz,
+        consumed_oz: consumed_oz !== undefined ? consumed_oz : offered_oz,
+        sources: allocations.map(a => ({ session_id: a.session.id, amount_oz: roundOz(a.amount_oz) })),
+        baby_id: baby_id || null,
+        fed_by: fed_by || null,
+        notes: notes || '',
+      };
+      allocations.forEach(({ session, amount_oz }) => {
+        session.remaining_oz = roundOz(Math.max(0, session.remaining_oz - amount_oz));
+        if (session.remaining_oz === 0) {
+          session.state = 'consumed';
+          session.history.push({ state: 'consumed', at: feed.timestamp, feed_id: feed.id });
+          applyUseBy(session, data);
+        }
+      });
+      data.feeds.push(feed);
+      return { feed, sessions: allocations.map(a => a.session) };
+    });
+    res.locals.recordId = result.feed.id;
+    res.status(201).json(result);
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ message: error.message });
+    console.error('Error saving feed:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Delete a feed and put its milk back into the bags it came from
+app.delete('/api/feeds/:id', requireAdmin, async (req, res) => {
+  try {
+    await store.transaction((data) => {
+      const feed = data.feeds.find(f => f.id === req.params.id);
+      if (!feed) throw httpError(404, 'Feed not found');
+      feed.sources.forEach((src) => {
+        const session = data.sessions.find(s => s.id === src.session_id);
+        if (!session) return;
+        const last = session.history[session.history.length - 1];
+        if (last && last.feed_id === feed.id) {
+          // This feed emptied the bag; undo the automatic "consumed" move
+          session.history.pop();
+          session.state = session.history[session.history.length - 1].state;
+        }
+        if (IN_STOCK_STATES.includes(session.state)) {
+          session.remaining_oz = roundOz(Math.min(session.amount_oz, session.remaining_oz + src.amount_oz));
+          applyUseBy(session, data);
+        }
+      });
+      data.feeds = data.feeds.filter(f => f.id !== feed.id);
+    });
+    res.status(204).send();
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ message: error.message });
+    console.error('Error deleting feed:', error);
+    res.status(500).send('Server error');
+  }
+});
 
-// Middleware
-app.use(express.json());
+// --- Sign-in and user accounts ---
+// Who is signed in, and the names to pick from on the lock screen. setupRequired: no accounts yet.
+app.get('/api/auth/me', async (req, res) => {
+  try {
+    const data = await readData();
+    const user = userFor(data, req);
+    res.json({
+      setupRequired: data.users.length === 0,
+      user: user ? publicUser(user) : null,
+      users: data.users.map(u => ({ id: u.id, name: u.name })),
+      // The lock screen needs the household language and date settings before anyone signs in
+      locale: normalizeLocaleSettings(data.settings.locale),
+      units: normalizeUnitSettings(data.settings.units),
+    });
+  } catch (error) {
+    console.error('Error getting sign-in:', error);
+    res.status(500).send('Server error');
+  }
+});
 
-// Helper functions to read/write data
-const readData = async () => {
+// Create the first account (always an admin) and sign it in: { name, pin }
+app.post('/api/auth/setup', async (req, res) => {
   try {
-    const data = await fs.readFile(DATA_FILE, 'utf8');
-    const parsed = JSON.parse(data);
-    // Backward-compatible defaults
-    if (!parsed.sessions) parsed.sessions = [];
-    if (!parsed.printJobs) parsed.printJobs = [];
-    if (!parsed.agents) parsed.agents = {};
-    return parsed;
+    const { user, token } = await store.transaction((data) => {
+      if (data.users.length) throw httpError(409, 'Accounts are already set up.');
+      const body = { ...req.body, role: 'admin' };
+      const errors = validateUser(body, data.users);
+      if (errors.length) throw httpError(400, errors.join(' '));
+      const created = setPin({ id: uuidv4(), name: body.name.trim(), role: 'admin', createdAt: new Date().toISOString() }, body.pin);
+      data.users.push(created);
+      recordAudit(data, created, 'setup', 201);
+      return { user: publicUser(created), token: createSession(data, created) };
+    });
+    res.setHeader('Set-Cookie', sessionCookie(token));
+    res.status(201).json({ user, token });
   } catch (error) {
-    if (error.code === 'ENOENT') {
-      // If file doesn't exist, initialize with empty sessions
-      return { sessions: [], printJobs: [], agents: {} };
+    if (error.status) return res.status(error.status).json({ message: error.message });
+    console.error('Error setting up accounts:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// { user_id, pin }. Repeated wrong PINs from one address, or for one account, pause sign-in there for a
+// minute, then longer (see auth.js).
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { user_id, pin } = req.body || {};
+    const accountKey = `user:${user_id}`;
+    const wait = Math.max(lockedOut(req.ip), lockedOut(accountKey));
+    if (wait) {
+      return res.status(429).json({ message: `Too many wrong PINs. Try again in ${Math.ceil(wait / 60000)} min.` });
     }
-    throw error;
+    const result = await store.transaction((data) => {
+      const user = data.users.find(u => u.id === user_id);
+      if (!user || !checkPin(user, String(pin || ''))) {
+        recordAudit(data, user || null, 'login', 401);
+        return { user: null, known: !!user };
+      }
+      recordAudit(data, user, 'login', 200);
+      return { user: publicUser(user), token: createSession(data, user) };
+    });
+    if (!result.user) {
+      noteFailure(req.ip);
+      // Only real accounts are counted, so made-up ids cannot fill the table
+      if (result.known) noteFailure(accountKey);
+      return res.status(401).json({ message: 'Wrong PIN.' });
+    }
+    clearFailures(req.ip);
+    clearFailures(accountKey);
+    res.setHeader('Set-Cookie', sessionCookie(result.token));
+    res.json(result);
+  } catch (error) {
+    console.error('Error signing in:', error);
+    res.status(500).send('Server error');
   }
-};
+});
 
-const writeData = async (data) => {
-  // Ensure data dir exists
-  try { await fs.mkdir(DATA_DIR, { recursive: true }); } catch {}
-  await fs.writeFile(DATA_FILE, JSON.stringify(data, null, 2), 'utf8');
-};
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    await store.transaction((data) => {
+      const user = userFor(data, req);
+      if (user) recordAudit(data, user, 'logout', 204);
+      endSession(data, req);
+    });
+    res.setHeader('Set-Cookie', clearedCookie());
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error signing out:', error);
+    res.status(500).send('Server error');
+  }
+});
 
-// API Endpoints
-app.get('/api/sessions', async (req, res) => {
+app.get('/api/users', requireAdmin, async (req, res) => {
   try {
     const data = await readData();
-    const totalAmount = data.sessions.reduce((sum, session) => sum + session.amount_oz, 0);
-    const sortedSessions = [...data.sessions].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-    res.json({ sessions: sortedSessions, total: totalAmount });
+    res.json(data.users.map(publicUser));
   } catch (error) {
-    console.error('Error getting sessions:', error);
+    console.error('Error getting users:', error);
     res.status(500).send('Server error');
   }
 });
 
-app.post('/api/sessions', async (req, res) => {
+// Body: { name, role: 'caregiver' | 'admin', pin }
+app.post('/api/users', requireAdmin, async (req, res) => {
   try {
-    const { amount, notes } = req.body;
+    const user = await store.transaction((data) => {
+      const errors = validateUser(req.body, data.users);
+      if (errors.length) throw httpError(400, errors.join(' '));
+      const { name, role, pin } = req.body;
+      const created = setPin({ id: uuidv4(), name: name.trim(), role, createdAt: new Date().toISOString() }, pin);
+      data.users.push(created);
+      return publicUser(created);
+    });
+    res.locals.recordId = user.id;
+    res.status(201).json(user);
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ message: error.message });
+    console.error('Error saving user:', error);
+    res.status(500).send('Server error');
+  }
+});
 
-    if (typeof amount !== 'number' || amount <= 0) {
-      return res.status(400).json({ message: 'Invalid amount.' });
-    }
+const otherAdmins = (data, id) => data.users.some(u => u.id !== id && u.role === 'admin');
 
-    const timestamp = new Date();
-    const use_by_fridge = new Date(timestamp.getTime() + 4 * 24 * 60 * 60 * 1000);
-    const use_by_frozen = new Date(timestamp);
-    use_by_frozen.setMonth(use_by_frozen.getMonth() + 6);
+// Rename, change role or set a new PIN: { name?, role?, pin? }. A new PIN signs the user out elsewhere.
+app.patch('/api/users/:id', requireAdmin, async (req, res) => {
+  try {
+    const user = await store.transaction((data) => {
+      const current = data.users.find(u => u.id === req.params.id);
+      if (!current) throw httpError(404, 'User not found');
+      const errors = validateUser(req.body, data.users, current);
+      if (errors.length) throw httpError(400, errors.join(' '));
+      const { name, role, pin } = req.body;
+      if (role && role !== 'admin' && current.role === 'admin' && !otherAdmins(data, current.id)) {
+        throw httpError(409, 'There must be at least one admin.');
+      }
+      if (name !== undefined) current.name = name.trim();
+      if (role !== undefined) current.role = role;
+      if (pin !== undefined) {
+        setPin(current, pin);
+        if (!req.user || req.user.id !== current.id) endUserSessions(data, current.id);
+      }
+      return publicUser(current);
+    });
+    res.json(user);
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ message: error.message });
+    console.error('Error updating user:', error);
+    res.status(500).send('Server error');
+  }
+});
 
-    const newSession = {
-      id: uuidv4(),
-      timestamp: timestamp.toISOString(),
-      amount_oz: amount,
-      notes,
-      use_by_fridge: use_by_fridge.toISOString(),
-      use_by_frozen: use_by_frozen.toISOString(),
-    };
+app.delete('/api/users/:id', requireAdmin, async (req, res) => {
+  try {
+    await store.transaction((data) => {
+      const current = data.users.find(u => u.id === req.params.id);
+      if (!current) throw httpError(404, 'User not found');
+      if (current.role === 'admin' && !otherAdmins(data, current.id)) {
+        throw httpError(409, 'There must be at least one admin.');
+      }
+      data.users = data.users.filter(u => u.id !== current.id);
+      endUserSessions(data, current.id);
+    });
+    res.status(204).send();
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ message: error.message });
+    console.error('Error deleting user:', error);
+    res.status(500).send('Server error');
+  }
+});
 
+// Who changed what, newest first. ?limit=N (default 200)
+app.get('/api/audit', requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 200, 1), 5000);
     const data = await readData();
-    data.sessions.push(newSession);
-    await writeData(data);
-
-    res.status(201).json(newSession);
+    res.json(data.audit.slice(-limit).reverse());
   } catch (error) {
-    console.error('Error saving session:', error);
+    console.error('Error getting audit log:', error);
     res.status(500).send('Server error');
   }
 });
 
-// Print a label on the server (Raspberry Pi) without browser dialog
-// Expects body: { sessionId } or full session payload
-app.post('/api/print', async (req, res) => {
+// --- Profiles: pumping parents and the babies they feed ---
+app.get('/api/profiles', async (req, res) => {
   try {
-  const { sessionId, session, printerId, directTcpPrinter } = req.body || {};
-    let s = session;
-    if (!s && sessionId) {
-      const data = await readData();
-      s = data.sessions.find(x => x.id === sessionId);
-    }
-    if (!s) return res.status(400).json({ message: 'No session provided' });
-
-    const dt = new Date(s.timestamp);
-    const oz = Number(s.amount_oz || 0);
-    const ml = (oz * 29.5735).toFixed(0);
-
-    // Support direct TCP TSPL printing to a networked label printer (e.g., port 9100)
-    if (directTcpPrinter && directTcpPrinter.host) {
-      const host = String(directTcpPrinter.host);
-      const port = Number(directTcpPrinter.port || 9100);
-      // Build TSPL program (same as tspl mode)
-      const wIn = 2.625;
-      const hIn = 1.0;
-      const pad = 30;
-      const y1 = 20, y2 = 50, y3 = 95, y4 = 125;
-      const tsplLines = [
-        `SIZE ${wIn.toFixed(3)},${hIn.toFixed(3)}`,
-        'GAP 0.12,0',
-        'DIRECTION 1',
-        'REFERENCE 0,0',
-        'OFFSET 0.0',
-        'SET TEAR ON',
-        'CLS',
-        `TEXT ${pad},${y1},"0",0,1,1,"${dt.toLocaleDateString('en-US', {timeZone: 'America/New_York'})} ${dt.toLocaleTimeString('en-US', {timeZone: 'America/New_York'})}"`,
-        `TEXT ${pad},${y2},"0",0,1,2,"${oz.toFixed(2)} oz (${ml} ml)"`,
-        s.notes ? `TEXT ${pad},${y3},"0",0,1,1,"${String(s.notes).replace(/"/g,'\\"').slice(0, 28)}"` : '',
-        `TEXT ${pad},${y4},"0",0,1,1,"Fridge: ${new Date(s.use_by_fridge).toLocaleDateString('en-US', {timeZone: 'America/New_York'})}  Freezer: ${new Date(s.use_by_frozen).toLocaleDateString('en-US', {timeZone: 'America/New_York'})}"`,
-        'PRINT 1,1',
-        'FORMFEED'
-      ].filter(Boolean);
-      const program = tsplLines.join('\n') + '\n';
-      const sock = net.connect({ host, port });
-      const timeoutMs = Number(process.env.TCP_PRINT_TIMEOUT_MS || 5000);
-      let done = false;
-      const finish = (err) => {
-        if (done) return;
-        done = true;
-        try { sock.destroy(); } catch {}
-        if (err) return res.status(502).json({ message: 'TCP print failed', error: String(err.message || err) });
-        return res.json({ status: 'printed', mode: 'tspl-tcp', host, port });
-      };
-      sock.setTimeout(timeoutMs, () => finish(new Error('timeout')));
-      sock.on('connect', () => {
-        sock.write(program, 'utf8', () => {
-          // some printers close after receiving data; give a short delay
-          setTimeout(() => finish(null), 100);
-        });
-      });
-      sock.on('error', finish);
-      return; // handled
-    }
+    const data = await readData();
+    res.json(data.profiles);
+  } catch (error) {
+    console.error('Error getting profiles:', error);
+    res.status(500).send('Server error');
+  }
+});
 
-    // If CENTRAL_MODE is enabled or a target printerId is provided, enqueue for a remote agent
-    const centralMode = (process.env.CENTRAL_MODE || '0') === '1';
-    if (centralMode || printerId) {
-      const store = await readData();
-      const job = {
+// Body: { kind: 'parent' | 'baby', name, parent_id? }. Babies belong to a parent.
+app.post('/api/profiles', requireAdmin, async (req, res) => {
+  try {
+    const profile = await store.transaction((data) => {
+      const errors = validateProfile(req.body, data.profiles);
+      if (errors.length) throw httpError(400, errors.join(' '));
+      const { kind, name, parent_id } = req.body;
+      const created = {
         id: uuidv4(),
-        printerId: printerId || null,
-        status: 'queued',
+        kind,
+        name: name.trim(),
+        parent_id: kind === 'baby' ? parent_id : null,
         createdAt: new Date().toISOString(),
-        session: {
-          id: s.id,
-          timestamp: s.timestamp,
-          amount_oz: Number(s.amount_oz || 0),
-          notes: s.notes || '',
-          use_by_fridge: s.use_by_fridge,
-          use_by_frozen: s.use_by_frozen,
-        },
       };
-      store.printJobs.push(job);
-      await writeData(store);
-      return res.json({ status: 'queued', jobId: job.id, printerId: job.printerId });
-    }
-
-    // Support TSPL raw printing for label printers like Polono PL420
-    const printMode = (process.env.PRINT_MODE || '').toLowerCase();
-    if (printMode === 'tspl') {
-      // Dimensions in inches for TSPL SIZE command
-      const wIn = 2.625;
-      const hIn = 1.0;
-      // Build a simple TSPL program. Coordinates are in dots (at printer dpi). Assume 203dpi common default.
-      const dpi = 203;
-      const pad = 30; // More left padding
-      const y1 = 20, y2 = 50, y3 = 95, y4 = 125; // Increased spacing after volume (y3 moved from 85 to 95)
-      const tsplLines = [
-        `SIZE ${wIn.toFixed(3)},${hIn.toFixed(3)}`,
-        'GAP 0.12,0', // Gap between labels (0.12 inches)
-        'DIRECTION 1',
-        'REFERENCE 0,0',
-        'OFFSET 0.0', // Start printing from beginning of label
-        'SET TEAR ON', // Enable tear-off mode
-        'CLS',
-        // Date/time - Force Eastern timezone display
-        `TEXT ${pad},${y1},"0",0,1,1,"${dt.toLocaleDateString('en-US', {timeZone: 'America/New_York'})} ${dt.toLocaleTimeString('en-US', {timeZone: 'America/New_York'})}"`,
-        // Amount big - using smaller font to leave more room
-        `TEXT ${pad},${y2},"0",0,1,2,"${oz.toFixed(2)} oz (${ml} ml)"`,
-        // Notes (truncated) - positioned lower to avoid overlap
-  s.notes ? `TEXT ${pad},${y3},"0",0,1,1,"${String(s.notes).replace(/"/g,'\\"').slice(0, 28)}"` : '',
-        // Use-by - positioned at bottom
-        `TEXT ${pad},${y4},"0",0,1,1,"Fridge: ${new Date(s.use_by_fridge).toLocaleDateString('en-US', {timeZone: 'America/New_York'})}  Freezer: ${new Date(s.use_by_frozen).toLocaleDateString('en-US', {timeZone: 'America/New_York'})}"`,
-        'PRINT 1,1',
-        'FORMFEED' // Advance label to tear-off position
-      ].filter(Boolean);
-      const program = tsplLines.join('\n') + '\n';
-
-      // Try direct USB printing first (since CUPS seems to have issues)
-      const directPrint = process.env.DIRECT_PRINT === 'true' || process.env.DIRECT_PRINT === '1';
-      if (directPrint) {
-        try {
-          const fs = require('fs');
-          fs.writeFileSync('/dev/usb/lp0', program);
-          return res.json({ status: 'printed', mode: 'tspl-direct' });
-        } catch (err) {
-          console.error('Direct print failed:', err.message);
-          // Fall back to CUPS
-        }
+      // Sessions logged before profiles existed belong to the first parent
+      if (kind === 'parent' && !data.profiles.some(p => p.kind === 'parent')) {
+        data.sessions.forEach((session) => {
+          if (!session.profile_id) session.profile_id = created.id;
+        });
       }
+      data.profiles.push(created);
+      return created;
+    });
+    res.locals.recordId = profile.id;
+    res.status(201).json(profile);
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ message: error.message });
+    console.error('Error saving profile:', error);
+    res.status(500).send('Server error');
+  }
+});
 
-      const printer = process.env.PRINTER || process.env.BMT_PRINTER;
-      const args = ['-o', 'raw'];
-      if (printer) args.push('-d', printer);
-      const lp = spawn('lp', args);
-      let stderr = '';
-      lp.stderr.on('data', (d) => (stderr += d.toString()));
-      lp.on('close', (code) => {
-        if (code === 0) return res.json({ status: 'queued', mode: 'tspl' });
-        return res.status(500).json({ message: 'Print failed', stderr });
-      });
-      lp.stdin.write(program, 'utf8');
-      lp.stdin.end();
-      return; // done
-    }
+// Rename a profile or move a baby to another parent: { name?, parent_id? }
+app.patch('/api/profiles/:id', requireAdmin, async (req, res) => {
+  try {
+    const updated = await store.transaction((data) => {
+      const profile = data.profiles.find(p => p.id === req.params.id);
+      if (!profile) throw httpError(404, 'Profile not found');
+      const errors = validateProfile(req.body, data.profiles, profile);
+      if (errors.length) throw httpError(400, errors.join(' '));
+      if (req.body.name !== undefined) profile.name = req.body.name.trim();
+      if (profile.kind === 'baby' && req.body.parent_id !== undefined) profile.parent_id = req.body.parent_id;
+      return profile;
+    });
+    res.json(updated);
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ message: error.message });
+    console.error('Error updating profile:', error);
+    res.status(500).send('Server error');
+  }
+});
 
-    // Default: PDF via CUPS (media Custom.189x72)
-    const width = Math.round(2.625 * 72);
-    const height = Math.round(1 * 72);
-    const doc = new PDFDocument({ size: [width, height], margin: 6 });
-    const chunks = [];
-    doc.on('data', (c) => chunks.push(c));
-
-    // Layout
-    doc.fontSize(9);
-    doc.text(`${dt.toLocaleDateString()} ${dt.toLocaleTimeString()}`, { align: 'left' });
-    doc.moveDown(0.2);
-    doc.fontSize(16).font('Helvetica-Bold');
-    doc.text(`${oz.toFixed(2)} oz`, { continued: true });
-    doc.font('Helvetica').fontSize(10).text(`  (${ml} ml)`);
-    if (s.notes) {
-      doc.moveDown(0.1);
-      doc.fontSize(8).fillColor('#444');
-      const n = String(s.notes).slice(0, 60);
-      doc.text(n);
-      doc.fillColor('#000');
-    }
-    doc.moveDown(0.1);
-    doc.fontSize(8);
-    doc.text(`Fridge: ${new Date(s.use_by_fridge).toLocaleDateString()}   Freeze: ${new Date(s.use_by_frozen).toLocaleDateString()}`);
-    doc.end();
+// Profiles still referenced by babies, sessions or feeds cannot be deleted
+app.delete('/api/profiles/:id', requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    await store.transaction((data) => {
+      const profile = data.profiles.find(p => p.id === id);
+      if (!profile) throw httpError(404, 'Profile not found');
+      const inUse = babiesOf(data.profiles, id).length
+        || data.sessions.some(s => s.profile_id === id || s.baby_id === id)
+        || data.feeds.some(f => f.baby_id === id);
+      if (inUse) throw httpError(409, `${profile.name} still has babies, sessions or feeds.`);
+      data.profiles = data.profiles.filter(p => p.id !== id);
+    });
+    res.status(204).send();
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ message: error.message });
+    console.error('Error deleting profile:', error);
+    res.status(500).send('Server error');
+  }
+});
 
-    doc.on('end', () => {
-      const pdfBuffer = Buffer.concat(chunks);
-      const media = process.env.LABEL_MEDIA || 'Custom.189x72';
-      const printer = process.env.PRINTER || process.env.BMT_PRINTER;
-      const orientation = (process.env.ORIENTATION || process.env.BMT_ORIENTATION || '').toLowerCase();
-      const fit = (process.env.PRINT_FIT || '1') !== '0';
-      const args = ['-o', `media=${media}`];
-      if (fit) args.push('-o', 'fit-to-page');
-      else args.push('-o', 'scaling=100');
-      if (orientation === 'landscape') args.push('-o', 'landscape');
-      if (printer) {
-        args.push('-d', printer);
-      }
-      const lp = spawn('lp', args);
-      let stderr = '';
-      lp.stderr.on('data', (d) => (stderr += d.toString()));
-      lp.on('close', (code) => {
-        if (code === 0) return res.json({ status: 'queued', mode: 'pdf' });
-        return res.status(500).json({ message: 'Print failed', stderr });
+// --- Export / import ---
+const sendDownload = (res, filename, type, body) => {
+  res.setHeader('Content-Type', type);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(body);
+};
+const exportStamp = () => new Date().toISOString().slice(0, 10);
+
+app.get('/api/export/sessions.csv', async (req, res) => {
+  try {
+    const data = await readData();
+    sendDownload(res, `sessions-${exportStamp()}.csv`, 'text/csv; charset=utf-8', sessionsCsv(data, normalizeUnitSettings(data.settings.units)));
+  } catch (error) {
+    console.error('Error exporting sessions:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+app.get('/api/export/feeds.csv', async (req, res) => {
+  try {
+    const data = await readData();
+    sendDownload(res, `feeds-${exportStamp()}.csv`, 'text/csv; charset=utf-8', feedsCsv(data, normalizeUnitSettings(data.settings.units)));
+  } catch (error) {
+    console.error('Error exporting feeds:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Full dump of profiles, sessions, feeds and settings for moving to another device
+app.get('/api/export/json', async (req, res) => {
+  try {
+    const data = await readData();
+    sendDownload(res, `milk-tracker-${exportStamp()}.json`, 'application/json; charset=utf-8', JSON.stringify(jsonDump(data), null, 2));
+  } catch (error) {
+    console.error('Error exporting data:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Import a JSON export. Records are matched by id: identical ones are skipped as duplicates and
+// differing ones are reported as conflicts (overwritten only with ?replace=1). Invalid records are
+// reported and skipped. ?dry_run=1 returns the report without saving. Settings are not imported.
+app.post('/api/import', requireAdmin, async (req, res) => {
+  try {
+    const dryRun = req.query.dry_run === '1';
+    const plan = data => planImport(data, req.body, {
+      replace: req.query.replace === '1',
+      normalize: { sessions: s => normalizeSession(s, data) },
+    });
+    const report = dryRun
+      ? plan(await readData()).report
+      : await store.transaction((data) => {
+        const { report: result, apply } = plan(data);
+        if (!result.errors) apply();
+        return result;
       });
-      lp.stdin.write(pdfBuffer);
-      lp.stdin.end();
+    if (report.errors) return res.status(400).json({ message: report.errors.join(' ') });
+    res.json({ dry_run: dryRun, ...report });
+  } catch (error) {
+    console.error('Error importing data:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// --- Backups (see backups.js) ---
+app.get('/api/backups', requireAdmin, async (req, res) => {
+  try {
+    res.json({
+      dir: BACKUP_DIR,
+      intervalMs: BACKUP_INTERVAL_MS,
+      retention: BACKUP_RETENTION,
+      backups: await listBackups(BACKUP_DIR),
     });
-  } catch (err) {
-    console.error('Print error', err);
-    res.status(500).json({ message: 'Server error' });
+  } catch (error) {
+    console.error('Error listing backups:', error);
+    res.status(500).send('Server error');
   }
 });
 
-// --- Centralized printing: Agent endpoints ---
-// Agent heartbeat to register presence
-app.post('/api/agents/heartbeat', async (req, res) => {
-  try {
-    const { printerId, agentVersion, capabilities } = req.body || {};
-    if (!printerId) return res.status(400).json({ message: 'printerId required' });
-    const store = await readData();
-    store.agents[printerId] = {
-      printerId,
-      lastSeen: new Date().toISOString(),
-      agentVersion: agentVersion || null,
-      capabilities: capabilities || null,
-    };
-    await writeData(store);
-    res.json({ ok: true });
-  } catch (e) {
-    console.error('Heartbeat failed', e);
-    res.status(500).json({ message: 'Server error' });
+app.post('/api/backups', requireAdmin, async (req, res) => {
+  try {
+    const name = await writeBackup(BACKUP_DIR, await readData(), 'manual');
+    res.status(201).json({ name });
+  } catch (error) {
+    console.error('Error creating backup:', error);
+    res.status(500).json({ message: `Backup failed: ${error.message}` });
   }
 });
 
-// Agent pulls next job (FIFO) for a given printerId. If printerId is null, it will receive jobs without a specified printer.
-app.post('/api/agents/next-job', async (req, res) => {
+app.get('/api/backups/:name', requireAdmin, async (req, res) => {
   try {
-    const { printerId } = req.body || {};
-    const store = await readData();
-    // Strategy:
-    // - If printerId provided: prefer jobs explicitly targeted to that printer; otherwise allow unassigned jobs.
-    // - If no printerId provided: only unassigned jobs.
-    let idx = -1;
-    if (printerId) {
-      idx = store.printJobs.findIndex(j => j.status === 'queued' && (j.printerId === printerId));
-      if (idx === -1) {
-        idx = store.printJobs.findIndex(j => j.status === 'queued' && (j.printerId == null));
-      }
-    } else {
-      idx = store.printJobs.findIndex(j => j.status === 'queued' && (j.printerId == null));
-    }
-    if (idx === -1) return res.json({ job: null });
-    const job = store.printJobs[idx];
-    job.status = 'claimed';
-    job.claimedAt = new Date().toISOString();
-    await writeData(store);
-    res.json({ job });
-  } catch (e) {
-    console.error('Next-job failed', e);
-    res.status(500).json({ message: 'Server error' });
+    res.download(await backupPath(BACKUP_DIR, req.params.name));
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ message: error.message });
+    console.error('Error downloading backup:', error);
+    res.status(500).send('Server error');
   }
 });
 
-// Agent reports job completion
-app.post('/api/print/:jobId/complete', async (req, res) => {
+// Replace all data with a backup. The file is validated (and upgraded to the current schema) first,
+// and the current data is saved as a pre-restore backup.
+app.post('/api/backups/:name/restore', requireAdmin, async (req, res) => {
   try {
-    const { jobId } = req.params;
-    const { success, error } = req.body || {};
-    const store = await readData();
-    const idx = store.printJobs.findIndex(j => j.id === jobId);
-    if (idx === -1) return res.status(404).json({ message: 'Job not found' });
-    store.printJobs[idx].status = success ? 'done' : 'failed';
-    store.printJobs[idx].finishedAt = new Date().toISOString();
-    if (!success) store.printJobs[idx].error = String(error || 'unknown');
-    await writeData(store);
-    res.json({ ok: true });
-  } catch (e) {
-    console.error('Complete failed', e);
-    res.status(500).json({ message: 'Server error' });
+    // Accounts, the audit log and print agent credentials are not rolled back: a restore must not
+    // revive a revoked agent or sign out one enrolled since the backup
+    const result = await restoreBackup(store, BACKUP_DIR, req.params.name, { keep: ['users', 'authTokens', 'audit', 'agents'] });
+    res.json(result);
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ message: error.message });
+    console.error('Error restoring backup:', error);
+    res.status(500).json({ message: `Restore failed: ${error.message}` });
   }
 });
 
-// Update a session (amount_oz and/or notes)
-app.patch('/api/sessions/:id', async (req, res) => {
+// Household storage rules used for use-by dates (CDC defaults, overridable)
+app.get('/api/settings/storage-rules', async (req, res) => {
   try {
-    const { id } = req.params;
-    const { amount_oz, notes } = req.body;
+    const data = await readData();
+    res.json(normalizeRules(data.settings.storageRules));
+  } catch (error) {
+    console.error('Error reading storage rules:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Replace storage rules (omitted fields fall back to defaults); in-stock bags are re-dated
+app.put('/api/settings/storage-rules', requireAdmin, async (req, res) => {
+  try {
+    const errors = validateRules(req.body);
+    if (errors.length) return res.status(400).json({ message: errors.join(' ') });
+
+    const rules = await store.transaction((data) => {
+      data.settings.storageRules = normalizeRules(req.body);
+      data.sessions
+        .filter(s => IN_STOCK_STATES.includes(s.state))
+        .forEach(s => applyUseBy(s, data));
+      return data.settings.storageRules;
+    });
+    res.json(rules);
+  } catch (error) {
+    console.error('Error saving storage rules:', error);
+    res.status(500).send('Server error');
+  }
+});
 
+// Household locale, time zone, clock and date format (see locale-settings.js)
+app.get('/api/settings/locale', async (req, res) => {
+  try {
     const data = await readData();
-    const idx = data.sessions.findIndex(s => s.id === id);
-    if (idx === -1) {
-      return res.status(404).json({ message: 'Session not found' });
-    }
+    res.json(normalizeLocaleSettings(data.settings.locale));
+  } catch (error) {
+    console.error('Error reading locale settings:', error);
+    res.status(500).send('Server error');
+  }
+});
 
-    if (amount_oz !== undefined) {
-      if (typeof amount_oz !== 'number' || amount_oz <= 0) {
-        return res.status(400).json({ message: 'Invalid amount_oz.' });
-      }
-      data.sessions[idx].amount_oz = amount_oz;
-    }
-    if (notes !== undefined) {
-      data.sessions[idx].notes = notes;
-    }
+app.put('/api/settings/locale', requireAdmin, async (req, res) => {
+  try {
+    const errors = validateLocaleSettings(req.body);
+    if (errors.length) return res.status(400).json({ message: errors.join(' ') });
 
-    await writeData(data);
-    return res.json(data.sessions[idx]);
+    const settings = await store.transaction((data) => {
+      data.settings.locale = normalizeLocaleSettings({ ...data.settings.locale, ...req.body });
+      return data.settings.locale;
+    });
+    res.json(settings);
   } catch (error) {
-    console.error('Error updating session:', error);
+    console.error('Error saving locale settings:', error);
     res.status(500).send('Server error');
   }
 });
 
-// Delete a session
-app.delete('/api/sessions/:id', async (req, res) => {
+// Household volume unit and rounding (see units.js)
+app.get('/api/settings/units', async (req, res) => {
   try {
-    const { id } = req.params;
     const data = await readData();
-    const prevLen = data.sessions.length;
-    data.sessions = data.sessions.filter(s => s.id !== id);
-    if (data.sessions.length === prevLen) {
-      return res.status(404).json({ message: 'Session not found' });
-    }
-    await writeData(data);
-    return res.status(204).send();
+    res.json(normalizeUnitSettings(data.settings.units));
   } catch (error) {
-    console.error('Error deleting session:', error);
+    console.error('Error reading unit settings:', error);
     res.status(500).send('Server error');
   }
 });
 
-// Production Setup: Serve static React files
-app.use(express.static(path.join(__dirname, '..', 'frontend', 'build')));
+app.put('/api/settings/units', requireAdmin, async (req, res) => {
+  try {
+    const errors = validateUnitSettings(req.body);
+    if (errors.length) return res.status(400).json({ message: errors.join(' ') });
 
-app.get('*', (req, res) => {
-  res.sendFile(path.resolve(__dirname, '..', 'frontend', 'build', 'index.html'));
+    const settings = await store.transaction((data) => {
+      data.settings.units = normalizeUnitSettings({ ...data.settings.units, ...req.body });
+      return data.settings.units;
+    });
+    res.json(settings);
+  } catch (error) {
+    console.error('Error saving unit settings:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Label templates: the built-in and custom ones, and which one labels print with (see labels.js)
+const labelSettingsResponse = (data) => {
+  const { template, custom } = normalizeLabelSettings(data.settings.labels);
+  return {
+    template,
+    templates: [...BUILTIN_TEMPLATES.map(t => ({ ...t, builtin: true })), ...custom],
+    fields: FIELD_CONTENTS,
+    sheets: SHEET_LAYOUTS,
+  };
+};
+
+app.get('/api/settings/labels', async (req, res) => {
+  try {
+    res.json(labelSettingsResponse(await readData()));
+  } catch (error) {
+    console.error('Error reading label settings:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Replace label settings: { template, custom: [template, ...] }
+app.put('/api/settings/labels', requireAdmin, async (req, res) => {
+  try {
+    const errors = validateLabelSettings(req.body);
+    if (errors.length) return res.status(400).json({ message: errors.join(' ') });
+
+    const result = await store.transaction((data) => {
+      data.settings.labels = normalizeLabelSettings(req.body);
+      return labelSettingsResponse(data);
+    });
+    res.json(result);
+  } catch (error) {
+    console.error('Error saving label settings:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Delete a session
+app.delete('/api/sessions/:id', requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    await store.transaction((data) => {
+      const prevLen = data.sessions.length;
+      data.sessions = data.sessions.filter(s => s.id !== id);
+      if (data.sessions.length === prevLen) throw httpError(404, 'Session not found');
+    });
+    return res.status(204).send();
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ message: error.message });
+    console.error('Error deleting session:', error);
+    res.status(500).send('Server error');
+  }
 });
 
 // --- Version and Update Endpoints ---
@@ -416,6 +1596,7 @@ app.get('/api/version', (req, res) => {
     commit: process.env.BUILD_COMMIT || 'unknown',
     builtAt: process.env.BUILD_TIME || null,
     node: process.version,
+    schemaVersion: SCHEMA_VERSION,
   });
 });
 
@@ -452,7 +1633,7 @@ app.get('/api/update/check', async (req, res) => {
   }
 });
 
-app.post('/api/update', async (req, res) => {
+app.post('/api/update', requireAdmin, async (req, res) => {
   try {
     // Optional host script strategy: if /app/update.sh exists, run it detached
     const allow = (process.env.ENABLE_SELF_UPDATE || '0') === '1';
@@ -489,42 +1670,12 @@ app.get('/labels/:id', async (req, res) => {
   try {
     const { id } = req.params;
     const data = await readData();
-    const s = data.sessions.find(x => x.id === id);
-    if (!s) return res.status(404).send('Not found');
-    const dt = new Date(s.timestamp);
-    const oz = Number(s.amount_oz || 0);
-    const ml = (oz * 29.5735).toFixed(0);
-    const fridge = new Date(s.use_by_fridge).toLocaleDateString('en-US', { timeZone: 'America/New_York' });
-    const freezer = new Date(s.use_by_frozen).toLocaleDateString('en-US', { timeZone: 'America/New_York' });
-    const html = `<!doctype html>
-<html>
-<head>
-  <meta charset="utf-8"/>
-  <title>Label ${id}</title>
-  <style>
-    @page { size: 2.625in 1in; margin: 0.08in; }
-    body { margin: 0; font-family: -apple-system, Segoe UI, Roboto, Helvetica, Arial, sans-serif; }
-    .label { width: 2.625in; height: 1in; box-sizing: border-box; padding-left: 0.15in; display: flex; flex-direction: column; justify-content: center; }
-    .dt { font-size: 10px; line-height: 1.1; }
-    .amt { font-size: 16px; line-height: 1.1; font-weight: 600; }
-    .notes { font-size: 10px; line-height: 1.1; color: #444; }
-    .useby { font-size: 10px; line-height: 1.1; }
-    .truncate { overflow: hidden; white-space: nowrap; text-overflow: ellipsis; }
-  </style>
-  <script>
-    // Auto-print on load for quick tap-to-print
-    window.onload = () => { window.print(); };
-  </script>
-  </head>
-<body>
-  <div class="label">
-    <div class="dt">${dt.toLocaleDateString('en-US', {timeZone: 'America/New_York'})} ${dt.toLocaleTimeString('en-US', {timeZone: 'America/New_York'})}</div>
-    <div class="amt">${oz.toFixed(2)} oz (${ml} ml)</div>
-    ${s.notes ? `<div class="notes truncate">${String(s.notes).slice(0, 60)}</div>` : ''}
-    <div class="useby">Fridge: ${fridge}  Freezer: ${freezer}</div>
-  </div>
-</body>
-</html>`;
+    const found = data.sessions.find(x => x.id === id);
+    if (!found) return res.status(404).send('Not found');
+    const s = { ...found, baby_name: babyNameFor(found, data.profiles) };
+    // ?template= prints with another template than the selected one; ?copies= prints several
+    const copies = Math.min(MAX_COPIES, Math.max(1, parseInt(req.query.copies, 10) || 1));
+    const html = await renderHtml(s, labelTemplate(data, req.query.template), copies);
     res.setHeader('Content-Type', 'text/html; charset=utf-8');
     res.send(html);
   } catch (e) {
@@ -533,6 +1684,47 @@ app.get('/labels/:id', async (req, res) => {
   }
 });
 
-app.listen(PORT, () => {
-  console.log(`Server is running on port ${PORT}`);
+// Production Setup: Serve static React files.
+// Registered last so the catch-all does not shadow /api/* and /labels/* routes above.
+app.use(express.static(path.join(__dirname, '..', 'frontend', 'build')));
+
+app.get('*', (req, res) => {
+  res.sendFile(path.resolve(__dirname, '..', 'frontend', 'build', 'index.html'));
+});
+
+const start = async () => {
+  // Migrates data/data.json into the journaled store on first start
+  store = await openStore({ dir: DATA_DIR, legacyFile: DATA_FILE });
+  // Upgrade data saved by older versions (backed up to BACKUP_DIR first); refuses newer data
+  await migrateStore(store, { backup: (data, label) => writeBackup(BACKUP_DIR, data, label) });
+  // Finish the write in progress before exiting (docker stop sends SIGTERM)
+  ['SIGTERM', 'SIGINT'].forEach((signal) => {
+    process.on(signal, () => store.close().finally(() => process.exit(0)));
+  });
+
+  agentEvents = startAgentEvents({ store });
+
+  app.listen(PORT, () => {
+    console.log(`Server is running on port ${PORT}`);
+    startExpiryMonitor({
+      store,
+      notifiers,
+      windowHours: ALERT_WINDOW_HOURS,
+      intervalMs: ALERT_INTERVAL_MS,
+    });
+    startPrintQueueMonitor({ store, intervalMs: PRINT_QUEUE_SWEEP_MS, onRequeue: () => agentEvents.wake() });
+    if (BACKUP_INTERVAL_MS > 0) {
+      startBackupScheduler({
+        store,
+        dir: BACKUP_DIR,
+        intervalMs: BACKUP_INTERVAL_MS,
+        retention: BACKUP_RETENTION,
+      });
+    }
+  });
+};
+
+start().catch((error) => {
+  console.error('Failed to start:', error);
+  process.exit(1);
 });
@@ -0,0 +1,92 @@
+// Structured pumping-session fields: side (with an optional per-side volume split), duration,
+// pump/flange and start/end time. Shared by POST and PATCH /api/sessions.
+
+const { DEFAULT_UNIT_SETTINGS, roundVolume } = require('./units');
+
+const SIDES = ['left', 'right', 'both'];
+// Splits may be rounded by the client; allow this much difference from amount_oz
+const SPLIT_TOLERANCE_OZ = 0.01;
+const FIELDS = ['side', 'left_oz', 'right_oz', 'duration_min', 'pump', 'flange_mm', 'started_at', 'ended_at'];
+
+const isPositive = (v) => typeof v === 'number' && isFinite(v) && v > 0;
+const isVolume = (v) => typeof v === 'number' && isFinite(v) && v >= 0;
+const validDate = (v) => typeof v === 'string' && !isNaN(new Date(v).getTime());
+
+// Validate the structured fields in `body` against the session they will be merged into.
+// Returns { errors, fields } where fields holds the normalized values to assign (null clears a field).
+const validateSessionFields = (body, existing = {}) => {
+  const errors = [];
+  const fields = {};
+  FIELDS.forEach((key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+  });
+
+  if (fields.side !== undefined && fields.side !== null && !SIDES.includes(fields.side)) {
+    errors.push(`side must be one of: ${SIDES.join(', ')}.`);
+  }
+  ['left_oz', 'right_oz'].forEach((key) => {
+    if (fields[key] !== undefined && fields[key] !== null && !isVolume(fields[key])) {
+      errors.push(`${key} must be a non-negative number.`);
+    }
+  });
+  if (fields.duration_min !== undefined && fields.duration_min !== null && !isPositive(fields.duration_min)) {
+    errors.push('duration_min must be a positive number.');
+  }
+  if (fields.pump !== undefined && fields.pump !== null && typeof fields.pump !== 'string') {
+    errors.push('pump must be a string.');
+  } else if (typeof fields.pump === 'string') {
+    fields.pump = fields.pump.trim().slice(0, 60) || null;
+  }
+  if (fields.flange_mm !== undefined && fields.flange_mm !== null && !isPositive(fields.flange_mm)) {
+    errors.push('flange_mm must be a positive number.');
+  }
+  ['started_at', 'ended_at'].forEach((key) => {
+    if (fields[key] !== undefined && fields[key] !== null) {
+      if (!validDate(fields[key])) errors.push(`${key} must be an ISO date/time.`);
+      else fields[key] = new Date(fields[key]).toISOString();
+    }
+  });
+  if (errors.length) return { errors, fields };
+
+  // Moving away from 'both' drops a stale per-side split
+  if (fields.side !== undefined && fields.side !== 'both' && fields.left_oz === undefined && fields.right_oz === undefined) {
+    fields.left_oz = null;
+    fields.right_oz = null;
+  }
+
+  // Cross-field checks on the merged result
+  const merged = { ...existing, ...fields };
+  if (merged.started_at && merged.ended_at && new Date(merged.ended_at) < new Date(merged.started_at)) {
+    errors.push('ended_at must be after started_at.');
+  }
+  const hasSplit = (merged.left_oz != null) || (merged.right_oz != null);
+  if (hasSplit) {
+    if (merged.side !== 'both') {
+      errors.push("left_oz/right_oz are only used when side is 'both'.");
+    } else if (Math.abs((merged.left_oz || 0) + (merged.right_oz || 0) - merged.amount_oz) > SPLIT_TOLERANCE_OZ) {
+      errors.push('left_oz + right_oz must equal the amount.');
+    }
+  }
+  // Derive the duration from start/end when it was not given
+  if (fields.duration_min === undefined && merged.duration_min == null && merged.started_at && merged.ended_at) {
+    const minutes = Math.round((new Date(merged.ended_at) - new Date(merged.started_at)) / 60000);
+    if (minutes > 0) fields.duration_min = minutes;
+  }
+  return { errors, fields };
+};
+
+// Short description for labels and lists, e.g. "L 1.50 / R 1.25 oz | 15 min", with the split in the
+// household unit (`units`, see units.js)
+const describeSession = (s, units = DEFAULT_UNIT_SETTINGS) => {
+  const parts = [];
+  if (s.side === 'both' && (s.left_oz != null || s.right_oz != null)) {
+    const volume = (oz) => roundVolume(oz, units.unit, units);
+    parts.push(`L ${volume(s.left_oz)} / R ${volume(s.right_oz)} ${units.unit}`);
+  } else if (s.side) {
+    parts.push(s.side === 'both' ? 'Both sides' : `${s.side[0].toUpperCase()}${s.side.slice(1)}`);
+  }
+  if (s.duration_min) parts.push(`${s.duration_min} min`);
+  return parts.join(' | ');
+};
+
+module.exports = { SIDES, validateSessionFields, describeSession };
@@ -0,0 +1,150 @@
+// Pumping output statistics: daily/weekly/monthly totals, time-of-day distribution and a rolling
+// 7-day trend. Days and hours are the household's (`timeZone`, an IANA zone from the locale settings),
+// whatever zone the server process runs in.
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const formatters = new Map();
+// Calendar fields of `d` in `timeZone`, as numbers
+const zonedParts = (d, timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric',
+    }));
+  }
+  const parts = {};
+  formatters.get(timeZone).formatToParts(d).forEach(({ type, value }) => { parts[type] = Number(value); });
+  return parts;
+};
+
+// YYYY-MM-DD of `d` in `timeZone`
+const dayKey = (d, timeZone) => {
+  const { year, month, day } = zonedParts(d, timeZone);
+  return `${year}-${pad(month)}-${pad(day)}`;
+};
+const hourOf = (d, timeZone) => zonedParts(d, timeZone).hour;
+// Day keys are plain calendar dates, so stepping them in UTC never meets a daylight saving change
+const keyDate = (key) => new Date(`${key}T00:00:00.000Z`);
+const addDays = (key, n) => {
+  const d = keyDate(key);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+};
+// Weeks start on Monday
+const weekKey = (key) => addDays(key, -((keyDate(key).getUTCDay() + 6) % 7));
+
+// The instant day `key` begins in `timeZone`: midnight shifted by the zone's offset, read at the UTC
+// midnight of that date and again at the first guess. The two differ only around a daylight saving
+// change; the earlier one still on `key` wins (where clocks skip midnight, the day starts at 1:00).
+const dayStart = (key, timeZone) => {
+  const offsetAt = (ms) => {
+    const p = zonedParts(new Date(ms), timeZone);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(ms / 1000) * 1000;
+  };
+  const midnight = keyDate(key).getTime();
+  const guess = midnight - offsetAt(midnight);
+  const starts = [guess, midnight - offsetAt(guess)].sort((a, b) => a - b);
+  return new Date(starts.find(ms => dayKey(new Date(ms), timeZone) === key) || starts[1]);
+};
+
+const round = (v) => Math.round(v * 100) / 100;
+
+const bucket = (sessions, keyOf) => {
+  const map = new Map();
+  sessions.forEach((s) => {
+    const key = keyOf(s.timestamp);
+    const entry = map.get(key) || { amount_oz: 0, sessions: 0 };
+    entry.amount_oz += s.amount_oz;
+    entry.sessions += 1;
+    map.set(key, entry);
+  });
+  return map;
+};
+
+// Every calendar day key from `from` to `to` inclusive
+const eachDay = (from, to, timeZone) => {
+  const days = [];
+  const last = dayKey(to, timeZone);
+  for (let key = dayKey(from, timeZone); key <= last; key = addDays(key, 1)) days.push(key);
+  return days;
+};
+
+const computeStats = (allSessions, from, to, timeZone) => {
+  const sessions = allSessions.filter((s) => {
+    const t = new Date(s.timestamp);
+    return t >= from && t <= to;
+  });
+  const totalOz = sessions.reduce((sum, s) => sum + s.amount_oz, 0);
+  const days = eachDay(from, to, timeZone);
+  const dayOf = (t) => dayKey(new Date(t), timeZone);
+
+  const byDay = bucket(sessions, dayOf);
+  const daily = days.map((date) => {
+    const e = byDay.get(date) || { amount_oz: 0, sessions: 0 };
+    return { date, amount_oz: round(e.amount_oz), sessions: e.sessions };
+  });
+
+  // Trailing 7 days ending on each day (uses sessions before `from` so the first week is complete)
+  const byDayAll = bucket(allSessions, dayOf);
+  const rolling_7d = days.map((date) => {
+    let sum = 0;
+    for (let i = 0; i < 7; i += 1) {
+      const e = byDayAll.get(addDays(date, -i));
+      if (e) sum += e.amount_oz;
+    }
+    return { date, total_oz: round(sum), avg_oz: round(sum / 7) };
+  });
+
+  const byWeek = bucket(sessions, (t) => weekKey(dayOf(t)));
+  const weekly = [...byWeek.entries()].sort().map(([week_start, e]) => ({
+    week_start, amount_oz: round(e.amount_oz), sessions: e.sessions,
+  }));
+
+  const byMonth = bucket(sessions, (t) => dayOf(t).slice(0, 7));
+  const monthly = [...byMonth.entries()].sort().map(([month, e]) => ({
+    month, amount_oz: round(e.amount_oz), sessions: e.sessions,
+  }));
+
+  const by_hour = Array.from({ length: 24 }, (_, hour) => ({ hour, amount_oz: 0, sessions: 0 }));
+  sessions.forEach((s) => {
+    const h = by_hour[hourOf(new Date(s.timestamp), timeZone)];
+    h.amount_oz += s.amount_oz;
+    h.sessions += 1;
+  });
+  by_hour.forEach((h) => { h.amount_oz = round(h.amount_oz); });
+
+  // Per-side output from the structured session fields; 'both' sessions count toward each side
+  // when they carry a left/right split
+  const by_side = { left_oz: 0, right_oz: 0, both_unsplit_oz: 0, unspecified_oz: 0 };
+  sessions.forEach((s) => {
+    if (s.side === 'left') by_side.left_oz += s.amount_oz;
+    else if (s.side === 'right') by_side.right_oz += s.amount_oz;
+    else if (s.side === 'both' && (s.left_oz != null || s.right_oz != null)) {
+      by_side.left_oz += s.left_oz || 0;
+      by_side.right_oz += s.right_oz || 0;
+    } else if (s.side === 'both') by_side.both_unsplit_oz += s.amount_oz;
+    else by_side.unspecified_oz += s.amount_oz;
+  });
+  Object.keys(by_side).forEach((k) => { by_side[k] = round(by_side[k]); });
+  const timed = sessions.filter(s => s.duration_min);
+
+  return {
+    from: from.toISOString(),
+    to: to.toISOString(),
+    totals: {
+      sessions: sessions.length,
+      amount_oz: round(totalOz),
+      avg_oz_per_session: sessions.length ? round(totalOz / sessions.length) : 0,
+      avg_oz_per_day: round(totalOz / Math.max(1, days.length)),
+      avg_duration_min: timed.length ? round(timed.reduce((sum, s) => sum + s.duration_min, 0) / timed.length) : null,
+    },
+    daily,
+    weekly,
+    monthly,
+    by_hour,
+    by_side,
+    rolling_7d,
+  };
+};
+
+module.exports = { dayKey, hourOf, addDays, dayStart, computeStats };
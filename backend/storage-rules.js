@@ -0,0 +1,95 @@
+// Storage rules used to compute use-by dates for each bag.
+// Defaults follow CDC guidance for freshly expressed breast milk:
+//   room temperature (<= 77°F) up to 4 hours, fridge up to 4 days,
+//   freezer best within 6 months, thawed milk within 24 hours (never refreeze).
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const DEFAULT_STORAGE_RULES = {
+  room_hours: 4,
+  fridge_days: 4,
+  frozen_months: 6,
+  thawed_hours: 24,
+  // Where the freezer clock starts: 'pumped' (time of expression) or 'frozen' (time it went into the freezer)
+  frozen_clock: 'pumped',
+};
+
+// Merge stored overrides over the defaults, dropping anything invalid
+const normalizeRules = (overrides) => {
+  const rules = { ...DEFAULT_STORAGE_RULES };
+  if (!overrides || typeof overrides !== 'object') return rules;
+  ['room_hours', 'fridge_days', 'frozen_months', 'thawed_hours'].forEach((key) => {
+    const v = overrides[key];
+    if (typeof v === 'number' && isFinite(v) && v > 0) rules[key] = v;
+  });
+  if (overrides.frozen_clock === 'pumped' || overrides.frozen_clock === 'frozen') {
+    rules.frozen_clock = overrides.frozen_clock;
+  }
+  return rules;
+};
+
+// Returns a list of problems with a rules payload (empty when valid)
+const validateRules = (body) => {
+  const errors = [];
+  if (!body || typeof body !== 'object') return ['Rules must be an object.'];
+  ['room_hours', 'fridge_days', 'frozen_months', 'thawed_hours'].forEach((key) => {
+    const v = body[key];
+    if (v !== undefined && (typeof v !== 'number' || !isFinite(v) || v <= 0)) {
+      errors.push(`${key} must be a positive number.`);
+    }
+  });
+  if (body.frozen_clock !== undefined && body.frozen_clock !== 'pumped' && body.frozen_clock !== 'frozen') {
+    errors.push("frozen_clock must be 'pumped' or 'frozen'.");
+  }
+  return errors;
+};
+
+const addMonths = (date, months) => {
+  const d = new Date(date);
+  const whole = Math.floor(months);
+  d.setMonth(d.getMonth() + whole);
+  return new Date(d.getTime() + (months - whole) * 30 * DAY_MS);
+};
+
+// Most recent time the bag entered the given state
+const enteredAt = (session, state) => {
+  const history = Array.isArray(session.history) ? session.history : [];
+  for (let i = history.length - 1; i >= 0; i -= 1) {
+    if (history[i].state === state) return new Date(history[i].at);
+  }
+  return null;
+};
+
+// Compute use-by dates for the bag's current state.
+// use_by_fridge / use_by_frozen are null when they no longer apply (e.g. thawed milk cannot go back
+// in the freezer); expires_at is the deadline that applies right now, or null once the bag is used up.
+const computeUseBy = (session, rules = DEFAULT_STORAGE_RULES) => {
+  const pumped = new Date(session.timestamp);
+  const frozenAt = enteredAt(session, 'frozen');
+  const frozenStart = rules.frozen_clock === 'frozen' && frozenAt ? frozenAt : pumped;
+  const fridgeUntil = new Date(pumped.getTime() + rules.fridge_days * DAY_MS);
+  const frozenUntil = addMonths(frozenStart, rules.frozen_months);
+  const iso = (d) => (d ? d.toISOString() : null);
+
+  switch (session.state) {
+    case 'room': {
+      const roomUntil = new Date(pumped.getTime() + rules.room_hours * HOUR_MS);
+      return { use_by_fridge: iso(fridgeUntil), use_by_frozen: iso(frozenUntil), expires_at: iso(roomUntil) };
+    }
+    case 'fridge':
+      return { use_by_fridge: iso(fridgeUntil), use_by_frozen: iso(frozenUntil), expires_at: iso(fridgeUntil) };
+    case 'frozen':
+      return { use_by_fridge: null, use_by_frozen: iso(frozenUntil), expires_at: iso(frozenUntil) };
+    case 'thawed': {
+      const thawedAt = enteredAt(session, 'thawed') || new Date();
+      const thawedUntil = new Date(thawedAt.getTime() + rules.thawed_hours * HOUR_MS);
+      return { use_by_fridge: iso(thawedUntil), use_by_frozen: null, expires_at: iso(thawedUntil) };
+    }
+    default:
+      // consumed/discarded keep their last dates for the record
+      return { use_by_fridge: session.use_by_fridge || null, use_by_frozen: session.use_by_frozen || null, expires_at: null };
+  }
+};
+
+module.exports = { DEFAULT_STORAGE_RULES, normalizeRules, validateRules, computeUseBy };
@@ -0,0 +1,259 @@
+// Durable storage for the tracker: an in-memory copy of the data backed by a snapshot file plus an
+// append-only journal.
+//
+// - Every change goes through transaction(fn). Transactions run one at a time, so two requests can no
+//   longer overwrite each other's changes.
+// - read() hands every reader the same deep-frozen data instead of a copy, so a request costs nothing
+//   per record. A commit swaps in new data; readers keep the version they were given.
+// - A commit appends one line with the changed records to journal.log and fsyncs it, instead of
+//   rewriting the whole file (the Pi runs from an SD card).
+// - Once the journal grows past COMPACT_BYTES it is folded into snapshot.json. The snapshot is written
+//   to a temp file, fsynced and renamed, so a power cut leaves either the old or the new file.
+// - A torn last journal line (power cut mid-append) is dropped on load.
+// - store.lock stops a second server process from using the same directory.
+// - On first start an existing data.json is loaded, then kept as data.json.migrated.
+
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+
+const COMPACT_BYTES = Number(process.env.STORE_COMPACT_BYTES || 1024 * 1024);
+
+const clone = (v) => (v === undefined ? v : JSON.parse(JSON.stringify(v)));
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isKeyedArray = (v) => Array.isArray(v) && v.every(x => isPlainObject(x) && typeof x.id === 'string');
+// Parts already frozen (records a transaction took from an earlier read) are skipped
+const deepFreeze = (v) => {
+  if (v !== null && typeof v === 'object' && !Object.isFrozen(v)) {
+    Object.freeze(v);
+    Object.values(v).forEach(deepFreeze);
+  }
+  return v;
+};
+
+// Write a file so that readers see either the old or the new content, never a partial one
+const writeFileAtomic = async (file, contents) => {
+  const tmp = `${file}.tmp`;
+  const fh = await fsp.open(tmp, 'w');
+  try {
+    await fh.writeFile(contents, 'utf8');
+    await fh.sync();
+  } finally {
+    await fh.close();
+  }
+  await fsp.rename(tmp, file);
+  // Persist the rename itself
+  try {
+    const dir = await fsp.open(path.dirname(file), 'r');
+    try { await dir.sync(); } finally { await dir.close(); }
+  } catch {}
+};
+
+// Changes between two versions of the data, as journal operations:
+//   { k, v }            set a top-level value      { k, del: true }            remove it
+//   { k, id, v }        put a record by id (arrays) { k, id, del: true }       delete a record
+//   { k, key, v }       put a map entry (objects)   { k, key, del: true }      delete a map entry
+const diff = (before, after) => {
+  const ops = [];
+  Object.keys(before).forEach((k) => {
+    if (!(k in after)) ops.push({ k, del: true });
+  });
+  Object.keys(after).forEach((k) => {
+    const a = before[k];
+    const b = after[k];
+    if (isKeyedArray(a) && isKeyedArray(b)) {
+      const old = new Map(a.map(x => [x.id, JSON.stringify(x)]));
+      const ids = new Set();
+      b.forEach((x) => {
+        ids.add(x.id);
+        if (old.get(x.id) !== JSON.stringify(x)) ops.push({ k, id: x.id, v: x });
+      });
+      a.forEach((x) => { if (!ids.has(x.id)) ops.push({ k, id: x.id, del: true }); });
+    } else if (isPlainObject(a) && isPlainObject(b)) {
+      Object.keys(a).forEach((key) => { if (!(key in b)) ops.push({ k, key, del: true }); });
+      Object.keys(b).forEach((key) => {
+        if (JSON.stringify(a[key]) !== JSON.stringify(b[key])) ops.push({ k, key, v: b[key] });
+      });
+    } else if (JSON.stringify(a) !== JSON.stringify(b)) {
+      ops.push({ k, v: b });
+    }
+  });
+  return ops;
+};
+
+const applyOps = (data, ops) => {
+  ops.forEach((op) => {
+    if (op.id !== undefined) {
+      if (!Array.isArray(data[op.k])) data[op.k] = [];
+      const list = data[op.k];
+      const idx = list.findIndex(x => x.id === op.id);
+      if (op.del) { if (idx !== -1) list.splice(idx, 1); } else if (idx === -1) list.push(clone(op.v));
+      else list[idx] = clone(op.v);
+    } else if (op.key !== undefined) {
+      if (!isPlainObject(data[op.k])) data[op.k] = {};
+      if (op.del) delete data[op.k][op.key];
+      else data[op.k][op.key] = clone(op.v);
+    } else if (op.del) {
+      delete data[op.k];
+    } else {
+      data[op.k] = clone(op.v);
+    }
+  });
+  return data;
+};
+
+// Hold store.lock for this process. A lock left by a process that is gone (or by our own pid after a
+// container restart, where the server is always pid 1) is taken over.
+const acquireLock = async (file) => {
+  for (let attempt = 0; attempt < 2; attempt += 1) {
+    try {
+      await fsp.writeFile(file, String(process.pid), { flag: 'wx' });
+      return;
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+      const pid = Number(await fsp.readFile(file, 'utf8').catch(() => ''));
+      let alive = false;
+      if (pid && pid !== process.pid) {
+        try { process.kill(pid, 0); alive = true; } catch (err) { alive = err.code === 'EPERM'; }
+      }
+      if (alive) throw new Error(`Data directory is locked by process ${pid} (${file})`);
+      await fsp.unlink(file).catch(() => {});
+    }
+  }
+  throw new Error(`Could not lock ${file}`);
+};
+
+// Read journal lines after the snapshot's sequence number. A partial final line is cut off.
+const readJournal = async (file, afterSeq) => {
+  let text;
+  try {
+    text = await fsp.readFile(file, 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') return { entries: [], bytes: 0 };
+    throw e;
+  }
+  const entries = [];
+  let offset = 0;
+  const lines = text.split('\n');
+  for (let i = 0; i < lines.length; i += 1) {
+    const line = lines[i];
+    const isLast = i === lines.length - 1;
+    if (line) {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (e) {
+        // Only the final line can be torn; anything earlier is real corruption
+        if (!isLast && lines.slice(i + 1).some(Boolean)) throw new Error(`Corrupt journal entry at line ${i + 1} of ${file}`);
+        console.warn(`[store] Dropping incomplete journal entry at line ${i + 1}`);
+        await fsp.truncate(file, Buffer.byteLength(text.slice(0, offset)));
+        break;
+      }
+      if (entry.seq > afterSeq) entries.push(entry);
+    }
+    offset += line.length + (isLast ? 0 : 1);
+  }
+  return { entries, bytes: Buffer.byteLength(text.slice(0, offset)) };
+};
+
+// Open (and if needed migrate) the store in `dir`. `initial` is the data for a brand-new install.
+const openStore = async ({ dir, legacyFile, initial = {} }) => {
+  await fsp.mkdir(dir, { recursive: true });
+  const snapshotFile = path.join(dir, 'snapshot.json');
+  const journalFile = path.join(dir, 'journal.log');
+  const lockFile = path.join(dir, 'store.lock');
+  await acquireLock(lockFile);
+  process.on('exit', () => { try { fs.unlinkSync(lockFile); } catch {} });
+
+  let data;
+  let seq = 0;
+  try {
+    const snapshot = JSON.parse(await fsp.readFile(snapshotFile, 'utf8'));
+    data = snapshot.data;
+    seq = snapshot.seq;
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e;
+  }
+
+  if (!data) {
+    data = clone(initial);
+    if (legacyFile) {
+      try {
+        data = JSON.parse(await fsp.readFile(legacyFile, 'utf8'));
+        console.log(`[store] Migrating ${legacyFile} to the journaled store`);
+      } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+      }
+    }
+    await writeFileAtomic(snapshotFile, JSON.stringify({ seq, data }));
+    if (legacyFile) await fsp.rename(legacyFile, `${legacyFile}.migrated`).catch(() => {});
+  }
+
+  const { entries, bytes } = await readJournal(journalFile, seq);
+  entries.forEach((entry) => {
+    applyOps(data, entry.ops);
+    seq = entry.seq;
+  });
+  deepFreeze(data);
+  let journalBytes = bytes;
+  let journal = await fsp.open(journalFile, 'a');
+  let queue = Promise.resolve();
+
+  // Fold the journal into a fresh snapshot. The snapshot records the last sequence number, so
+  // replaying a journal that was not yet emptied (power cut in between) skips what it already has.
+  const compact = async () => {
+    await writeFileAtomic(snapshotFile, JSON.stringify({ seq, data }));
+    await journal.close();
+    journal = await fsp.open(journalFile, 'w');
+    await journal.sync();
+    journalBytes = 0;
+  };
+
+  // Run fn(draft) with exclusive access. fn may change the draft (a copy of the data) and may be
+  // async; its changes are saved only if it returns without throwing. Resolves with fn's result.
+  const transaction = (fn) => {
+    const run = queue.then(async () => {
+      const draft = clone(data);
+      const result = await fn(draft);
+      const ops = diff(data, draft);
+      if (ops.length) {
+        const line = `${JSON.stringify({ seq: seq + 1, at: new Date().toISOString(), ops })}\n`;
+        try {
+          await journal.write(line);
+          await journal.datasync();
+        } catch (e) {
+          // Cut off a partial line so later entries are not appended after it
+          await journal.truncate(journalBytes).catch(() => {});
+          throw e;
+        }
+        seq += 1;
+        journalBytes += Buffer.byteLength(line);
+        data = deepFreeze(draft);
+        if (journalBytes > COMPACT_BYTES) await compact();
+      }
+      // The result may point into the live data; hand out a copy
+      return clone(result);
+    });
+    // Keep the queue going after a failed transaction
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  // The current data, frozen: change it through transaction()
+  const read = async () => data;
+
+  // Wait for pending transactions, fold the journal into the snapshot and release the lock
+  const close = async () => {
+    await queue;
+    await compact();
+    await journal.close();
+    await fsp.unlink(lockFile).catch(() => {});
+  };
+
+  // Fold any journal left from the last run into the snapshot
+  if (journalBytes) await compact();
+
+  return { read, transaction, close };
+};
+
+module.exports = { openStore, writeFileAtomic, diff, applyOps };
@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const { setTimeout: sleep } = require('timers/promises');
+const { startAgentEvents } = require('../agent-events');
+
+// Just enough of a store, request and response for the event stream
+const memoryStore = (data) => ({
+  read: async () => JSON.parse(JSON.stringify(data)),
+  transaction: async (fn) => fn(data),
+});
+const connect = (events, printerId) => {
+  const req = new EventEmitter();
+  const res = {
+    written: [],
+    ended: false,
+    set() {},
+    flushHeaders() {},
+    write(chunk) { this.written.push(chunk); },
+    end() { this.ended = true; },
+  };
+  res.events = () => res.written.map(chunk => /^event: (\w+)/.exec(chunk)).filter(Boolean).map(m => m[1]);
+  events.openStream(req, res, printerId);
+  return { req, res };
+};
+const settle = () => sleep(20);
+
+test('an agent that connects is told about due jobs for its printer and marked as seen', async () => {
+  const data = {
+    agents: { p1: { lastSeen: null } },
+    printJobs: [{ id: 'a', status: 'queued', printerId: 'p1' }],
+  };
+  const p1 = connect(startAgentEvents({ store: memoryStore(data) }), 'p1');
+  await settle();
+  assert.deepStrictEqual(p1.res.events(), ['ready', 'job']);
+  assert.match(p1.res.written[0], /"printerId":"p1"/);
+  assert.ok(data.agents.p1.lastSeen);
+});
+
+test('unassigned jobs wake every agent, assigned ones only their printer', async () => {
+  const data = { agents: {}, printJobs: [] };
+  const events = startAgentEvents({ store: memoryStore(data) });
+  const p1 = connect(events, 'p1');
+  const p2 = connect(events, 'p2');
+  await settle();
+
+  data.printJobs.push({ id: 'a', status: 'queued', printerId: 'p2' });
+  await events.wake();
+  assert.deepStrictEqual([p1.res.events(), p2.res.events()], [['ready'], ['ready', 'job']]);
+
+  data.printJobs = [{ id: 'b', status: 'queued', printerId: null }, { id: 'c', status: 'done', printerId: 'p1' }];
+  await events.wake();
+  assert.deepStrictEqual([p1.res.events(), p2.res.events()], [['ready', 'job'], ['ready', 'job', 'job']]);
+});
+
+test('a job waiting out its backoff is announced when it falls due', async () => {
+  const data = {
+    agents: {},
+    printJobs: [{ id: 'a', status: 'queued', printerId: 'p1', nextAttemptAt: new Date(Date.now() + 50).toISOString() }],
+  };
+  const p1 = connect(startAgentEvents({ store: memoryStore(data) }), 'p1');
+  await settle();
+  assert.deepStrictEqual(p1.res.events(), ['ready']);
+  await sleep(100);
+  assert.deepStrictEqual(p1.res.events(), ['ready', 'job']);
+});
+
+test('closed and revoked streams get no more events', async () => {
+  const data = { agents: {}, printJobs: [{ id: 'a', status: 'queued', printerId: null }] };
+  const events = startAgentEvents({ store: memoryStore(data) });
+  const p1 = connect(events, 'p1');
+  const p2 = connect(events, 'p2');
+  await settle();
+  const before = [p1.res.written.length, p2.res.written.length];
+
+  p1.req.emit('close');
+  events.disconnect('p2');
+  assert.strictEqual(p2.res.ended, true);
+  await events.wake();
+  assert.deepStrictEqual([p1.res.written.length, p2.res.written.length], before);
+});
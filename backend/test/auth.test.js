@@ -0,0 +1,100 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const {
+  setPin, checkPin, publicUser, validateUser, userFor, createSession, endSession, endUserSessions,
+  recordAudit, lockedOut, noteFailure, clearFailures,
+} = require('../auth');
+
+afterEach(() => mock.restoreAll());
+
+const request = (headers = {}) => ({ get: name => headers[name] });
+const household = () => {
+  const ana = setPin({ id: 'u1', name: 'Ana', role: 'admin', createdAt: '2026-10-01T08:00:00.000Z' }, '1234');
+  const ben = setPin({ id: 'u2', name: 'Ben', role: 'caregiver', createdAt: '2026-10-01T08:00:00.000Z' }, '5678');
+  return { users: [ana, ben], authTokens: {}, audit: [] };
+};
+
+test('PINs are salted and hashed, and only the right one is accepted', () => {
+  const [ana] = household().users;
+  assert.notStrictEqual(ana.pin_hash, '1234');
+  assert.strictEqual(checkPin(ana, '1234'), true);
+  assert.strictEqual(checkPin(ana, '4321'), false);
+  assert.deepStrictEqual(Object.keys(publicUser(ana)), ['id', 'name', 'role', 'createdAt']);
+});
+
+test('users need a unique name, a known role and a 4 to 8 digit PIN', () => {
+  const { users } = household();
+  assert.deepStrictEqual(validateUser({ name: 'Cy', role: 'caregiver', pin: '0000' }, users), []);
+  assert.deepStrictEqual(validateUser({ name: ' ana ', role: 'owner', pin: '12' }, users), [
+    'Another user already has that name.',
+    'role must be one of: caregiver, admin.',
+    'pin must be 4 to 8 digits.',
+  ]);
+  // An update only checks what it changes, and a user may keep their own name
+  assert.deepStrictEqual(validateUser({ name: 'Ana' }, users, users[0]), []);
+});
+
+test('a session token signs in by cookie or bearer header until it is ended', () => {
+  const data = household();
+  const token = createSession(data, data.users[1]);
+  assert.strictEqual(Object.keys(data.authTokens).includes(token), false);
+  assert.strictEqual(userFor(data, request({ Cookie: `theme=dark; bmt_session=${token}` })).name, 'Ben');
+  assert.strictEqual(userFor(data, request({ Authorization: `Bearer ${token}` })).name, 'Ben');
+  assert.strictEqual(userFor(data, request({ Authorization: 'Bearer nope' })), null);
+  assert.strictEqual(userFor(data, request()), null);
+
+  endSession(data, request({ Authorization: `Bearer ${token}` }));
+  assert.strictEqual(userFor(data, request({ Authorization: `Bearer ${token}` })), null);
+});
+
+test('sessions expire and can all be ended for one user', () => {
+  const data = household();
+  const first = createSession(data, data.users[1]);
+  const second = createSession(data, data.users[1]);
+  const other = createSession(data, data.users[0]);
+  endUserSessions(data, 'u2');
+  assert.strictEqual(userFor(data, request({ Authorization: `Bearer ${first}` })), null);
+  assert.strictEqual(userFor(data, request({ Authorization: `Bearer ${second}` })), null);
+  assert.strictEqual(userFor(data, request({ Authorization: `Bearer ${other}` })).name, 'Ana');
+
+  const later = Date.now() + 31 * 86400000;
+  mock.method(Date, 'now', () => later);
+  assert.strictEqual(userFor(data, request({ Authorization: `Bearer ${other}` })), null);
+});
+
+test('the audit log records who did what', () => {
+  const data = household();
+  recordAudit(data, data.users[1], 'POST /api/sessions', 201, 's1');
+  recordAudit(data, null, 'POST /api/auth/login', 401);
+  assert.deepStrictEqual(data.audit.map(({ user_name, action, status, record_id }) => [user_name, action, status, record_id]), [
+    ['Ben', 'POST /api/sessions', 201, 's1'],
+    [null, 'POST /api/auth/login', 401, null],
+  ]);
+});
+
+test('PIN guessing is paused after five failures, for longer each time', () => {
+  let now = Date.parse('2026-10-01T08:00:00.000Z');
+  mock.method(Date, 'now', () => now);
+  const fail = (key, times) => { for (let i = 0; i < times; i += 1) noteFailure(key); };
+  fail('user:u1', 4);
+  assert.strictEqual(lockedOut('user:u1'), 0);
+  fail('user:u1', 1);
+  assert.strictEqual(lockedOut('user:u1'), 60 * 1000);
+  assert.strictEqual(lockedOut('10.0.0.3'), 0);
+
+  // Waiting out the pause does not reset the count, so the next five double it
+  now += 61 * 1000;
+  assert.strictEqual(lockedOut('user:u1'), 0);
+  fail('user:u1', 5);
+  assert.strictEqual(lockedOut('user:u1'), 2 * 60 * 1000);
+  fail('user:u1', 30);
+  assert.strictEqual(lockedOut('user:u1'), 60 * 60 * 1000);
+
+  // A day without failures, or the right PIN, starts over
+  now += 25 * 60 * 60 * 1000;
+  fail('user:u1', 1);
+  assert.strictEqual(lockedOut('user:u1'), 0);
+  fail('10.0.0.2', 5);
+  clearFailures('10.0.0.2');
+  assert.strictEqual(lockedOut('10.0.0.2'), 0);
+});
@@ -0,0 +1,126 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  listBackups, backupPath, writeBackup, pruneBackups, readBackup, restoreBackup,
+} = require('../backups');
+const { SCHEMA_VERSION } = require('../migrations');
+const { openStore } = require('../store');
+
+const dirs = [];
+after(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+const tempDir = () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bmt-backups-'));
+  dirs.push(dir);
+  return dir;
+};
+const put = (dir, name, data = { sessions: [] }) => fs.writeFileSync(path.join(dir, name), JSON.stringify(data));
+
+test('backups are listed newest first and other files are ignored', async () => {
+  const dir = tempDir();
+  put(dir, 'auto-2026-10-01T08-00-00-000Z.json');
+  put(dir, 'manual-2026-10-02T09-30-00-000Z.json');
+  put(dir, 'notes.txt');
+  const names = (await listBackups(dir)).map(b => [b.label, b.created_at]);
+  assert.deepStrictEqual(names, [['manual', '2026-10-02T09:30:00.000Z'], ['auto', '2026-10-01T08:00:00.000Z']]);
+  assert.deepStrictEqual(await listBackups(path.join(dir, 'missing')), []);
+});
+
+test('only existing backup names resolve to a file', async () => {
+  const dir = tempDir();
+  const name = await writeBackup(dir, { sessions: [] }, 'manual');
+  assert.strictEqual(await backupPath(dir, name), path.join(dir, name));
+  await assert.rejects(backupPath(dir, '../snapshot.json'), err => err.status === 404);
+  await assert.rejects(backupPath(dir, 'auto-2026-10-01T08-00-00-000Z.json'), err => err.status === 404);
+});
+
+test('scheduled backups keep the newest per hour and per day; others are never pruned', async () => {
+  const dir = tempDir();
+  [
+    'auto-2026-10-03T10-30-00-000Z.json',
+    'auto-2026-10-03T10-00-00-000Z.json',
+    'auto-2026-10-03T09-00-00-000Z.json',
+    'auto-2026-10-02T22-00-00-000Z.json',
+    'auto-2026-10-02T08-00-00-000Z.json',
+    'auto-2026-10-01T08-00-00-000Z.json',
+    'manual-2026-09-01T08-00-00-000Z.json',
+  ].forEach(name => put(dir, name));
+  const pruned = await pruneBackups(dir, { hourly: 2, daily: 2 }, 'UTC');
+  assert.deepStrictEqual(pruned.sort(), [
+    'auto-2026-10-01T08-00-00-000Z.json',
+    'auto-2026-10-02T08-00-00-000Z.json',
+    'auto-2026-10-03T10-00-00-000Z.json',
+  ]);
+  assert.deepStrictEqual(fs.readdirSync(dir).sort(), [
+    'auto-2026-10-02T22-00-00-000Z.json',
+    'auto-2026-10-03T09-00-00-000Z.json',
+    'auto-2026-10-03T10-30-00-000Z.json',
+    'manual-2026-09-01T08-00-00-000Z.json',
+  ]);
+});
+
+test('retention counts days in the household time zone', async () => {
+  const dir = tempDir();
+  // 22:00 UTC on 2 Oct is already the morning of 3 Oct in Tokyo
+  ['auto-2026-10-03T10-30-00-000Z.json', 'auto-2026-10-02T22-00-00-000Z.json', 'auto-2026-10-02T08-00-00-000Z.json'].forEach(name => put(dir, name));
+  assert.deepStrictEqual(await pruneBackups(dir, { hourly: 1, daily: 2 }, 'Asia/Tokyo'), ['auto-2026-10-02T22-00-00-000Z.json']);
+});
+
+test('damaged or newer backups are refused and older ones are upgraded', async () => {
+  const dir = tempDir();
+  const file = name => path.join(dir, name);
+  fs.writeFileSync(file('bad.json'), '{');
+  put(dir, 'newer.json', { schemaVersion: SCHEMA_VERSION + 1, sessions: [] });
+  put(dir, 'broken.json', { sessions: [{ id: 'a', amount_oz: 'lots', timestamp: '2026-10-01T08:00:00.000Z' }], feeds: {} });
+  put(dir, 'old.json', { sessions: [{ id: 'a', amount_oz: 2, timestamp: '2026-10-01T08:00:00.000Z' }] });
+
+  await assert.rejects(readBackup(file('bad.json')), { status: 400, message: 'Backup is not valid JSON.' });
+  await assert.rejects(readBackup(file('newer.json')), /newer version/);
+  await assert.rejects(readBackup(file('broken.json')), {
+    status: 400,
+    message: 'Backup is damaged: feeds must be a list. sessions has records without an amount or timestamp.',
+  });
+  const data = await readBackup(file('old.json'));
+  assert.strictEqual(data.schemaVersion, SCHEMA_VERSION);
+  assert.strictEqual(data.sessions[0].state, 'fridge');
+});
+
+test('a restore replaces the data after backing up what was there', async () => {
+  const dir = tempDir();
+  const backupDir = path.join(dir, 'backups');
+  const store = await openStore({ dir, initial: { schemaVersion: SCHEMA_VERSION, sessions: [{ id: 'new' }] } });
+  fs.mkdirSync(backupDir);
+  put(backupDir, 'manual-2026-10-01T08-00-00-000Z.json', {
+    schemaVersion: SCHEMA_VERSION,
+    sessions: [{ id: 'old', amount_oz: 2, timestamp: '2026-10-01T08:00:00.000Z' }],
+  });
+
+  const result = await restoreBackup(store, backupDir, 'manual-2026-10-01T08-00-00-000Z.json');
+  assert.deepStrictEqual((await store.read()).sessions.map(s => s.id), ['old']);
+  assert.match(result.backup, /^pre-restore-/);
+  const saved = JSON.parse(fs.readFileSync(path.join(backupDir, result.backup), 'utf8'));
+  assert.deepStrictEqual(saved.sessions, [{ id: 'new' }]);
+  await store.close();
+});
+
+test('keys listed in keep survive a restore', async () => {
+  const dir = tempDir();
+  const backupDir = path.join(dir, 'backups');
+  const store = await openStore({
+    dir,
+    initial: { schemaVersion: SCHEMA_VERSION, sessions: [], users: [{ id: 'current' }], audit: [{ id: 'today' }] },
+  });
+  fs.mkdirSync(backupDir);
+  put(backupDir, 'manual-2026-10-01T08-00-00-000Z.json', {
+    schemaVersion: SCHEMA_VERSION, sessions: [], users: [{ id: 'former' }], audit: [],
+  });
+
+  await restoreBackup(store, backupDir, 'manual-2026-10-01T08-00-00-000Z.json', { keep: ['users', 'audit'] });
+  const data = await store.read();
+  assert.deepStrictEqual(data.users, [{ id: 'current' }]);
+  assert.deepStrictEqual(data.audit, [{ id: 'today' }]);
+  await store.close();
+});
@@ -0,0 +1,141 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { sessionsCsv, feedsCsv, jsonDump, planImport } = require('../data-transfer');
+
+const household = () => ({
+  profiles: [
+    { id: 'mum', kind: 'parent', name: 'Ana' },
+    { id: 'b1', kind: 'baby', name: 'Lia', parent_id: 'mum' },
+  ],
+  sessions: [
+    { id: 's2', timestamp: '2026-10-02T08:00:00.000Z', amount_oz: 3, remaining_oz: 3, state: 'fridge', profile_id: 'mum' },
+    { id: 's1', timestamp: '2026-10-01T08:00:00.000Z', amount_oz: 2, remaining_oz: 0, state: 'consumed', notes: '=SUM(A1)' },
+  ],
+  feeds: [
+    { id: 'f1', timestamp: '2026-10-01T12:00:00.000Z', baby_id: 'b1', offered_oz: 2, consumed_oz: 1.5, sources: [{ session_id: 's1', amount_oz: 2 }] },
+  ],
+  settings: {},
+});
+
+// Rows of a CSV export keyed by header (the cells under test hold no commas)
+const rows = (csv) => {
+  const [header, ...lines] = csv.trim().split('\r\n').map(line => line.split(','));
+  return lines.map(cells => Object.fromEntries(header.map((h, i) => [h, cells[i]])));
+};
+
+test('the sessions CSV is sorted by time, names profiles and defuses formulas', () => {
+  const [first, second] = rows(sessionsCsv(household()));
+  assert.strictEqual(first.id, 's1');
+  assert.strictEqual(first.notes, "'=SUM(A1)");
+  assert.strictEqual(first.amount_ml, '59');
+  assert.strictEqual(second.parent, 'Ana');
+  assert.strictEqual(second.remaining_oz, '3');
+});
+
+test('the feeds CSV lists the baby and the source bags', () => {
+  const [feed] = rows(feedsCsv(household()));
+  assert.strictEqual(feed.baby, 'Lia');
+  assert.strictEqual(feed.source_sessions, 's1');
+  assert.strictEqual(feed.consumed_oz, '1.5');
+});
+
+test('the stored ounce columns stay put and the household unit follows them', () => {
+  const data = household();
+  data.sessions[0].amount_ml = 90;
+  const units = { unit: 'ml', oz_decimals: 1, ml_decimals: 0 };
+  const csv = sessionsCsv(data, units);
+  assert.match(csv, /^id,timestamp,parent,baby,amount_oz,amount_ml,remaining_oz,.*,notes,unit,amount,remaining,left,right\r\n/);
+  const [first, second] = rows(csv);
+  assert.deepStrictEqual([second.amount_oz, second.amount_ml, second.unit, second.amount, second.remaining], ['3', '90', 'ml', '90', '89']);
+  assert.deepStrictEqual([first.amount_oz, first.amount_ml, first.amount, first.left], ['2', '59', '59', '']);
+  const [feed] = rows(feedsCsv(data, units));
+  assert.deepStrictEqual([feed.offered_oz, feed.unit, feed.offered, feed.consumed], ['2', 'ml', '59', '44']);
+});
+
+test('re-importing an export finds only duplicates', () => {
+  const data = household();
+  const dump = JSON.parse(JSON.stringify(jsonDump(data)));
+  const { report } = planImport(data, dump);
+  assert.deepStrictEqual(report.duplicates, { profiles: 2, sessions: 2, feeds: 1 });
+  assert.deepStrictEqual(report.added, { profiles: 0, sessions: 0, feeds: 0 });
+  assert.deepStrictEqual(report.conflicts, []);
+  assert.deepStrictEqual(report.invalid, []);
+});
+
+test('changed records are conflicts and only overwritten when replacing', () => {
+  const changed = { ...household().sessions[0], amount_oz: 4 };
+  const kept = household();
+  planImport(kept, { sessions: [changed] }).apply();
+  assert.strictEqual(kept.sessions[0].amount_oz, 3);
+
+  const replaced = household();
+  const { report, apply } = planImport(replaced, { sessions: [changed] }, { replace: true });
+  assert.deepStrictEqual(report.conflicts, [{ type: 'sessions', id: 's2', fields: ['amount_oz'] }]);
+  assert.strictEqual(report.replaced.sessions, 1);
+  apply();
+  assert.strictEqual(replaced.sessions[0].amount_oz, 4);
+});
+
+test('new records may reference each other within the file', () => {
+  const data = household();
+  const dump = {
+    profiles: [{ id: 'b2', kind: 'baby', name: 'Max', parent_id: 'dad' }, { id: 'dad', kind: 'parent', name: 'Ben' }],
+    sessions: [{ id: 's3', timestamp: '2026-10-03T08:00:00.000Z', amount_oz: 1, profile_id: 'dad' }],
+    feeds: [{ id: 'f2', timestamp: '2026-10-03T12:00:00.000Z', baby_id: 'b2', offered_oz: 1, sources: [{ session_id: 's3' }] }],
+  };
+  const { report, apply } = planImport(data, dump);
+  assert.deepStrictEqual(report.invalid, []);
+  assert.deepStrictEqual(report.added, { profiles: 2, sessions: 1, feeds: 1 });
+  apply();
+  assert.deepStrictEqual(data.feeds.map(f => f.id), ['f1', 'f2']);
+});
+
+test('nothing may point at a profile that is rejected', () => {
+  const data = household();
+  const dump = {
+    profiles: [{ id: 'b2', kind: 'baby', name: 'Max', parent_id: 'dad' }, { id: 'dad', kind: 'parent', name: ' ' }],
+    sessions: [{ id: 's3', timestamp: '2026-10-03T08:00:00.000Z', amount_oz: 1, profile_id: 'dad' }],
+    feeds: [{ id: 'f2', timestamp: '2026-10-03T12:00:00.000Z', baby_id: 'b2', offered_oz: 1, sources: [] }],
+  };
+  const { report, apply } = planImport(data, dump);
+  assert.deepStrictEqual(report.invalid, [
+    { type: 'profiles', index: 1, id: 'dad', errors: ['name is required.'] },
+    { type: 'profiles', index: 0, id: 'b2', errors: ['parent_id must reference a parent profile.'] },
+    { type: 'sessions', index: 0, id: 's3', errors: ['profile_id does not match a parent profile.'] },
+    { type: 'feeds', index: 0, id: 'f2', errors: ['baby_id does not match a baby profile.'] },
+  ]);
+  apply();
+  assert.deepStrictEqual(data, household());
+});
+
+test('invalid records are reported and left out', () => {
+  const data = household();
+  const dump = {
+    profiles: [{ id: 'dad', kind: 'parent', name: 'Ben' }, { id: 'b9', kind: 'baby', name: 'Zoe', parent_id: 'dad' }],
+    sessions: [
+      { id: 's3', timestamp: 'yesterday', amount_oz: 0 },
+      { id: 's4', timestamp: '2026-10-03T08:00:00.000Z', amount_oz: 1, profile_id: 'b1' },
+      { timestamp: '2026-10-03T08:00:00.000Z', amount_oz: 1 },
+      { id: 's5', timestamp: '2026-10-03T08:00:00.000Z', amount_oz: 1, profile_id: 'mum', baby_id: 'b9' },
+    ],
+    feeds: [{ id: 'f2', timestamp: '2026-10-03T12:00:00.000Z', offered_oz: 1, sources: [{ session_id: 'gone' }] }],
+  };
+  const { report, apply } = planImport(data, dump);
+  assert.deepStrictEqual(report.invalid, [
+    { type: 'sessions', index: 0, id: 's3', errors: ['amount_oz must be a positive number.', 'timestamp must be an ISO date/time.'] },
+    { type: 'sessions', index: 1, id: 's4', errors: ['profile_id does not match a parent profile.'] },
+    { type: 'sessions', index: 2, errors: ['id is required.'] },
+    { type: 'sessions', index: 3, id: 's5', errors: ['baby_id is not a baby of the profile_id parent.'] },
+    { type: 'feeds', index: 0, id: 'f2', errors: ['sources reference a session that does not exist.'] },
+  ]);
+  apply();
+  assert.strictEqual(data.sessions.length, 2);
+  assert.strictEqual(data.feeds.length, 1);
+});
+
+test('files that are not an export, or come from a newer version, are refused', () => {
+  assert.deepStrictEqual(planImport(household(), []).report.errors, ['Import must be a JSON object from the export.']);
+  assert.deepStrictEqual(planImport(household(), { version: 99 }).report.errors, [
+    'This file was exported by a newer version of the tracker.',
+  ]);
+});
@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { validateFeed, allocateSources } = require('../feeds');
+
+const bag = (id, remaining_oz, state = 'fridge') => ({ id, state, remaining_oz });
+const amounts = (allocations) => allocations.map(a => [a.session.id, a.amount_oz]);
+
+test('validateFeed checks volumes and sources', () => {
+  assert.deepStrictEqual(validateFeed({ offered_oz: 3, consumed_oz: 2, sources: [{ session_id: 'a' }] }), []);
+  assert.deepStrictEqual(validateFeed({ offered_oz: 0 }), ['offered_oz must be a positive number.']);
+  assert.deepStrictEqual(validateFeed({ offered_oz: 2, consumed_oz: 3 }), ['consumed_oz cannot exceed offered_oz.']);
+  assert.deepStrictEqual(validateFeed({ offered_oz: 2, sources: [{}] }), ['sources[0].session_id is required.']);
+});
+
+test('validateFeed rejects a bag listed twice', () => {
+  const errors = validateFeed({ offered_oz: 4, sources: [{ session_id: 'a', amount_oz: 2 }, { session_id: 'a', amount_oz: 2 }] });
+  assert.deepStrictEqual(errors, ['sources[1] lists bag a twice.']);
+});
+
+test('sources without an amount are drawn from in order', () => {
+  const sessions = [bag('a', 2), bag('b', 3)];
+  assert.deepStrictEqual(amounts(allocateSources(sessions, [{ session_id: 'a' }, { session_id: 'b' }], 4)), [['a', 2], ['b', 2]]);
+  // A bag that is not needed is left out
+  assert.deepStrictEqual(amounts(allocateSources(sessions, [{ session_id: 'a' }, { session_id: 'b' }], 1.5)), [['a', 1.5]]);
+});
+
+test('explicit amounts are taken first and the rest comes from the other sources', () => {
+  const sessions = [bag('a', 2), bag('b', 3)];
+  const allocations = allocateSources(sessions, [{ session_id: 'a' }, { session_id: 'b', amount_oz: 2.5 }], 4);
+  assert.deepStrictEqual(amounts(allocations), [['a', 1.5], ['b', 2.5]]);
+});
+
+test('a bag is never overdrawn, even when listed twice', () => {
+  const sessions = [bag('a', 2.23)];
+  assert.throws(
+    () => allocateSources(sessions, [{ session_id: 'a', amount_oz: 2 }, { session_id: 'a', amount_oz: 2 }], 4),
+    err => err.status === 409 && /Only 2.23 oz left/.test(err.message),
+  );
+  assert.throws(() => allocateSources(sessions, [{ session_id: 'a', amount_oz: 3 }], 3), err => err.status === 409);
+});
+
+test('allocation fails when the bags cannot supply the feed', () => {
+  assert.throws(() => allocateSources([bag('a', 1)], [{ session_id: 'a' }], 2), /Not enough milk/);
+  assert.throws(() => allocateSources([bag('a', 5)], [{ session_id: 'a', amount_oz: 3 }], 2), err => err.status === 400);
+  assert.throws(() => allocateSources([], [{ session_id: 'x' }], 2), err => err.status === 404);
+  assert.throws(() => allocateSources([bag('a', 5, 'frozen')], [{ session_id: 'a' }], 2), /Cannot feed from a frozen bag/);
+});
+
+test('a feed without sources draws from no bag', () => {
+  assert.deepStrictEqual(allocateSources([bag('a', 5)], [], 2), []);
+});
@@ -0,0 +1,171 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  BUILTIN_TEMPLATES, SHEET_LAYOUTS, validateLabelSettings, normalizeLabelSettings, templateFor, layoutLabel, renderTspl, renderZpl, renderEscPos,
+  renderRaw, renderRawBatch, renderPdf, renderSheet, pdfMedia, renderHtml, previewLabel,
+} = require('../labels');
+
+const bag = {
+  id: 'bag-1',
+  timestamp: '2026-10-01T12:30:00.000Z',
+  amount_oz: 3,
+  state: 'fridge',
+  side: 'left',
+  duration_min: 15,
+  notes: 'Evening "top-up"',
+  use_by_fridge: '2026-10-05T12:30:00.000Z',
+  use_by_frozen: '2027-04-01T12:30:00.000Z',
+};
+const custom = {
+  id: 'tiny',
+  name: ' Tiny ',
+  width_in: 1,
+  height_in: 0.5,
+  dpi: 300,
+  time_zone: 'UTC',
+  fields: [
+    { content: 'text', text: 'MILK', x: 0, y: 0, size: 6 },
+    { content: 'baby_name', x: 0, y: 20, size: 6 },
+    { content: 'detail', x: 0, y: 40, size: 6, max_chars: 8 },
+    { content: 'use_by', x: 0, y: 60, size: 6 },
+  ],
+};
+const values = fields => fields.map(f => [f.content, f.value]);
+const pageCount = pdf => (pdf.toString('latin1').match(/\/Type \/Page\b(?!s)/g) || []).length;
+
+test('the default label lays out the bag in the household time zone', () => {
+  const template = templateFor({}, undefined, { time_zone: 'America/New_York' });
+  assert.deepStrictEqual(values(layoutLabel(bag, template)), [
+    ['datetime', '10/1/2026 8:30 AM'],
+    ['amount', '3.00 oz (89 ml)'],
+    ['detail', 'Left | 15 min | Evening "top'],
+    ['use_by', 'Fridge: 10/5/2026  Freezer: 4/1/2027'],
+    ['qr', 'bag-1'],
+  ]);
+});
+
+test('household date settings apply unless the template sets its own zone', () => {
+  const household = { locale: 'es-MX', time_zone: 'America/Mexico_City', clock: '24h', date_format: 'dmy' };
+  const [datetime] = layoutLabel(bag, templateFor({}, 'default', household));
+  assert.strictEqual(datetime.value, '01/10/2026 06:30');
+  const utc = { ...custom, fields: [{ content: 'time', x: 0, y: 0, size: 6 }, ...custom.fields] };
+  const [time, , , useBy] = layoutLabel(bag, templateFor({ custom: [utc] }, 'tiny', household));
+  assert.strictEqual(time.value, '12:30');
+  assert.strictEqual(useBy.value, 'Fridge: 05/10/2026  Freezer: 01/04/2027');
+});
+
+test('amounts and side splits follow the household unit', () => {
+  const template = templateFor({}, 'default', {}, { unit: 'ml', oz_decimals: 1 });
+  const split = { ...bag, amount_ml: 90, side: 'both', left_oz: 1.25, right_oz: 1.75, duration_min: null, notes: '' };
+  const fields = Object.fromEntries(values(layoutLabel(split, template)));
+  assert.strictEqual(fields.amount, '90 ml (3.0 oz)');
+  assert.strictEqual(fields.detail, 'L 37 / R 52 ml');
+});
+
+test('empty fields are left off and long ones are cut to max_chars', () => {
+  const fields = layoutLabel(bag, custom);
+  assert.deepStrictEqual(fields.map(f => f.truncated), [false, true, false]);
+  assert.deepStrictEqual(values(fields), [
+    ['text', 'MILK'],
+    ['detail', 'Left | 1'],
+    ['use_by', 'Fridge: 10/5/2026  Freezer: 4/1/2027'],
+  ]);
+});
+
+test('thawed milk shows the hour it has to be used by', () => {
+  const thawed = { ...bag, state: 'thawed', expires_at: '2026-10-02T09:05:00.000Z' };
+  const [useBy] = layoutLabel(thawed, custom).filter(f => f.content === 'use_by');
+  assert.strictEqual(useBy.value, 'Use by: 10/2/2026 9:05 AM');
+});
+
+test('TSPL sizes the label from the template and escapes quotes', () => {
+  const tspl = renderTspl(bag).split('\n');
+  assert.strictEqual(tspl[0], 'SIZE 2.625,1.000');
+  assert.ok(tspl.includes('TEXT 30,50,"0",0,1,2,"3.00 oz (89 ml)"'));
+  assert.ok(tspl.includes('TEXT 30,95,"0",0,1,1,"Left | 15 min | Evening \\"top"'));
+  assert.ok(tspl.includes('QRCODE 430,20,L,3,A,0,"bag-1"'));
+  assert.strictEqual(tspl[tspl.length - 2], 'FORMFEED');
+});
+
+test('ZPL escapes field data and sizes text in dots', () => {
+  const zpl = renderZpl({ ...bag, notes: 'Top^up ~1' }).split('\n');
+  assert.deepStrictEqual(zpl.slice(0, 4), ['^XA', '^CI28', '^PW533', '^LL203']);
+  assert.ok(zpl.includes('^FO30,50^A0N,39,39^FH^FD3.00 oz (89 ml)^FS'));
+  assert.ok(zpl.includes('^FO30,95^A0N,23,23^FH^FDLeft | 15 min | Top_5Eup _7E1^FS'));
+  assert.ok(zpl.includes('^FO430,20^BQN,2,3^FDLA,bag-1^FS'));
+  assert.strictEqual(renderRaw('zpl', bag), renderZpl(bag));
+});
+
+test('ESC/POS prints text top to bottom in plain ASCII, then the QR code, then cuts', () => {
+  const escpos = renderEscPos({ ...bag, notes: 'Niño ☺' });
+  assert.ok(Buffer.isBuffer(escpos));
+  const text = escpos.toString('latin1');
+  assert.ok(text.startsWith('\x1b@'));
+  assert.ok(text.indexOf('3.00 oz (89 ml)\n') < text.indexOf('Left | 15 min | Nino ?\n'));
+  assert.ok(text.indexOf('Left | 15 min | Nino ?\n') < text.indexOf('bag-1'));
+  assert.ok(text.endsWith('\x1dVB\x03'));
+  assert.strictEqual(renderRaw('tspl', bag), renderTspl(bag));
+});
+
+test('PDF and HTML labels are the template size', async () => {
+  const pdf = await renderPdf([bag], BUILTIN_TEMPLATES[2]);
+  assert.strictEqual(pdf.subarray(0, 5).toString(), '%PDF-');
+  assert.strictEqual(pageCount(pdf), 1);
+  assert.strictEqual(pdfMedia(BUILTIN_TEMPLATES[2]), 'Custom.288x432');
+  const html = await renderHtml({ ...bag, id: '<b>' }, custom);
+  assert.match(html, /@page \{ size: 1in 0.5in; margin: 0; \}/);
+  assert.match(html, /<title>Label &#60;b&#62;<\/title>/);
+});
+
+test('copies repeat the label in every output', async () => {
+  assert.match(renderTspl(bag, undefined, 3), /^PRINT 1,3$/m);
+  assert.match(renderZpl(bag, undefined, 3), /^\^PQ3$/m);
+  const one = renderEscPos(bag);
+  const three = renderEscPos(bag, undefined, 3);
+  assert.strictEqual(three.length, 2 + (one.length - 2) * 3);
+  assert.strictEqual((await renderHtml(bag, custom, 2)).match(/<div class="label">/g).length, 2);
+  assert.strictEqual(pageCount(await renderPdf([bag, { ...bag, id: 'bag-2' }], custom, 2)), 4);
+
+  const batch = renderRawBatch('tspl', [bag, { ...bag, id: 'bag-2' }], undefined, 2).toString();
+  assert.deepStrictEqual(batch.match(/"bag-\d"/g), ['"bag-1"', '"bag-2"']);
+  assert.strictEqual(batch.match(/^PRINT 1,2$/gm).length, 2);
+});
+
+test('sticker sheets start at any cell and carry on onto the next sheet', async () => {
+  const avery5160 = SHEET_LAYOUTS.find(l => l.id === 'avery-5160');
+  const two = [bag, { ...bag, id: 'bag-2' }];
+  assert.strictEqual(pageCount(await renderSheet(two, BUILTIN_TEMPLATES[0], avery5160, { copies: 2, start: 27 })), 1);
+  assert.strictEqual(pageCount(await renderSheet(two, BUILTIN_TEMPLATES[0], avery5160, { copies: 2, start: 28 })), 2);
+});
+
+test('the preview draws the label and warns about text that will not print', () => {
+  const { svg, warnings } = previewLabel(bag);
+  assert.match(svg, /viewBox="0 0 533 203" width="2.625in" height="1in"/);
+  assert.match(svg, /Left \| 15 min \| Evening &#34;top<\/text>/);
+  assert.deepStrictEqual(warnings, ['Detail line is cut to 28 characters.']);
+
+  const cramped = { ...custom, fields: [...custom.fields, { content: 'amount', x: 200, y: 140, size: 10 }, { content: 'qr', x: 250, y: 0, size: 4 }] };
+  assert.deepStrictEqual(previewLabel(bag, cramped, 'tspl').warnings, [
+    'Detail line is cut to 8 characters.',
+    'Use-by line runs past the right edge of the label.',
+    'Amount runs past the right edge of the label.',
+    'Amount runs past the bottom of the label.',
+    'The QR code does not fit on the label.',
+  ]);
+});
+
+test('custom templates are checked and the selection falls back to the default', () => {
+  assert.deepStrictEqual(validateLabelSettings({ template: 'tiny', custom: [custom] }), []);
+  assert.deepStrictEqual(validateLabelSettings({ template: 'gone', custom: [{ ...custom, id: 'default', dpi: 10 }] }), [
+    'default: that id belongs to a built-in template.',
+    'default: dpi must be between 72 and 1200.',
+    'No template has id gone.',
+  ]);
+
+  const stored = { template: 'tiny', custom: [custom, { ...custom, id: 'broken', fields: [] }] };
+  const settings = normalizeLabelSettings(stored);
+  assert.deepStrictEqual(settings.custom.map(t => [t.id, t.name, t.gap_in]), [['tiny', 'Tiny', 0]]);
+  assert.strictEqual(templateFor(stored).id, 'tiny');
+  assert.strictEqual(templateFor(stored, '4x6').id, '4x6');
+  assert.strictEqual(templateFor({ template: 'broken', custom: stored.custom }).id, 'default');
+});
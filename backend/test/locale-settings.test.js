@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+// Until the household picks a zone, the one the server was started in applies
+process.env.TZ = 'Europe/Madrid';
+const {
+  DEFAULT_LOCALE_SETTINGS, normalizeLocaleSettings, validateLocaleSettings, formatDate, formatMonthDay, formatTime,
+  formatDateTime,
+} = require('../locale-settings');
+
+// 23:30 on 31 March in New York is already 1 April in Madrid
+const LATE = '2026-04-01T03:30:00.000Z';
+const settings = (fields) => normalizeLocaleSettings(fields);
+
+test('the defaults follow the server time zone and invalid stored values are dropped', () => {
+  assert.deepStrictEqual(DEFAULT_LOCALE_SETTINGS, {
+    locale: 'en-US', time_zone: 'Europe/Madrid', clock: '12h', date_format: 'locale',
+  });
+  assert.deepStrictEqual(settings({ locale: 'es-MX', time_zone: 'Mars/Olympus', clock: '25h', date_format: 'ymd' }), {
+    locale: 'es-MX', time_zone: 'Europe/Madrid', clock: '12h', date_format: 'ymd',
+  });
+  assert.deepStrictEqual(settings(null), DEFAULT_LOCALE_SETTINGS);
+});
+
+test('settings payloads are checked field by field', () => {
+  assert.deepStrictEqual(validateLocaleSettings({ locale: 'es-MX', time_zone: 'America/Mexico_City' }), []);
+  assert.deepStrictEqual(validateLocaleSettings({ locale: 42, time_zone: 'Nowhere', clock: 'am', date_format: 'long' }), [
+    'locale must be a supported language tag such as en-US or es-MX.',
+    'time_zone must be an IANA time zone such as America/New_York.',
+    'clock must be one of: 12h, 24h.',
+    'date_format must be one of: locale, mdy, dmy, ymd.',
+  ]);
+  assert.deepStrictEqual(validateLocaleSettings([]), []);
+  assert.deepStrictEqual(validateLocaleSettings('es'), ['Settings must be an object.']);
+});
+
+test('dates fall on the day of the household time zone in the chosen order', () => {
+  const ny = { time_zone: 'America/New_York' };
+  assert.strictEqual(formatDate(LATE, settings(ny)), '3/31/2026');
+  assert.strictEqual(formatDate(LATE, settings({ ...ny, date_format: 'dmy' })), '31/03/2026');
+  assert.strictEqual(formatDate(LATE, settings({ ...ny, date_format: 'ymd' })), '2026-03-31');
+  assert.strictEqual(formatDate(LATE, settings({ time_zone: 'Europe/Madrid', date_format: 'mdy' })), '04/01/2026');
+  assert.strictEqual(formatDate(LATE, settings({ ...ny, locale: 'es-MX' })), '31/3/2026');
+  assert.strictEqual(formatMonthDay(LATE, settings({ ...ny, date_format: 'dmy' })), '31/3');
+  assert.strictEqual(formatMonthDay(LATE, settings({ ...ny, date_format: 'ymd' })), '3/31');
+});
+
+test('times follow the 12 or 24 hour clock', () => {
+  const ny = { time_zone: 'America/New_York' };
+  assert.strictEqual(formatTime(LATE, settings(ny)), '11:30 PM');
+  assert.strictEqual(formatTime(LATE, settings({ ...ny, clock: '24h' })), '23:30');
+  assert.strictEqual(formatDateTime(LATE, settings({ ...ny, clock: '24h', date_format: 'ymd' })), '2026-03-31 23:30');
+});
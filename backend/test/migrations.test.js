@@ -0,0 +1,69 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SCHEMA_VERSION, migrateData, migrateStore } = require('../migrations');
+const { openStore } = require('../store');
+
+const dirs = [];
+after(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+const tempStore = (initial) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bmt-migrations-'));
+  dirs.push(dir);
+  return openStore({ dir, initial });
+};
+
+test('data saved before migrations existed is brought up to the current schema', () => {
+  const data = { sessions: [{ id: 'a', timestamp: '2026-10-01T08:00:00.000Z', amount_oz: 3 }] };
+  assert.strictEqual(migrateData(data), 0);
+  assert.strictEqual(data.schemaVersion, SCHEMA_VERSION);
+  ['printJobs', 'feeds', 'profiles', 'users', 'audit'].forEach(key => assert.deepStrictEqual(data[key], []));
+  const [session] = data.sessions;
+  assert.strictEqual(session.state, 'fridge');
+  assert.strictEqual(session.remaining_oz, 3);
+  assert.deepStrictEqual(session.history, [{ state: 'fridge', at: '2026-10-01T08:00:00.000Z' }]);
+  assert.strictEqual(session.expires_at, '2026-10-05T08:00:00.000Z');
+});
+
+test('print jobs from before leases get attempts and a lease that has run out', () => {
+  const data = {
+    schemaVersion: 5,
+    printJobs: [
+      { id: 'q', status: 'queued', createdAt: '2026-10-01T08:00:00.000Z' },
+      { id: 'c', status: 'claimed', createdAt: '2026-10-01T08:00:00.000Z', claimedAt: '2026-10-01T08:01:00.000Z' },
+    ],
+  };
+  migrateData(data);
+  const [queued, claimed] = data.printJobs;
+  assert.strictEqual(queued.attempts, 0);
+  assert.strictEqual(claimed.attempts, 1);
+  assert.strictEqual(claimed.leaseExpiresAt, '2026-10-01T08:01:00.000Z');
+});
+
+test('data written by a newer build is refused', () => {
+  assert.throws(() => migrateData({ schemaVersion: SCHEMA_VERSION + 1 }), /only knows up to/);
+});
+
+test('migrateStore backs up the old data once and is a no-op afterwards', async () => {
+  const store = await tempStore({ sessions: [] });
+  const backups = [];
+  const backup = async (data, label) => { backups.push(label); };
+
+  assert.deepStrictEqual(await migrateStore(store, { backup }), { from: 0, to: SCHEMA_VERSION });
+  assert.deepStrictEqual(backups, ['pre-migration-v0']);
+  assert.strictEqual((await store.read()).schemaVersion, SCHEMA_VERSION);
+
+  assert.deepStrictEqual(await migrateStore(store, { backup }), { from: SCHEMA_VERSION, to: SCHEMA_VERSION });
+  assert.strictEqual(backups.length, 1);
+  await store.close();
+});
+
+test('a new, empty store is migrated without a backup', async () => {
+  const store = await tempStore({});
+  const backups = [];
+  await migrateStore(store, { backup: async (data, label) => { backups.push(label); } });
+  assert.strictEqual((await store.read()).schemaVersion, SCHEMA_VERSION);
+  assert.deepStrictEqual(backups, []);
+  await store.close();
+});
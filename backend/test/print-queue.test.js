@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  LEASE_MS, MAX_ATTEMPTS, queueFields, cancelJob, reassignJob, expireLeases, claimNextJob, completeJob, pruneJobs,
+} = require('../print-queue');
+
+const T0 = Date.parse('2026-10-19T12:00:00.000Z');
+const job = (id, fields = {}) => ({ id, ...queueFields(T0), printerId: null, ...fields });
+
+test('an agent claims jobs for its printer before unassigned ones, oldest first', () => {
+  const jobs = [job('any'), job('other', { printerId: 'p2' }), job('mine', { printerId: 'p1' })];
+  const claimed = claimNextJob(jobs, 'p1', T0);
+  assert.strictEqual(claimed.id, 'mine');
+  assert.strictEqual(claimed.status, 'claimed');
+  assert.strictEqual(claimed.attempts, 1);
+  assert.strictEqual(claimed.leaseExpiresAt, new Date(T0 + LEASE_MS).toISOString());
+  assert.strictEqual(claimNextJob(jobs, 'p1', T0).id, 'any');
+  assert.strictEqual(claimNextJob(jobs, 'p1', T0), null);
+});
+
+test('a failed attempt is retried with backoff, then dead-lettered', () => {
+  const jobs = [job('a')];
+  let now = T0;
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt += 1) {
+    const claimed = claimNextJob(jobs, 'p1', now);
+    assert.ok(claimed, `attempt ${attempt} is claimed`);
+    completeJob(claimed, { success: false, error: 'Paper out' }, now);
+    if (attempt < MAX_ATTEMPTS) {
+      assert.strictEqual(jobs[0].status, 'queued');
+      // Not due again until the backoff has passed
+      assert.strictEqual(claimNextJob(jobs, 'p1', now), null);
+      now = Date.parse(jobs[0].nextAttemptAt);
+    }
+  }
+  assert.strictEqual(jobs[0].status, 'failed');
+  assert.strictEqual(jobs[0].error, 'Paper out');
+});
+
+test('a claim whose lease runs out counts as a failed attempt', () => {
+  const jobs = [job('a')];
+  claimNextJob(jobs, 'p1', T0);
+  assert.strictEqual(expireLeases(jobs, T0 + LEASE_MS - 1), 0);
+  assert.strictEqual(expireLeases(jobs, T0 + LEASE_MS), 1);
+  assert.strictEqual(jobs[0].status, 'queued');
+  assert.match(jobs[0].lastError, /Lease expired \(p1 did not report back\)/);
+});
+
+test('a successful report finishes the job', () => {
+  const jobs = [job('a')];
+  completeJob(claimNextJob(jobs, 'p1', T0), { success: true }, T0 + 1000);
+  assert.strictEqual(jobs[0].status, 'done');
+  assert.strictEqual(jobs[0].finishedAt, new Date(T0 + 1000).toISOString());
+});
+
+test('reassigning a failed job gives it a fresh set of attempts', () => {
+  const failed = job('a', { status: 'failed', attempts: MAX_ATTEMPTS, error: 'Paper out', finishedAt: new Date(T0).toISOString() });
+  reassignJob(failed, 'p2', T0);
+  assert.strictEqual(failed.status, 'queued');
+  assert.strictEqual(failed.attempts, 0);
+  assert.strictEqual(failed.printerId, 'p2');
+  assert.strictEqual(failed.error, null);
+});
+
+test('reassigning a claimed job releases it without using up the attempt', () => {
+  const jobs = [job('a')];
+  claimNextJob(jobs, 'p1', T0);
+  reassignJob(jobs[0], 'p2', T0);
+  assert.strictEqual(jobs[0].status, 'queued');
+  assert.strictEqual(jobs[0].attempts, 0);
+  assert.strictEqual(claimNextJob(jobs, 'p2', T0).id, 'a');
+});
+
+test('finished jobs are pruned after their retention; open ones are kept', () => {
+  const day = 86400 * 1000;
+  const done = job('done');
+  completeJob(claimNextJob([done], 'p1', T0), { success: true }, T0);
+  const cancelled = job('cancelled');
+  cancelJob(cancelled, T0);
+  const failed = job('failed', { status: 'failed', finishedAt: new Date(T0).toISOString() });
+  const queued = job('queued');
+  const jobs = [done, cancelled, failed, queued];
+
+  assert.deepStrictEqual(pruneJobs(jobs, T0 + day - 1).map(j => j.id), ['done', 'cancelled', 'failed', 'queued']);
+  assert.deepStrictEqual(pruneJobs(jobs, T0 + day).map(j => j.id), ['failed', 'queued']);
+  assert.deepStrictEqual(pruneJobs(jobs, T0 + 7 * day).map(j => j.id), ['queued']);
+});
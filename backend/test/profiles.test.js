@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  validateProfile, validateSessionProfiles, babyNameFor, sessionsFor, feedsFor,
+} = require('../profiles');
+
+const profiles = [
+  { id: 'mum', kind: 'parent', name: 'Ana' },
+  { id: 'dad', kind: 'parent', name: 'Ben' },
+  { id: 'b1', kind: 'baby', name: 'Lia', parent_id: 'mum' },
+  { id: 'b2', kind: 'baby', name: 'Max', parent_id: 'mum' },
+  { id: 'b3', kind: 'baby', name: 'Zoe', parent_id: 'dad' },
+];
+
+test('a new profile needs a kind and a name, and a baby needs a parent', () => {
+  assert.deepStrictEqual(validateProfile({ kind: 'parent', name: 'Cy' }, profiles), []);
+  assert.deepStrictEqual(validateProfile({ kind: 'baby', name: 'Kit', parent_id: 'mum' }, profiles), []);
+  assert.deepStrictEqual(validateProfile({ kind: 'cat', name: ' ' }, profiles), [
+    'kind must be one of: parent, baby.',
+    'name is required.',
+  ]);
+  assert.deepStrictEqual(validateProfile({ kind: 'baby', name: 'Kit', parent_id: 'b1' }, profiles), [
+    'parent_id must reference a parent profile.',
+  ]);
+});
+
+test('an update only checks the fields it sends and keeps the existing kind', () => {
+  assert.deepStrictEqual(validateProfile({}, profiles, profiles[2]), []);
+  assert.deepStrictEqual(validateProfile({ kind: 'parent', parent_id: 'nobody' }, profiles, profiles[2]), [
+    'parent_id must reference a parent profile.',
+  ]);
+});
+
+test('session references must point at the right kind of profile', () => {
+  assert.deepStrictEqual(validateSessionProfiles({ profile_id: 'mum', baby_id: 'b1' }, profiles), []);
+  assert.deepStrictEqual(validateSessionProfiles({ profile_id: null, baby_id: null }, profiles), []);
+  assert.deepStrictEqual(validateSessionProfiles({ profile_id: 'b1', baby_id: 'mum' }, profiles), [
+    'profile_id must reference a parent profile.',
+    'baby_id must reference a baby profile.',
+  ]);
+});
+
+test('a session baby has to be one of its parent\'s, counting what the session already has', () => {
+  const mismatch = ['baby_id must be a baby of the profile_id parent.'];
+  assert.deepStrictEqual(validateSessionProfiles({ profile_id: 'dad', baby_id: 'b1' }, profiles), mismatch);
+  assert.deepStrictEqual(validateSessionProfiles({ baby_id: 'b3' }, profiles, { profile_id: 'mum' }), mismatch);
+  assert.deepStrictEqual(validateSessionProfiles({ profile_id: 'dad' }, profiles, { profile_id: 'mum', baby_id: 'b1' }), mismatch);
+  assert.deepStrictEqual(validateSessionProfiles({ profile_id: 'dad', baby_id: null }, profiles, { baby_id: 'b1' }), []);
+});
+
+test('labels name the designated baby, else every baby of the parent', () => {
+  assert.strictEqual(babyNameFor({ profile_id: 'mum', baby_id: 'b2' }, profiles), 'Max');
+  assert.strictEqual(babyNameFor({ profile_id: 'mum' }, profiles), 'Lia & Max');
+  assert.strictEqual(babyNameFor({}, profiles), '');
+});
+
+test('sessions and feeds are filtered by profile', () => {
+  const data = {
+    profiles,
+    sessions: [{ id: 's1', profile_id: 'mum' }, { id: 's2', profile_id: 'dad' }],
+    feeds: [{ id: 'f1', baby_id: 'b1' }, { id: 'f2', baby_id: 'b2' }, { id: 'f3', baby_id: 'b3' }],
+  };
+  const ids = list => list.map(x => x.id);
+  assert.deepStrictEqual(ids(sessionsFor(data, 'dad')), ['s2']);
+  assert.deepStrictEqual(ids(sessionsFor(data, '')), ['s1', 's2']);
+  assert.deepStrictEqual(ids(feedsFor(data, 'mum')), ['f1', 'f2']);
+  assert.deepStrictEqual(ids(feedsFor(data, 'b3')), ['f3']);
+  assert.deepStrictEqual(feedsFor(data, 'gone'), []);
+});
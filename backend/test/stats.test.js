@@ -0,0 +1,83 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { computeStats } = require('../stats');
+
+const session = (timestamp, amount_oz) => ({ timestamp, amount_oz });
+const sessions = [
+  session('2026-09-28T06:00:00.000Z', 2),
+  session('2026-10-05T06:30:00.000Z', 3),
+  session('2026-10-05T18:00:00.000Z', 1.5),
+  session('2026-10-07T06:15:00.000Z', 2.25),
+];
+const from = new Date('2026-10-05T00:00:00.000Z');
+const to = new Date('2026-10-07T23:59:59.999Z');
+
+test('totals only count sessions inside the range', () => {
+  assert.deepStrictEqual(computeStats(sessions, from, to, 'UTC').totals, {
+    sessions: 3,
+    amount_oz: 6.75,
+    avg_oz_per_session: 2.25,
+    avg_oz_per_day: 2.25,
+    avg_duration_min: null,
+  });
+});
+
+test('every day in the range gets a bucket, empty ones included', () => {
+  assert.deepStrictEqual(computeStats(sessions, from, to, 'UTC').daily, [
+    { date: '2026-10-05', amount_oz: 4.5, sessions: 2 },
+    { date: '2026-10-06', amount_oz: 0, sessions: 0 },
+    { date: '2026-10-07', amount_oz: 2.25, sessions: 1 },
+  ]);
+});
+
+test('weeks start on Monday and months are calendar months', () => {
+  const stats = computeStats(sessions, new Date('2026-09-28T00:00:00.000Z'), to, 'UTC');
+  assert.deepStrictEqual(stats.weekly, [
+    { week_start: '2026-09-28', amount_oz: 2, sessions: 1 },
+    { week_start: '2026-10-05', amount_oz: 6.75, sessions: 3 },
+  ]);
+  assert.deepStrictEqual(stats.monthly, [
+    { month: '2026-09', amount_oz: 2, sessions: 1 },
+    { month: '2026-10', amount_oz: 6.75, sessions: 3 },
+  ]);
+});
+
+test('sessions are spread over the hour they started in', () => {
+  const byHour = computeStats(sessions, from, to, 'UTC').by_hour;
+  assert.strictEqual(byHour.length, 24);
+  assert.deepStrictEqual(byHour[6], { hour: 6, amount_oz: 5.25, sessions: 2 });
+  assert.deepStrictEqual(byHour[18], { hour: 18, amount_oz: 1.5, sessions: 1 });
+});
+
+test('the rolling week reaches back before the start of the range', () => {
+  const rolling = computeStats(sessions, from, to, 'UTC').rolling_7d;
+  // 28 Sep falls outside the window ending 5 Oct, so only that day's milk counts
+  assert.deepStrictEqual(rolling[0], { date: '2026-10-05', total_oz: 4.5, avg_oz: 0.64 });
+  assert.deepStrictEqual(rolling[2], { date: '2026-10-07', total_oz: 6.75, avg_oz: 0.96 });
+  const earlier = computeStats(sessions, new Date('2026-10-04T00:00:00.000Z'), to, 'UTC').rolling_7d[0];
+  assert.deepStrictEqual(earlier, { date: '2026-10-04', total_oz: 2, avg_oz: 0.29 });
+});
+
+test('output is split by side, with unsplit two-sided sessions kept apart', () => {
+  const sided = [
+    { ...session('2026-10-05T06:00:00.000Z', 2), side: 'left', duration_min: 10 },
+    { ...session('2026-10-05T09:00:00.000Z', 3), side: 'both', left_oz: 1.25, right_oz: 1.75, duration_min: 20 },
+    { ...session('2026-10-05T12:00:00.000Z', 4), side: 'both' },
+    session('2026-10-05T15:00:00.000Z', 1),
+  ];
+  const stats = computeStats(sided, from, to, 'UTC');
+  assert.deepStrictEqual(stats.by_side, { left_oz: 3.25, right_oz: 1.75, both_unsplit_oz: 4, unspecified_oz: 1 });
+  assert.strictEqual(stats.totals.avg_duration_min, 15);
+});
+
+test('days and hours are the household time zone\'s, not the server\'s', () => {
+  // 5 Oct 00:00 to 7 Oct 23:59 in New York (UTC-4)
+  const stats = computeStats(sessions, new Date('2026-10-05T04:00:00.000Z'), new Date('2026-10-08T03:59:59.999Z'), 'America/New_York');
+  assert.deepStrictEqual(stats.daily.map(d => [d.date, d.amount_oz]), [['2026-10-05', 4.5], ['2026-10-06', 0], ['2026-10-07', 2.25]]);
+  assert.strictEqual(stats.by_hour[2].amount_oz, 5.25);
+  assert.strictEqual(stats.by_hour[14].amount_oz, 1.5);
+  // In Honolulu (UTC-10) the Monday morning sessions fall on the Sunday before, in the previous week
+  const honolulu = computeStats(sessions, new Date('2026-09-27T10:00:00.000Z'), new Date('2026-10-08T09:59:59.999Z'), 'Pacific/Honolulu');
+  assert.deepStrictEqual(honolulu.weekly.map(w => [w.week_start, w.amount_oz]), [['2026-09-21', 2], ['2026-09-28', 3], ['2026-10-05', 3.75]]);
+});
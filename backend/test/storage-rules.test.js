@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+// Months are added in local time; pin it so the expected dates do not move with daylight saving
+process.env.TZ = 'UTC';
+const { DEFAULT_STORAGE_RULES, normalizeRules, validateRules, computeUseBy } = require('../storage-rules');
+
+const PUMPED = '2026-10-01T08:00:00.000Z';
+const session = (state, history = [{ state: 'fridge', at: PUMPED }]) => ({ timestamp: PUMPED, state, history });
+
+test('fresh milk in the fridge is good for 4 days and 6 months frozen', () => {
+  assert.deepStrictEqual(computeUseBy(session('fridge')), {
+    use_by_fridge: '2026-10-05T08:00:00.000Z',
+    use_by_frozen: '2027-04-01T08:00:00.000Z',
+    expires_at: '2026-10-05T08:00:00.000Z',
+  });
+});
+
+test('room temperature milk expires after 4 hours', () => {
+  assert.strictEqual(computeUseBy(session('room')).expires_at, '2026-10-01T12:00:00.000Z');
+});
+
+test('the freezer clock can start when the bag was frozen', () => {
+  const frozen = session('frozen', [{ state: 'fridge', at: PUMPED }, { state: 'frozen', at: '2026-10-03T08:00:00.000Z' }]);
+  assert.strictEqual(computeUseBy(frozen).use_by_frozen, '2027-04-01T08:00:00.000Z');
+  assert.strictEqual(computeUseBy(frozen, { ...DEFAULT_STORAGE_RULES, frozen_clock: 'frozen' }).use_by_frozen, '2027-04-03T08:00:00.000Z');
+  assert.strictEqual(computeUseBy(frozen).use_by_fridge, null);
+});
+
+test('thawed milk is good for 24 hours from the thaw and cannot be refrozen', () => {
+  const thawed = session('thawed', [
+    { state: 'frozen', at: PUMPED },
+    { state: 'thawed', at: '2026-12-01T10:00:00.000Z' },
+  ]);
+  assert.deepStrictEqual(computeUseBy(thawed), {
+    use_by_fridge: '2026-12-02T10:00:00.000Z',
+    use_by_frozen: null,
+    expires_at: '2026-12-02T10:00:00.000Z',
+  });
+});
+
+test('used up bags keep their last dates and no longer expire', () => {
+  const consumed = { ...session('consumed'), use_by_fridge: '2026-10-05T08:00:00.000Z', use_by_frozen: null };
+  assert.deepStrictEqual(computeUseBy(consumed), { use_by_fridge: '2026-10-05T08:00:00.000Z', use_by_frozen: null, expires_at: null });
+});
+
+test('rules are merged over the defaults and checked', () => {
+  assert.deepStrictEqual(normalizeRules({ fridge_days: 3, room_hours: -1, frozen_clock: 'soon' }), { ...DEFAULT_STORAGE_RULES, fridge_days: 3 });
+  assert.deepStrictEqual(validateRules({ fridge_days: 3 }), []);
+  assert.deepStrictEqual(validateRules({ room_hours: 0, frozen_clock: 'x' }), [
+    'room_hours must be a positive number.',
+    "frozen_clock must be 'pumped' or 'frozen'.",
+  ]);
+});
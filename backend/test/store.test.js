@@ -0,0 +1,168 @@
+// Journaled store: commits, replay after a crash, torn and corrupt journal lines, compaction and the
+// lock file. A "crash" is a store that is never closed; opening the directory again takes over the lock
+// because it holds our own pid.
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Small enough that a few transactions trigger compaction
+process.env.STORE_COMPACT_BYTES = '2048';
+const { openStore, diff, applyOps } = require('../store');
+
+const dirs = [];
+const tempDir = () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bmt-store-'));
+  dirs.push(dir);
+  return dir;
+};
+after(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+const journalOf = (dir) => path.join(dir, 'journal.log');
+const snapshotOf = (dir) => JSON.parse(fs.readFileSync(path.join(dir, 'snapshot.json'), 'utf8'));
+const journalLines = (dir) => fs.readFileSync(journalOf(dir), 'utf8').split('\n').filter(Boolean);
+
+test('a committed transaction survives a crash and is replayed from the journal', async () => {
+  const dir = tempDir();
+  const store = await openStore({ dir, initial: { sessions: [] } });
+  await store.transaction((data) => { data.sessions.push({ id: 'a', amount_oz: 3 }); });
+  await store.transaction((data) => { data.sessions[0].amount_oz = 4; });
+  assert.strictEqual(journalLines(dir).length, 2);
+
+  const reopened = await openStore({ dir });
+  assert.deepStrictEqual((await reopened.read()).sessions, [{ id: 'a', amount_oz: 4 }]);
+  // Opening folds the journal into the snapshot
+  assert.strictEqual(snapshotOf(dir).seq, 2);
+  assert.strictEqual(fs.readFileSync(journalOf(dir), 'utf8'), '');
+  await reopened.close();
+});
+
+test('a torn final journal line is dropped and later commits still replay', async () => {
+  const dir = tempDir();
+  const store = await openStore({ dir, initial: { sessions: [] } });
+  await store.transaction((data) => { data.sessions.push({ id: 'a', amount_oz: 3 }); });
+  fs.appendFileSync(journalOf(dir), '{"seq":2,"at":"2026-10-19T00:00:00Z","ops":[{"k":"sessions","id":"b","v":{"id');
+
+  const reopened = await openStore({ dir });
+  assert.deepStrictEqual((await reopened.read()).sessions.map(s => s.id), ['a']);
+  await reopened.transaction((data) => { data.sessions.push({ id: 'c', amount_oz: 1 }); });
+
+  const again = await openStore({ dir });
+  assert.deepStrictEqual((await again.read()).sessions.map(s => s.id), ['a', 'c']);
+  await again.close();
+});
+
+test('a corrupt line before the end of the journal stops the store from opening', async () => {
+  const dir = tempDir();
+  const store = await openStore({ dir, initial: { sessions: [] } });
+  await store.transaction((data) => { data.sessions.push({ id: 'a' }); });
+  const good = fs.readFileSync(journalOf(dir), 'utf8');
+  fs.writeFileSync(journalOf(dir), `not json\n${good}`);
+
+  await assert.rejects(openStore({ dir }), /Corrupt journal entry at line 1/);
+});
+
+test('journal entries already in the snapshot are not applied twice', async () => {
+  const dir = tempDir();
+  // As left by a power cut after the snapshot was written but before the journal was emptied
+  fs.writeFileSync(path.join(dir, 'snapshot.json'), JSON.stringify({ seq: 2, data: { count: 2 } }));
+  const entry = (seq) => JSON.stringify({ seq, at: '2026-10-19T00:00:00Z', ops: [{ k: 'count', v: seq }] });
+  fs.writeFileSync(journalOf(dir), `${entry(1)}\n${entry(2)}\n${entry(3)}\n`);
+
+  const store = await openStore({ dir });
+  assert.strictEqual((await store.read()).count, 3);
+  await store.close();
+});
+
+test('a transaction that throws changes nothing and later transactions still run', async () => {
+  const dir = tempDir();
+  const store = await openStore({ dir, initial: { sessions: [] } });
+  await assert.rejects(store.transaction((data) => {
+    data.sessions.push({ id: 'a' });
+    throw new Error('nope');
+  }), /nope/);
+  assert.deepStrictEqual((await store.read()).sessions, []);
+  assert.strictEqual(fs.readFileSync(journalOf(dir), 'utf8'), '');
+
+  await store.transaction((data) => { data.sessions.push({ id: 'b' }); });
+  assert.deepStrictEqual((await store.read()).sessions, [{ id: 'b' }]);
+  await store.close();
+});
+
+test('results are copies and reads are frozen snapshots of the live data', async () => {
+  const dir = tempDir();
+  const store = await openStore({ dir, initial: { sessions: [] } });
+  const session = await store.transaction((data) => {
+    data.sessions.push({ id: 'a', amount_oz: 3 });
+    return data.sessions[0];
+  });
+  session.amount_oz = 99;
+  const before = await store.read();
+  assert.strictEqual(await store.read(), before);
+  assert.ok(Object.isFrozen(before.sessions[0]));
+  assert.throws(() => { before.sessions.push({ id: 'b' }); }, TypeError);
+  await store.transaction((data) => { data.sessions[0].amount_oz = 4; });
+  assert.strictEqual(before.sessions[0].amount_oz, 3);
+  assert.strictEqual((await store.read()).sessions[0].amount_oz, 4);
+  await store.close();
+});
+
+test('the journal is folded into the snapshot once it passes STORE_COMPACT_BYTES', async () => {
+  const dir = tempDir();
+  const store = await openStore({ dir, initial: { notes: [] } });
+  for (let i = 0; i < 20; i += 1) {
+    await store.transaction((data) => { data.notes.push({ id: `n${i}`, text: 'x'.repeat(100) }); });
+  }
+  assert.ok(fs.statSync(journalOf(dir)).size <= 2048);
+  assert.ok(snapshotOf(dir).seq > 0);
+
+  const reopened = await openStore({ dir });
+  assert.strictEqual((await reopened.read()).notes.length, 20);
+  await reopened.close();
+});
+
+test('a directory locked by another running process is refused', async () => {
+  const dir = tempDir();
+  // The test runner that started this file is alive and is not us
+  fs.writeFileSync(path.join(dir, 'store.lock'), String(process.ppid));
+  await assert.rejects(openStore({ dir }), /locked by process/);
+});
+
+test('a lock left by a process that is gone is taken over', async () => {
+  const dir = tempDir();
+  // Far above any real pid
+  fs.writeFileSync(path.join(dir, 'store.lock'), '99999999');
+  const store = await openStore({ dir, initial: { ok: true } });
+  assert.strictEqual(fs.readFileSync(path.join(dir, 'store.lock'), 'utf8'), String(process.pid));
+  await store.close();
+  assert.ok(!fs.existsSync(path.join(dir, 'store.lock')));
+});
+
+test('an existing data.json is migrated on first start', async () => {
+  const dir = tempDir();
+  const legacyFile = path.join(dir, 'data.json');
+  fs.writeFileSync(legacyFile, JSON.stringify({ sessions: [{ id: 'old' }] }));
+  const store = await openStore({ dir, legacyFile, initial: { sessions: [] } });
+  assert.deepStrictEqual((await store.read()).sessions, [{ id: 'old' }]);
+  assert.ok(fs.existsSync(`${legacyFile}.migrated`));
+  await store.close();
+});
+
+test('diff and applyOps turn one version of the data into the other', () => {
+  const older = {
+    sessions: [{ id: 'a', amount_oz: 1 }, { id: 'b', amount_oz: 2 }],
+    agents: { p1: { name: 'Pi' }, p2: { name: 'Old' } },
+    schemaVersion: 5,
+    gone: true,
+  };
+  const newer = {
+    sessions: [{ id: 'a', amount_oz: 1.5 }, { id: 'c', amount_oz: 3 }],
+    agents: { p1: { name: 'Pi' }, p3: { name: 'New' } },
+    schemaVersion: 6,
+  };
+  const ops = diff(older, newer);
+  // Unchanged records are left out
+  assert.ok(!ops.some(op => op.key === 'p1'));
+  assert.deepStrictEqual(applyOps(JSON.parse(JSON.stringify(older)), ops), newer);
+});
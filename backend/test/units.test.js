@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  DEFAULT_UNIT_SETTINGS, normalizeUnitSettings, validateUnitSettings, mlToOz, roundVolume, formatVolume, formatAmount,
+} = require('../units');
+
+const ml = { unit: 'ml', oz_decimals: 1, ml_decimals: 0 };
+
+test('stored settings fall back to ounces with the default rounding', () => {
+  assert.deepStrictEqual(normalizeUnitSettings(undefined), DEFAULT_UNIT_SETTINGS);
+  assert.deepStrictEqual(normalizeUnitSettings({ unit: 'ml', oz_decimals: 5, ml_decimals: 1 }), {
+    unit: 'ml', oz_decimals: 2, ml_decimals: 1,
+  });
+});
+
+test('settings payloads are checked', () => {
+  assert.deepStrictEqual(validateUnitSettings(ml), []);
+  assert.deepStrictEqual(validateUnitSettings({ unit: 'cups', oz_decimals: 1.5, ml_decimals: 3 }), [
+    'unit must be one of: oz, ml.',
+    'oz_decimals must be a whole number from 0 to 3.',
+    'ml_decimals must be a whole number from 0 to 2.',
+  ]);
+  assert.deepStrictEqual(validateUnitSettings(null), ['Settings must be an object.']);
+});
+
+test('millilitres convert to ounces kept to 4 places', () => {
+  assert.strictEqual(mlToOz(120), 4.0577);
+  assert.strictEqual(mlToOz(29.5735), 1);
+});
+
+test('volumes are rounded in the unit asked for', () => {
+  assert.strictEqual(roundVolume(4.0577, 'oz'), '4.06');
+  assert.strictEqual(roundVolume(4.0577, 'ml', ml), '120');
+  assert.strictEqual(roundVolume(null, 'oz'), '0.00');
+  assert.strictEqual(formatVolume(2, ml), '59 ml');
+});
+
+test('amounts show the preferred unit first and millilitres as entered', () => {
+  assert.strictEqual(formatAmount(3), '3.00 oz (89 ml)');
+  assert.strictEqual(formatAmount(mlToOz(120), ml, 120), '120 ml (4.1 oz)');
+  // A conversion would round to 119 ml
+  assert.strictEqual(formatAmount(4.03, ml), '119 ml (4.0 oz)');
+  assert.strictEqual(formatAmount(4.03, ml, 119.5), '120 ml (4.0 oz)');
+});
@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { rankBags, pickForTarget } = require('../use-next');
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+const ids = (sessions) => sessions.map(s => s.id);
+
+test('rankBags puts thawed and room milk first, then fridge by use-by, then the oldest frozen', () => {
+  const sessions = [
+    { id: 'frozen-new', state: 'frozen', timestamp: '2026-10-01T00:00:00Z' },
+    { id: 'fridge-late', state: 'fridge', use_by_fridge: '2026-10-22T00:00:00Z' },
+    { id: 'thawed', state: 'thawed', expires_at: '2026-10-20T00:00:00Z' },
+    { id: 'frozen-old', state: 'frozen', timestamp: '2026-09-01T00:00:00Z' },
+    { id: 'fridge-soon', state: 'fridge', use_by_fridge: '2026-10-20T00:00:00Z' },
+    { id: 'consumed', state: 'consumed' },
+    { id: 'expired', state: 'fridge', expires_at: '2026-10-18T00:00:00Z' },
+  ];
+  assert.deepStrictEqual(ids(rankBags(sessions, NOW)), ['thawed', 'fridge-soon', 'fridge-late', 'frozen-old', 'frozen-new']);
+});
+
+test('pickForTarget finds the combination with the least left over', () => {
+  const ranked = [{ id: 'a', amount_oz: 3 }, { id: 'b', amount_oz: 2.5 }, { id: 'c', amount_oz: 1.5 }];
+  const pick = pickForTarget(ranked, 4);
+  assert.deepStrictEqual(ids(pick.sessions), ['b', 'c']);
+  assert.strictEqual(pick.waste_oz, 0);
+  assert.strictEqual(pick.shortfall_oz, 0);
+});
+
+test('pickForTarget breaks ties with fewer bags, then earlier ones', () => {
+  const ranked = [{ id: 'a', amount_oz: 2 }, { id: 'b', amount_oz: 2 }, { id: 'c', amount_oz: 4 }];
+  assert.deepStrictEqual(ids(pickForTarget(ranked, 4).sessions), ['c']);
+  assert.deepStrictEqual(ids(pickForTarget(ranked, 2).sessions), ['a']);
+});
+
+test('pickForTarget takes bags past the combination pool before reporting a shortfall', () => {
+  const ranked = Array.from({ length: 15 }, (_, i) => ({ id: `b${i}`, amount_oz: 0.5 }));
+  const pick = pickForTarget(ranked, 7);
+  assert.strictEqual(pick.sessions.length, 14);
+  assert.strictEqual(pick.shortfall_oz, 0);
+
+  const short = pickForTarget(ranked, 10);
+  assert.strictEqual(short.sessions.length, 15);
+  assert.strictEqual(short.total_oz, 7.5);
+  assert.strictEqual(short.shortfall_oz, 2.5);
+});
+
+test('pickForTarget uses the given volume, e.g. what is left in each bag', () => {
+  const ranked = [{ id: 'a', amount_oz: 5, remaining_oz: 1 }, { id: 'b', amount_oz: 3, remaining_oz: 3 }];
+  assert.deepStrictEqual(ids(pickForTarget(ranked, 3, s => s.remaining_oz).sessions), ['b']);
+});
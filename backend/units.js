@@ -0,0 +1,75 @@
+// Household volume unit and rounding, used by labels, the report, CSV exports, notifications and the UI:
+//   { unit: 'oz' | 'ml', oz_decimals: 0-3, ml_decimals: 0-2 }
+// Volumes are stored and added up in ounces (amount_oz, remaining_oz, ...). A bag entered in
+// millilitres also keeps the amount as typed in amount_ml, which is shown instead of a conversion.
+
+const UNITS = ['oz', 'ml'];
+const ML_PER_OZ = 29.5735;
+const MAX_DECIMALS = { oz: 3, ml: 2 };
+
+const DEFAULT_UNIT_SETTINGS = {
+  unit: 'oz',
+  oz_decimals: 2,
+  ml_decimals: 0,
+};
+
+const validDecimals = (unit, v) => Number.isInteger(v) && v >= 0 && v <= MAX_DECIMALS[unit];
+
+// Stored settings over the defaults, dropping anything invalid
+const normalizeUnitSettings = (stored) => {
+  const settings = { ...DEFAULT_UNIT_SETTINGS };
+  if (!stored || typeof stored !== 'object') return settings;
+  if (UNITS.includes(stored.unit)) settings.unit = stored.unit;
+  UNITS.forEach((unit) => {
+    if (validDecimals(unit, stored[`${unit}_decimals`])) settings[`${unit}_decimals`] = stored[`${unit}_decimals`];
+  });
+  return settings;
+};
+
+// Returns a list of problems with a settings payload (empty when valid)
+const validateUnitSettings = (body) => {
+  if (!body || typeof body !== 'object') return ['Settings must be an object.'];
+  const errors = [];
+  if (body.unit !== undefined && !UNITS.includes(body.unit)) errors.push(`unit must be one of: ${UNITS.join(', ')}.`);
+  UNITS.forEach((unit) => {
+    const key = `${unit}_decimals`;
+    if (body[key] !== undefined && !validDecimals(unit, body[key])) {
+      errors.push(`${key} must be a whole number from 0 to ${MAX_DECIMALS[unit]}.`);
+    }
+  });
+  return errors;
+};
+
+// Ounces for a millilitre amount, to the 4 places every stored volume is kept to
+const mlToOz = (ml) => Math.round((ml / ML_PER_OZ) * 10000) / 10000;
+
+const otherUnit = (unit) => (unit === 'ml' ? 'oz' : 'ml');
+
+// `oz` in `unit` as a rounded number string, e.g. "4.06" or "120". `ml` is the exact amount when the
+// bag was entered in millilitres.
+const roundVolume = (oz, unit, settings = DEFAULT_UNIT_SETTINGS, ml = null) => {
+  const value = unit === 'ml' ? (ml != null ? ml : Number(oz || 0) * ML_PER_OZ) : Number(oz || 0);
+  return value.toFixed(settings[`${unit}_decimals`]);
+};
+
+// In the preferred unit, e.g. "120 ml"
+const formatVolume = (oz, settings = DEFAULT_UNIT_SETTINGS, ml = null) => `${roundVolume(oz, settings.unit, settings, ml)} ${settings.unit}`;
+
+// Preferred unit first, the other in brackets, e.g. "120 ml (4.06 oz)"
+const formatAmount = (oz, settings = DEFAULT_UNIT_SETTINGS, ml = null) => {
+  const other = otherUnit(settings.unit);
+  return `${formatVolume(oz, settings, ml)} (${roundVolume(oz, other, settings, ml)} ${other})`;
+};
+
+module.exports = {
+  UNITS,
+  ML_PER_OZ,
+  DEFAULT_UNIT_SETTINGS,
+  normalizeUnitSettings,
+  validateUnitSettings,
+  mlToOz,
+  otherUnit,
+  roundVolume,
+  formatVolume,
+  formatAmount,
+};
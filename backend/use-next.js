@@ -0,0 +1,64 @@
+// "Which bag should I grab now?" — FIFO ordering over the bags still in stock.
+// Thawed and room-temperature milk go first (they expire within hours), then fridge bags closest
+// to their use-by date, then the oldest frozen bags.
+
+const PRIORITY = { room: 0, thawed: 0, fridge: 1, frozen: 2 };
+// Largest number of top-ranked bags considered when combining bags for a target volume (2^n subsets)
+const MAX_COMBINE = 12;
+
+const time = (v) => (v ? new Date(v).getTime() : Infinity);
+
+// Sort key within a priority tier
+const dueAt = (s) => {
+  if (s.state === 'frozen') return time(s.timestamp);
+  if (s.state === 'fridge') return time(s.use_by_fridge || s.expires_at);
+  return time(s.expires_at);
+};
+
+// In-stock bags that have not expired yet, best first
+const rankBags = (sessions, now = new Date()) => sessions
+  .filter(s => PRIORITY[s.state] !== undefined)
+  .filter(s => !s.expires_at || new Date(s.expires_at) > now)
+  .sort((a, b) => (PRIORITY[a.state] - PRIORITY[b.state]) || (dueAt(a) - dueAt(b)));
+
+// Pick the combination of ranked bags that covers targetOz with the least left over.
+// Ties go to fewer bags, then to bags earlier in the FIFO order. When the top MAX_COMBINE bags are not
+// enough, bags are taken in FIFO order until the target is covered; only when every bag together
+// falls short is there a shortfall.
+const pickForTarget = (ranked, targetOz, volume = (s) => s.amount_oz) => {
+  const pool = ranked.slice(0, MAX_COMBINE);
+  const available = pool.reduce((sum, s) => sum + volume(s), 0);
+  if (available < targetOz) {
+    const sessions = [];
+    let total = 0;
+    for (let i = 0; i < ranked.length && total < targetOz; i += 1) {
+      sessions.push(ranked[i]);
+      total += volume(ranked[i]);
+    }
+    if (total < targetOz) return { sessions, total_oz: total, waste_oz: 0, shortfall_oz: targetOz - total };
+    return { sessions, total_oz: total, waste_oz: total - targetOz, shortfall_oz: 0 };
+  }
+  let best = null;
+  for (let mask = 1; mask < (1 << pool.length); mask += 1) {
+    let total = 0;
+    let count = 0;
+    let rankSum = 0;
+    for (let i = 0; i < pool.length; i += 1) {
+      if (mask & (1 << i)) {
+        total += volume(pool[i]);
+        count += 1;
+        rankSum += i;
+      }
+    }
+    if (total < targetOz) continue;
+    const waste = total - targetOz;
+    const better = !best
+      || waste < best.waste - 1e-9
+      || (Math.abs(waste - best.waste) <= 1e-9 && (count < best.count || (count === best.count && rankSum < best.rankSum)));
+    if (better) best = { mask, total, waste, count, rankSum };
+  }
+  const sessions = pool.filter((_, i) => best.mask & (1 << i));
+  return { sessions, total_oz: best.total, waste_oz: best.waste, shortfall_oz: 0 };
+};
+
+module.exports = { rankBags, pickForTarget };
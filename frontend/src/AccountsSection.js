@@ -0,0 +1,187 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { getAutoLockMinutes, setAutoLockMinutes } from './autoLock';
+import { useI18n } from './i18n';
+
+const ROLES = [['caregiver', 'Caregiver'], ['admin', 'Admin']];
+const ROLE_NAMES = Object.fromEntries(ROLES);
+// Minutes; 0 never locks
+const AUTO_LOCK_OPTIONS = [0, 1, 2, 5, 10, 30];
+
+const inputClass = 'text-xs rounded border border-gray-300 dark:border-gray-700 bg-transparent px-2 py-1';
+const buttonClass = 'rounded bg-brand-600 text-white px-3 py-2 text-xs font-semibold active:scale-95 disabled:opacity-50';
+const smallClass = 'rounded border border-gray-300 dark:border-gray-700 px-2 py-0.5 text-xs text-gray-700 dark:text-gray-200';
+
+const sendJson = async (url, method, body, t) => {
+  const res = await fetch(url, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body && JSON.stringify(body),
+  });
+  if (res.ok) return true;
+  const err = await res.json().catch(() => ({}));
+  alert(err.message || t('Request failed'));
+  return false;
+};
+
+// Name + PIN (+ role) form used for the first admin and for adding users
+function NewUserForm({ withRole, submitLabel, onSubmit }) {
+  const { t } = useI18n();
+  const [name, setName] = useState('');
+  const [pin, setPin] = useState('');
+  const [role, setRole] = useState('caregiver');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (await onSubmit({ name, pin, role })) {
+      setName('');
+      setPin('');
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="flex flex-wrap items-center gap-1">
+      <input value={name} onChange={(e) => setName(e.target.value)} placeholder={t('Name')} aria-label={t('Name')} className={`${inputClass} w-32`} />
+      <input
+        value={pin}
+        onChange={(e) => setPin(e.target.value.replace(/\D/g, '').slice(0, 8))}
+        placeholder={t('PIN (4-8 digits)')}
+        aria-label={t('PIN')}
+        inputMode="numeric"
+        type="password"
+        className={`${inputClass} w-32`}
+      />
+      {withRole && (
+        <select value={role} onChange={(e) => setRole(e.target.value)} aria-label={t('Role')} className={inputClass}>
+          {ROLES.map(([value, label]) => <option key={value} value={value}>{t(label)}</option>)}
+        </select>
+      )}
+      <button type="submit" disabled={!name.trim() || pin.length < 4} className={buttonClass}>{submitLabel}</button>
+    </form>
+  );
+}
+
+// Accounts, roles and the audit log (admins), the first-admin setup, and this device's auto-lock
+function AccountsSection({ user, onAccountsChanged }) {
+  const { t, formatDateTime } = useI18n();
+  const [users, setUsers] = useState([]);
+  const [audit, setAudit] = useState([]);
+  const [autoLock, setAutoLock] = useState(getAutoLockMinutes);
+  const isAdmin = !!user && user.role === 'admin';
+
+  const load = useCallback(async () => {
+    if (!isAdmin) return;
+    try {
+      const [usersRes, auditRes] = await Promise.all([fetch('/api/users'), fetch('/api/audit?limit=50')]);
+      if (usersRes.ok) setUsers(await usersRes.json());
+      if (auditRes.ok) setAudit(await auditRes.json());
+    } catch (e) {
+      console.error('Failed to load accounts', e);
+    }
+  }, [isAdmin]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const handleAutoLock = (minutes) => {
+    setAutoLock(minutes);
+    setAutoLockMinutes(minutes);
+  };
+
+  const handleSetup = async ({ name, pin }) => {
+    const ok = await sendJson('/api/auth/setup', 'POST', { name, pin }, t);
+    if (ok) onAccountsChanged();
+    return ok;
+  };
+
+  const handleAdd = async (body) => {
+    const ok = await sendJson('/api/users', 'POST', body, t);
+    load();
+    return ok;
+  };
+
+  const handleUpdate = async (target, changes) => {
+    await sendJson(`/api/users/${target.id}`, 'PATCH', changes, t);
+    load();
+    // Demoting yourself hides the admin screens
+    if (target.id === user.id) onAccountsChanged();
+  };
+
+  const handleNewPin = (target) => {
+    const pin = window.prompt(t('New PIN for {name} (4-8 digits):', { name: target.name }));
+    if (pin) handleUpdate(target, { pin });
+  };
+
+  const handleRemove = async (target) => {
+    if (!window.confirm(t('Remove {name}? They will be signed out.', { name: target.name }))) return;
+    const res = await fetch(`/api/users/${target.id}`, { method: 'DELETE' });
+    if (res.status !== 204) {
+      const err = await res.json().catch(() => ({}));
+      alert(err.message || t('Could not remove user'));
+    }
+    load();
+  };
+
+  const heading = 'text-xs font-semibold text-gray-700 dark:text-gray-300 mb-1 mt-4';
+  const hint = 'text-xs text-gray-500 dark:text-gray-400 mb-1';
+
+  if (!user) {
+    return (
+      <>
+        <h3 className={heading}>{t('Accounts')}</h3>
+        <p className={hint}>
+          {t('Accounts are off: anyone on this network can change or delete data. Create an admin account to require a PIN.')}
+          {' '}
+          {t('Admins can then add caregivers, who can log pumping and feeds but not delete, restore or update.')}
+        </p>
+        <NewUserForm submitLabel={t('Create admin')} onSubmit={handleSetup} />
+      </>
+    );
+  }
+
+  return (
+    <>
+      <h3 className={heading}>{t('Accounts')}</h3>
+      <p className={hint}>{t('Signed in as {name} ({role}).', { name: user.name, role: t(ROLE_NAMES[user.role] || user.role) })}</p>
+      <label className="flex items-center gap-2 text-xs text-gray-700 dark:text-gray-300 mb-2">
+        {t('Lock this screen after')}
+        <select value={autoLock} onChange={(e) => handleAutoLock(Number(e.target.value))} className={inputClass}>
+          {AUTO_LOCK_OPTIONS.map((minutes) => (
+            <option key={minutes} value={minutes}>{minutes ? t('{minutes} min', { minutes }) : t('Never')}</option>
+          ))}
+        </select>
+        {t('without use')}
+      </label>
+
+      {isAdmin && (
+        <>
+          <ul className="divide-y divide-gray-100 dark:divide-gray-800 text-xs mb-2">
+            {users.map((u) => (
+              <li key={u.id} className="flex items-center justify-between gap-2 py-1">
+                <span className="text-gray-800 dark:text-gray-200">{u.name}</span>
+                <span className="flex gap-1 shrink-0">
+                  <select value={u.role} onChange={(e) => handleUpdate(u, { role: e.target.value })} aria-label={t('Role for {name}', { name: u.name })} className={inputClass}>
+                    {ROLES.map(([value, label]) => <option key={value} value={value}>{t(label)}</option>)}
+                  </select>
+                  <button onClick={() => handleNewPin(u)} className={smallClass}>{t('New PIN')}</button>
+                  <button onClick={() => handleRemove(u)} className={`${smallClass} text-red-600`}>{t('Remove')}</button>
+                </span>
+              </li>
+            ))}
+          </ul>
+          <NewUserForm withRole submitLabel={t('Add user')} onSubmit={handleAdd} />
+
+          <h3 className={heading}>{t('Recent changes')}</h3>
+          {audit.length === 0 && <p className={hint}>{t('Nothing yet.')}</p>}
+          <ul className="max-h-64 overflow-y-auto text-xs font-mono text-gray-700 dark:text-gray-300">
+            {audit.map((a) => (
+              <li key={a.id} className={`truncate ${a.status >= 400 ? 'text-red-600' : ''}`}>
+                {formatDateTime(a.at)} {a.user_name || '—'} {a.action}{a.record_id ? ` ${a.record_id}` : ''} {a.status}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </>
+  );
+}
+
+export default AccountsSection;
@@ -0,0 +1,106 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useI18n } from './i18n';
+
+const STATUS_LABELS = {
+  active: 'Enrolled',
+  pending: 'Waiting for agent',
+  expired: 'Token expired',
+  unenrolled: 'Not enrolled',
+};
+
+const inputClass = 'text-xs rounded border border-gray-300 dark:border-gray-700 bg-transparent px-2 py-1';
+
+// Print agents (admins): add one to get its one-time enrollment token, or revoke one
+function AgentsSection() {
+  const { t, formatDateTime } = useI18n();
+  const [agents, setAgents] = useState([]);
+  const [printerId, setPrinterId] = useState('');
+  const [name, setName] = useState('');
+  const [issued, setIssued] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      const res = await fetch('/api/agents');
+      if (res.ok) setAgents(await res.json());
+    } catch (e) {
+      console.error('Failed to load agents', e);
+    }
+  }, []);
+
+  useEffect(() => { load(); }, [load]);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    try {
+      const res = await fetch('/api/agents', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ printerId: printerId.trim(), name: name.trim() || undefined }),
+      });
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok) return alert(body.message || t('Could not add agent'));
+      setIssued({ printerId: body.agent.printerId, token: body.enrollmentToken });
+      setPrinterId('');
+      setName('');
+      load();
+    } catch (err) {
+      console.error('Add agent failed', err);
+    }
+  };
+
+  const handleRevoke = async (agent) => {
+    if (!window.confirm(t('Revoke {printer}? It will stop printing until enrolled again.', { printer: agent.printerId }))) return;
+    try {
+      const res = await fetch(`/api/agents/${encodeURIComponent(agent.printerId)}`, { method: 'DELETE' });
+      if (res.status !== 204) {
+        const body = await res.json().catch(() => ({}));
+        alert(body.message || t('Could not revoke agent'));
+      }
+      if (issued && issued.printerId === agent.printerId) setIssued(null);
+      load();
+    } catch (e) {
+      console.error('Revoke agent failed', e);
+    }
+  };
+
+  return (
+    <>
+      <h3 className="text-xs font-semibold text-gray-700 dark:text-gray-300 mb-1 mt-4">{t('Print agents')}</h3>
+      <p className="text-xs text-gray-500 dark:text-gray-400 mb-1">
+        {t('Add a Pi print agent, then start it with the enrollment token as')} <span className="font-mono">ENROLL_TOKEN</span>.
+        {' '}
+        {t('The token works once.')}
+      </p>
+      {agents.length > 0 && (
+        <ul className="divide-y divide-gray-100 dark:divide-gray-800 text-xs mb-2">
+          {agents.map((a) => (
+            <li key={a.printerId} className="flex items-center justify-between gap-2 py-1">
+              <span className="text-gray-800 dark:text-gray-200">
+                <span className="font-mono">{a.printerId}</span>
+                {a.name && ` (${a.name})`}
+                <span className="ml-2 text-gray-500 dark:text-gray-400">
+                  {STATUS_LABELS[a.status] ? t(STATUS_LABELS[a.status]) : a.status}
+                  {a.lastSeen && ` · ${t('seen {when}', { when: formatDateTime(a.lastSeen) })}`}
+                </span>
+              </span>
+              <button onClick={() => handleRevoke(a)} className="rounded border border-gray-300 dark:border-gray-700 px-2 py-0.5 text-red-600 shrink-0">{t('Revoke')}</button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <form onSubmit={handleAdd} className="flex flex-wrap items-center gap-1">
+        <input value={printerId} onChange={(e) => setPrinterId(e.target.value)} placeholder={t('Printer ID, e.g. nursery-pi')} aria-label={t('Printer ID')} className={`${inputClass} w-44`} />
+        <input value={name} onChange={(e) => setName(e.target.value)} placeholder={t('Name (optional)')} aria-label={t('Agent name')} className={`${inputClass} w-32`} />
+        <button type="submit" disabled={!printerId.trim()} className="rounded bg-brand-600 text-white px-3 py-2 text-xs font-semibold active:scale-95 disabled:opacity-50">{t('Add agent')}</button>
+      </form>
+      {issued && (
+        <div className="mt-2 rounded bg-amber-50 dark:bg-amber-950 p-2 text-xs text-gray-800 dark:text-gray-200">
+          <p>{t('Enrollment token for')} <span className="font-mono">{issued.printerId}</span> {t('(shown only now):')}</p>
+          <p className="font-mono break-all select-all">{issued.token}</p>
+        </div>
+      )}
+    </>
+  );
+}
+
+export default AgentsSection;
@@ -1,65 +1,363 @@
 import React, { useState, useEffect, useMemo, useRef } from 'react';
+import StatsView from './StatsView';
+import ProfilesDialog from './ProfilesDialog';
+import SettingsView from './SettingsView';
+import PrintQueueView from './PrintQueueView';
+import PrintPreviewDialog from './PrintPreviewDialog';
+import BatchPrintDialog from './BatchPrintDialog';
+import { LANGUAGES, useI18n } from './i18n';
+import { ML_PER_OZ, mlToOz, otherUnit } from './units';
 
-function App() {
+// Mirrors STATE_TRANSITIONS in backend/lifecycle.js
+const IN_STOCK_STATES = ['room', 'fridge', 'frozen', 'thawed'];
+const STATE_ACTIONS = {
+  room: [['fridge', 'Fridge'], ['frozen', 'Freeze'], ['consumed', 'Fed'], ['discarded', 'Discard']],
+  fridge: [['frozen', 'Freeze'], ['consumed', 'Fed'], ['discarded', 'Discard']],
+  frozen: [['thawed', 'Thaw'], ['consumed', 'Fed'], ['discarded', 'Discard']],
+  thawed: [['consumed', 'Fed'], ['discarded', 'Discard']],
+  consumed: [],
+  discarded: [],
+};
+const STATE_BADGES = {
+  room: 'bg-orange-100 text-orange-800 dark:bg-orange-900 dark:text-orange-200',
+  fridge: 'bg-sky-100 text-sky-800 dark:bg-sky-900 dark:text-sky-200',
+  frozen: 'bg-indigo-100 text-indigo-800 dark:bg-indigo-900 dark:text-indigo-200',
+  thawed: 'bg-amber-100 text-amber-800 dark:bg-amber-900 dark:text-amber-200',
+  consumed: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200',
+  discarded: 'bg-gray-200 text-gray-600 dark:bg-gray-700 dark:text-gray-300',
+};
+const STATE_NAMES = { room: 'Room', fridge: 'Fridge', frozen: 'Frozen', thawed: 'Thawed', consumed: 'Consumed', discarded: 'Discarded' };
+// Mirrors FEEDABLE_STATES in backend/feeds.js; frozen milk has to be thawed first
+const FEEDABLE_STATES = ['room', 'fridge', 'thawed'];
+
+// Keypad input: digits with a single decimal point, at most 6 integer and 2 decimal places
+const nextKeypadValue = (prev, digit) => {
+  let next = prev || '';
+  if (digit === '.') {
+    if (next.includes('.')) return next; // only one decimal
+    if (next === '') return '0.'; // leading decimal becomes 0.
+    return next + '.';
+  }
+  // limit to 6 total chars before decimal to keep label readable
+  const [intPart, decPart] = next.split('.');
+  if (!decPart && intPart && intPart.length >= 6) return next;
+  // limit to 2 decimal places after '.'
+  if (decPart && decPart.length >= 2) return next;
+  // avoid leading zeros like 00 -> treat as just digit
+  if (next === '0') return digit;
+  return next + digit;
+};
+
+const SIDE_OPTIONS = [['left', 'L'], ['right', 'R'], ['both', 'Both']];
+const SIDE_NAMES = { left: 'Left', right: 'Right', both: 'Both sides' };
+const DURATION_OPTIONS = [10, 15, 20, 30];
+// "Use next" volume targets in each unit
+const TARGETS = { oz: [2, 3, 4, 5], ml: [60, 90, 120, 150] };
+
+// e.g. "L 1.50 / R 1.25 oz • 15 min • Spectra S1 24mm"; describeSession in backend/session-fields.js plus pump/flange.
+// Takes t, units and volumeIn from useI18n for the words and the split's unit.
+const describeSession = (s, { t, units, volumeIn }) => {
+  const parts = [];
+  if (s.side === 'both' && (s.left_oz != null || s.right_oz != null)) {
+    parts.push(t('L {left} / R {right} {unit}', { left: volumeIn(s.left_oz), right: volumeIn(s.right_oz), unit: units.unit }));
+  } else if (s.side) {
+    parts.push(t(SIDE_NAMES[s.side] || s.side));
+  }
+  if (s.duration_min) parts.push(`${s.duration_min} min`);
+  if (s.pump || s.flange_mm) parts.push([s.pump, s.flange_mm && `${s.flange_mm}mm`].filter(Boolean).join(' '));
+  return parts.join(' • ');
+};
+
+// Poll the server's expiry monitor this often
+const ALERT_POLL_MS = 60 * 1000;
+// Refresh which print agents are online this often
+const PRINTER_POLL_MS = 30 * 1000;
+// Mirrors PRINTER_LANGUAGES in backend/labels.js
+const PRINTER_LANGUAGES = [['tspl', 'TSPL'], ['zpl', 'ZPL'], ['escpos', 'ESC/POS']];
+// Short, stable hash of a string (FNV-1a), for cache keys
+const hashText = (text) => {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i += 1) h = Math.imul(h ^ text.charCodeAt(i), 0x01000193);
+  return (h >>> 0).toString(36);
+};
+// Label image for a session row. `v` changes whenever anything the label prints does: the session
+// itself (amounts, state, use-by dates, notes…) or `context`, which holds the rest (the baby's name,
+// the household date and unit settings, the label template), so a change reloads the image.
+const labelThumbUrl = (session, language, context) => {
+  const params = new URLSearchParams({ v: hashText(`${JSON.stringify(session)}|${context}`) });
+  if (language) params.set('language', language);
+  return `/api/sessions/${session.id}/label.svg?${params}`;
+};
+const ROW_TONES = {
+  expired: 'bg-red-50 dark:bg-red-950 ring-2 ring-red-500',
+  expiring: 'bg-amber-50 dark:bg-amber-950 ring-2 ring-amber-400',
+};
+
+// Label QR codes encode the bare session id
+const SESSION_ID_RE = /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/i;
+// Keyboard-wedge scanners "type" much faster than people do
+const SCAN_KEY_GAP_MS = 50;
+
+// A row's label image, only fetched once the row has scrolled into view
+function LabelThumb({ src }) {
+  const placeholder = useRef(null);
+  const [visible, setVisible] = useState(false);
+
+  useEffect(() => {
+    if (visible) return undefined;
+    const observer = new IntersectionObserver(([entry]) => {
+      if (entry.isIntersecting) setVisible(true);
+    }, { rootMargin: '100px' });
+    observer.observe(placeholder.current);
+    return () => observer.disconnect();
+  }, [visible]);
+
+  const className = 'h-10 rounded border border-gray-200 dark:border-gray-700 shrink-0';
+  return visible ? <img src={src} alt="" className={`${className} w-auto`} /> : <span ref={placeholder} className={`${className} w-16`} />;
+}
+
+// Thawed/room milk expires within hours, so show a time; otherwise the fridge/freezer dates
+function UseBy({ session }) {
+  const { t, formatDate, formatDateTime } = useI18n();
+  if ((session.state === 'thawed' || session.state === 'room') && session.expires_at) {
+    return <p className="text-xs">{t('Use by: {when}', { when: formatDateTime(session.expires_at) })}</p>;
+  }
+  return (
+    <>
+      <p className="text-xs">{t('Fridge: {date}', { date: session.use_by_fridge ? formatDate(session.use_by_fridge) : '—' })}</p>
+      <p className="text-xs">{t('Freeze: {date}', { date: session.use_by_frozen ? formatDate(session.use_by_frozen) : '—' })}</p>
+    </>
+  );
+}
+
+// `user` is who is signed in (null while accounts are off); `onLock` signs them out
+function App({ user, onLock, onAccountsChanged, onLocaleChanged }) {
+  const i18n = useI18n();
+  const { t, language, setLanguage, formatDate, formatDateTime, units, volumeIn, formatVolume, formatAmount } = i18n;
   const [amount, setAmount] = useState('');
-  const [unit, setUnit] = useState('oz');
+  // The keypad starts in the household's unit and can be switched for one entry
+  const [unit, setUnit] = useState(units.unit);
   const [notes, setNotes] = useState('');
+  const [storeIn, setStoreIn] = useState('fridge');
+  const [side, setSide] = useState(null);
+  const [leftAmt, setLeftAmt] = useState('');
+  const [rightAmt, setRightAmt] = useState('');
+  const [sideField, setSideField] = useState('left');
+  const [durationMin, setDurationMin] = useState(null);
+  const [pump, setPump] = useState(() => localStorage.getItem('pump') || '');
   const [sessions, setSessions] = useState([]);
-  const [totalAmount, setTotalAmount] = useState(0);
+  const [reloadKey, setReloadKey] = useState(0);
+  // Bumped when the label templates change, to reload the label images
+  const [labelsVersion, setLabelsVersion] = useState(0);
+  const [mode, setMode] = useState('pump');
+  const [view, setView] = useState('main');
+  const [feedOffered, setFeedOffered] = useState('');
+  const [feedConsumed, setFeedConsumed] = useState('');
+  const [feedField, setFeedField] = useState('offered');
+  const [feedBags, setFeedBags] = useState([]);
+  const [fedBy, setFedBy] = useState(() => localStorage.getItem('fedBy') || '');
+  const [feeds, setFeeds] = useState({ feeds: [], today: { offered_oz: 0, consumed_oz: 0, pumped_oz: 0 } });
   const [submitting, setSubmitting] = useState(false);
   const [theme, setTheme] = useState(() => (localStorage.getItem('theme') || 'light'));
   const [printMode, setPrintMode] = useState(() => localStorage.getItem('printMode') || 'agent');
   const [printerId, setPrinterId] = useState(() => localStorage.getItem('printerId') || '');
+  const [printers, setPrinters] = useState([]);
   const [netHost, setNetHost] = useState(() => localStorage.getItem('netHost') || '');
   const [netPort, setNetPort] = useState(() => {
     const v = localStorage.getItem('netPort');
     return v ? Number(v) : 9100;
   });
+  const [netLanguage, setNetLanguage] = useState(() => localStorage.getItem('netLanguage') || 'tspl');
+  const [printPreview, setPrintPreview] = useState(() => localStorage.getItem('printPreview') !== '0');
+  const [preview, setPreview] = useState(null);
+  const [showBatchPrint, setShowBatchPrint] = useState(false);
+  const [scanCode, setScanCode] = useState('');
+  const [scanned, setScanned] = useState(null);
+  const [useNext, setUseNext] = useState({ order: [], pick: null });
+  const [target, setTarget] = useState(null);
+  const [alerts, setAlerts] = useState({ window_hours: 24, alerts: [] });
+  const [profiles, setProfiles] = useState([]);
+  const [profileId, setProfileId] = useState(() => localStorage.getItem('profileId') || '');
+  const [feedBaby, setFeedBaby] = useState('');
+  const [showProfiles, setShowProfiles] = useState(false);
+  const scanBuffer = useRef({ chars: '', last: 0 });
+  // Deleting and managing profiles are admin-only on the server
+  const isAdmin = !user || user.role === 'admin';
   const touchStartX = useRef({});
   const touchTranslateX = useRef({});
-  // For on-screen keypad we keep amount as a string and build it with button presses
-  // (amount state is already a string). These helpers restrict to numbers + single decimal.
-
-  const appendDigit = (digit) => {
-    setAmount((prev) => {
-      let next = prev || '';
-      if (digit === '.') {
-        if (next.includes('.')) return next; // only one decimal
-        if (next === '') return '0.'; // leading decimal becomes 0.
-        return next + '.';
-      }
-      // limit to 6 total chars before decimal to keep label readable
-      const [intPart, decPart] = next.split('.');
-      if (!decPart && intPart && intPart.length >= 6) return next;
-      // limit to 2 decimal places after '.'
-      if (decPart && decPart.length >= 2) return next;
-      // avoid leading zeros like 00 -> treat as just digit
-      if (next === '0') return digit;
-      return next + digit;
-    });
-  };
+  // For on-screen keypad we keep amounts as strings and build them with button presses.
+  // In feed mode the keypad edits whichever of offered/drank is selected.
+  // When both sides are pumped the keypad fills in the left/right split instead of the total.
+  let setKeypadValue = setAmount;
+  if (mode === 'feed') setKeypadValue = feedField === 'offered' ? setFeedOffered : setFeedConsumed;
+  else if (side === 'both') setKeypadValue = sideField === 'left' ? setLeftAmt : setRightAmt;
+
+  const appendDigit = (digit) => setKeypadValue((prev) => nextKeypadValue(prev, digit));
+  const backspace = () => setKeypadValue((prev) => (prev ? prev.slice(0, -1) : ''));
+  const clearAll = () => setKeypadValue('');
 
-  const backspace = () => setAmount((prev) => (prev ? prev.slice(0, -1) : ''));
-  const clearAll = () => setAmount('');
+  // Lists, totals and stats can be narrowed to one pumping parent
+  const profileQuery = profileId ? `profile_id=${encodeURIComponent(profileId)}` : '';
+  const parents = profiles.filter((p) => p.kind === 'parent');
+  const babies = useMemo(
+    () => profiles.filter((p) => p.kind === 'baby' && (!profileId || p.parent_id === profileId)),
+    [profiles, profileId],
+  );
+
+  useEffect(() => {
+    const fetchProfiles = async () => {
+      try {
+        const response = await fetch('/api/profiles');
+        if (response.ok) setProfiles(await response.json());
+      } catch (error) {
+        console.error('Error fetching profiles:', error);
+      }
+    };
+    fetchProfiles();
+  }, [reloadKey]);
 
   useEffect(() => {
     const fetchSessions = async () => {
       try {
-        const response = await fetch('/api/sessions');
+        const response = await fetch(`/api/sessions${profileQuery ? `?${profileQuery}` : ''}`);
         const data = await response.json();
         setSessions(data.sessions);
-        setTotalAmount(data.total);
       } catch (error) {
         console.error('Error fetching sessions:', error);
       }
     };
     fetchSessions();
-  }, []);
+  }, [reloadKey, profileQuery]);
+
+  // Feeding log and today's intake vs. pumping; refreshed whenever bags change
+  useEffect(() => {
+    const fetchFeeds = async () => {
+      try {
+        const response = await fetch(`/api/feeds${profileQuery ? `?${profileQuery}` : ''}`);
+        if (response.ok) setFeeds(await response.json());
+      } catch (error) {
+        console.error('Error fetching feeds:', error);
+      }
+    };
+    fetchFeeds();
+  }, [sessions, profileQuery]);
+
+  // Re-rank whenever the list changes (new bag, move, edit, delete)
+  const targetOz = target && (units.unit === 'ml' ? mlToOz(target) : target);
+  useEffect(() => {
+    const fetchUseNext = async () => {
+      try {
+        const query = [targetOz ? `target_oz=${targetOz}` : '', profileQuery].filter(Boolean).join('&');
+        const response = await fetch(`/api/use-next${query ? `?${query}` : ''}`);
+        if (response.ok) setUseNext(await response.json());
+      } catch (error) {
+        console.error('Error fetching use-next:', error);
+      }
+    };
+    fetchUseNext();
+  }, [sessions, targetOz, profileQuery]);
+
+  // Expired / expiring bags from the server monitor; refreshed on a timer and after every change
+  useEffect(() => {
+    const fetchAlerts = async () => {
+      try {
+        const response = await fetch(`/api/alerts${profileQuery ? `?${profileQuery}` : ''}`);
+        if (response.ok) setAlerts(await response.json());
+      } catch (error) {
+        console.error('Error fetching alerts:', error);
+      }
+    };
+    fetchAlerts();
+    const timer = setInterval(fetchAlerts, ALERT_POLL_MS);
+    return () => clearInterval(timer);
+  }, [sessions, profileQuery]);
+
+  // Enrolled print agents for the "Print to" dropdown; only online ones are offered
+  useEffect(() => {
+    if (printMode !== 'agent') return undefined;
+    const fetchPrinters = async () => {
+      try {
+        const response = await fetch('/api/printers');
+        if (response.ok) setPrinters(await response.json());
+      } catch (error) {
+        console.error('Error fetching printers:', error);
+      }
+    };
+    fetchPrinters();
+    const timer = setInterval(fetchPrinters, PRINTER_POLL_MS);
+    return () => clearInterval(timer);
+  }, [printMode]);
+
+  // Forget a selected parent that has been removed
+  useEffect(() => {
+    if (profileId && profiles.length && !profiles.some((p) => p.id === profileId)) setProfileId('');
+  }, [profiles, profileId]);
+  // Follow a change of the household unit in Settings; a use-next target was picked in the old unit
+  useEffect(() => {
+    setUnit(units.unit);
+    setTarget(null);
+  }, [units.unit]);
+  // Preselect the baby when there is only one to choose from
+  useEffect(() => {
+    setFeedBaby((cur) => (babies.some((b) => b.id === cur) ? cur : (babies.length === 1 ? babies[0].id : '')));
+  }, [babies]);
 
   useEffect(() => { localStorage.setItem('printMode', printMode); }, [printMode]);
+  useEffect(() => { localStorage.setItem('fedBy', fedBy || ''); }, [fedBy]);
+  useEffect(() => { localStorage.setItem('pump', pump || ''); }, [pump]);
+  useEffect(() => { localStorage.setItem('profileId', profileId || ''); }, [profileId]);
   useEffect(() => { localStorage.setItem('printerId', printerId || ''); }, [printerId]);
   useEffect(() => { localStorage.setItem('netHost', netHost || ''); }, [netHost]);
   useEffect(() => { localStorage.setItem('netPort', String(netPort || '')); }, [netPort]);
+  useEffect(() => { localStorage.setItem('netLanguage', netLanguage); }, [netLanguage]);
+  useEffect(() => { localStorage.setItem('printPreview', printPreview ? '1' : '0'); }, [printPreview]);
+
+  // The language the selected printer speaks, for previews: the network printer's, the chosen agent's
+  // (empty for "Any printer", which the server answers with its default) or PDF for this device
+  const previewLanguage = useMemo(() => {
+    if (printMode === 'device') return 'pdf';
+    if (printMode === 'network') return netLanguage;
+    const agent = printers.find((p) => p.printerId === printerId);
+    const spoken = agent && agent.capabilities ? PRINTER_LANGUAGES.find(([value]) => agent.capabilities[value]) : null;
+    return spoken ? spoken[0] : '';
+  }, [printMode, netLanguage, printers, printerId]);
+  // What a label prints besides the session: baby names (from the profiles), the household date and unit
+  // settings and the template, which a restore (reloadKey) or a template change (labelsVersion) can swap
+  const labelContext = useMemo(
+    () => JSON.stringify([profiles, i18n.settings, units, reloadKey, labelsVersion]),
+    [profiles, i18n.settings, units, reloadKey, labelsVersion],
+  );
+
+  // Where /api/print and /api/print/batch send labels; null when this device prints them itself
+  const printTarget = useMemo(() => {
+    if (printMode === 'device') return null;
+    if (printMode === 'network') return { directTcpPrinter: { host: netHost, port: Number(netPort || 9100), language: netLanguage } };
+    // Agent/queue mode (optionally targeted)
+    return { printerId: printerId || undefined };
+  }, [printMode, netHost, netPort, netLanguage, printerId]);
+
+  // Print `copies` labels for a saved session with the selected print strategy
+  const printSession = async (session, copies = 1) => {
+    const openLocal = () => window.open(`/labels/${session.id}?copies=${copies}`, '_blank', 'noopener,noreferrer');
+    try {
+      if (!printTarget) {
+        openLocal();
+        return;
+      }
+      if (printMode === 'network' && !netHost) throw new Error('Network printer host required');
+      const pr = await fetch('/api/print', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ sessionId: session.id, copies, ...printTarget })
+      });
+      if (!pr.ok && printMode === 'network') {
+        // Fallback to local print dialog
+        openLocal();
+      }
+    } catch (e) {
+      try { openLocal(); } catch {}
+    }
+  };
 
   const handleUnitToggle = (newUnit) => {
     setUnit(newUnit);
@@ -67,16 +365,31 @@ function App() {
 
   const handleSubmit = async (e) => {
     e.preventDefault();
-    if (isNaN(parseFloat(amount)) || parseFloat(amount) <= 0) {
-      alert('Please enter a valid positive amount.');
+    const entered = side === 'both' ? (parseFloat(leftAmt) || 0) + (parseFloat(rightAmt) || 0) : parseFloat(amount);
+    if (isNaN(entered) || entered <= 0) {
+      alert(t('Please enter a valid positive amount.'));
+      return;
+    }
+    if (parents.length && !profileId) {
+      alert(t('Choose who pumped first.'));
       return;
     }
 
     setSubmitting(true);
 
-    let amountInOz = parseFloat(amount);
-    if (unit === 'ml') {
-      amountInOz = amountInOz / 29.5735;
+    const toOz = (v) => (unit === 'ml' ? mlToOz(v) : v);
+    // Millilitres go to the server as entered
+    const volume = unit === 'ml' ? { amount_ml: entered } : { amount: entered };
+    // Structured fields; the session is taken to have ended now
+    const ended = new Date();
+    const fields = { side: side || undefined, duration_min: durationMin || undefined, pump: pump || undefined };
+    if (side === 'both') {
+      fields.left_oz = toOz(parseFloat(leftAmt) || 0);
+      fields.right_oz = toOz(parseFloat(rightAmt) || 0);
+    }
+    if (durationMin) {
+      fields.started_at = new Date(ended.getTime() - durationMin * 60000).toISOString();
+      fields.ended_at = ended.toISOString();
     }
 
     try {
@@ -85,41 +398,22 @@ function App() {
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ amount: amountInOz, notes }),
+        body: JSON.stringify({ ...volume, notes, state: storeIn, profile_id: profileId || undefined, ...fields }),
       });
 
       if (response.ok) {
         const newSession = await response.json();
         setSessions([newSession, ...sessions]);
-        setTotalAmount(totalAmount + newSession.amount_oz);
-        // Choose print strategy based on selection
-        try {
-          if (printMode === 'device') {
-            window.open(`/labels/${newSession.id}`, '_blank', 'noopener,noreferrer');
-          } else if (printMode === 'network') {
-            if (!netHost) throw new Error('Network printer host required');
-            const pr = await fetch('/api/print', {
-              method: 'POST',
-              headers: { 'Content-Type': 'application/json' },
-              body: JSON.stringify({ sessionId: newSession.id, directTcpPrinter: { host: netHost, port: Number(netPort || 9100) } })
-            });
-            if (!pr.ok) {
-              // Fallback to local print dialog
-              window.open(`/labels/${newSession.id}`, '_blank', 'noopener,noreferrer');
-            }
-          } else {
-            // Agent/queue mode (optionally targeted)
-            await fetch('/api/print', {
-              method: 'POST',
-              headers: { 'Content-Type': 'application/json' },
-              body: JSON.stringify({ sessionId: newSession.id, printerId: printerId || undefined })
-            });
-          }
-        } catch (e) {
-          try { window.open(`/labels/${newSession.id}`, '_blank', 'noopener,noreferrer'); } catch {}
-        }
+        if (printPreview) setPreview({ session: newSession, language: previewLanguage, onPrint: printSession });
+        else await printSession(newSession);
         setAmount('');
         setNotes('');
+        setStoreIn('fridge');
+        setSide(null);
+        setLeftAmt('');
+        setRightAmt('');
+        setSideField('left');
+        setDurationMin(null);
       } else {
         console.error('Failed to save session');
       }
@@ -130,8 +424,75 @@ function App() {
     }
   };
 
-  const ozToMl = (oz) => (oz * 29.5735).toFixed(1);
-  const mlToOz = (ml) => (ml / 29.5735).toFixed(2);
+  const handleFeedSubmit = async (e) => {
+    e.preventDefault();
+    const toOz = (v) => (unit === 'ml' ? mlToOz(parseFloat(v)) : parseFloat(v));
+    const offered = toOz(feedOffered);
+    if (isNaN(offered) || offered <= 0) {
+      alert(t('Please enter how much was offered.'));
+      return;
+    }
+    const consumed = feedConsumed === '' ? offered : toOz(feedConsumed);
+    if (isNaN(consumed) || consumed < 0 || consumed > offered) {
+      alert(t('Drank must be between 0 and the amount offered.'));
+      return;
+    }
+    if (profiles.some((p) => p.kind === 'baby') && !feedBaby) {
+      alert(t('Choose which baby was fed.'));
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const response = await fetch('/api/feeds', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          offered_oz: offered,
+          consumed_oz: consumed,
+          sources: feedBags.map((id) => ({ session_id: id })),
+          baby_id: feedBaby || undefined,
+          fed_by: fedBy || undefined,
+        }),
+      });
+      const body = await response.json();
+      if (!response.ok) {
+        alert(body.message || t('Failed to save feed'));
+        return;
+      }
+      const changed = {};
+      body.sessions.forEach((x) => { changed[x.id] = x; });
+      setSessions((prev) => prev.map((x) => changed[x.id] || x));
+      setFeedOffered('');
+      setFeedConsumed('');
+      setFeedField('offered');
+      setFeedBags([]);
+    } catch (error) {
+      console.error('Error saving feed:', error);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleFeedDelete = async (id) => {
+    try {
+      const res = await fetch(`/api/feeds/${id}`, { method: 'DELETE' });
+      // Milk goes back into the bags, so reload them
+      if (res.status === 204) setReloadKey((k) => k + 1);
+    } catch (e) {
+      console.error('Feed delete failed', e);
+    }
+  };
+
+  const profileName = (id) => (profiles.find((p) => p.id === id) || {}).name;
+
+  const toggleFeedBag = (id) => {
+    setFeedBags((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]));
+  };
+
+  const keypadTotal = side === 'both' ? (parseFloat(leftAmt) || 0) + (parseFloat(rightAmt) || 0) : parseFloat(amount);
+  // What is left in a bag; a full bag shows the millilitres it was entered with
+  const bagVolume = (s) => formatVolume(s.remaining_oz ?? s.amount_oz, s.remaining_oz == null || s.remaining_oz === s.amount_oz ? s.amount_ml : null);
   const applyTheme = (t) => {
     const root = document.documentElement;
     if (t === 'dark') root.classList.add('dark');
@@ -151,44 +512,99 @@ function App() {
     try {
       const res = await fetch(`/api/sessions/${id}`, { method: 'DELETE' });
       if (res.status === 204) {
-        const session = sessions.find(s => s.id === id);
         setSessions((prev) => prev.filter((s) => s.id !== id));
-        if (session) setTotalAmount((prev) => prev - session.amount_oz);
       }
     } catch (e) {
       console.error('Delete failed', e);
     }
   };
 
-  const handleLocalPrint = (id) => {
-    const url = `/labels/${id}`;
+  const handleLocalPrint = (id, copies = 1) => {
+    const url = `/labels/${id}?copies=${copies}`;
     window.open(url, '_blank', 'noopener,noreferrer');
   };
 
   const handleEdit = async (id) => {
     const s = sessions.find((x) => x.id === id);
     if (!s) return;
-    const newAmount = prompt('New amount (oz):', s.amount_oz.toFixed(2));
+    const newAmount = prompt(t('New amount ({unit}):', { unit: units.unit }), volumeIn(s.amount_oz, units.unit, s.amount_ml));
     if (!newAmount) return;
-    const amount_oz = parseFloat(newAmount);
-    if (isNaN(amount_oz) || amount_oz <= 0) return alert('Invalid amount');
+    const value = parseFloat(newAmount);
+    if (isNaN(value) || value <= 0) return alert(t('Invalid amount'));
     try {
       const res = await fetch(`/api/sessions/${id}`, {
         method: 'PATCH',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ amount_oz }),
+        body: JSON.stringify(units.unit === 'ml' ? { amount_ml: value } : { amount_oz: value }),
       });
       if (res.ok) {
         const updated = await res.json();
         setSessions((prev) => prev.map((x) => (x.id === id ? updated : x)));
-        // recompute total
-        setTotalAmount((prev) => prev - s.amount_oz + updated.amount_oz);
       }
     } catch (e) {
       console.error('Edit failed', e);
     }
   };
 
+  const handleMove = async (id, state) => {
+    try {
+      const res = await fetch(`/api/sessions/${id}/state`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ state }),
+      });
+      if (res.ok) {
+        const updated = await res.json();
+        setSessions((prev) => prev.map((x) => (x.id === id ? updated : x)));
+        setScanned((cur) => (cur && cur.id === id ? updated : cur));
+      } else {
+        const body = await res.json().catch(() => ({}));
+        alert(body.message || t('Move failed'));
+      }
+    } catch (e) {
+      console.error('Move failed', e);
+    }
+  };
+
+  // Open the bag whose label was scanned
+  const handleScan = async (code) => {
+    const match = String(code || '').match(SESSION_ID_RE);
+    if (!match) return;
+    const id = match[0].toLowerCase();
+    try {
+      const res = await fetch(`/api/sessions/${id}`);
+      if (!res.ok) return alert(t('Bag not found'));
+      const session = await res.json();
+      setSessions((prev) => (prev.some((x) => x.id === id) ? prev.map((x) => (x.id === id ? session : x)) : prev));
+      setScanned(session);
+    } catch (e) {
+      console.error('Scan lookup failed', e);
+    }
+  };
+  // The keydown listener below is added once and calls the latest handleScan through this
+  const scanHandler = useRef(handleScan);
+  scanHandler.current = handleScan;
+
+  // Catch scans that arrive while no text field has focus
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      const tag = (e.target && e.target.tagName) || '';
+      if (['INPUT', 'TEXTAREA', 'SELECT'].includes(tag)) return;
+      const buf = scanBuffer.current;
+      const now = Date.now();
+      if (now - buf.last > SCAN_KEY_GAP_MS) buf.chars = '';
+      buf.last = now;
+      if (e.key === 'Enter') {
+        if (SESSION_ID_RE.test(buf.chars)) scanHandler.current(buf.chars);
+        buf.chars = '';
+      } else if (e.key.length === 1) {
+        buf.chars += e.key;
+      }
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
+
   const onTouchStart = (id) => (e) => {
     touchStartX.current[id] = e.touches[0].clientX;
     touchTranslateX.current[id] = 0;
@@ -208,31 +624,204 @@ function App() {
     touchTranslateX.current[id] = snap;
   };
 
-  const totalMl = useMemo(() => (totalAmount * 29.5735).toFixed(0), [totalAmount]);
+  // Header total only counts bags that are still in stock
+  const totalAmount = useMemo(
+    () => sessions.filter((s) => IN_STOCK_STATES.includes(s.state || 'fridge')).reduce((sum, s) => sum + (s.remaining_oz ?? s.amount_oz), 0),
+    [sessions]
+  );
+  const alertById = useMemo(() => {
+    const map = {};
+    alerts.alerts.forEach((a) => { map[a.id] = a.status; });
+    return map;
+  }, [alerts]);
+  const expiredCount = alerts.alerts.filter((a) => a.status === 'expired').length;
+  const expiringCount = alerts.alerts.length - expiredCount;
 
   return (
-    <div className="bg-gradient-to-b from-brand-50 to-white dark:from-gray-900 dark:to-gray-950 h-screen overflow-hidden">
+    <div className="bg-gradient-to-b from-brand-50 to-white dark:from-gray-900 dark:to-gray-950 h-screen overflow-hidden flex flex-col">
       <header className="backdrop-blur bg-white/70 dark:bg-gray-900/70 border-b border-brand-100 dark:border-gray-800">
         <div className="max-w-6xl mx-auto px-2 py-1 flex items-center justify-between gap-2">
-          <h1 className="text-sm font-bold tracking-tight text-brand-700 dark:text-brand-300">Breast Milk Tracker</h1>
+          <h1 className="text-sm font-bold tracking-tight text-brand-700 dark:text-brand-300">{t('Breast Milk Tracker')}</h1>
+          <div className="text-right">
+            <p className="text-xs text-gray-500 dark:text-gray-400">{t('In stock')}</p>
+            <p className="text-sm font-bold text-brand-600 dark:text-brand-400">{formatVolume(totalAmount)}</p>
+          </div>
           <div className="text-right">
-            <p className="text-xs text-gray-500 dark:text-gray-400">Total</p>
-            <p className="text-sm font-bold text-brand-600 dark:text-brand-400">{totalAmount.toFixed(2)} oz</p>
+            <p className="text-xs text-gray-500 dark:text-gray-400">{t('Today pumped / drank')}</p>
+            <p className="text-sm font-bold text-brand-600 dark:text-brand-400">{volumeIn(feeds.today.pumped_oz)} / {formatVolume(feeds.today.consumed_oz)}</p>
           </div>
           <div className="flex items-center gap-1">
+            <select
+              value={profileId}
+              onChange={(e) => (e.target.value === 'manage' ? setShowProfiles(true) : setProfileId(e.target.value))}
+              aria-label={t('Parent')}
+              className="text-xs rounded border border-gray-300 dark:border-gray-700 bg-transparent px-1 py-1"
+            >
+              <option value="">{parents.length ? t('All') : t('Profiles')}</option>
+              {parents.map((p) => <option key={p.id} value={p.id}>{p.name}</option>)}
+              {isAdmin && <option value="manage">{t('Manage…')}</option>}
+            </select>
+            <input
+              value={scanCode}
+              onChange={(e) => setScanCode(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') {
+                  handleScan(scanCode);
+                  setScanCode('');
+                }
+              }}
+              placeholder={t('Scan bag')}
+              aria-label={t('Scan bag')}
+              className="w-28 text-xs rounded border border-gray-300 dark:border-gray-700 bg-transparent px-2 py-1"
+            />
+            <button onClick={() => setView((v) => (v === 'stats' ? 'main' : 'stats'))} aria-pressed={view === 'stats'} className="rounded border border-gray-300 dark:border-gray-700 px-2 py-1 text-xs text-gray-700 dark:text-gray-200">
+              📊
+            </button>
+            <button onClick={() => setView((v) => (v === 'printers' ? 'main' : 'printers'))} aria-pressed={view === 'printers'} aria-label={t('Printers')} className="rounded border border-gray-300 dark:border-gray-700 px-2 py-1 text-xs text-gray-700 dark:text-gray-200">
+              🖨️
+            </button>
+            <button onClick={() => setView((v) => (v === 'settings' ? 'main' : 'settings'))} aria-pressed={view === 'settings'} aria-label={t('Settings')} className="rounded border border-gray-300 dark:border-gray-700 px-2 py-1 text-xs text-gray-700 dark:text-gray-200">
+              ⚙️
+            </button>
+            {onLock && (
+              <button onClick={onLock} aria-label={t('Lock (signed in as {name})', { name: user.name })} title={user.name} className="rounded border border-gray-300 dark:border-gray-700 px-2 py-1 text-xs text-gray-700 dark:text-gray-200">
+                🔒 {user.name}
+              </button>
+            )}
+            <select
+              value={language}
+              onChange={(e) => setLanguage(e.target.value)}
+              aria-label={t('Language')}
+              className="text-xs rounded border border-gray-300 dark:border-gray-700 bg-transparent px-1 py-1"
+            >
+              {LANGUAGES.map(([value]) => <option key={value} value={value}>{value.toUpperCase()}</option>)}
+            </select>
             <button onClick={toggleTheme} className="rounded border border-gray-300 dark:border-gray-700 px-2 py-1 text-xs text-gray-700 dark:text-gray-200">
               {theme === 'light' ? '🌙' : '☀️'}
             </button>
           </div>
         </div>
       </header>
-      <main className="px-2 py-1 h-[calc(100vh-3rem)] flex gap-2 overflow-hidden">
+      {alerts.alerts.length > 0 && (
+        <div role="alert" className={`px-2 py-1 text-xs font-semibold text-white flex-shrink-0 ${expiredCount ? 'bg-red-600' : 'bg-amber-500'}`}>
+          ⚠ {expiredCount > 0 && t(expiredCount === 1 ? '{count} bag expired' : '{count} bags expired', { count: expiredCount })}
+          {expiredCount > 0 && expiringCount > 0 && ' • '}
+          {expiringCount > 0 && t('{count} expiring within {hours}h', { count: expiringCount, hours: alerts.window_hours })}
+        </div>
+      )}
+      {view === 'stats' ? (
+        <StatsView profileId={profileId} onClose={() => setView('main')} />
+      ) : view === 'printers' ? (
+        <PrintQueueView onClose={() => setView('main')} />
+      ) : view === 'settings' ? (
+        <SettingsView
+          user={user}
+          onDataChanged={() => setReloadKey((k) => k + 1)}
+          onLabelsChanged={() => setLabelsVersion((v) => v + 1)}
+          onAccountsChanged={onAccountsChanged}
+          onLocaleChanged={onLocaleChanged}
+          onClose={() => setView('main')}
+        />
+      ) : (
+      <main className="px-2 py-1 flex-1 min-h-0 flex gap-2 overflow-hidden">
           {/* Left side - Input and Keypad - Optimized for 800x480 touchscreen */}
           <section className="w-96 rounded-lg bg-white dark:bg-gray-900 shadow-soft p-2 flex flex-col min-h-0">
+            {/* Pump (log a session) or Feed (log what the baby drank) */}
+            <div className="mb-2 grid grid-cols-2 rounded ring-1 ring-gray-300 dark:ring-gray-700 overflow-hidden flex-shrink-0">
+              {[['pump', 'Pump'], ['feed', 'Feed']].map(([m, label]) => (
+                <button
+                  key={m}
+                  type="button"
+                  onClick={() => setMode(m)}
+                  className={`py-1 text-xs font-semibold ${mode === m ? 'bg-brand-600 text-white' : 'bg-gray-100 dark:bg-gray-800 text-gray-700 dark:text-gray-200'}`}
+                  aria-pressed={mode === m}
+                >
+                  {t(label)}
+                </button>
+              ))}
+            </div>
+
+            {mode === 'feed' ? (
+              <div className="mb-2 flex-shrink-0 space-y-2">
+                <div className="flex items-stretch gap-2">
+                  {[['offered', 'Offered', feedOffered], ['consumed', 'Drank', feedConsumed]].map(([field, label, value]) => (
+                    <button
+                      key={field}
+                      type="button"
+                      onClick={() => setFeedField(field)}
+                      className={`flex-1 rounded px-2 py-1 text-left ${feedField === field ? 'ring-2 ring-brand-500' : 'ring-1 ring-gray-300 dark:ring-gray-700'}`}
+                      aria-pressed={feedField === field}
+                    >
+                      <span className="block text-xs text-gray-600 dark:text-gray-300">{t(label)} ({unit})</span>
+                      <span className="block text-xl font-semibold text-gray-900 dark:text-gray-100">{value || (field === 'consumed' && feedOffered) || '0.0'}</span>
+                    </button>
+                  ))}
+                  <div className="flex flex-col rounded ring-1 ring-gray-300 dark:ring-gray-700 overflow-hidden">
+                    {['oz', 'ml'].map((u) => (
+                      <button
+                        key={u}
+                        type="button"
+                        onClick={() => handleUnitToggle(u)}
+                        className={`flex-1 px-2 text-xs font-semibold ${unit === u ? 'bg-brand-600 text-white' : 'bg-gray-100 dark:bg-gray-800 text-gray-700 dark:text-gray-200'}`}
+                        aria-pressed={unit === u}
+                      >
+                        {u}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+                {babies.length > 0 && (
+                  <div className="flex gap-1 overflow-x-auto">
+                    {babies.map((b) => (
+                      <button
+                        key={b.id}
+                        type="button"
+                        onClick={() => setFeedBaby(b.id)}
+                        className={`shrink-0 rounded px-2 py-1 text-xs font-semibold ${feedBaby === b.id ? 'bg-brand-600 text-white' : 'bg-gray-100 dark:bg-gray-800 text-gray-700 dark:text-gray-200'}`}
+                        aria-pressed={feedBaby === b.id}
+                      >
+                        👶 {b.name}
+                      </button>
+                    ))}
+                  </div>
+                )}
+                <div className="flex gap-1 overflow-x-auto">
+                  {useNext.order.filter((b) => FEEDABLE_STATES.includes(b.state)).slice(0, 6).map((b) => (
+                    <button
+                      key={b.id}
+                      type="button"
+                      onClick={() => toggleFeedBag(b.id)}
+                      className={`shrink-0 rounded px-2 py-1 text-xs ${feedBags.includes(b.id) ? 'bg-brand-600 text-white' : 'bg-gray-100 dark:bg-gray-800 text-gray-700 dark:text-gray-200'}`}
+                      aria-pressed={feedBags.includes(b.id)}
+                    >
+                      {bagVolume(b)} {t(STATE_NAMES[b.state])}
+                    </button>
+                  ))}
+                </div>
+                <input value={fedBy} onChange={(e) => setFedBy(e.target.value)} placeholder={t('Fed by')} aria-label={t('Fed by')} className="block w-full text-xs rounded border border-gray-300 dark:border-gray-700 bg-transparent px-2 py-1" />
+              </div>
+            ) : (
+            <>
             {/* Amount input with inline conversion - more compact */}
             <div className="mb-2 flex-shrink-0">
-              <label htmlFor="amount" className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Amount</label>
+              <label htmlFor="amount" className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">{t('Amount')}</label>
               <div className="flex items-stretch rounded ring-1 ring-gray-300 focus-within:ring-2 focus-within:ring-brand-500 overflow-hidden">
+                {side === 'both' ? (
+                  <div className="flex-1 flex">
+                    {[['left', 'L', leftAmt], ['right', 'R', rightAmt]].map(([field, label, value]) => (
+                      <button
+                        key={field}
+                        type="button"
+                        onClick={() => setSideField(field)}
+                        className={`flex-1 px-2 py-2 text-left text-xl font-semibold text-gray-900 dark:text-gray-100 ${sideField === field ? 'bg-brand-50 dark:bg-gray-800' : ''}`}
+                        aria-pressed={sideField === field}
+                      >
+                        <span className="text-xs font-medium text-gray-500 dark:text-gray-400 mr-1">{t(label)}</span>
+                        {value || '0.0'}
+                      </button>
+                    ))}
+                  </div>
+                ) : (
                 <input
                   inputMode="decimal"
                   type="text"
@@ -242,6 +831,7 @@ function App() {
                   className="flex-1 px-3 py-2 text-xl font-semibold placeholder-gray-300 focus:outline-none bg-transparent text-gray-900 dark:text-gray-100"
                   placeholder="0.0"
                 />
+                )}
                 <div className="flex">
                   <button
                     type="button"
@@ -262,27 +852,64 @@ function App() {
                 </div>
                 {/* Inline conversion display */}
                 <div className="px-2 py-2 bg-gray-50 dark:bg-gray-800 border-l border-gray-300 dark:border-gray-700 min-w-[4rem] flex items-center justify-center">
-                  {amount && (
+                  {keypadTotal > 0 && (
                     <span className="text-xs text-gray-500 dark:text-gray-400">
-                      ≈{unit === 'oz' ? ozToMl(parseFloat(amount)) : mlToOz(parseFloat(amount))}{unit === 'oz' ? 'ml' : 'oz'}
+                      {side === 'both' && `${keypadTotal.toFixed(2)}${unit} `}≈{volumeIn(unit === 'ml' ? keypadTotal / ML_PER_OZ : keypadTotal, otherUnit(unit))}{otherUnit(unit)}
                     </span>
                   )}
                 </div>
               </div>
             </div>
 
+            {/* Quick toggles: side, duration, pump/flange */}
+            <div className="mb-2 flex items-center gap-1 flex-shrink-0">
+              {SIDE_OPTIONS.map(([value, label]) => (
+                <button
+                  key={value}
+                  type="button"
+                  onClick={() => setSide((cur) => (cur === value ? null : value))}
+                  className={`rounded px-2 py-1 text-xs font-semibold ${side === value ? 'bg-brand-600 text-white' : 'bg-gray-100 dark:bg-gray-800 text-gray-700 dark:text-gray-200'}`}
+                  aria-pressed={side === value}
+                >
+                  {t(label)}
+                </button>
+              ))}
+              <span className="mx-0.5 h-4 border-l border-gray-300 dark:border-gray-700" />
+              {DURATION_OPTIONS.map((m) => (
+                <button
+                  key={m}
+                  type="button"
+                  onClick={() => setDurationMin((cur) => (cur === m ? null : m))}
+                  className={`rounded px-1.5 py-1 text-xs font-semibold ${durationMin === m ? 'bg-brand-600 text-white' : 'bg-gray-100 dark:bg-gray-800 text-gray-700 dark:text-gray-200'}`}
+                  aria-pressed={durationMin === m}
+                >
+                  {m}m
+                </button>
+              ))}
+              <input value={pump} onChange={(e) => setPump(e.target.value)} placeholder={t('Pump/flange')} aria-label={t('Pump/flange')} className="min-w-0 flex-1 text-xs rounded border border-gray-300 dark:border-gray-700 bg-transparent px-2 py-1" />
+            </div>
+
             {/* Notes - more compact */}
             <div className="mb-2 flex-shrink-0">
-              <label htmlFor="notes" className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Notes</label>
+              <div className="flex items-center justify-between mb-1">
+                <label htmlFor="notes" className="block text-xs font-medium text-gray-700 dark:text-gray-300">{t('Notes')}</label>
+                <select value={storeIn} onChange={(e) => setStoreIn(e.target.value)} aria-label={t('Store in')} className="text-xs rounded border border-gray-300 dark:border-gray-700 bg-transparent py-0 pl-2 pr-7">
+                  <option value="fridge">{t('Fridge')}</option>
+                  <option value="frozen">{t('Freezer')}</option>
+                  <option value="room">{t('Room temp')}</option>
+                </select>
+              </div>
               <textarea
                 id="notes"
                 value={notes}
                 onChange={(e) => setNotes(e.target.value)}
                 rows="1"
                 className="block w-full rounded text-xs border-gray-300 dark:border-gray-700 bg-transparent text-gray-900 dark:text-gray-100 focus:border-brand-500 focus:ring-brand-500 py-1 px-2"
-                placeholder="e.g., Left side, morning"
+                placeholder={t('e.g., morning, after nap')}
               />
             </div>
+            </>
+            )}
 
             {/* Large touchscreen keypad - takes remaining space */}
             <div className="flex-1 select-none flex flex-col min-h-0">
@@ -295,68 +922,171 @@ function App() {
                 <button onClick={backspace} className="rounded-lg bg-amber-500 text-white py-3 text-lg font-semibold active:scale-95 min-h-[2.5rem]">⌫</button>
               </div>
               {/* Print mode selector */}
+              {mode === 'pump' && (
               <div className="mb-2 flex items-center gap-2 flex-shrink-0">
-                <label className="text-xs text-gray-600 dark:text-gray-300">Print to</label>
+                <label className="text-xs text-gray-600 dark:text-gray-300">{t('Print to')}</label>
                 <select value={printMode} onChange={(e) => setPrintMode(e.target.value)} className="text-xs rounded border border-gray-300 dark:border-gray-700 bg-transparent px-2 py-1">
-                  <option value="agent">Pi Agent</option>
-                  <option value="network">Network</option>
-                  <option value="device">This Device</option>
+                  <option value="agent">{t('Pi Agent')}</option>
+                  <option value="network">{t('Network')}</option>
+                  <option value="device">{t('This Device')}</option>
                 </select>
                 {printMode === 'agent' && (
-                  <input value={printerId} onChange={(e) => setPrinterId(e.target.value)} placeholder="Printer ID (optional)" className="text-xs rounded border border-gray-300 dark:border-gray-700 bg-transparent px-2 py-1 flex-1" />
+                  <select value={printerId} onChange={(e) => setPrinterId(e.target.value)} aria-label={t('Printer')} className="text-xs rounded border border-gray-300 dark:border-gray-700 bg-transparent px-2 py-1 flex-1">
+                    <option value="">{t('Any printer')}</option>
+                    {printers.filter((p) => p.online || p.printerId === printerId).map((p) => (
+                      <option key={p.printerId} value={p.printerId}>{p.name || p.printerId}{p.online ? '' : ` ${t('(offline)')}`}</option>
+                    ))}
+                  </select>
                 )}
                 {printMode === 'network' && (
                   <>
-                    <input value={netHost} onChange={(e) => setNetHost(e.target.value)} placeholder="Printer IP/Host" className="text-xs rounded border border-gray-300 dark:border-gray-700 bg-transparent px-2 py-1 flex-1" />
+                    <input value={netHost} onChange={(e) => setNetHost(e.target.value)} placeholder={t('Printer IP/Host')} className="text-xs rounded border border-gray-300 dark:border-gray-700 bg-transparent px-2 py-1 flex-1" />
                     <input type="number" value={netPort} onChange={(e) => setNetPort(Number(e.target.value))} placeholder="9100" className="w-20 text-xs rounded border border-gray-300 dark:border-gray-700 bg-transparent px-2 py-1" />
+                    <select value={netLanguage} onChange={(e) => setNetLanguage(e.target.value)} aria-label={t('Printer language')} className="text-xs rounded border border-gray-300 dark:border-gray-700 bg-transparent px-2 py-1">
+                      {PRINTER_LANGUAGES.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                    </select>
                   </>
                 )}
+                <label className="flex items-center gap-1 text-xs text-gray-600 dark:text-gray-300 shrink-0">
+                  <input type="checkbox" checked={printPreview} onChange={(e) => setPrintPreview(e.target.checked)} />
+                  {t('Preview')}
+                </label>
               </div>
+              )}
               <div className="grid grid-cols-2 gap-2 flex-shrink-0">
-                <button onClick={clearAll} className="rounded-lg bg-gray-200 dark:bg-gray-700 py-2 text-sm font-semibold active:scale-95 min-h-[2.5rem]">Clear</button>
+                <button onClick={clearAll} className="rounded-lg bg-gray-200 dark:bg-gray-700 py-2 text-sm font-semibold active:scale-95 min-h-[2.5rem]">{t('Clear')}</button>
                 <button
-                  onClick={handleSubmit}
+                  onClick={mode === 'feed' ? handleFeedSubmit : handleSubmit}
                   disabled={submitting}
                   className="rounded-lg bg-brand-600 text-white text-sm font-semibold py-2 shadow-soft active:scale-95 disabled:opacity-50 disabled:cursor-not-allowed min-h-[2.5rem]"
                 >
-                  {submitting ? 'Saving…' : 'Save & Print'}
+                  {submitting ? t('Saving…') : mode === 'feed' ? t('Save Feed') : t('Save & Print')}
                 </button>
               </div>
             </div>
           </section>
 
-          {/* Right side - Sessions List - Uses remaining width */}
-          <section className="flex-1 rounded-lg bg-white dark:bg-gray-900 shadow-soft p-3 flex flex-col min-w-0">
-            <h2 className="text-sm font-semibold text-gray-800 dark:text-gray-200 mb-2">Recent Sessions ({totalMl} ml total)</h2>
+          <div className="flex-1 flex flex-col lg:flex-row gap-2 min-w-0 min-h-0">
+          {/* Use next - FIFO suggestion; stacks above the list on the kiosk screen, beside it on wide screens */}
+          <aside className="lg:order-last lg:w-64 rounded-lg bg-white dark:bg-gray-900 shadow-soft p-2 flex-shrink-0">
+            <div className="flex items-center justify-between gap-1 mb-1">
+              <h2 className="text-sm font-semibold text-gray-800 dark:text-gray-200">{t('Use next')}</h2>
+              <div className="flex gap-1">
+                {[null, ...TARGETS[units.unit]].map((v) => (
+                  <button
+                    key={v || 'any'}
+                    onClick={() => setTarget(v)}
+                    className={`rounded px-2 py-0.5 text-xs font-medium ${target === v ? 'bg-brand-600 text-white' : 'bg-gray-100 dark:bg-gray-800 text-gray-700 dark:text-gray-200'}`}
+                    aria-pressed={target === v}
+                  >
+                    {v ? `${v} ${units.unit}` : t('Any')}
+                  </button>
+                ))}
+              </div>
+            </div>
+            {(useNext.pick ? useNext.pick.sessions : useNext.order.slice(0, 3)).length === 0 ? (
+              <p className="text-xs text-gray-500 dark:text-gray-400">{t('No bags in stock')}</p>
+            ) : (
+              <div className="flex lg:flex-col gap-1 overflow-x-auto">
+                {(useNext.pick ? useNext.pick.sessions : useNext.order.slice(0, 3)).map((s) => (
+                  <button key={s.id} onClick={() => setScanned(s)} className="shrink-0 rounded bg-gray-50 dark:bg-gray-800 px-2 py-1 text-left text-xs active:scale-95">
+                    <span className="font-bold text-gray-900 dark:text-gray-100">{formatVolume(s.amount_oz, s.amount_ml)}</span>
+                    <span className={`ml-1 rounded px-1 ${STATE_BADGES[s.state]}`}>{t(STATE_NAMES[s.state])}</span>
+                    <span className="ml-1 text-gray-500 dark:text-gray-400">{formatDate(s.expires_at || s.timestamp)}</span>
+                  </button>
+                ))}
+              </div>
+            )}
+            {useNext.pick && (
+              <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                {useNext.pick.shortfall_oz > 0
+                  ? t('Only {total} in stock', { total: formatVolume(useNext.pick.total_oz) })
+                  : t('{total} total, {extra} extra', { total: formatVolume(useNext.pick.total_oz), extra: formatVolume(useNext.pick.waste_oz) })}
+              </p>
+            )}
+          </aside>
+
+          {/* Right side - Sessions List (or feeding log in feed mode) - Uses remaining width */}
+          {mode === 'feed' ? (
+          <section className="flex-1 rounded-lg bg-white dark:bg-gray-900 shadow-soft p-3 flex flex-col min-w-0 min-h-0">
+            <h2 className="text-sm font-semibold text-gray-800 dark:text-gray-200 mb-2">
+              {t('Recent Feeds (today: {drank} drank of {pumped} pumped)', { drank: formatVolume(feeds.today.consumed_oz), pumped: formatVolume(feeds.today.pumped_oz) })}
+            </h2>
+            <div className="flex-1 min-h-0 overflow-y-auto">
+              <ul className="space-y-2">
+                {feeds.feeds.map((feed) => (
+                  <li key={feed.id} className="rounded-lg bg-gray-50 dark:bg-gray-800 p-3 flex items-start justify-between gap-3">
+                    <div className="min-w-0 flex-1">
+                      <p className="text-sm font-bold text-gray-900 dark:text-gray-100">
+                        {t('{drank} drank • {offered} offered', { drank: formatVolume(feed.consumed_oz), offered: formatVolume(feed.offered_oz) })}
+                      </p>
+                      <p className="text-sm text-gray-600 dark:text-gray-400 truncate">
+                        {formatDateTime(feed.timestamp)}
+                        {profileName(feed.baby_id) ? ` • ${profileName(feed.baby_id)}` : ''}
+                        {feed.fed_by ? ` • ${feed.fed_by}` : ''}
+                      </p>
+                      {feed.sources.length > 0 && (
+                        <p className="text-xs text-gray-500 dark:text-gray-400">{t(feed.sources.length === 1 ? 'From {count} bag' : 'From {count} bags', { count: feed.sources.length })}</p>
+                      )}
+                    </div>
+                    {isAdmin && <button onClick={() => handleFeedDelete(feed.id)} className="rounded bg-red-600 text-white px-3 py-2 text-sm font-medium min-h-[2.5rem]">{t('Del')}</button>}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          </section>
+          ) : (
+          <section className="flex-1 rounded-lg bg-white dark:bg-gray-900 shadow-soft p-3 flex flex-col min-w-0 min-h-0">
+            <div className="flex items-center justify-between gap-2 mb-2">
+              <h2 className="text-sm font-semibold text-gray-800 dark:text-gray-200">{t('Recent Sessions ({total} in stock)', { total: formatAmount(totalAmount) })}</h2>
+              <button onClick={() => setShowBatchPrint(true)} className="rounded border border-gray-300 dark:border-gray-700 px-2 py-1 text-xs text-gray-700 dark:text-gray-200">{t('Print labels…')}</button>
+            </div>
             <div className="flex-1 min-h-0 overflow-y-auto">
               <ul className="space-y-2">
                 {sessions.map((session) => (
                   <li key={session.id} className="relative overflow-hidden">
                     <div className="absolute inset-y-0 right-0 flex items-center justify-end gap-2 pr-2 z-10 w-44">
-                      <button onClick={() => handleLocalPrint(session.id)} className="rounded bg-green-600 text-white px-3 py-2 text-sm font-medium min-h-[2.5rem]">Print</button>
-                      <button onClick={() => handleEdit(session.id)} className="rounded bg-blue-600 text-white px-3 py-2 text-sm font-medium min-h-[2.5rem]">Edit</button>
-                      <button onClick={() => handleDelete(session.id)} className="rounded bg-red-600 text-white px-3 py-2 text-sm font-medium min-h-[2.5rem]">Del</button>
+                      <button onClick={() => setPreview({ session, language: 'pdf', onPrint: (s, copies) => handleLocalPrint(s.id, copies) })} className="rounded bg-green-600 text-white px-3 py-2 text-sm font-medium min-h-[2.5rem]">{t('Print')}</button>
+                      <button onClick={() => handleEdit(session.id)} className="rounded bg-blue-600 text-white px-3 py-2 text-sm font-medium min-h-[2.5rem]">{t('Edit')}</button>
+                      {isAdmin && <button onClick={() => handleDelete(session.id)} className="rounded bg-red-600 text-white px-3 py-2 text-sm font-medium min-h-[2.5rem]">{t('Del')}</button>}
                     </div>
                     <div
                       id={`row-${session.id}`}
                       onTouchStart={onTouchStart(session.id)}
                       onTouchMove={onTouchMove(session.id)}
                       onTouchEnd={onTouchEnd(session.id)}
-                      className="rounded-lg bg-gray-50 dark:bg-gray-800 p-3 active:scale-[0.99] transition-transform pr-56 min-h-[4rem]"
+                      className={`rounded-lg p-3 active:scale-[0.99] transition-transform pr-56 min-h-[4rem] ${ROW_TONES[alertById[session.id]] || 'bg-gray-50 dark:bg-gray-800'}`}
                     >
                       <div className="flex items-start justify-between gap-3">
                         <div className="min-w-0 flex-1">
                           <p className="text-sm font-bold text-gray-900 dark:text-gray-100">
-                            {session.amount_oz.toFixed(2)} oz • {ozToMl(session.amount_oz)} ml
+                            {formatAmount(session.amount_oz, session.amount_ml)}
+                            <span className={`ml-2 rounded px-1.5 py-0.5 text-xs font-medium ${STATE_BADGES[session.state || 'fridge']}`}>{t(STATE_NAMES[session.state || 'fridge'])}</span>
+                            {session.remaining_oz > 0 && session.remaining_oz < session.amount_oz && (
+                              <span className="ml-2 text-xs font-medium text-gray-500 dark:text-gray-400">{t('{amount} left', { amount: formatVolume(session.remaining_oz) })}</span>
+                            )}
+                          </p>
+                          <p className="text-sm text-gray-600 dark:text-gray-400 truncate">
+                            {formatDateTime(session.timestamp)}
+                            {!profileId && profileName(session.profile_id) ? ` • ${profileName(session.profile_id)}` : ''}
                           </p>
-                          <p className="text-sm text-gray-600 dark:text-gray-400 truncate">{new Date(session.timestamp).toLocaleString()}</p>
+                          {describeSession(session, i18n) && (
+                            <p className="text-xs text-gray-500 dark:text-gray-400 truncate">{describeSession(session, i18n)}</p>
+                          )}
                           {session.notes && (
                             <p className="text-sm text-gray-500 dark:text-gray-400 truncate mt-1">{session.notes}</p>
                           )}
+                          {(STATE_ACTIONS[session.state || 'fridge'] || []).length > 0 && (
+                            <div className="mt-1 flex gap-1">
+                              {STATE_ACTIONS[session.state || 'fridge'].map(([state, label]) => (
+                                <button key={state} onClick={() => handleMove(session.id, state)} className="rounded border border-gray-300 dark:border-gray-600 px-2 py-1 text-xs font-medium text-gray-700 dark:text-gray-200 active:scale-95">{t(label)}</button>
+                              ))}
+                            </div>
+                          )}
                         </div>
+                        <LabelThumb src={labelThumbUrl(session, previewLanguage, labelContext)} />
                         <div className="text-right text-sm text-gray-500 dark:text-gray-400 shrink-0">
-                          <p className="text-xs">Fridge: {new Date(session.use_by_fridge).toLocaleDateString()}</p>
-                          <p className="text-xs">Freeze: {new Date(session.use_by_frozen).toLocaleDateString()}</p>
+                          <UseBy session={session} />
                         </div>
                       </div>
                     </div>
@@ -365,7 +1095,49 @@ function App() {
               </ul>
             </div>
           </section>
+          )}
+          </div>
         </main>
+      )}
+
+      {preview && (
+        <PrintPreviewDialog {...preview} onClose={() => setPreview(null)} />
+      )}
+
+      {showBatchPrint && (
+        <BatchPrintDialog target={printTarget} onClose={() => setShowBatchPrint(false)} />
+      )}
+
+      {showProfiles && (
+        <ProfilesDialog profiles={profiles} onChanged={() => setReloadKey((k) => k + 1)} onClose={() => setShowProfiles(false)} />
+      )}
+
+      {/* Scanned bag: one-tap moves */}
+      {scanned && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" onClick={() => setScanned(null)}>
+          <div className="w-full max-w-md rounded-lg bg-white dark:bg-gray-900 p-4 shadow-soft" onClick={(e) => e.stopPropagation()}>
+            <div className="flex items-start justify-between gap-3 mb-3">
+              <div>
+                <p className="text-lg font-bold text-gray-900 dark:text-gray-100">
+                  {formatAmount(scanned.amount_oz, scanned.amount_ml)}
+                  <span className={`ml-2 rounded px-1.5 py-0.5 text-xs font-medium ${STATE_BADGES[scanned.state || 'fridge']}`}>{t(STATE_NAMES[scanned.state || 'fridge'])}</span>
+                </p>
+                <p className="text-sm text-gray-600 dark:text-gray-400">{formatDateTime(scanned.timestamp)}</p>
+                {scanned.notes && <p className="text-sm text-gray-500 dark:text-gray-400 truncate">{scanned.notes}</p>}
+              </div>
+              <div className="text-right text-gray-500 dark:text-gray-400 shrink-0">
+                <UseBy session={scanned} />
+              </div>
+            </div>
+            <div className="grid grid-cols-3 gap-2">
+              {(STATE_ACTIONS[scanned.state || 'fridge'] || []).map(([state, label]) => (
+                <button key={state} onClick={() => handleMove(scanned.id, state)} className={`rounded-lg py-3 text-base font-semibold active:scale-95 ${state === 'discarded' ? 'bg-red-600 text-white' : 'bg-brand-600 text-white'}`}>{t(label)}</button>
+              ))}
+            </div>
+            <button onClick={() => setScanned(null)} className="mt-3 w-full rounded-lg bg-gray-200 dark:bg-gray-700 py-2 text-sm font-semibold active:scale-95">{t('Close')}</button>
+          </div>
+        </div>
+      )}
     </div>
   );
 }
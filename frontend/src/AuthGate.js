@@ -0,0 +1,93 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import App from './App';
+import LockScreen from './LockScreen';
+import { getAutoLockMinutes } from './autoLock';
+import { I18nContext, languageOf, makeI18n } from './i18n';
+
+// Shows the lock screen until someone signs in, then the app. Before the first account is created the
+// app is open, as it was before accounts existed. Both are shown in the household's locale, or in the
+// language picked on this kiosk.
+function AuthGate() {
+  const [status, setStatus] = useState(null);
+  const [language, setLanguage] = useState(() => localStorage.getItem('language') || '');
+
+  const refresh = useCallback(async () => {
+    try {
+      const res = await fetch('/api/auth/me');
+      if (res.ok) setStatus(await res.json());
+    } catch (e) {
+      console.error('Failed to check sign-in', e);
+    }
+  }, []);
+
+  const lock = useCallback(async () => {
+    try {
+      await fetch('/api/auth/logout', { method: 'POST' });
+    } catch (e) {
+      console.error('Sign out failed', e);
+    }
+    refresh();
+  }, [refresh]);
+
+  useEffect(() => { refresh(); }, [refresh]);
+
+  // A 401 anywhere means the session ended (expired, PIN changed, signed out elsewhere)
+  useEffect(() => {
+    const original = window.fetch;
+    window.fetch = async (...args) => {
+      const res = await original(...args);
+      if (res.status === 401 && !String(args[0]).startsWith('/api/auth/')) refresh();
+      return res;
+    };
+    return () => { window.fetch = original; };
+  }, [refresh]);
+
+  const signedIn = !!(status && status.user);
+  useEffect(() => {
+    if (!signedIn) return undefined;
+    let timer;
+    const reset = () => {
+      clearTimeout(timer);
+      const minutes = getAutoLockMinutes();
+      if (minutes > 0) timer = setTimeout(lock, minutes * 60 * 1000);
+    };
+    const events = ['pointerdown', 'keydown'];
+    events.forEach((e) => window.addEventListener(e, reset));
+    reset();
+    return () => {
+      clearTimeout(timer);
+      events.forEach((e) => window.removeEventListener(e, reset));
+    };
+  }, [signedIn, lock]);
+
+  useEffect(() => { localStorage.setItem('language', language); }, [language]);
+
+  const locale = status && status.locale;
+  const units = status && status.units;
+  const i18n = useMemo(() => ({
+    ...makeI18n(locale, language, units),
+    // Picking the household's own language goes back to following it
+    setLanguage: (value) => setLanguage(value === languageOf(locale && locale.locale) ? '' : value),
+  }), [locale, units, language]);
+
+  useEffect(() => { document.documentElement.lang = i18n.language; }, [i18n.language]);
+
+  if (!status) return null;
+  return (
+    <I18nContext.Provider value={i18n}>
+      {!status.setupRequired && !status.user ? (
+        <LockScreen users={status.users} onUnlocked={refresh} />
+      ) : (
+        <App
+          key={status.user ? status.user.id : 'open'}
+          user={status.user}
+          onLock={status.user ? lock : null}
+          onAccountsChanged={refresh}
+          onLocaleChanged={refresh}
+        />
+      )}
+    </I18nContext.Provider>
+  );
+}
+
+export default AuthGate;
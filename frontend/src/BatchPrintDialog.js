@@ -0,0 +1,149 @@
+import React, { useEffect, useState } from 'react';
+import { CopiesStepper } from './PrintPreviewDialog';
+import { useI18n } from './i18n';
+
+const inputClass = 'text-xs rounded border border-gray-300 dark:border-gray-700 bg-transparent px-2 py-1';
+
+// The YYYY-MM-DD after `day`
+const nextDay = (day) => {
+  const d = new Date(`${day}T00:00Z`);
+  d.setUTCDate(d.getUTCDate() + 1);
+  return d.toISOString().slice(0, 10);
+};
+
+// Reprint every session logged between two days (inclusive, household time): on the label printer
+// (`target` is the body fields /api/print/batch sends to it, null when this device prints) or on a
+// sticker sheet for a laser printer, starting from the first free cell of a partly used sheet.
+function BatchPrintDialog({ target, onClose }) {
+  const { t, dayKey } = useI18n();
+  const today = dayKey(new Date());
+  const [fromDay, setFromDay] = useState(today);
+  const [toDay, setToDay] = useState(today);
+  const [copies, setCopies] = useState(1);
+  const [output, setOutput] = useState(target ? 'printer' : 'sheet');
+  const [sheets, setSheets] = useState([]);
+  const [sheetId, setSheetId] = useState(() => localStorage.getItem('labelSheet') || '');
+  const [start, setStart] = useState(1);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    (async () => {
+      try {
+        const res = await fetch('/api/settings/labels');
+        if (res.ok) setSheets((await res.json()).sheets || []);
+      } catch (e) {
+        console.error('Failed to load label sheets', e);
+      }
+    })();
+  }, []);
+
+  useEffect(() => { if (sheetId) localStorage.setItem('labelSheet', sheetId); }, [sheetId]);
+
+  const sheet = sheets.find((l) => l.id === sheetId) || sheets[0];
+
+  // The server reads bare days as midnight in the household time zone; `to` is exclusive
+  const range = () => ({ from: fromDay, to: nextDay(toDay) });
+
+  const failed = async (res) => {
+    const err = await res.json().catch(() => ({}));
+    alert(err.message || t('Printing failed'));
+  };
+
+  const handlePrint = async () => {
+    if (!fromDay || !toDay || toDay < fromDay) {
+      alert(t('Choose a start day on or before the end day.'));
+      return;
+    }
+    setBusy(true);
+    // Opened before the request so the browser does not block it as a popup
+    const win = output === 'sheet' ? window.open('', '_blank') : null;
+    try {
+      if (output === 'sheet') {
+        const res = await fetch('/api/print/sheet', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ ...range(), copies, sheet: sheet && sheet.id, start }),
+        });
+        if (!res.ok) {
+          if (win) win.close();
+          return failed(res);
+        }
+        const url = URL.createObjectURL(await res.blob());
+        if (win) win.location = url;
+        else window.open(url, '_blank');
+      } else {
+        const res = await fetch('/api/print/batch', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ ...range(), copies, ...target }),
+        });
+        if (!res.ok) return failed(res);
+      }
+      onClose();
+    } catch (e) {
+      if (win) win.close();
+      console.error('Batch print failed', e);
+      alert(t('Printing failed'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const choiceClass = (active) => `rounded px-3 py-1 text-xs font-medium ${active ? 'bg-brand-600 text-white' : 'bg-gray-100 dark:bg-gray-800 text-gray-700 dark:text-gray-200'}`;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" onClick={onClose}>
+      <div className="w-full max-w-md max-h-full overflow-y-auto rounded-lg bg-white dark:bg-gray-900 p-4 shadow-soft" onClick={(e) => e.stopPropagation()}>
+        <h2 className="text-sm font-semibold text-gray-800 dark:text-gray-200 mb-2">{t('Print labels')}</h2>
+        <div className="flex items-center gap-2 mb-2 text-xs text-gray-700 dark:text-gray-300">
+          <label className="flex items-center gap-1">
+            {t('From')}
+            <input type="date" value={fromDay} onChange={(e) => setFromDay(e.target.value)} className={inputClass} />
+          </label>
+          <label className="flex items-center gap-1">
+            {t('to')}
+            <input type="date" value={toDay} onChange={(e) => setToDay(e.target.value)} className={inputClass} />
+          </label>
+        </div>
+        <CopiesStepper copies={copies} onChange={setCopies} />
+        <div className="flex items-center gap-1 mb-2">
+          <button onClick={() => setOutput('printer')} disabled={!target} className={`${choiceClass(output === 'printer')} disabled:opacity-50`} aria-pressed={output === 'printer'}>{t('Label printer')}</button>
+          <button onClick={() => setOutput('sheet')} className={choiceClass(output === 'sheet')} aria-pressed={output === 'sheet'}>{t('Sticker sheet')}</button>
+        </div>
+        {output === 'sheet' && sheet && (
+          <>
+            <label className="flex items-center gap-2 text-xs text-gray-700 dark:text-gray-300 mb-1">
+              {t('Sheet')}
+              <select value={sheet.id} onChange={(e) => { setSheetId(e.target.value); setStart(1); }} className={inputClass}>
+                {sheets.map((l) => <option key={l.id} value={l.id}>{l.name}</option>)}
+              </select>
+            </label>
+            <p className="text-xs text-gray-500 dark:text-gray-400 mb-1">{t('Tap the first free label on the sheet.')}</p>
+            <div
+              className="grid gap-0.5 mb-2 mx-auto w-48 rounded border border-gray-300 dark:border-gray-700 p-1"
+              style={{ gridTemplateColumns: `repeat(${sheet.columns}, minmax(0, 1fr))` }}
+            >
+              {Array.from({ length: sheet.columns * sheet.rows }, (_, i) => i + 1).map((cell) => (
+                <button
+                  key={cell}
+                  onClick={() => setStart(cell)}
+                  aria-label={t('Start at label {cell}', { cell })}
+                  aria-pressed={cell === start}
+                  className={`h-5 rounded-sm ${cell === start ? 'bg-brand-600' : cell < start ? 'bg-gray-300 dark:bg-gray-600' : 'bg-gray-100 dark:bg-gray-800'}`}
+                />
+              ))}
+            </div>
+          </>
+        )}
+        <div className="grid grid-cols-2 gap-2">
+          <button onClick={onClose} className="rounded-lg bg-gray-200 dark:bg-gray-700 py-2 text-sm font-semibold active:scale-95 min-h-[2.5rem]">{t('Cancel')}</button>
+          <button onClick={handlePrint} disabled={busy} className="rounded-lg bg-brand-600 text-white text-sm font-semibold py-2 shadow-soft active:scale-95 disabled:opacity-50 min-h-[2.5rem]">
+            {busy ? t('Printing…') : t('Print')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default BatchPrintDialog;
@@ -0,0 +1,122 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useI18n } from './i18n';
+
+const inputClass = 'text-xs rounded border border-gray-300 dark:border-gray-700 bg-transparent px-2 py-1';
+const buttonClass = 'rounded bg-brand-600 text-white px-3 py-2 text-xs font-semibold active:scale-95 disabled:opacity-50';
+
+// A starting point for a new custom template: the selected one under a new id
+const draftFrom = (template) => {
+  const { builtin, ...rest } = template;
+  return JSON.stringify({ ...rest, id: `${template.id}-custom`, name: `${template.name} (custom)` }, null, 2);
+};
+
+// Label templates (admins): pick the one labels print with, and add or remove custom templates
+function LabelsSection({ onLabelsChanged }) {
+  const { t } = useI18n();
+  const [info, setInfo] = useState(null);
+  const [draft, setDraft] = useState('');
+
+  const load = useCallback(async () => {
+    try {
+      const res = await fetch('/api/settings/labels');
+      if (res.ok) setInfo(await res.json());
+    } catch (e) {
+      console.error('Failed to load label templates', e);
+    }
+  }, []);
+
+  useEffect(() => { load(); }, [load]);
+
+  const custom = info ? info.templates.filter((template) => !template.builtin) : [];
+
+  const save = async (template, nextCustom) => {
+    try {
+      const res = await fetch('/api/settings/labels', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ template, custom: nextCustom }),
+      });
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        alert(body.message || t('Could not save label templates'));
+        return false;
+      }
+      setInfo(body);
+      if (onLabelsChanged) onLabelsChanged();
+      return true;
+    } catch (e) {
+      console.error('Saving label templates failed', e);
+      return false;
+    }
+  };
+
+  const handleAdd = async () => {
+    let template;
+    try {
+      template = JSON.parse(draft);
+    } catch (e) {
+      alert(t('The template is not valid JSON.'));
+      return;
+    }
+    if (await save(info.template, [...custom, template])) setDraft('');
+  };
+
+  const handleRemove = (template) => {
+    if (!window.confirm(t('Remove the label template "{name}"?', { name: template.name }))) return;
+    save(info.template === template.id ? 'default' : info.template, custom.filter((other) => other.id !== template.id));
+  };
+
+  if (!info) return null;
+  const selected = info.templates.find((template) => template.id === info.template);
+
+  return (
+    <>
+      <h3 className="text-xs font-semibold text-gray-700 dark:text-gray-300 mb-1 mt-4">{t('Labels')}</h3>
+      <label className="flex items-center gap-2 text-xs text-gray-700 dark:text-gray-300 mb-1">
+        {t('Print labels with')}
+        <select value={info.template} onChange={(e) => save(e.target.value, custom)} className={inputClass}>
+          {info.templates.map((template) => <option key={template.id} value={template.id}>{template.name}</option>)}
+        </select>
+      </label>
+      {custom.length > 0 && (
+        <ul className="divide-y divide-gray-100 dark:divide-gray-800 text-xs mb-2">
+          {custom.map((template) => (
+            <li key={template.id} className="flex items-center justify-between gap-2 py-1">
+              <span className="text-gray-800 dark:text-gray-200">
+                {template.name}
+                <span className="ml-2 text-gray-500 dark:text-gray-400">{template.width_in}" × {template.height_in}" · {template.dpi} dpi</span>
+              </span>
+              <button onClick={() => handleRemove(template)} className="rounded border border-gray-300 dark:border-gray-700 px-2 py-0.5 text-red-600 shrink-0">{t('Remove')}</button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {draft ? (
+        <>
+          <p className="text-xs text-gray-500 dark:text-gray-400 mb-1">
+            {t('Positions are in printer dots from the top-left corner;')} <span className="font-mono">size</span> {t('is the font size in points (for the QR code, dots per cell).')}
+            {' '}{t('Fields:')} <span className="font-mono">{info.fields.join(', ')}</span>.
+          </p>
+          <textarea
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            rows={12}
+            spellCheck={false}
+            aria-label={t('Template JSON')}
+            className={`${inputClass} w-full font-mono`}
+          />
+          <div className="flex gap-2 mt-1">
+            <button onClick={handleAdd} className={buttonClass}>{t('Add template')}</button>
+            <button onClick={() => setDraft('')} className="rounded border border-gray-300 dark:border-gray-700 px-3 py-2 text-xs text-gray-700 dark:text-gray-200">{t('Cancel')}</button>
+          </div>
+        </>
+      ) : (
+        <button onClick={() => setDraft(draftFrom(selected || info.templates[0]))} className="rounded border border-gray-300 dark:border-gray-700 px-3 py-2 text-xs text-gray-700 dark:text-gray-200">
+          {t('New template from this one…')}
+        </button>
+      )}
+    </>
+  );
+}
+
+export default LabelsSection;
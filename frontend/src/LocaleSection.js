@@ -0,0 +1,103 @@
+import React, { useEffect, useState } from 'react';
+import { useI18n } from './i18n';
+
+const inputClass = 'text-xs rounded border border-gray-300 dark:border-gray-700 bg-transparent px-2 py-1';
+
+// Locales with a UI catalog; any other BCP 47 tag can be typed in and only changes date formatting
+const LOCALES = [['en-US', 'English (US)'], ['en-GB', 'English (UK)'], ['es-US', 'Español (EE. UU.)'], ['es-MX', 'Español (México)'], ['es-ES', 'Español (España)']];
+// Mirrors DATE_FORMATS in backend/locale-settings.js
+const DATE_FORMATS = [['locale', 'As the locale writes them'], ['mdy', 'MM/DD/YYYY'], ['dmy', 'DD/MM/YYYY'], ['ymd', 'YYYY-MM-DD']];
+const TIME_ZONES = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+
+// Household date and time (admins): the locale (which also picks the UI language), time zone, 12/24-hour
+// clock and date order used on screen, on labels, in reports and in notifications
+function LocaleSection({ onLocaleChanged }) {
+  const { t, settings, formatDateTime } = useI18n();
+  const [form, setForm] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    (async () => {
+      try {
+        const res = await fetch('/api/settings/locale');
+        if (res.ok) setForm(await res.json());
+      } catch (e) {
+        console.error('Failed to load date settings', e);
+      }
+    })();
+  }, []);
+
+  const set = (key) => (e) => setForm((f) => ({ ...f, [key]: e.target.value }));
+
+  const handleSave = async () => {
+    setBusy(true);
+    try {
+      const res = await fetch('/api/settings/locale', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(form),
+      });
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        alert(body.message || t('Could not save date settings'));
+        return;
+      }
+      setForm(body);
+      if (onLocaleChanged) onLocaleChanged();
+    } catch (e) {
+      console.error('Saving date settings failed', e);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!form) return null;
+  const changed = ['locale', 'time_zone', 'clock', 'date_format'].some((key) => form[key] !== settings[key]);
+
+  return (
+    <>
+      <h3 className="text-xs font-semibold text-gray-700 dark:text-gray-300 mb-1 mt-4">{t('Date and time')}</h3>
+      <div className="grid grid-cols-2 gap-2 text-xs text-gray-700 dark:text-gray-300 mb-1">
+        <label className="flex items-center gap-2">
+          {t('Locale')}
+          <input value={form.locale} onChange={set('locale')} list="locale-options" className={`${inputClass} flex-1 min-w-0`} />
+          <datalist id="locale-options">
+            {LOCALES.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+          </datalist>
+        </label>
+        <label className="flex items-center gap-2">
+          {t('Time zone')}
+          <input value={form.time_zone} onChange={set('time_zone')} list="time-zone-options" className={`${inputClass} flex-1 min-w-0`} />
+          <datalist id="time-zone-options">
+            {TIME_ZONES.map((tz) => <option key={tz} value={tz} />)}
+          </datalist>
+        </label>
+        <label className="flex items-center gap-2">
+          {t('Clock')}
+          <select value={form.clock} onChange={set('clock')} className={inputClass}>
+            <option value="12h">{t('12-hour')}</option>
+            <option value="24h">{t('24-hour')}</option>
+          </select>
+        </label>
+        <label className="flex items-center gap-2">
+          {t('Dates')}
+          <select value={form.date_format} onChange={set('date_format')} className={inputClass}>
+            {DATE_FORMATS.map(([value, label]) => <option key={value} value={value}>{t(label)}</option>)}
+          </select>
+        </label>
+      </div>
+      <div className="flex items-center gap-2">
+        <button
+          onClick={handleSave}
+          disabled={!changed || busy}
+          className="rounded bg-brand-600 text-white px-3 py-2 text-xs font-semibold active:scale-95 disabled:opacity-50"
+        >
+          {t('Save')}
+        </button>
+        <span className="text-xs text-gray-500 dark:text-gray-400">{t('Now: {when}', { when: formatDateTime(new Date()) })}</span>
+      </div>
+    </>
+  );
+}
+
+export default LocaleSection;
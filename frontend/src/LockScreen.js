@@ -0,0 +1,83 @@
+import React, { useState } from 'react';
+import { useI18n } from './i18n';
+
+const keyClass = 'rounded-lg bg-gray-100 dark:bg-gray-800 py-3 text-lg font-bold active:scale-95 min-h-[2.5rem]';
+
+// Pick who you are, then enter your PIN on the keypad. `users` are { id, name } from /api/auth/me.
+function LockScreen({ users, onUnlocked }) {
+  const { t } = useI18n();
+  const [userId, setUserId] = useState(users.length === 1 ? users[0].id : '');
+  const [pin, setPin] = useState('');
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const submit = async () => {
+    if (!userId || pin.length < 4) return;
+    setBusy(true);
+    try {
+      const res = await fetch('/api/auth/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ user_id: userId, pin }),
+      });
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        setError(body.message || t('Sign in failed'));
+        setPin('');
+        return;
+      }
+      onUnlocked();
+    } catch (e) {
+      console.error('Sign in failed', e);
+      setError(t('Sign in failed'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const press = (digit) => {
+    setError('');
+    setPin((prev) => (prev.length < 8 ? prev + digit : prev));
+  };
+
+  return (
+    <div className="bg-gradient-to-b from-brand-50 to-white dark:from-gray-900 dark:to-gray-950 h-screen flex items-center justify-center p-2">
+      <div className="w-full max-w-sm rounded-lg bg-white dark:bg-gray-900 shadow-soft p-3">
+        <h1 className="text-sm font-bold tracking-tight text-brand-700 dark:text-brand-300 mb-2">🔒 {t('Breast Milk Tracker')}</h1>
+        <div className="flex flex-wrap gap-1 mb-2">
+          {users.map((u) => (
+            <button
+              key={u.id}
+              type="button"
+              onClick={() => { setUserId(u.id); setPin(''); setError(''); }}
+              aria-pressed={userId === u.id}
+              className={`rounded px-3 py-2 text-sm font-semibold ${userId === u.id ? 'bg-brand-600 text-white' : 'bg-gray-100 dark:bg-gray-800 text-gray-700 dark:text-gray-200'}`}
+            >
+              {u.name}
+            </button>
+          ))}
+        </div>
+        <p className="text-center text-2xl tracking-[0.5em] font-semibold text-gray-900 dark:text-gray-100 h-8" aria-label="PIN">
+          {'•'.repeat(pin.length) || <span className="text-sm tracking-normal text-gray-400">{userId ? t('Enter PIN') : t('Who is this?')}</span>}
+        </p>
+        <p className="text-center text-xs text-red-600 h-4 mb-1">{error}</p>
+        <div className="grid grid-cols-3 gap-2">
+          {[1, 2, 3, 4, 5, 6, 7, 8, 9].map((n) => (
+            <button key={n} onClick={() => press(String(n))} disabled={!userId} className={keyClass}>{n}</button>
+          ))}
+          <button onClick={() => setPin((prev) => prev.slice(0, -1))} className={keyClass} aria-label={t('Backspace')}>⌫</button>
+          <button onClick={() => press('0')} disabled={!userId} className={keyClass}>0</button>
+          <button
+            onClick={submit}
+            disabled={!userId || pin.length < 4 || busy}
+            className="rounded-lg bg-brand-600 text-white py-3 text-lg font-bold active:scale-95 min-h-[2.5rem] disabled:opacity-50"
+          >
+            OK
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default LockScreen;
@@ -0,0 +1,86 @@
+import React, { useEffect, useState } from 'react';
+import { useI18n } from './i18n';
+
+const LANGUAGE_NAMES = { tspl: 'TSPL', zpl: 'ZPL', escpos: 'ESC/POS', pdf: 'PDF' };
+// Mirrors MAX_COPIES in backend/server.js
+const MAX_COPIES = 50;
+const stepClass = 'rounded-lg bg-gray-100 dark:bg-gray-800 w-10 h-10 text-lg font-bold active:scale-95';
+
+// − n + buttons for how many copies of each label to print
+export function CopiesStepper({ copies, onChange }) {
+  const { t } = useI18n();
+  return (
+    <div className="flex items-center justify-center gap-2 mb-2 text-sm text-gray-700 dark:text-gray-300">
+      <span>{t('Copies')}</span>
+      <button onClick={() => onChange(Math.max(1, copies - 1))} aria-label={t('Fewer copies')} className={stepClass}>−</button>
+      <span className="w-6 text-center font-semibold">{copies}</span>
+      <button onClick={() => onChange(Math.min(MAX_COPIES, copies + 1))} aria-label={t('More copies')} className={stepClass}>+</button>
+    </div>
+  );
+}
+
+// The label for `session` as it will print (`language`: tspl, zpl, escpos or pdf; empty for the
+// server's default), with warnings about text that will be cut off. Print calls `onPrint` with the
+// session and the number of copies.
+function PrintPreviewDialog({ session, language, onPrint, onClose }) {
+  const { t } = useI18n();
+  const [preview, setPreview] = useState(null);
+  const [copies, setCopies] = useState(1);
+  // English text, translated when shown so it follows a language change
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        const res = await fetch(`/api/sessions/${session.id}/label${language ? `?language=${language}` : ''}`);
+        const body = await res.json().catch(() => ({}));
+        if (cancelled) return;
+        if (res.ok) setPreview(body);
+        else setError(body.message || 'Could not load the label preview.');
+      } catch (e) {
+        if (!cancelled) setError('Could not load the label preview.');
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [session.id, language]);
+
+  const handlePrint = () => {
+    onClose();
+    onPrint(session, copies);
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" onClick={onClose}>
+      <div className="w-full max-w-md max-h-full overflow-y-auto rounded-lg bg-white dark:bg-gray-900 p-4 shadow-soft" onClick={(e) => e.stopPropagation()}>
+        <h2 className="text-sm font-semibold text-gray-800 dark:text-gray-200 mb-2">{t('Print label')}</h2>
+        {error && <p className="text-xs text-red-600 mb-2">{t(error)}</p>}
+        {!preview && !error && <p className="text-xs text-gray-500 dark:text-gray-400 mb-2">{t('Loading preview…')}</p>}
+        {preview && (
+          <>
+            <img
+              src={`data:image/svg+xml;charset=utf-8,${encodeURIComponent(preview.svg)}`}
+              alt={t('Label preview')}
+              className="w-full h-auto rounded border border-gray-300 dark:border-gray-700 mb-1"
+            />
+            <p className="text-xs text-gray-500 dark:text-gray-400 mb-2">
+              {preview.template.name} · {LANGUAGE_NAMES[preview.language] || preview.language}
+            </p>
+            {preview.warnings.length > 0 && (
+              <ul className="rounded bg-amber-100 dark:bg-amber-900 text-amber-800 dark:text-amber-200 text-xs p-2 mb-2 space-y-0.5">
+                {preview.warnings.map((w, i) => <li key={i}>⚠️ {w}</li>)}
+              </ul>
+            )}
+          </>
+        )}
+        <CopiesStepper copies={copies} onChange={setCopies} />
+        <div className="grid grid-cols-2 gap-2">
+          <button onClick={onClose} className="rounded-lg bg-gray-200 dark:bg-gray-700 py-2 text-sm font-semibold active:scale-95 min-h-[2.5rem]">{t('Cancel')}</button>
+          <button onClick={handlePrint} className="rounded-lg bg-brand-600 text-white text-sm font-semibold py-2 shadow-soft active:scale-95 min-h-[2.5rem]">{t('Print')}</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default PrintPreviewDialog;
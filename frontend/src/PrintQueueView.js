@@ -0,0 +1,166 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useI18n } from './i18n';
+
+const FILTERS = [['', 'All'], ['queued', 'Queued'], ['claimed', 'Printing'], ['done', 'Done'], ['failed', 'Failed'], ['cancelled', 'Cancelled']];
+const STATUS_LABELS = Object.fromEntries(FILTERS.slice(1));
+const STATUS_CLASSES = {
+  queued: 'text-amber-600',
+  claimed: 'text-brand-600',
+  done: 'text-green-600',
+  failed: 'text-red-600',
+  cancelled: 'text-gray-500',
+};
+const REFRESH_MS = 5000;
+
+const smallClass = 'rounded border border-gray-300 dark:border-gray-700 px-2 py-0.5 text-xs text-gray-700 dark:text-gray-200';
+
+const sendJson = async (url, body, t) => {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body || {}),
+  });
+  if (res.ok) return true;
+  const err = await res.json().catch(() => ({}));
+  alert(err.message || t('Request failed'));
+  return false;
+};
+
+// Print agents (online state, version, capabilities) and the print job queue, refreshed every few seconds.
+// Jobs can be cancelled, reprinted or sent to another printer.
+function PrintQueueView({ onClose }) {
+  const { t, formatDateTime, formatVolume } = useI18n();
+  const shortTime = (iso) => (iso ? formatDateTime(iso) : '—');
+  const [printers, setPrinters] = useState([]);
+  const [jobs, setJobs] = useState(null);
+  const [filter, setFilter] = useState('');
+
+  const load = useCallback(async () => {
+    try {
+      const [printersRes, jobsRes] = await Promise.all([
+        fetch('/api/printers'),
+        fetch(`/api/print/jobs${filter ? `?status=${filter}` : ''}`),
+      ]);
+      if (printersRes.ok) setPrinters(await printersRes.json());
+      if (jobsRes.ok) setJobs(await jobsRes.json());
+    } catch (e) {
+      console.error('Failed to load print queue', e);
+    }
+  }, [filter]);
+
+  useEffect(() => {
+    load();
+    const timer = setInterval(load, REFRESH_MS);
+    return () => clearInterval(timer);
+  }, [load]);
+
+  const handleCancel = async (job) => {
+    if (!window.confirm(t('Cancel this print job?'))) return;
+    await sendJson(`/api/print/jobs/${job.id}/cancel`, null, t);
+    load();
+  };
+
+  const handleReprint = async (job) => {
+    await sendJson(`/api/print/jobs/${job.id}/reprint`, null, t);
+    load();
+  };
+
+  const handleReassign = async (job, printerId) => {
+    await sendJson(`/api/print/jobs/${job.id}/reassign`, { printerId: printerId || null }, t);
+    load();
+  };
+
+  return (
+    <main className="px-2 py-1 flex-1 min-h-0 overflow-y-auto">
+      <div className="rounded-lg bg-white dark:bg-gray-900 shadow-soft p-2">
+        <div className="flex items-center justify-between gap-2 mb-2">
+          <h2 className="text-sm font-semibold text-gray-800 dark:text-gray-200">{t('Printers')}</h2>
+          <button onClick={onClose} className="rounded border border-gray-300 dark:border-gray-700 px-2 py-1 text-xs text-gray-700 dark:text-gray-200">{t('Close')}</button>
+        </div>
+        {printers.length === 0 && (
+          <p className="text-xs text-gray-500 dark:text-gray-400 mb-2">{t('No print agents are enrolled. An admin can add one under Settings → Print agents.')}</p>
+        )}
+        <ul className="divide-y divide-gray-100 dark:divide-gray-800 text-xs mb-3">
+          {printers.map((p) => (
+            <li key={p.printerId} className="flex items-center justify-between gap-2 py-1">
+              <span className="text-gray-800 dark:text-gray-200">
+                <span className={`inline-block w-2 h-2 rounded-full mr-1 ${p.online ? 'bg-green-500' : 'bg-gray-400'}`} aria-hidden="true" />
+                <span className="font-mono">{p.printerId}</span>
+                {p.name && ` (${p.name})`}
+                <span className="ml-2 text-gray-500 dark:text-gray-400">{p.online ? t('Online') : t('Offline')}</span>
+              </span>
+              <span className="text-gray-500 dark:text-gray-400 text-right">
+                {p.agentVersion ? `v${p.agentVersion}` : t('version unknown')}
+                {p.capabilities && Object.keys(p.capabilities).length > 0 && ` · ${Object.keys(p.capabilities).filter((k) => p.capabilities[k]).join(', ')}`}
+                {` · ${t('seen {when}', { when: shortTime(p.lastSeen) })}`}
+              </span>
+            </li>
+          ))}
+        </ul>
+
+        <div className="flex items-center justify-between gap-2 mb-1">
+          <h2 className="text-sm font-semibold text-gray-800 dark:text-gray-200">{t('Print jobs')}</h2>
+          <div className="flex items-center gap-1">
+            {FILTERS.map(([value, label]) => (
+              <button
+                key={value}
+                onClick={() => setFilter(value)}
+                className={`rounded px-2 py-1 text-xs font-medium ${filter === value ? 'bg-brand-600 text-white' : 'bg-gray-100 dark:bg-gray-800 text-gray-700 dark:text-gray-200'}`}
+                aria-pressed={filter === value}
+              >
+                {t(label)}
+              </button>
+            ))}
+          </div>
+        </div>
+        {!jobs ? (
+          <p className="text-xs text-gray-500 dark:text-gray-400">{t('Loading…')}</p>
+        ) : jobs.length === 0 ? (
+          <p className="text-xs text-gray-500 dark:text-gray-400">{t('No jobs.')}</p>
+        ) : (
+          <ul className="divide-y divide-gray-100 dark:divide-gray-800 text-xs">
+            {jobs.map((job) => (
+              <li key={job.id} className="flex items-center justify-between gap-2 py-1">
+                <span className="min-w-0">
+                  <span className="text-gray-800 dark:text-gray-200">
+                    {shortTime(job.session.timestamp)} · {formatVolume(job.session.amount_oz, job.session.amount_ml)}
+                    {job.copies > 1 && ` × ${job.copies}`}
+                    {job.session.baby_name && ` · ${job.session.baby_name}`}
+                  </span>
+                  <span className="block truncate text-gray-500 dark:text-gray-400">
+                    <span className={`font-semibold ${STATUS_CLASSES[job.status] || ''}`}>{STATUS_LABELS[job.status] ? t(STATUS_LABELS[job.status]) : job.status}</span>
+                    {job.status === 'claimed' && job.claimedBy && ` ${t('by {name}', { name: job.claimedBy })}`}
+                    {` · ${t('attempt {attempt}/{max}', { attempt: job.attempts, max: job.maxAttempts })}`}
+                    {` · ${t('queued {when}', { when: shortTime(job.createdAt) })}`}
+                    {(job.error || job.lastError) && ` · ${job.error || job.lastError}`}
+                  </span>
+                </span>
+                <span className="flex gap-1 shrink-0">
+                  {['queued', 'claimed', 'failed'].includes(job.status) && (
+                    <select
+                      value={job.printerId || ''}
+                      onChange={(e) => handleReassign(job, e.target.value)}
+                      aria-label={t('Send to printer')}
+                      className="text-xs rounded border border-gray-300 dark:border-gray-700 bg-transparent px-1 py-0.5"
+                    >
+                      <option value="">{t('Any printer')}</option>
+                      {printers.map((p) => (
+                        <option key={p.printerId} value={p.printerId}>{p.printerId}{p.online ? '' : ` ${t('(offline)')}`}</option>
+                      ))}
+                    </select>
+                  )}
+                  {['queued', 'claimed'].includes(job.status) && (
+                    <button onClick={() => handleCancel(job)} className={`${smallClass} text-red-600`}>{t('Cancel')}</button>
+                  )}
+                  <button onClick={() => handleReprint(job)} className={smallClass}>{t('Reprint')}</button>
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </main>
+  );
+}
+
+export default PrintQueueView;
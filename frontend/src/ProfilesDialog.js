@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import { useI18n } from './i18n';
+
+// Add/remove pumping parents and their babies. `onChanged` reloads profiles (and sessions, since the
+// first parent adopts bags logged before profiles existed).
+function ProfilesDialog({ profiles, onChanged, onClose }) {
+  const { t } = useI18n();
+  const [parentName, setParentName] = useState('');
+  const [babyNames, setBabyNames] = useState({});
+  const parents = profiles.filter((p) => p.kind === 'parent');
+
+  const addProfile = async (body) => {
+    try {
+      const res = await fetch('/api/profiles', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+      if (!res.ok) {
+        const err = await res.json().catch(() => ({}));
+        return alert(err.message || t('Could not add profile'));
+      }
+      onChanged();
+      return true;
+    } catch (e) {
+      console.error('Add profile failed', e);
+    }
+  };
+
+  const handleAddParent = async () => {
+    if (!parentName.trim()) return;
+    if (await addProfile({ kind: 'parent', name: parentName })) setParentName('');
+  };
+
+  const handleAddBaby = async (parentId) => {
+    const name = babyNames[parentId] || '';
+    if (!name.trim()) return;
+    if (await addProfile({ kind: 'baby', name, parent_id: parentId })) {
+      setBabyNames((prev) => ({ ...prev, [parentId]: '' }));
+    }
+  };
+
+  const handleDelete = async (profile) => {
+    if (!window.confirm(t('Remove {name}?', { name: profile.name }))) return;
+    try {
+      const res = await fetch(`/api/profiles/${profile.id}`, { method: 'DELETE' });
+      if (res.status === 204) onChanged();
+      else {
+        const err = await res.json().catch(() => ({}));
+        alert(err.message || t('Could not remove profile'));
+      }
+    } catch (e) {
+      console.error('Delete profile failed', e);
+    }
+  };
+
+  const inputClass = 'flex-1 text-xs rounded border border-gray-300 dark:border-gray-700 bg-transparent px-2 py-1';
+  const addClass = 'rounded bg-brand-600 text-white px-2 py-1 text-xs font-semibold active:scale-95';
+  const delClass = 'rounded border border-gray-300 dark:border-gray-600 px-2 py-0.5 text-xs text-red-600 active:scale-95';
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" onClick={onClose}>
+      <div className="w-full max-w-md max-h-full overflow-y-auto rounded-lg bg-white dark:bg-gray-900 p-4 shadow-soft" onClick={(e) => e.stopPropagation()}>
+        <h2 className="text-sm font-semibold text-gray-800 dark:text-gray-200 mb-2">{t('Parents and babies')}</h2>
+        <ul className="space-y-2 mb-3">
+          {parents.map((parent) => (
+            <li key={parent.id} className="rounded-lg bg-gray-50 dark:bg-gray-800 p-2">
+              <div className="flex items-center justify-between gap-2">
+                <span className="text-sm font-bold text-gray-900 dark:text-gray-100">{parent.name}</span>
+                <button onClick={() => handleDelete(parent)} className={delClass}>{t('Remove')}</button>
+              </div>
+              <ul className="mt-1 space-y-1">
+                {profiles.filter((p) => p.kind === 'baby' && p.parent_id === parent.id).map((baby) => (
+                  <li key={baby.id} className="flex items-center justify-between gap-2 pl-3 text-sm text-gray-700 dark:text-gray-300">
+                    <span>👶 {baby.name}</span>
+                    <button onClick={() => handleDelete(baby)} className={delClass}>{t('Remove')}</button>
+                  </li>
+                ))}
+              </ul>
+              <div className="mt-1 flex gap-1 pl-3">
+                <input
+                  value={babyNames[parent.id] || ''}
+                  onChange={(e) => setBabyNames((prev) => ({ ...prev, [parent.id]: e.target.value }))}
+                  placeholder={t('Baby name')}
+                  aria-label={t('Add baby for {name}', { name: parent.name })}
+                  className={inputClass}
+                />
+                <button onClick={() => handleAddBaby(parent.id)} className={addClass}>{t('Add baby')}</button>
+              </div>
+            </li>
+          ))}
+        </ul>
+        <div className="flex gap-1">
+          <input value={parentName} onChange={(e) => setParentName(e.target.value)} placeholder={t('Parent name')} aria-label={t('Parent name')} className={inputClass} />
+          <button onClick={handleAddParent} className={addClass}>{t('Add parent')}</button>
+        </div>
+        <button onClick={onClose} className="mt-3 w-full rounded-lg bg-gray-200 dark:bg-gray-700 py-2 text-sm font-semibold active:scale-95">{t('Close')}</button>
+      </div>
+    </div>
+  );
+}
+
+export default ProfilesDialog;
@@ -0,0 +1,273 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import AccountsSection from './AccountsSection';
+import AgentsSection from './AgentsSection';
+import LabelsSection from './LabelsSection';
+import LocaleSection from './LocaleSection';
+import UnitsSection from './UnitsSection';
+import { useI18n } from './i18n';
+
+const EXPORTS = [
+  ['/api/export/sessions.csv', 'Sessions (CSV)'],
+  ['/api/export/feeds.csv', 'Feeds (CSV)'],
+  ['/api/export/json', 'Everything (JSON)'],
+];
+// Record counts and names per collection, singular and plural
+const COLLECTIONS = [
+  ['profiles', '{count} profile', '{count} profiles', 'Profile'],
+  ['sessions', '{count} session', '{count} sessions', 'Session'],
+  ['feeds', '{count} feed', '{count} feeds', 'Feed'],
+];
+const TYPE_NAMES = Object.fromEntries(COLLECTIONS.map(([key, , , name]) => [key, name]));
+
+// e.g. "3 sessions, 1 feed"
+const countLine = (counts, t) => COLLECTIONS
+  .filter(([key]) => counts[key])
+  .map(([key, one, many]) => t(counts[key] === 1 ? one : many, { count: counts[key] }))
+  .join(', ') || t('nothing');
+
+// Import report from POST /api/import
+function ImportReport({ report }) {
+  const { t } = useI18n();
+  const typeName = (type) => (TYPE_NAMES[type] ? t(TYPE_NAMES[type]) : type);
+  return (
+    <div className="mt-2 rounded bg-gray-50 dark:bg-gray-800 p-2 text-xs text-gray-700 dark:text-gray-300 space-y-1">
+      <p className="font-semibold">{report.dry_run ? t('Preview') : t('Imported')}</p>
+      <p>{report.dry_run ? t('Will add: {counts}', { counts: countLine(report.added, t) }) : t('Added: {counts}', { counts: countLine(report.added, t) })}</p>
+      <p>{t('Already here (skipped): {counts}', { counts: countLine(report.duplicates, t) })}</p>
+      {report.conflicts.length > 0 && (
+        <div>
+          <p>
+            {t('Conflicts ({count})', { count: report.conflicts.length })}
+            {report.dry_run ? '' : `, ${t('replaced: {counts}', { counts: countLine(report.replaced, t) })}`}
+          </p>
+          <ul className="list-disc pl-4">
+            {report.conflicts.slice(0, 10).map((c) => (
+              <li key={`${c.type}-${c.id}`} className="truncate">{typeName(c.type)} {c.id.slice(0, 8)}: {c.fields.join(', ')}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+      {report.invalid.length > 0 && (
+        <div className="text-red-600">
+          <p>{t('Invalid records skipped ({count})', { count: report.invalid.length })}</p>
+          <ul className="list-disc pl-4">
+            {report.invalid.slice(0, 10).map((r, i) => (
+              <li key={i} className="truncate">{typeName(r.type)}{r.index !== undefined ? ` #${r.index + 1}` : ''}: {r.errors.join(' ')}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+const LABELS = { auto: 'Scheduled', manual: 'Manual', 'pre-restore': 'Before restore' };
+const backupLabel = (label, t) => {
+  if (LABELS[label]) return t(LABELS[label]);
+  return label.startsWith('pre-migration') ? t('Before upgrade') : label;
+};
+const formatSize = (bytes) => (bytes < 1024 * 1024 ? `${Math.ceil(bytes / 1024)} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`);
+
+// Scheduled and manual backups from /api/backups, with download and restore
+function BackupsSection({ onDataChanged }) {
+  const { t, formatDateTime } = useI18n();
+  const [info, setInfo] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const load = useCallback(async () => {
+    try {
+      const res = await fetch('/api/backups');
+      if (res.ok) setInfo(await res.json());
+    } catch (e) {
+      console.error('Failed to load backups', e);
+    }
+  }, []);
+
+  useEffect(() => { load(); }, [load]);
+
+  const post = async (url, failure) => {
+    setBusy(true);
+    try {
+      const res = await fetch(url, { method: 'POST' });
+      const result = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        alert(result.message || failure);
+        return null;
+      }
+      return result;
+    } catch (e) {
+      console.error(failure, e);
+      return null;
+    } finally {
+      setBusy(false);
+      load();
+    }
+  };
+
+  const handleBackup = () => post('/api/backups', t('Backup failed'));
+
+  const handleRestore = async (backup) => {
+    const when = formatDateTime(backup.created_at);
+    if (!window.confirm(t('Replace all current data with the backup from {when}? The current data is backed up first.', { when }))) return;
+    const result = await post(`/api/backups/${encodeURIComponent(backup.name)}/restore`, t('Restore failed'));
+    if (result) {
+      alert(t('Restored. The previous data was saved as {name}.', { name: result.backup }));
+      onDataChanged();
+    }
+  };
+
+  const hours = info && info.intervalMs / 3600000;
+
+  return (
+    <>
+      <h3 className="text-xs font-semibold text-gray-700 dark:text-gray-300 mb-1 mt-4">{t('Backups')}</h3>
+      {info && (
+        <p className="text-xs text-gray-500 dark:text-gray-400 mb-1">
+          {info.intervalMs > 0
+            ? t(hours === 1 ? 'Every hour, keeping {hourly} hourly and {daily} daily copies' : 'Every {hours} hours, keeping {hourly} hourly and {daily} daily copies', {
+              hours, hourly: info.retention.hourly, daily: info.retention.daily,
+            })
+            : t('Scheduled backups are off')}
+          {' '}{t('in')} <span className="font-mono">{info.dir}</span>.
+        </p>
+      )}
+      <button
+        onClick={handleBackup}
+        disabled={busy}
+        className="rounded bg-brand-600 text-white px-3 py-2 text-xs font-semibold active:scale-95 disabled:opacity-50 mb-2"
+      >
+        {busy ? t('Working…') : t('Back up now')}
+      </button>
+      {info && info.backups.length === 0 && <p className="text-xs text-gray-500 dark:text-gray-400">{t('No backups yet.')}</p>}
+      {info && info.backups.length > 0 && (
+        <ul className="max-h-64 overflow-y-auto divide-y divide-gray-100 dark:divide-gray-800 text-xs">
+          {info.backups.map((b) => (
+            <li key={b.name} className="flex items-center justify-between gap-2 py-1">
+              <span className="text-gray-800 dark:text-gray-200">
+                {formatDateTime(b.created_at)}
+                <span className="ml-2 text-gray-500 dark:text-gray-400">{backupLabel(b.label, t)} · {formatSize(b.size)}</span>
+              </span>
+              <span className="flex gap-1 shrink-0">
+                <a href={`/api/backups/${encodeURIComponent(b.name)}`} download className="rounded border border-gray-300 dark:border-gray-700 px-2 py-0.5 text-gray-700 dark:text-gray-200">{t('Download')}</a>
+                <button onClick={() => handleRestore(b)} disabled={busy} className="rounded border border-gray-300 dark:border-gray-700 px-2 py-0.5 text-red-600 disabled:opacity-50">{t('Restore')}</button>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </>
+  );
+}
+
+// Import, backups, date and unit settings, label templates, print agents and account management are for admins
+// (or everyone until accounts exist)
+function SettingsView({ user, onDataChanged, onLabelsChanged, onAccountsChanged, onLocaleChanged, onClose }) {
+  const { t } = useI18n();
+  const [dump, setDump] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [replace, setReplace] = useState(false);
+  const [report, setReport] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const isAdmin = !user || user.role === 'admin';
+
+  const runImport = async (body, dryRun, replaceConflicts) => {
+    setBusy(true);
+    try {
+      const params = [dryRun ? 'dry_run=1' : '', replaceConflicts ? 'replace=1' : ''].filter(Boolean).join('&');
+      const res = await fetch(`/api/import${params ? `?${params}` : ''}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+      const result = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        alert(result.message || t('Import failed'));
+        return;
+      }
+      setReport(result);
+      if (!dryRun) {
+        setDump(null);
+        onDataChanged();
+      }
+    } catch (e) {
+      console.error('Import failed', e);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+    setReport(null);
+    setFileName(file.name);
+    try {
+      const parsed = JSON.parse(await file.text());
+      setDump(parsed);
+      runImport(parsed, true, replace);
+    } catch (err) {
+      setDump(null);
+      alert(t('That file is not a JSON export.'));
+    }
+  };
+
+  const handleReplace = (checked) => {
+    setReplace(checked);
+    if (dump) runImport(dump, true, checked);
+  };
+
+  return (
+    <main className="px-2 py-1 flex-1 min-h-0 overflow-y-auto">
+      <div className="rounded-lg bg-white dark:bg-gray-900 shadow-soft p-2 max-w-2xl">
+        <div className="flex items-center justify-between gap-2 mb-2">
+          <h2 className="text-sm font-semibold text-gray-800 dark:text-gray-200">{t('Settings')}</h2>
+          <button onClick={onClose} className="rounded border border-gray-300 dark:border-gray-700 px-2 py-1 text-xs text-gray-700 dark:text-gray-200">{t('Close')}</button>
+        </div>
+
+        <h3 className="text-xs font-semibold text-gray-700 dark:text-gray-300 mb-1">{t('Export')}</h3>
+        <div className="flex flex-wrap gap-2 mb-3">
+          {EXPORTS.map(([href, label]) => (
+            <a key={href} href={href} download className="rounded bg-brand-600 text-white px-3 py-2 text-xs font-semibold active:scale-95">{t(label)}</a>
+          ))}
+        </div>
+
+        {isAdmin && (
+          <>
+            <h3 className="text-xs font-semibold text-gray-700 dark:text-gray-300 mb-1">{t('Import')}</h3>
+            <p className="text-xs text-gray-500 dark:text-gray-400 mb-1">
+              {t('Load a JSON export from another device. Records that are already here are skipped.')}
+            </p>
+            <div className="flex flex-wrap items-center gap-2">
+              <label className="rounded border border-gray-300 dark:border-gray-700 px-3 py-2 text-xs text-gray-700 dark:text-gray-200 cursor-pointer">
+                {fileName || t('Choose file…')}
+                <input type="file" accept=".json,application/json" onChange={handleFile} className="hidden" />
+              </label>
+              <label className="flex items-center gap-1 text-xs text-gray-700 dark:text-gray-300">
+                <input type="checkbox" checked={replace} onChange={(e) => handleReplace(e.target.checked)} />
+                {t('Replace conflicting records')}
+              </label>
+              <button
+                onClick={() => runImport(dump, false, replace)}
+                disabled={!dump || busy}
+                className="rounded bg-brand-600 text-white px-3 py-2 text-xs font-semibold active:scale-95 disabled:opacity-50"
+              >
+                {busy ? t('Working…') : t('Import')}
+              </button>
+            </div>
+            {report && <ImportReport report={report} />}
+
+            <BackupsSection onDataChanged={onDataChanged} />
+            <LocaleSection onLocaleChanged={onLocaleChanged} />
+            <UnitsSection onUnitsChanged={onLocaleChanged} />
+            <LabelsSection onLabelsChanged={onLabelsChanged} />
+            <AgentsSection />
+          </>
+        )}
+
+        <AccountsSection user={user} onAccountsChanged={onAccountsChanged} />
+      </div>
+    </main>
+  );
+}
+
+export default SettingsView;
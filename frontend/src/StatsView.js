@@ -0,0 +1,130 @@
+import React, { useEffect, useState } from 'react';
+import { useI18n } from './i18n';
+
+const RANGES = [7, 30, 90];
+
+// Minimal SVG bar chart sized for the 800x480 kiosk. `line` draws an optional overlay
+// (e.g. the rolling 7-day average) on the same scale; `format` writes a value for the tooltips.
+function BarChart({ items, value, label, format, line, height = 96 }) {
+  const values = items.map(value);
+  const lineValues = line ? items.map((_, i) => line[i]) : [];
+  const max = Math.max(1, ...values, ...lineValues);
+  const w = 100 / Math.max(1, items.length);
+  const y = (v) => height - (v / max) * (height - 4);
+  const ticks = items.length > 1 ? [0, Math.floor((items.length - 1) / 2), items.length - 1] : [0];
+  return (
+    <div>
+      <svg viewBox={`0 0 100 ${height}`} preserveAspectRatio="none" className="w-full" style={{ height }}>
+        {items.map((item, i) => (
+          <rect key={i} x={i * w + w * 0.1} y={y(values[i])} width={w * 0.8} height={height - y(values[i])} className="fill-brand-400 dark:fill-brand-500">
+            <title>{`${label(item)}: ${format(values[i])}`}</title>
+          </rect>
+        ))}
+        {line && items.length > 1 && (
+          <polyline
+            points={lineValues.map((v, i) => `${i * w + w / 2},${y(v)}`).join(' ')}
+            fill="none"
+            strokeWidth="1.5"
+            vectorEffect="non-scaling-stroke"
+            className="stroke-gray-700 dark:stroke-gray-200"
+          />
+        )}
+      </svg>
+      <div className="flex justify-between text-[10px] text-gray-500 dark:text-gray-400">
+        {items.length > 0 && ticks.map((i) => <span key={i}>{label(items[i])}</span>)}
+      </div>
+    </div>
+  );
+}
+
+function Tile({ label, value }) {
+  return (
+    <div className="rounded-lg bg-gray-50 dark:bg-gray-800 px-2 py-1">
+      <p className="text-[10px] text-gray-500 dark:text-gray-400">{label}</p>
+      <p className="text-sm font-bold text-gray-900 dark:text-gray-100">{value}</p>
+    </div>
+  );
+}
+
+function StatsView({ profileId, onClose }) {
+  const { t, settings, formatDayKey, units, volumeIn, formatVolume } = useI18n();
+  // Days as the household writes them; months (YYYY-MM) as e.g. "Oct 26"
+  const shortDate = (key) => (key.length > 7
+    ? formatDayKey(key)
+    : new Date(`${key}-15T12:00Z`).toLocaleDateString(settings.locale, { timeZone: 'UTC', month: 'short', year: '2-digit' }));
+  const [days, setDays] = useState(30);
+  const [stats, setStats] = useState(null);
+  const query = `days=${days}${profileId ? `&profile_id=${encodeURIComponent(profileId)}` : ''}`;
+
+  useEffect(() => {
+    const fetchStats = async () => {
+      try {
+        const response = await fetch(`/api/stats?${query}`);
+        if (response.ok) setStats(await response.json());
+      } catch (error) {
+        console.error('Error fetching stats:', error);
+      }
+    };
+    fetchStats();
+  }, [query]);
+
+  return (
+    <main className="px-2 py-1 flex-1 min-h-0 overflow-y-auto">
+      <div className="rounded-lg bg-white dark:bg-gray-900 shadow-soft p-2">
+        <div className="flex items-center justify-between gap-2 mb-2">
+          <h2 className="text-sm font-semibold text-gray-800 dark:text-gray-200">{t('Pumping statistics')}</h2>
+          <div className="flex items-center gap-1">
+            {RANGES.map((d) => (
+              <button
+                key={d}
+                onClick={() => setDays(d)}
+                className={`rounded px-2 py-1 text-xs font-medium ${days === d ? 'bg-brand-600 text-white' : 'bg-gray-100 dark:bg-gray-800 text-gray-700 dark:text-gray-200'}`}
+                aria-pressed={days === d}
+              >
+                {t('{days} days', { days: d })}
+              </button>
+            ))}
+            <a href={`/api/report.pdf?${query}`} target="_blank" rel="noopener noreferrer" className="rounded bg-brand-600 text-white px-2 py-1 text-xs font-medium">
+              {t('Generate report')}
+            </a>
+            <button onClick={onClose} className="rounded border border-gray-300 dark:border-gray-700 px-2 py-1 text-xs text-gray-700 dark:text-gray-200">{t('Close')}</button>
+          </div>
+        </div>
+        {!stats ? (
+          <p className="text-xs text-gray-500 dark:text-gray-400">{t('Loading…')}</p>
+        ) : (
+          <>
+            <div className="grid grid-cols-6 gap-2 mb-2">
+              <Tile label={t('Total')} value={formatVolume(stats.totals.amount_oz)} />
+              <Tile label={t('Sessions')} value={stats.totals.sessions} />
+              <Tile label={t('Avg / session')} value={formatVolume(stats.totals.avg_oz_per_session)} />
+              <Tile label={t('Last 7 days avg / day')} value={formatVolume(stats.rolling_7d.length ? stats.rolling_7d[stats.rolling_7d.length - 1].avg_oz : 0)} />
+              <Tile label={t('Left / right')} value={`${volumeIn(stats.by_side.left_oz)} / ${volumeIn(stats.by_side.right_oz)} ${units.unit}`} />
+              <Tile label={t('Avg duration')} value={stats.totals.avg_duration_min != null ? t('{minutes} min', { minutes: stats.totals.avg_duration_min.toFixed(0) }) : '—'} />
+            </div>
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <h3 className="text-xs font-semibold text-gray-700 dark:text-gray-300">{t('Daily output (line: 7-day average)')}</h3>
+                <BarChart items={stats.daily} value={(d) => d.amount_oz} label={(d) => shortDate(d.date)} format={formatVolume} line={stats.rolling_7d.map((r) => r.avg_oz)} />
+              </div>
+              <div>
+                <h3 className="text-xs font-semibold text-gray-700 dark:text-gray-300">{t('Time of day')}</h3>
+                <BarChart items={stats.by_hour} value={(h) => h.amount_oz} label={(h) => `${h.hour}:00`} format={formatVolume} />
+              </div>
+              <div>
+                <h3 className="text-xs font-semibold text-gray-700 dark:text-gray-300">{t('Weekly totals')}</h3>
+                <BarChart items={stats.weekly} value={(w) => w.amount_oz} label={(w) => shortDate(w.week_start)} format={formatVolume} height={72} />
+              </div>
+              <div>
+                <h3 className="text-xs font-semibold text-gray-700 dark:text-gray-300">{t('Monthly totals')}</h3>
+                <BarChart items={stats.monthly} value={(m) => m.amount_oz} label={(m) => shortDate(m.month)} format={formatVolume} height={72} />
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    </main>
+  );
+}
+
+export default StatsView;
@@ -0,0 +1,70 @@
+import React, { useEffect, useState } from 'react';
+import { useI18n } from './i18n';
+import { roundVolume } from './units';
+
+const inputClass = 'text-xs rounded border border-gray-300 dark:border-gray-700 bg-transparent px-2 py-1';
+// Mirrors MAX_DECIMALS in backend/units.js
+const DECIMALS = { oz: [0, 1, 2, 3], ml: [0, 1, 2] };
+// Shown next to the rounding choices
+const SAMPLE_OZ = 4.0577;
+
+// Volume unit (admins): which unit the kiosk, labels, stats, the report and exports lead with, and how
+// many decimals each unit is rounded to. Changes save straight away.
+function UnitsSection({ onUnitsChanged }) {
+  const { t, units } = useI18n();
+  const [form, setForm] = useState(units);
+
+  useEffect(() => { setForm(units); }, [units]);
+
+  const save = async (change) => {
+    const next = { ...form, ...change };
+    setForm(next);
+    try {
+      const res = await fetch('/api/settings/units', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(change),
+      });
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        alert(body.message || t('Could not save the unit'));
+        setForm(units);
+        return;
+      }
+      if (onUnitsChanged) onUnitsChanged();
+    } catch (e) {
+      console.error('Saving unit settings failed', e);
+    }
+  };
+
+  return (
+    <>
+      <h3 className="text-xs font-semibold text-gray-700 dark:text-gray-300 mb-1 mt-4">{t('Units')}</h3>
+      <div className="flex flex-wrap items-center gap-3 text-xs text-gray-700 dark:text-gray-300">
+        <label className="flex items-center gap-2">
+          {t('Show amounts in')}
+          <select value={form.unit} onChange={(e) => save({ unit: e.target.value })} className={inputClass}>
+            <option value="oz">{t('Ounces (oz)')}</option>
+            <option value="ml">{t('Millilitres (ml)')}</option>
+          </select>
+        </label>
+        {['oz', 'ml'].map((unit) => (
+          <label key={unit} className="flex items-center gap-2">
+            {t('{unit} rounded to', { unit })}
+            <select
+              value={form[`${unit}_decimals`]}
+              onChange={(e) => save({ [`${unit}_decimals`]: Number(e.target.value) })}
+              className={inputClass}
+            >
+              {DECIMALS[unit].map((d) => (
+                <option key={d} value={d}>{roundVolume(SAMPLE_OZ, unit, { ...form, [`${unit}_decimals`]: d })} {unit}</option>
+              ))}
+            </select>
+          </label>
+        ))}
+      </div>
+    </>
+  );
+}
+
+export default UnitsSection;
@@ -0,0 +1,10 @@
+// Minutes without a touch or key press before the kiosk locks. Stored per device; 0 = never.
+const KEY = 'autoLockMinutes';
+const DEFAULT_MINUTES = 5;
+
+export const getAutoLockMinutes = () => {
+  const stored = localStorage.getItem(KEY);
+  return stored === null ? DEFAULT_MINUTES : Number(stored);
+};
+
+export const setAutoLockMinutes = (minutes) => localStorage.setItem(KEY, String(minutes));
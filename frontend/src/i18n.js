@@ -0,0 +1,375 @@
+import { createContext, useContext } from 'react';
+import { DEFAULT_UNIT_SETTINGS, otherUnit, roundVolume } from './units';
+
+// Until /api/auth/me answers: mirrors DEFAULT_LOCALE_SETTINGS in backend/locale-settings.js, in the
+// browser's own time zone
+export const DEFAULT_LOCALE_SETTINGS = { locale: 'en-US', time_zone: undefined, clock: '12h', date_format: 'locale' };
+
+// UI languages with a catalog; English is the source text, so it needs none
+export const LANGUAGES = [['en', 'English'], ['es', 'Español']];
+
+// Translations keyed by the English text. `{name}` placeholders are filled in by t().
+const CATALOGS = {
+  es: {
+    // Kiosk
+    'Breast Milk Tracker': 'Registro de leche materna',
+    'In stock': 'En existencia',
+    'Today pumped / drank': 'Hoy extraída / tomada',
+    Parent: 'Madre/padre',
+    All: 'Todos',
+    Profiles: 'Perfiles',
+    'Manage…': 'Administrar…',
+    'Scan bag': 'Escanear bolsa',
+    Printers: 'Impresoras',
+    Settings: 'Ajustes',
+    Language: 'Idioma',
+    'Lock (signed in as {name})': 'Bloquear (sesión de {name})',
+    '{count} bag expired': '{count} bolsa caducada',
+    '{count} bags expired': '{count} bolsas caducadas',
+    '{count} expiring within {hours}h': '{count} caducan en menos de {hours} h',
+    Pump: 'Extraer',
+    Feed: 'Toma',
+    Offered: 'Ofrecida',
+    Drank: 'Tomada',
+    'Fed by': 'Dada por',
+    Amount: 'Cantidad',
+    L: 'I',
+    R: 'D',
+    Both: 'Ambos',
+    Left: 'Izquierdo',
+    Right: 'Derecho',
+    'Both sides': 'Ambos lados',
+    'L {left} / R {right} {unit}': 'I {left} / D {right} {unit}',
+    'Pump/flange': 'Extractor/copa',
+    Notes: 'Notas',
+    'Store in': 'Guardar en',
+    Fridge: 'Refrigerador',
+    Freezer: 'Congelador',
+    'Room temp': 'Temp. ambiente',
+    'e.g., morning, after nap': 'p. ej., mañana, después de la siesta',
+    'Print to': 'Imprimir en',
+    'Pi Agent': 'Agente Pi',
+    Network: 'Red',
+    'This Device': 'Este dispositivo',
+    Printer: 'Impresora',
+    'Any printer': 'Cualquier impresora',
+    '(offline)': '(desconectada)',
+    'Printer IP/Host': 'IP/host de la impresora',
+    'Printer language': 'Lenguaje de la impresora',
+    Preview: 'Vista previa',
+    Clear: 'Borrar',
+    'Saving…': 'Guardando…',
+    'Save Feed': 'Guardar toma',
+    'Save & Print': 'Guardar e imprimir',
+    'Use next': 'Usar primero',
+    Any: 'Cualquiera',
+    'No bags in stock': 'No hay bolsas',
+    'Only {total} in stock': 'Solo hay {total}',
+    '{total} total, {extra} extra': '{total} en total, {extra} de más',
+    'Recent Feeds (today: {drank} drank of {pumped} pumped)': 'Tomas recientes (hoy: {drank} tomadas de {pumped} extraídas)',
+    '{drank} drank • {offered} offered': '{drank} tomadas • {offered} ofrecidas',
+    'From {count} bag': 'De {count} bolsa',
+    'From {count} bags': 'De {count} bolsas',
+    Del: 'Borrar',
+    'Recent Sessions ({total} in stock)': 'Extracciones recientes ({total} en existencia)',
+    'Print labels…': 'Imprimir etiquetas…',
+    Print: 'Imprimir',
+    Edit: 'Editar',
+    Close: 'Cerrar',
+    Cancel: 'Cancelar',
+    '{amount} left': 'quedan {amount}',
+    Room: 'Ambiente',
+    Frozen: 'Congelada',
+    Thawed: 'Descongelada',
+    Consumed: 'Consumida',
+    Fed: 'Dada',
+    Discarded: 'Desechada',
+    Freeze: 'Congelar',
+    Thaw: 'Descongelar',
+    Discard: 'Desechar',
+    'Use by: {when}': 'Usar antes de: {when}',
+    'Fridge: {date}': 'Refrigerador: {date}',
+    'Freeze: {date}': 'Congelador: {date}',
+    'Please enter a valid positive amount.': 'Escribe una cantidad mayor que cero.',
+    'Choose who pumped first.': 'Primero elige quién se extrajo la leche.',
+    'Please enter how much was offered.': 'Escribe cuánto se ofreció.',
+    'Drank must be between 0 and the amount offered.': 'Lo tomado debe estar entre 0 y la cantidad ofrecida.',
+    'Choose which baby was fed.': 'Elige a qué bebé se le dio la toma.',
+    'Failed to save feed': 'No se pudo guardar la toma',
+    'New amount ({unit}):': 'Nueva cantidad ({unit}):',
+    'Invalid amount': 'Cantidad no válida',
+    'Move failed': 'No se pudo mover la bolsa',
+    'Bag not found': 'No se encontró la bolsa',
+    // Lock screen
+    'Sign in failed': 'No se pudo iniciar sesión',
+    'Enter PIN': 'Escribe el PIN',
+    'Who is this?': '¿Quién eres?',
+    Backspace: 'Borrar',
+    // Printing
+    'Print label': 'Imprimir etiqueta',
+    'Could not load the label preview.': 'No se pudo cargar la vista previa de la etiqueta.',
+    'Loading preview…': 'Cargando vista previa…',
+    'Label preview': 'Vista previa de la etiqueta',
+    Copies: 'Copias',
+    'Fewer copies': 'Menos copias',
+    'More copies': 'Más copias',
+    'Print labels': 'Imprimir etiquetas',
+    From: 'Del',
+    to: 'al',
+    'Label printer': 'Impresora de etiquetas',
+    'Sticker sheet': 'Hoja de etiquetas',
+    Sheet: 'Hoja',
+    'Tap the first free label on the sheet.': 'Toca la primera etiqueta libre de la hoja.',
+    'Start at label {cell}': 'Empezar en la etiqueta {cell}',
+    'Printing…': 'Imprimiendo…',
+    'Printing failed': 'No se pudo imprimir',
+    'Choose a start day on or before the end day.': 'Elige un día de inicio igual o anterior al día final.',
+    // Print queue
+    'Request failed': 'No se pudo completar la solicitud',
+    'Cancel this print job?': '¿Cancelar este trabajo de impresión?',
+    'No print agents are enrolled. An admin can add one under Settings → Print agents.':
+      'No hay agentes de impresión registrados. Un administrador puede añadir uno en Ajustes → Agentes de impresión.',
+    Online: 'Conectada',
+    Offline: 'Desconectada',
+    'version unknown': 'versión desconocida',
+    'seen {when}': 'vista {when}',
+    'Print jobs': 'Trabajos de impresión',
+    Queued: 'En cola',
+    Printing: 'Imprimiendo',
+    Done: 'Hecho',
+    Failed: 'Fallido',
+    Cancelled: 'Cancelado',
+    'Loading…': 'Cargando…',
+    'No jobs.': 'No hay trabajos.',
+    'by {name}': 'por {name}',
+    'attempt {attempt}/{max}': 'intento {attempt}/{max}',
+    'queued {when}': 'en cola desde {when}',
+    'Send to printer': 'Enviar a la impresora',
+    Reprint: 'Reimprimir',
+    // Statistics
+    'Pumping statistics': 'Estadísticas de extracción',
+    '{days} days': '{days} días',
+    'Generate report': 'Generar informe',
+    Total: 'Total',
+    Sessions: 'Extracciones',
+    'Avg / session': 'Promedio / extracción',
+    'Last 7 days avg / day': 'Promedio diario (7 días)',
+    'Left / right': 'Izquierdo / derecho',
+    'Avg duration': 'Duración promedio',
+    '{minutes} min': '{minutes} min',
+    'Daily output (line: 7-day average)': 'Producción diaria (línea: promedio de 7 días)',
+    'Time of day': 'Hora del día',
+    'Weekly totals': 'Totales semanales',
+    'Monthly totals': 'Totales mensuales',
+    // Profiles
+    'Parents and babies': 'Madres/padres y bebés',
+    'Could not add profile': 'No se pudo añadir el perfil',
+    'Could not remove profile': 'No se pudo quitar el perfil',
+    'Remove {name}?': '¿Quitar a {name}?',
+    Remove: 'Quitar',
+    'Baby name': 'Nombre del bebé',
+    'Add baby for {name}': 'Añadir bebé de {name}',
+    'Add baby': 'Añadir bebé',
+    'Parent name': 'Nombre de la madre/padre',
+    'Add parent': 'Añadir madre/padre',
+    // Settings
+    Export: 'Exportar',
+    'Sessions (CSV)': 'Sesiones (CSV)',
+    'Feeds (CSV)': 'Tomas (CSV)',
+    'Everything (JSON)': 'Todo (JSON)',
+    Import: 'Importar',
+    'Load a JSON export from another device. Records that are already here are skipped.': 'Carga una exportación JSON de otro dispositivo. Los registros que ya están aquí se omiten.',
+    'Choose file…': 'Elegir archivo…',
+    'Replace conflicting records': 'Reemplazar registros en conflicto',
+    'Import failed': 'La importación falló',
+    'That file is not a JSON export.': 'Ese archivo no es una exportación JSON.',
+    'Working…': 'Trabajando…',
+    Imported: 'Importado',
+    'Will add: {counts}': 'Se añadirá: {counts}',
+    'Added: {counts}': 'Añadido: {counts}',
+    'Already here (skipped): {counts}': 'Ya estaba aquí (omitido): {counts}',
+    'Conflicts ({count})': 'Conflictos ({count})',
+    'replaced: {counts}': 'reemplazado: {counts}',
+    'Invalid records skipped ({count})': 'Registros no válidos omitidos ({count})',
+    '{count} profile': '{count} perfil',
+    '{count} profiles': '{count} perfiles',
+    '{count} session': '{count} sesión',
+    '{count} sessions': '{count} sesiones',
+    '{count} feed': '{count} toma',
+    '{count} feeds': '{count} tomas',
+    nothing: 'nada',
+    Profile: 'Perfil',
+    Session: 'Sesión',
+    Backups: 'Copias de seguridad',
+    'Every hour, keeping {hourly} hourly and {daily} daily copies': 'Cada hora, guardando {hourly} copias por hora y {daily} diarias',
+    'Every {hours} hours, keeping {hourly} hourly and {daily} daily copies': 'Cada {hours} horas, guardando {hourly} copias por hora y {daily} diarias',
+    'Scheduled backups are off': 'Las copias programadas están desactivadas',
+    in: 'en',
+    'Back up now': 'Hacer copia ahora',
+    'No backups yet.': 'Aún no hay copias.',
+    Download: 'Descargar',
+    Restore: 'Restaurar',
+    Scheduled: 'Programada',
+    Manual: 'Manual',
+    'Before restore': 'Antes de restaurar',
+    'Before upgrade': 'Antes de actualizar',
+    'Backup failed': 'La copia falló',
+    'Restore failed': 'La restauración falló',
+    'Replace all current data with the backup from {when}? The current data is backed up first.': '¿Reemplazar todos los datos actuales con la copia del {when}? Antes se hace una copia de los datos actuales.',
+    'Restored. The previous data was saved as {name}.': 'Restaurado. Los datos anteriores se guardaron como {name}.',
+    'Date and time': 'Fecha y hora',
+    Locale: 'Configuración regional',
+    'Time zone': 'Zona horaria',
+    Clock: 'Reloj',
+    '12-hour': '12 horas',
+    '24-hour': '24 horas',
+    Dates: 'Fechas',
+    'As the locale writes them': 'Como las escribe la configuración regional',
+    'MM/DD/YYYY': 'MM/DD/AAAA',
+    'DD/MM/YYYY': 'DD/MM/AAAA',
+    'YYYY-MM-DD': 'AAAA-MM-DD',
+    Save: 'Guardar',
+    'Now: {when}': 'Ahora: {when}',
+    'Could not save date settings': 'No se pudo guardar la configuración de fecha',
+    Units: 'Unidades',
+    'Show amounts in': 'Mostrar cantidades en',
+    'Ounces (oz)': 'Onzas (oz)',
+    'Millilitres (ml)': 'Mililitros (ml)',
+    '{unit} rounded to': '{unit} redondeado a',
+    'Could not save the unit': 'No se pudo guardar la unidad',
+    Labels: 'Etiquetas',
+    'Print labels with': 'Imprimir etiquetas con',
+    'Could not save label templates': 'No se pudieron guardar las plantillas de etiqueta',
+    'The template is not valid JSON.': 'La plantilla no es JSON válido.',
+    'Remove the label template "{name}"?': '¿Quitar la plantilla de etiqueta "{name}"?',
+    'Positions are in printer dots from the top-left corner;': 'Las posiciones están en puntos de impresora desde la esquina superior izquierda;',
+    'is the font size in points (for the QR code, dots per cell).': 'es el tamaño de letra en puntos (para el código QR, puntos por celda).',
+    'Fields:': 'Campos:',
+    'Template JSON': 'JSON de la plantilla',
+    'Add template': 'Añadir plantilla',
+    'New template from this one…': 'Nueva plantilla a partir de esta…',
+    'Print agents': 'Agentes de impresión',
+    'Add a Pi print agent, then start it with the enrollment token as': 'Añade un agente de impresión Pi y luego inícialo con el token de registro como',
+    'The token works once.': 'El token solo sirve una vez.',
+    Enrolled: 'Registrado',
+    'Waiting for agent': 'Esperando al agente',
+    'Token expired': 'Token caducado',
+    'Not enrolled': 'Sin registrar',
+    Revoke: 'Revocar',
+    'Revoke {printer}? It will stop printing until enrolled again.': '¿Revocar {printer}? Dejará de imprimir hasta que se registre de nuevo.',
+    'Could not add agent': 'No se pudo añadir el agente',
+    'Could not revoke agent': 'No se pudo revocar el agente',
+    'Printer ID, e.g. nursery-pi': 'ID de impresora, p. ej. nursery-pi',
+    'Printer ID': 'ID de impresora',
+    'Name (optional)': 'Nombre (opcional)',
+    'Agent name': 'Nombre del agente',
+    'Add agent': 'Añadir agente',
+    'Enrollment token for': 'Token de registro de',
+    '(shown only now):': '(solo se muestra ahora):',
+    // Accounts
+    Accounts: 'Cuentas',
+    'Accounts are off: anyone on this network can change or delete data. Create an admin account to require a PIN.': 'Las cuentas están desactivadas: cualquiera en esta red puede cambiar o borrar datos. Crea una cuenta de administrador para exigir un PIN.',
+    'Admins can then add caregivers, who can log pumping and feeds but not delete, restore or update.': 'Después, los administradores pueden añadir cuidadores, que pueden registrar extracciones y tomas pero no borrar, restaurar ni actualizar.',
+    'Create admin': 'Crear administrador',
+    'Signed in as {name} ({role}).': 'Sesión iniciada como {name} ({role}).',
+    Name: 'Nombre',
+    'PIN (4-8 digits)': 'PIN (4-8 dígitos)',
+    PIN: 'PIN',
+    Role: 'Rol',
+    'Role for {name}': 'Rol de {name}',
+    Caregiver: 'Cuidador/a',
+    Admin: 'Administrador/a',
+    'Lock this screen after': 'Bloquear esta pantalla tras',
+    'without use': 'sin uso',
+    Never: 'Nunca',
+    'New PIN': 'Nuevo PIN',
+    'New PIN for {name} (4-8 digits):': 'Nuevo PIN para {name} (4-8 dígitos):',
+    'Remove {name}? They will be signed out.': '¿Quitar a {name}? Se cerrará su sesión.',
+    'Could not remove user': 'No se pudo quitar el usuario',
+    'Add user': 'Añadir usuario',
+    'Recent changes': 'Cambios recientes',
+    'Nothing yet.': 'Nada todavía.',
+  },
+};
+
+// The UI language for a locale tag: its language subtag when there is a catalog for it
+export const languageOf = (locale) => {
+  const language = String(locale || '').split('-')[0].toLowerCase();
+  return LANGUAGES.some(([value]) => value === language) ? language : 'en';
+};
+
+const translate = (language, text, vars) => {
+  const translated = (CATALOGS[language] || {})[text] || text;
+  if (!vars) return translated;
+  return translated.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? String(vars[name]) : match));
+};
+
+// Mirrors the formatters in backend/locale-settings.js, so the screen shows dates as the labels do
+const dayParts = (value, settings) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: settings.time_zone, year: 'numeric', month: '2-digit', day: '2-digit',
+  }).formatToParts(new Date(value));
+  const get = (type) => parts.find((p) => p.type === type).value;
+  return { y: get('year'), m: get('month'), d: get('day') };
+};
+
+const formatDate = (value, settings) => {
+  if (settings.date_format === 'locale') {
+    return new Date(value).toLocaleDateString(settings.locale, { timeZone: settings.time_zone });
+  }
+  const { y, m, d } = dayParts(value, settings);
+  if (settings.date_format === 'mdy') return `${m}/${d}/${y}`;
+  if (settings.date_format === 'dmy') return `${d}/${m}/${y}`;
+  return `${y}-${m}-${d}`;
+};
+
+const formatMonthDay = (value, settings) => {
+  if (settings.date_format === 'locale') {
+    return new Date(value).toLocaleDateString(settings.locale, { timeZone: settings.time_zone, month: 'numeric', day: 'numeric' });
+  }
+  const { m, d } = dayParts(value, settings);
+  return settings.date_format === 'dmy' ? `${Number(d)}/${Number(m)}` : `${Number(m)}/${Number(d)}`;
+};
+
+const formatTime = (value, settings) => new Date(value).toLocaleTimeString(settings.locale, {
+  timeZone: settings.time_zone,
+  hour: 'numeric',
+  minute: '2-digit',
+  hourCycle: settings.clock === '24h' ? 'h23' : 'h12',
+});
+
+// Translation, date and volume helpers for the household `settings` ({ locale, time_zone, clock, date_format })
+// and `units` (see units.js), both from /api/auth/me. `language` overrides the one the locale implies, for a
+// kiosk whose user reads another language than the household's.
+export const makeI18n = (settings, language, units) => {
+  const s = { ...DEFAULT_LOCALE_SETTINGS, ...settings };
+  const u = { ...DEFAULT_UNIT_SETTINGS, ...units };
+  // `ml` is a bag's exact amount when it was entered in millilitres
+  const formatVolume = (oz, ml) => `${roundVolume(oz, u.unit, u, ml)} ${u.unit}`;
+  const lang = language && LANGUAGES.some(([value]) => value === language) ? language : languageOf(s.locale);
+  return {
+    settings: s,
+    language: lang,
+    t: (text, vars) => translate(lang, text, vars),
+    formatDate: (value) => formatDate(value, s),
+    formatMonthDay: (value) => formatMonthDay(value, s),
+    formatTime: (value) => formatTime(value, s),
+    formatDateTime: (value) => `${formatDate(value, s)} ${formatTime(value, s)}`,
+    // Month and day of a YYYY-MM-DD calendar day, as the server keys stats
+    formatDayKey: (key) => formatMonthDay(`${key}T12:00Z`, { ...s, time_zone: 'UTC' }),
+    // YYYY-MM-DD of `value` in the household time zone, e.g. for date inputs
+    dayKey: (value) => formatDate(value, { ...s, date_format: 'ymd' }),
+    units: u,
+    // e.g. "4.06" for 4.0577 oz in `unit` (default: the preferred one)
+    volumeIn: (oz, unit = u.unit, ml = null) => roundVolume(oz, unit, u, ml),
+    // e.g. "120 ml"
+    formatVolume,
+    // e.g. "120 ml (4.06 oz)"
+    formatAmount: (oz, ml) => `${formatVolume(oz, ml)} (${roundVolume(oz, otherUnit(u.unit), u, ml)} ${otherUnit(u.unit)})`,
+    setLanguage: () => {},
+  };
+};
+
+export const I18nContext = createContext(makeI18n());
+
+export const useI18n = () => useContext(I18nContext);
@@ -0,0 +1,17 @@
+// Mirrors backend/units.js: the household volume unit and rounding, { unit, oz_decimals, ml_decimals }.
+// Volumes are sent and added up in ounces; a bag entered in millilitres also has its exact amount_ml.
+
+export const ML_PER_OZ = 29.5735;
+
+export const DEFAULT_UNIT_SETTINGS = { unit: 'oz', oz_decimals: 2, ml_decimals: 0 };
+
+// Ounces for a millilitre amount, to the 4 places the server keeps volumes to
+export const mlToOz = (ml) => Math.round((ml / ML_PER_OZ) * 10000) / 10000;
+
+export const otherUnit = (unit) => (unit === 'ml' ? 'oz' : 'ml');
+
+// `oz` in `unit` as a rounded number string; `ml` is the exact amount when entered in millilitres
+export const roundVolume = (oz, unit, settings, ml = null) => {
+  const value = unit === 'ml' ? (ml != null ? ml : Number(oz || 0) * ML_PER_OZ) : Number(oz || 0);
+  return value.toFixed(settings[`${unit}_decimals`]);
+};